@@ -6,12 +6,11 @@
  * @flow strict-local
  */
 
-import React, {useContext, useEffect, useRef, useState} from 'react';
+import React, {useContext, useRef, useState} from 'react';
 import type {Node} from 'react';
 import {
+  Button,
   Dimensions,
-  PermissionsAndroid,
-  Platform,
   SafeAreaView,
   ScrollView,
   StatusBar,
@@ -28,8 +27,32 @@ import {
   LearnMoreLinks,
   ReloadInstructions,
 } from 'react-native/Libraries/NewAppScreen';
+import {AlertBanner} from './alert-banner';
+import {AlertRules} from './alert-rules';
 import {BLEContext, BLEProvider} from './ble-context';
+import {CalibrationWizard} from './calibration-wizard';
 import {Chart} from './chart';
+import {DiagnosticsPanel} from './diagnostics-panel';
+import {DeviceList} from './device-list';
+import {DeviceSettings} from './device-settings';
+import {GaitSummary} from './gait-summary';
+import {GattExplorer} from './gatt-explorer';
+import {Heatmap} from './heatmap';
+import {ParticipantList} from './participant-list';
+import {PermissionGate} from './permission-gate';
+import {ProcessingSettings} from './processing-settings';
+import {RecordingControls} from './recording-controls';
+import {RelayProvider} from './relay-context';
+import {RelaySettings} from './relay-settings';
+import {ReplayControls, ReplayProvider} from './replay';
+import {SessionLibrary} from './session-library';
+import {StatusBanner} from './status-banner';
+import {SyncProvider} from './sync-context';
+import {SyncSettings} from './sync-settings';
+import {TrialCountdown} from './trial-countdown';
+import {TrialTemplates} from './trial-templates';
+import {USE_SIMULATOR} from './config';
+import {SimulatedTransport} from './simulator';
 
 const Section = ({children, title}): Node => {
   const isDarkMode = useColorScheme() === 'dark';
@@ -44,93 +67,159 @@ const Section = ({children, title}): Node => {
         ]}>
         {title}
       </Text>
-      <Text
-        contentContainerStyle={[
-          styles.sectionDescription,
-          {
-            color: isDarkMode ? Colors.light : Colors.dark,
-          },
-        ]}>
-        {children}
-      </Text>
+      <View style={styles.sectionDescription}>{children}</View>
     </View>
   );
 };
 
-const App: () => Node = () => {
+/*
+ * The app's screens, switched between with the tabs at the top.
+ */
+const SCREENS = [
+  {key: 'live', title: 'Live'},
+  {key: 'sessions', title: 'Sessions'},
+  {key: 'settings', title: 'Settings'},
+  {key: 'explorer', title: 'GATT'},
+];
+
+/*
+ * 'transport' is optional, and passed on to the BLEProvider (see ble-context.js) -- with
+ * USE_SIMULATOR set in config.js, it defaults to the simulated sensors.
+ */
+const App: ({transport?: Object}) => Node = ({transport}) => {
   const isDarkMode = useColorScheme() === 'dark';
 
+  const [screen, setScreen] = useState('live');
+
+  /*
+   * The session being replayed on the 'sessions' screen (see replay.js), if any.
+   */
+  const [replaying, setReplaying] = useState(undefined);
+
   const backgroundStyle = {
     backgroundColor: isDarkMode ? Colors.darker : Colors.lighter,
   };
 
-  useEffect(() => {
-    // Get android permission for location... this is required
-    // for bluetooth access ...
-    if (Platform.OS === 'android' && Platform.Version >= 23) {
-      console.log('Checking for ACCESS_FINE_LOCATION permissions');
-      PermissionsAndroid.check(
-        PermissionsAndroid.PERMISSIONS.ACCESS_FINE_LOCATION,
-      ).then(result => {
-        if (result) {
-          console.log('ACCESS_FINE_LOCATION is allowed');
-        } else {
-          PermissionsAndroid.request(
-            PermissionsAndroid.PERMISSIONS.ACCESS_FINE_LOCATION,
-          ).then(result => {
-            if (result) {
-              console.log('ACCESS_FINE_LOCATION is granted');
-            } else {
-              console.log('ACCESS_FINE_LOCATION is denied');
-            }
-          });
-        }
-      });
-    }
-
-    console.log('Checking for ACCESS_COARSE_LOCATION permissions');
-    PermissionsAndroid.check(
-      PermissionsAndroid.PERMISSIONS.ACCESS_COARSE_LOCATION,
-    ).then(result => {
-      if (result) {
-        console.log('ACCESS_COARSE_LOCATION is allowed');
-      } else {
-        PermissionsAndroid.request(
-          PermissionsAndroid.PERMISSIONS.ACCESS_COARSE_LOCATION,
-        ).then(result => {
-          if (result) {
-            console.log('ACCESS_COARSE_LOCATION is granted');
-          } else {
-            console.log('ACCESS_COARSE_LOCATION is denied');
-          }
-        });
-      }
-    });
-  });
-
   return (
-    <BLEProvider>
-      <SafeAreaView style={backgroundStyle}>
-        <StatusBar barStyle={isDarkMode ? 'light-content' : 'dark-content'} />
-        <ScrollView
-          contentInsetAdjustmentBehavior="automatic"
-          style={backgroundStyle}>
-          {/*<Header />*/}
-          <View
-            style={{
-              backgroundColor: isDarkMode ? Colors.black : Colors.white,
-            }}>
-            <Section title="Sensor Data">
-              <Chart />
-            </Section>
-          </View>
-        </ScrollView>
-      </SafeAreaView>
+    <BLEProvider
+      transport={
+        transport || (USE_SIMULATOR ? new SimulatedTransport() : undefined)
+      }>
+      <SyncProvider>
+        <RelayProvider>
+          <SafeAreaView style={backgroundStyle}>
+            <StatusBar
+              barStyle={isDarkMode ? 'light-content' : 'dark-content'}
+            />
+            <StatusBanner />
+            <AlertBanner />
+            <ScrollView
+              contentInsetAdjustmentBehavior="automatic"
+              style={backgroundStyle}>
+              {/*<Header />*/}
+              <View
+                style={{
+                  backgroundColor: isDarkMode ? Colors.black : Colors.white,
+                }}>
+                <View style={styles.tabs}>
+                  {SCREENS.map(({key, title}) => (
+                    <Button
+                      key={key}
+                      title={title}
+                      color={key === screen ? undefined : '#999'}
+                      onPress={() => setScreen(key)}
+                    />
+                  ))}
+                </View>
+                {screen === 'live' && (
+                  <>
+                    <Section title="Devices">
+                      <PermissionGate>
+                        <DeviceList />
+                      </PermissionGate>
+                    </Section>
+                    <Section title="Participant">
+                      <ParticipantList />
+                    </Section>
+                    <Section title="Trial">
+                      <TrialTemplates />
+                    </Section>
+                    <Section title="Recording">
+                      <RecordingControls />
+                      <TrialCountdown />
+                    </Section>
+                    <Section title="Sensor Data">
+                      <Chart />
+                      <GaitSummary />
+                    </Section>
+                    <Section title="Pressure">
+                      <Heatmap />
+                    </Section>
+                    <Section title="Processing">
+                      <ProcessingSettings />
+                    </Section>
+                    <Section title="Alerts">
+                      <AlertRules />
+                    </Section>
+                    <Section title="Diagnostics">
+                      <DiagnosticsPanel />
+                    </Section>
+                  </>
+                )}
+                {screen === 'sessions' &&
+                  (replaying ? (
+                    <ReplayProvider session={replaying}>
+                      <Section title={replaying.name}>
+                        <ReplayControls />
+                        <Chart />
+                        <GaitSummary />
+                        <Heatmap />
+                        <Button
+                          title="Back"
+                          onPress={() => setReplaying(undefined)}
+                        />
+                      </Section>
+                    </ReplayProvider>
+                  ) : (
+                    <Section title="Sessions">
+                      <SessionLibrary onReplay={setReplaying} />
+                    </Section>
+                  ))}
+                {screen === 'settings' && (
+                  <>
+                    <Section title="Device Settings">
+                      <DeviceSettings />
+                    </Section>
+                    <Section title="Calibration">
+                      <CalibrationWizard />
+                    </Section>
+                    <Section title="Sync">
+                      <SyncSettings />
+                    </Section>
+                    <Section title="Live Relay">
+                      <RelaySettings />
+                    </Section>
+                  </>
+                )}
+                {screen === 'explorer' && (
+                  <Section title="GATT Explorer">
+                    <GattExplorer />
+                  </Section>
+                )}
+              </View>
+            </ScrollView>
+          </SafeAreaView>
+        </RelayProvider>
+      </SyncProvider>
     </BLEProvider>
   );
 };
 
 const styles = StyleSheet.create({
+  tabs: {
+    flexDirection: 'row',
+    justifyContent: 'space-around',
+  },
   sectionContainer: {
     marginTop: 32,
   },
@@ -0,0 +1,89 @@
+/**
+ * An in-memory stand-in for react-native-fs, which Jest uses in place of the native module.
+ * Only the parts session-store.js uses are here. Call __reset() between tests to start again
+ * with an empty filesystem.
+ */
+
+let files = {};
+let dirs = {};
+
+const parent = path => path.substring(0, path.lastIndexOf('/'));
+const name = path => path.substring(path.lastIndexOf('/') + 1);
+
+const missing = path =>
+  Promise.reject(new Error('ENOENT: no such file or directory, ' + path));
+
+const RNFS = {
+  DocumentDirectoryPath: '/documents',
+  CachesDirectoryPath: '/caches',
+
+  __reset: () => {
+    files = {};
+    dirs = {};
+  },
+
+  mkdir: path => {
+    for (let p = path; p.length; p = parent(p)) {
+      dirs[p] = true;
+    }
+    return Promise.resolve();
+  },
+
+  exists: path => Promise.resolve(files[path] !== undefined || !!dirs[path]),
+
+  writeFile: (path, contents) => {
+    if (!dirs[parent(path)]) {
+      return missing(parent(path));
+    }
+    files[path] = contents;
+    return Promise.resolve();
+  },
+
+  appendFile: (path, contents) => {
+    if (!dirs[parent(path)]) {
+      return missing(parent(path));
+    }
+    files[path] = (files[path] || '') + contents;
+    return Promise.resolve();
+  },
+
+  readFile: path =>
+    files[path] !== undefined ? Promise.resolve(files[path]) : missing(path),
+
+  readDir: path => {
+    if (!dirs[path]) {
+      return missing(path);
+    }
+
+    const children = [
+      ...Object.keys(files).filter(p => parent(p) === path),
+      ...Object.keys(dirs).filter(p => parent(p) === path),
+    ];
+    return Promise.resolve(
+      children.map(p => ({
+        name: name(p),
+        path: p,
+        size: files[p] !== undefined ? files[p].length : 0,
+        isFile: () => files[p] !== undefined,
+        isDirectory: () => !!dirs[p],
+      })),
+    );
+  },
+
+  unlink: path => {
+    if (files[path] === undefined && !dirs[path]) {
+      return missing(path);
+    }
+    const prefix = path + '/';
+    Object.keys(files)
+      .filter(p => p === path || p.startsWith(prefix))
+      .forEach(p => delete files[p]);
+    Object.keys(dirs)
+      .filter(p => p === path || p.startsWith(prefix))
+      .forEach(p => delete dirs[p]);
+    return Promise.resolve();
+  },
+};
+
+module.exports = RNFS;
+module.exports.default = RNFS;
@@ -5,10 +5,20 @@
 import 'react-native';
 import React from 'react';
 import App from '../App';
+import {SimulatedTransport} from '../simulator';
 
 // Note: test renderer must be required after react-native.
-import renderer from 'react-test-renderer';
+import renderer, {act} from 'react-test-renderer';
 
-it('renders correctly', () => {
-  renderer.create(<App />);
+jest.useFakeTimers();
+
+it('renders correctly', async () => {
+  let root;
+  await act(async () => {
+    root = renderer.create(<App transport={new SimulatedTransport()} />);
+  });
+  await act(async () => {
+    jest.advanceTimersByTime(1000);
+  });
+  act(() => root.unmount());
 });
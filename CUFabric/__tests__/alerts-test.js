@@ -0,0 +1,103 @@
+/**
+ * @format
+ */
+
+import {createDetector, isSilent, newRule} from '../alerts';
+
+/*
+ * Runs values (one every 100ms) through a detector for the given rule, and returns the events.
+ */
+const detect = (rule, values) => {
+  const detector = createDetector([rule]);
+  const events = [];
+  values.forEach((value, i) => events.push(...detector(value, i * 100)));
+  return events;
+};
+
+describe('newRule', () => {
+  it('has the default parameters for its type', () => {
+    const rule = newRule('above');
+    expect(rule).toMatchObject({
+      type: 'above',
+      enabled: true,
+      alert: true,
+      threshold: 200,
+      duration: 500,
+    });
+  });
+
+  it('marks peaks as events rather than alerts', () => {
+    expect(newRule('peak').alert).toBe(false);
+  });
+});
+
+describe('above', () => {
+  const rule = {...newRule('above'), threshold: 10, duration: 200};
+
+  it('fires once the value has stayed above the threshold long enough', () => {
+    const events = detect(rule, [5, 15, 15, 15, 15]);
+    expect(events).toHaveLength(1);
+    expect(events[0]).toMatchObject({
+      time: 300,
+      value: 15,
+      ruleId: rule.id,
+      type: 'above',
+      alert: true,
+    });
+  });
+
+  it('ignores brief excursions, and re-arms once the value drops', () => {
+    expect(detect(rule, [15, 15, 5, 15, 15])).toHaveLength(0);
+    expect(detect(rule, [15, 15, 15, 5, 15, 15, 15])).toHaveLength(2);
+  });
+});
+
+describe('rateAbove', () => {
+  it('fires on a fast change, either way', () => {
+    const rule = {...newRule('rateAbove'), threshold: 100};
+    // 5 per 100ms is 50/s; 20 per 100ms is 200/s.
+    const events = detect(rule, [0, 5, 10, 30, 35, 15]);
+    expect(events.map(e => e.time)).toEqual([300, 500]);
+  });
+});
+
+describe('peak', () => {
+  const rule = {...newRule('peak'), threshold: 50, refractory: 300};
+
+  it('finds peaks above the threshold', () => {
+    const events = detect(rule, [0, 60, 100, 60, 0, 40, 0, 80, 0]);
+    expect(events.map(e => [e.time, e.value])).toEqual([
+      [200, 100],
+      [700, 80],
+    ]);
+  });
+
+  it('ignores peaks inside the refractory period', () => {
+    const events = detect(rule, [0, 100, 0, 90, 0, 0, 90, 0]);
+    expect(events.map(e => e.time)).toEqual([100, 600]);
+  });
+
+  it('finds the end of a plateau', () => {
+    expect(detect(rule, [0, 70, 70, 70, 0]).map(e => e.time)).toEqual([300]);
+  });
+});
+
+describe('createDetector', () => {
+  it('skips disabled rules', () => {
+    const rule = {...newRule('above'), threshold: 10, duration: 0};
+    expect(detect({...rule, enabled: false}, [20, 20])).toHaveLength(0);
+  });
+});
+
+describe('isSilent', () => {
+  const rule = {...newRule('noData'), seconds: 3};
+
+  it('is broken once nothing has arrived for too long', () => {
+    expect(isSilent(rule, 1000, 3500)).toBe(false);
+    expect(isSilent(rule, 1000, 4500)).toBe(true);
+  });
+
+  it('needs something to have arrived first', () => {
+    expect(isSilent(rule, undefined, 10000)).toBe(false);
+  });
+});
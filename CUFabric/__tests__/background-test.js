@@ -0,0 +1,38 @@
+/**
+ * Tests for the background mode notification.
+ */
+
+import {isSupported, notificationText, startService} from '../background';
+
+const sensors = [{id: 'A'}, {id: 'B'}];
+const start = Date.UTC(2022, 10, 1, 12, 0, 0);
+
+it('describes the recording in progress', () => {
+  const recording = {
+    status: 'recording',
+    session: {startTime: start},
+    sampleCount: 1234,
+  };
+  expect(notificationText(recording, sensors, start + 95000)).toEqual({
+    title: 'Recording',
+    text: '1:35 -- 1234 samples from 2 sensors',
+  });
+  expect(
+    notificationText(recording, sensors.slice(1), start + 3725000).text,
+  ).toBe('1:02:05 -- 1234 samples from 1 sensor');
+  expect(
+    notificationText({...recording, status: 'paused'}, sensors, start).title,
+  ).toBe('Recording paused');
+});
+
+it('says when nothing is recording', () => {
+  expect(notificationText({status: 'idle'}, sensors, start)).toEqual({
+    title: 'Connected in the background',
+    text: '2 sensors, not recording',
+  });
+});
+
+it('does nothing without the native module', () => {
+  expect(isSupported()).toBe(false);
+  expect(() => startService({title: 'a', text: 'b'})).not.toThrow();
+});
@@ -0,0 +1,713 @@
+/**
+ * Integration tests for the BLEProvider, run against the simulated sensors in simulator.js.
+ */
+
+import 'react-native';
+import React, {useContext} from 'react';
+import renderer, {act} from 'react-test-renderer';
+import {
+  AppState,
+  DeviceEventEmitter,
+  NativeModules,
+  Vibration,
+} from 'react-native';
+import RNFS from 'react-native-fs';
+import {BleErrorCode} from 'react-native-ble-plx';
+import {Buffer} from 'buffer';
+import {BLEContext, BLEProvider} from '../ble-context';
+import {MAX_RETRIES} from '../connection-state';
+import {newRule} from '../alerts';
+import {fitCalibration} from '../calibration';
+import {SETTINGS_DIR} from '../settings-store';
+import {loadProfiles, PROFILES} from '../device-profiles';
+
+jest.mock('react-native/Libraries/Vibration/Vibration', () => ({
+  vibrate: jest.fn(),
+  cancel: jest.fn(),
+}));
+import {insole, SimulatedTransport, waveforms} from '../simulator';
+
+jest.useFakeTimers();
+
+/*
+ * The Android foreground service's native module (see background.js).
+ */
+NativeModules.CUFabricBackground = {
+  start: jest.fn(),
+  update: jest.fn(),
+  stop: jest.fn(),
+  addListener: jest.fn(),
+  removeListeners: jest.fn(),
+};
+
+/*
+ * The BLEProvider's AppState listener, so the tests can send the app to the background (from
+ * the foreground, where the mocked AppState doesn't say it starts).
+ */
+AppState.currentState = 'active';
+let appStateListener;
+const moveTo = async state => {
+  await act(async () => {
+    appStateListener(state);
+  });
+};
+
+/*
+ * Renders nothing, but keeps hold of the latest context so the tests can look at it -- and
+ * counts how often it's rendered.
+ */
+let context;
+let renders = 0;
+const Probe = () => {
+  context = useContext(BLEContext);
+  renders++;
+  return null;
+};
+
+/*
+ * Runs the fake clock forward, a little at a time, letting promises settle in between. The
+ * (legacy) fake timers don't fake Date.now, so that's moved along with them.
+ */
+let now;
+const advance = async ms => {
+  for (let elapsed = 0; elapsed < ms; elapsed += 50) {
+    now += 50;
+    await act(async () => {
+      jest.advanceTimersByTime(50);
+    });
+  }
+};
+
+const sensor = id => context.sensors.find(s => s.id === id);
+const series = id => context.store.series(id);
+
+/*
+ * A characteristic the LEFT insole has besides its counter, for the GATT explorer to find.
+ */
+const EXTRA_SERVICE = '0000FFF0-0000-1000-8000-00805F9B34FB';
+const EXTRA = '0000FFF1-0000-1000-8000-00805F9B34FB';
+
+let transport;
+let root;
+
+beforeEach(async () => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'info').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  now = Date.now();
+  jest.spyOn(Date, 'now').mockImplementation(() => now);
+  jest
+    .spyOn(AppState, 'addEventListener')
+    .mockImplementation((type, listener) => {
+      appStateListener = listener;
+      return {remove: () => {}};
+    });
+  Object.values(NativeModules.CUFabricBackground).forEach(fn => fn.mockClear());
+
+  transport = new SimulatedTransport([
+    insole('LEFT', 'Clarkson Left', {
+      waveform: waveforms.scripted([10, 20, 30]),
+      characteristics: [
+        {
+          serviceUUID: EXTRA_SERVICE,
+          uuid: EXTRA,
+          isReadable: true,
+          isWritableWithResponse: true,
+          isNotifiable: true,
+          value: Buffer.from([0, 0]),
+        },
+      ],
+    }),
+    insole('POLLED', 'Clarkson Polled', {
+      notify: false,
+      acknowledge: false,
+      battery: 15,
+      info: null,
+    }),
+    {id: 'OTHER', name: 'Somebody Else', rssi: -40, characteristics: []},
+  ]);
+
+  act(() => {
+    root = renderer.create(
+      <BLEProvider transport={transport}>
+        <Probe />
+      </BLEProvider>,
+    );
+  });
+  await advance(100);
+});
+
+afterEach(async () => {
+  act(() => root.unmount());
+  transport.destroy();
+  jest.restoreAllMocks();
+});
+
+it('scans for Clarkson devices once Bluetooth is on', () => {
+  expect(context.adapterState).toBe('PoweredOn');
+  expect(context.connectionState).toBe('scanning');
+  expect(context.scanning).toBe(true);
+  expect(context.devices.map(d => d.id).sort()).toEqual(['LEFT', 'POLLED']);
+});
+
+it("picks each device's profile, and reads it as that says", async () => {
+  const SLEEVE_SERVICE = '0000AA00-0000-1000-8000-00805F9B34FB';
+  const SLEEVE_DATA = '0000AA01-0000-1000-8000-00805F9B34FB';
+  const profiles = loadProfiles([
+    ...PROFILES,
+    {
+      id: 'knee-sleeve',
+      name: 'Knee sleeve',
+      services: [SLEEVE_SERVICE],
+      data: [
+        {
+          service: SLEEVE_SERVICE,
+          characteristic: SLEEVE_DATA,
+          channels: [
+            {name: 'flexion', type: 'int16', unit: 'deg'},
+            {name: 'strain', type: 'uint16', unit: 'raw'},
+          ],
+        },
+      ],
+      sampleRate: 10,
+    },
+  ]);
+  act(() => root.unmount());
+  transport.destroy();
+  transport = new SimulatedTransport([
+    insole('LEFT', 'Clarkson Left'),
+    {
+      id: 'SLEEVE',
+      name: 'Anything at all',
+      services: [SLEEVE_SERVICE],
+      rssi: -50,
+      characteristics: [
+        {
+          serviceUUID: SLEEVE_SERVICE,
+          uuid: SLEEVE_DATA,
+          isReadable: true,
+          value: Buffer.from([0xf6, 0xff, 0x10, 0x00]),
+        },
+      ],
+    },
+    // Advertising a name we know isn't enough -- the scan's for the profiles' services.
+    {id: 'IMPOSTOR', name: 'Clarkson?', rssi: -40, characteristics: []},
+  ]);
+  const scan = jest.spyOn(transport, 'startDeviceScan');
+  act(() => {
+    root = renderer.create(
+      <BLEProvider transport={transport} profiles={profiles}>
+        <Probe />
+      </BLEProvider>,
+    );
+  });
+  await advance(100);
+
+  expect(scan.mock.calls[0][0]).toEqual([
+    PROFILES[0].services[0],
+    SLEEVE_SERVICE,
+  ]);
+  const found = {};
+  context.devices.forEach(d => (found[d.id] = d.profile.id));
+  expect(found).toEqual({LEFT: 'clarkson-insole', SLEEVE: 'knee-sleeve'});
+
+  await act(async () => {
+    context.connect('SLEEVE');
+  });
+  await advance(1000);
+  expect(sensor('SLEEVE').profile.id).toBe('knee-sleeve');
+  expect(sensor('SLEEVE').source.uuid).toBe(SLEEVE_DATA);
+  expect(sensor('SLEEVE').mode).toBe('poll');
+  // Polled ten times a second, as the profile says, rather than the insole's five (less the
+  // time each read takes) -- and decoded channel by channel.
+  expect(series('SLEEVE').data.length).toBeGreaterThanOrEqual(5);
+  expect(series('SLEEVE').channels).toEqual({flexion: -10, strain: 16});
+  expect(series('SLEEVE').data.slice(-1)).toEqual([6]);
+});
+
+it('stays connected when given new device profiles', async () => {
+  await act(async () => {
+    context.connect('LEFT');
+  });
+  await advance(500);
+  const cancel = jest.spyOn(transport, 'cancelDeviceConnection');
+
+  // The same profiles, but a new list each render -- as an inline prop would be.
+  for (let i = 0; i < 3; i++) {
+    act(() => {
+      root.update(
+        <BLEProvider transport={transport} profiles={loadProfiles(PROFILES)}>
+          <Probe />
+        </BLEProvider>,
+      );
+    });
+    await advance(100);
+  }
+
+  expect(cancel).not.toHaveBeenCalled();
+  expect(sensor('LEFT').state).toBe('ready');
+  const count = series('LEFT').data.length;
+  const published = jest.fn();
+  context.store.subscribe(published);
+  await advance(500);
+  expect(series('LEFT').data.length).toBeGreaterThan(count);
+  expect(published).toHaveBeenCalled();
+});
+
+it('follows the Bluetooth adapter state', async () => {
+  await act(async () => {
+    transport.setState('PoweredOff');
+  });
+  expect(context.adapterState).toBe('PoweredOff');
+  expect(context.scanning).toBe(false);
+
+  await act(async () => {
+    transport.setState('PoweredOn');
+  });
+  await advance(100);
+  expect(context.adapterState).toBe('PoweredOn');
+  expect(context.scanning).toBe(true);
+});
+
+it('connects and streams notified values', async () => {
+  await act(async () => {
+    context.connect('LEFT');
+  });
+  expect(context.scanning).toBe(false);
+  expect(sensor('LEFT').state).toBe('connecting');
+
+  await advance(500);
+  expect(sensor('LEFT').state).toBe('ready');
+  expect(sensor('LEFT').mode).toBe('notify');
+  expect(context.sensor.id).toBe('LEFT');
+  expect(series('LEFT').data.length).toBeGreaterThan(0);
+  series('LEFT').data.forEach(value => expect([10, 20, 30]).toContain(value));
+
+  await advance(1000);
+  expect(sensor('LEFT').rate).toBeGreaterThan(0);
+});
+
+it('keeps samples in the store, without re-rendering for each one', async () => {
+  await act(async () => {
+    context.connect('LEFT');
+  });
+  await advance(500);
+
+  const before = renders;
+  const count = series('LEFT').data.length;
+  await advance(2000);
+
+  // 40 more samples, but only the once-a-second figures re-render anything.
+  expect(series('LEFT').data.length - count).toBeGreaterThanOrEqual(35);
+  expect(renders - before).toBeLessThanOrEqual(4);
+});
+
+it('polls a sensor which does not notify', async () => {
+  await act(async () => {
+    context.connect('POLLED');
+  });
+  await advance(1500);
+
+  expect(sensor('POLLED').mode).toBe('poll');
+  expect(series('POLLED').data.length).toBeGreaterThan(0);
+});
+
+it('reconnects to a sensor which goes out of range', async () => {
+  jest.spyOn(Math, 'random').mockReturnValue(0);
+  await act(async () => {
+    context.connect('LEFT');
+  });
+  await advance(500);
+  expect(sensor('LEFT').state).toBe('ready');
+
+  await act(async () => {
+    transport.disconnect('LEFT');
+  });
+  expect(sensor('LEFT').state).toBe('reconnecting');
+  expect(sensor('LEFT').attempts).toBe(1);
+  expect(sensor('LEFT').lastError.codeName).toBe('DeviceDisconnected');
+  expect(context.connectionState).toBe('reconnecting');
+  expect(context.errors[0].sensorId).toBe('LEFT');
+
+  // The first retry comes after half of BASE_DELAY, with Math.random() returning 0.
+  await advance(700);
+  expect(sensor('LEFT').state).toBe('ready');
+  expect(sensor('LEFT').attempts).toBe(0);
+  expect(context.connectionState).toBe('ready');
+});
+
+it('backs off, and gives up after MAX_RETRIES attempts', async () => {
+  jest.spyOn(Math, 'random').mockReturnValue(0);
+  for (let i = 0; i <= MAX_RETRIES; i++) {
+    transport.failNext(
+      'connectToDevice',
+      'LEFT',
+      BleErrorCode.DeviceConnectionFailed,
+    );
+  }
+
+  await act(async () => {
+    context.connect('LEFT');
+  });
+  await advance(100);
+  expect(sensor('LEFT').state).toBe('reconnecting');
+  expect(context.errors[0].codeName).toBe('DeviceConnectionFailed');
+
+  // 500 + 1000 + 2000 + 4000 + 8000 milliseconds of backoff, plus the attempts themselves.
+  await advance(16000);
+  expect(sensor('LEFT').state).toBe('failed');
+  expect(context.connectionState).toBe('failed');
+  expect(context.scanning).toBe(true);
+  expect(context.errors.length).toBe(MAX_RETRIES + 1);
+
+  // ... but the user can still try again.
+  await act(async () => {
+    context.retry('LEFT');
+  });
+  await advance(200);
+  expect(sensor('LEFT').state).toBe('ready');
+});
+
+it('does not reconnect a sensor the user disconnected from', async () => {
+  await act(async () => {
+    context.connect('LEFT');
+  });
+  await advance(500);
+
+  await act(async () => {
+    context.disconnect('LEFT');
+  });
+  await advance(5000);
+
+  expect(context.sensors).toEqual([]);
+  expect(context.connectionState).toBe('idle');
+});
+
+it('disconnects on request', async () => {
+  await act(async () => {
+    context.connect('LEFT');
+  });
+  await advance(500);
+
+  await act(async () => {
+    context.disconnect('LEFT');
+  });
+  await advance(200);
+
+  expect(context.sensors).toEqual([]);
+  expect(context.sensor).toBeUndefined();
+  expect(await transport.isDeviceConnected('LEFT')).toBe(false);
+});
+
+it('raises events and alerts from the alert rules, and saves them', async () => {
+  const peak = {...newRule('peak'), threshold: 25, refractory: 0};
+  const above = {...newRule('above'), threshold: 25, duration: 0};
+
+  await act(async () => {
+    context.setRules([peak, above]);
+    context.connect('LEFT');
+  });
+  await advance(2000);
+
+  const events = context.events.filter(e => e.sensorId === 'LEFT');
+  expect(events.filter(e => e.ruleId === peak.id).length).toBeGreaterThan(0);
+  events.forEach(e => expect(e.value).toBe(30));
+
+  expect(context.alerts.length).toBeGreaterThan(0);
+  context.alerts.forEach(a => expect(a.ruleId).toBe(above.id));
+  expect(Vibration.vibrate).toHaveBeenCalledWith(200);
+
+  await act(async () => {
+    context.dismissAlerts();
+  });
+  expect(context.alerts).toEqual([]);
+
+  const saved = await RNFS.readFile(SETTINGS_DIR + '/alert-rules.json');
+  expect(JSON.parse(saved)).toEqual([peak, above]);
+});
+
+it('raises an event when a sensor goes quiet', async () => {
+  const rule = {...newRule('noData'), seconds: 1};
+  await act(async () => {
+    context.setRules([rule]);
+    context.connect('LEFT');
+  });
+  await advance(1000);
+  expect(context.events).toEqual([]);
+
+  await act(async () => {
+    transport.mute('LEFT');
+  });
+  await advance(3000);
+
+  expect(sensor('LEFT').state).toBe('ready');
+  expect(context.events).toHaveLength(1);
+  expect(context.events[0]).toMatchObject({
+    sensorId: 'LEFT',
+    ruleId: rule.id,
+    type: 'noData',
+  });
+});
+
+it('reads and writes characteristics, and charts a promoted one', async () => {
+  await act(async () => {
+    context.connect('LEFT');
+  });
+  await advance(500);
+
+  /*
+   * The simulator answers after a (fake) delay, so the clock has to run while we wait.
+   */
+  const settle = async promise => {
+    let result;
+    promise.then(r => (result = r));
+    await advance(100);
+    return result;
+  };
+
+  const services = await settle(context.gatt.services('LEFT'));
+  expect(services.map(s => s.uuid.toUpperCase())).toContain(EXTRA_SERVICE);
+
+  await settle(context.gatt.write('LEFT', EXTRA_SERVICE, EXTRA, 'LAE='));
+  const read = await settle(context.gatt.read('LEFT', EXTRA_SERVICE, EXTRA));
+  expect(read.value).toBe('LAE=');
+
+  await act(async () => {
+    context.setSource('LEFT', {
+      serviceUUID: EXTRA_SERVICE,
+      uuid: EXTRA,
+      type: 'uint16',
+    });
+  });
+  await advance(100);
+  expect(sensor('LEFT').source.uuid).toBe(EXTRA);
+  expect(series('LEFT').data).toEqual([]);
+
+  await act(async () => {
+    transport.notify('LEFT', EXTRA_SERVICE, EXTRA, Buffer.from([0x2c, 0x01]));
+  });
+  await advance(100);
+  expect(series('LEFT').data).toEqual([300]);
+});
+
+it('sends commands, and waits for them to be acknowledged', async () => {
+  await act(async () => {
+    context.connect('LEFT');
+    context.connect('POLLED');
+  });
+  await advance(1000);
+
+  let ack;
+  context.sendCommand('tare', undefined, 'LEFT').then(a => (ack = a));
+  await advance(100);
+  expect(ack).toMatchObject({opcode: 0x02, ok: true});
+
+  context.sendCommand('setName', 'Lefty', 'LEFT');
+  await advance(100);
+  expect(sensor('LEFT').name).toBe('Lefty');
+
+  let error;
+  context.sendCommand('tare', undefined, 'POLLED').catch(e => (error = e));
+  await advance(2500);
+  expect(error.message).toMatch('not acknowledged');
+  expect(context.errors[0]).toMatchObject({operation: 'command tare'});
+});
+
+it('captures raw readings, and calibrates the values once calibrated', async () => {
+  await act(async () => {
+    context.connect('LEFT');
+  });
+  await advance(500);
+
+  let reading;
+  context.captureRaw('LEFT', 600).then(r => (reading = r));
+  await advance(700);
+  expect(reading.count).toBeGreaterThan(0);
+  expect(reading.value).toBeGreaterThanOrEqual(10);
+  expect(reading.value).toBeLessThanOrEqual(30);
+
+  const calibration = fitCalibration(
+    'LEFT',
+    [
+      {load: 0, value: 0},
+      {load: 20, value: 10},
+    ],
+    'N',
+    1,
+  );
+  await act(async () => {
+    context.setCalibration('LEFT', calibration);
+  });
+  expect(series('LEFT').data).toEqual([]);
+
+  await advance(500);
+  expect(series('LEFT').data.length).toBeGreaterThan(0);
+  series('LEFT').data.forEach(value => expect([20, 40, 60]).toContain(value));
+  expect(context.calibrations.LEFT.unit).toBe('N');
+
+  const saved = await RNFS.readFile(SETTINGS_DIR + '/calibrations.json');
+  expect(JSON.parse(saved).LEFT.fits).toEqual(calibration.fits);
+});
+
+it('reads battery and device information, and keeps an eye on the signal', async () => {
+  await act(async () => {
+    context.connect('LEFT');
+    context.connect('POLLED');
+  });
+  await advance(1000);
+
+  expect(sensor('LEFT').info).toEqual({
+    manufacturer: 'Clarkson University',
+    model: 'CUFabric Insole',
+    firmware: '1.0.0',
+    hardware: 'A',
+  });
+  expect(sensor('LEFT').battery).toBe(87);
+  expect(sensor('LEFT').rssi).toBe(-60);
+  expect(sensor('LEFT').warnings).toEqual([]);
+
+  // POLLED has no Device Information Service, and its battery's nearly flat.
+  expect(sensor('POLLED').info.firmware).toBeNull();
+  expect(sensor('POLLED').battery).toBe(15);
+  expect(sensor('POLLED').warnings.map(w => w.type)).toEqual(['battery']);
+
+  transport.setRSSI('LEFT', -90);
+  await advance(5000);
+  expect(sensor('LEFT').rssi).toBe(-90);
+  expect(sensor('LEFT').warnings).toEqual([
+    {type: 'signal', message: 'Weak signal (-90 dBm)'},
+  ]);
+});
+
+it('stamps the firmware revision into recordings', async () => {
+  await act(async () => {
+    context.connect('LEFT');
+    context.startRecording('Firmware');
+  });
+  await advance(1000);
+
+  let metadata;
+  await act(async () => {
+    metadata = await context.stopRecording();
+  });
+  expect(metadata.sensors).toEqual([
+    expect.objectContaining({id: 'LEFT', firmware: '1.0.0'}),
+  ]);
+});
+
+it('stamps the selected participant and trial into recordings', async () => {
+  const participant = {
+    id: 'p1',
+    code: 'P012',
+    shoeSize: 42,
+    weight: 70,
+    foot: 'left',
+  };
+  await act(async () => {
+    context.setParticipants([participant]);
+    context.selectTrial({participantId: 'p1', templateId: '10m-walk'});
+    context.connect('LEFT');
+  });
+  await advance(500);
+  await act(async () => {
+    context.startRecording();
+  });
+  expect(context.recording.session.name).toBe('10 m walk, P012');
+
+  // Deleting the participant mid-trial doesn't change what's recorded.
+  await act(async () => {
+    context.setParticipants([]);
+  });
+  expect(context.trialSelection).toEqual({
+    participantId: null,
+    templateId: '10m-walk',
+  });
+  await advance(500);
+
+  let metadata;
+  await act(async () => {
+    metadata = await context.stopRecording();
+  });
+  expect(metadata.participant).toEqual(participant);
+  expect(metadata.trial).toEqual({
+    templateId: '10m-walk',
+    name: '10 m walk',
+    protocol: expect.stringContaining('Walk 10 m'),
+    duration: 30,
+  });
+
+  const saved = await RNFS.readFile(SETTINGS_DIR + '/trial-selection.json');
+  expect(JSON.parse(saved)).toEqual(context.trialSelection);
+});
+
+it('disconnects when the app leaves the foreground, unless in background mode', async () => {
+  await act(async () => {
+    context.connect('LEFT');
+  });
+  await advance(500);
+  await moveTo('background');
+  await advance(500);
+
+  expect(context.sensors).toEqual([]);
+  expect(NativeModules.CUFabricBackground.start).not.toHaveBeenCalled();
+
+  await moveTo('active');
+  await advance(100);
+  expect(context.scanning).toBe(true);
+});
+
+it('stays connected and recording in background mode', async () => {
+  await act(async () => {
+    context.setBackgroundMode(true);
+    context.connect('LEFT');
+  });
+  await advance(500);
+  await act(async () => {
+    context.startRecording('Walk');
+  });
+  await moveTo('background');
+  expect(context.inBackground).toBe(true);
+  expect(NativeModules.CUFabricBackground.start).toHaveBeenCalledWith(
+    'Recording',
+    expect.stringContaining('samples from 1 sensor'),
+  );
+
+  const before = context.recording.sampleCount;
+  await advance(2000);
+  expect(sensor('LEFT').state).toBe('ready');
+  expect(context.recording.sampleCount).toBeGreaterThan(before);
+  expect(NativeModules.CUFabricBackground.update).toHaveBeenCalled();
+
+  // Coming back picks up where we left off, rather than scanning again.
+  await moveTo('active');
+  await advance(100);
+  expect(context.inBackground).toBe(false);
+  expect(NativeModules.CUFabricBackground.stop).toHaveBeenCalled();
+  expect(context.scanning).toBe(false);
+  expect(context.recording.status).toBe('recording');
+
+  const saved = await RNFS.readFile(SETTINGS_DIR + '/background-mode.json');
+  expect(JSON.parse(saved)).toBe(true);
+});
+
+it("stops everything from the background notification's Stop button", async () => {
+  await act(async () => {
+    context.setBackgroundMode(true);
+    context.connect('LEFT');
+  });
+  await advance(500);
+  await act(async () => {
+    context.startRecording();
+  });
+  await moveTo('background');
+
+  await act(async () => {
+    DeviceEventEmitter.emit('CUFabricBackgroundStop');
+  });
+  await advance(500);
+
+  expect(context.recording.status).toBe('idle');
+  expect(context.sensors).toEqual([]);
+  expect(context.inBackground).toBe(false);
+  expect(NativeModules.CUFabricBackground.stop).toHaveBeenCalled();
+});
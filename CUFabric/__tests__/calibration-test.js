@@ -0,0 +1,137 @@
+/**
+ * Tests for fitting and applying calibrations.
+ */
+
+import {
+  applyCalibration,
+  averageReadings,
+  evaluate,
+  fitCalibration,
+  fitPolynomial,
+  rSquared,
+  unitLabel,
+  VALUE,
+} from '../calibration';
+
+it('evaluates polynomials, lowest power first', () => {
+  expect(evaluate([1, 2, 3], 2)).toBe(17);
+  expect(evaluate([5], 100)).toBe(5);
+});
+
+it('fits straight lines and polynomials exactly through exact points', () => {
+  const line = fitPolynomial([10, 20, 30], [0, 50, 100], 1);
+  expect(line[0]).toBeCloseTo(-50);
+  expect(line[1]).toBeCloseTo(5);
+
+  const xs = [0, 1, 2, 3, 4];
+  const quadratic = fitPolynomial(
+    xs,
+    xs.map(x => 2 - x + 0.5 * x * x),
+    2,
+  );
+  expect(quadratic[0]).toBeCloseTo(2);
+  expect(quadratic[1]).toBeCloseTo(-1);
+  expect(quadratic[2]).toBeCloseTo(0.5);
+  expect(rSquared(quadratic, xs, [2, 1.5, 2, 3.5, 6])).toBeCloseTo(1);
+});
+
+it('fits noisy points by least squares', () => {
+  const line = fitPolynomial([0, 1, 2, 3], [0, 1.1, 1.9, 3], 1);
+  expect(line[1]).toBeCloseTo(0.98, 2);
+  expect(rSquared(line, [0, 1, 2, 3], [0, 1.1, 1.9, 3])).toBeGreaterThan(0.99);
+  expect(rSquared(line, [0, 1, 2, 3], [3, 0, 3, 0])).toBeLessThan(0.5);
+});
+
+it('needs enough distinct readings for the degree', () => {
+  expect(() => fitPolynomial([10, 10, 10], [0, 1, 2], 1)).toThrow('only 1');
+  expect(() => fitPolynomial([1, 2], [0, 1], 2)).toThrow('needs 3');
+});
+
+it('fits a calibration per channel, or for the value', () => {
+  const single = fitCalibration(
+    'DEV',
+    [
+      {load: 0, value: 10},
+      {load: 100, value: 60},
+    ],
+    'N',
+    1,
+    1234,
+  );
+  expect(single).toMatchObject({deviceId: 'DEV', time: 1234, unit: 'N'});
+  expect(Object.keys(single.fits)).toEqual([VALUE]);
+  expect(applyCalibration(single, 35).value).toBeCloseTo(50);
+
+  const multi = fitCalibration(
+    'DEV',
+    [
+      {load: 0, value: 30, channels: {heel: 10, toe: 20}},
+      {load: 50, value: 80, channels: {heel: 60, toe: 20.5}},
+    ],
+    'kPa',
+    1,
+  );
+  expect(Object.keys(multi.fits)).toEqual(['heel', 'toe']);
+
+  // A pressure is the same under every channel, so half of it reads as half on each.
+  const calibrated = applyCalibration(multi, 0, {heel: 35, toe: 20.25});
+  expect(calibrated.channels.heel).toBeCloseTo(25);
+  expect(calibrated.channels.toe).toBeCloseTo(25);
+  expect(calibrated.value).toBeCloseTo(25);
+});
+
+it('shares a force out between the channels', () => {
+  const calibration = fitCalibration(
+    'DEV',
+    [
+      {load: 0, value: 30, channels: {heel: 10, toe: 20}},
+      {load: 100, value: 130, channels: {heel: 85, toe: 45}},
+    ],
+    'N',
+    1,
+  );
+  expect(calibration.fits.heel.coefficients[1]).toBeCloseTo(1);
+  expect(calibration.fits.toe.coefficients[1]).toBeCloseTo(1);
+
+  // Half the force reads as half the force, split as it was at calibration.
+  const calibrated = applyCalibration(calibration, 0, {heel: 47.5, toe: 32.5});
+  expect(calibrated.channels.heel).toBeCloseTo(37.5);
+  expect(calibrated.channels.toe).toBeCloseTo(12.5);
+  expect(calibrated.value).toBeCloseTo(50);
+});
+
+it('leaves readings alone without a calibration, or a fit for them', () => {
+  expect(applyCalibration(undefined, 7, {a: 7})).toEqual({
+    value: 7,
+    channels: {a: 7},
+  });
+
+  const calibration = {fits: {heel: {coefficients: [0, 2]}}};
+  expect(applyCalibration(calibration, 5, {heel: 2, toe: 3})).toEqual({
+    value: 7,
+    channels: {heel: 4, toe: 3},
+  });
+  expect(applyCalibration(calibration, 5).value).toBe(5);
+});
+
+it('averages readings', () => {
+  expect(averageReadings([{value: 1}, {value: 3}])).toEqual({
+    value: 2,
+    channels: undefined,
+    count: 2,
+  });
+  expect(
+    averageReadings([
+      {value: 3, channels: {a: 1, b: 2}},
+      {value: 5, channels: {a: 2, b: 3}},
+    ]).channels,
+  ).toEqual({a: 1.5, b: 2.5});
+});
+
+it('labels the units of a set of sensors', () => {
+  const calibrations = {A: {unit: 'N'}, B: {unit: 'N'}, C: {unit: 'kPa'}};
+  expect(unitLabel(['A', 'B'], calibrations)).toBe('N');
+  expect(unitLabel(['A', 'C', 'D'], calibrations)).toBe('N / kPa / raw');
+  expect(unitLabel([], calibrations)).toBe('raw');
+  expect(unitLabel(['A', 'D'], calibrations, {D: 'deg'})).toBe('N / deg');
+});
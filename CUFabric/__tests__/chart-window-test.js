@@ -0,0 +1,125 @@
+import {
+  clip,
+  latestTime,
+  MAX_ZOOM,
+  panView,
+  summarise,
+  ticks,
+  timeDomain,
+  valueRange,
+  windowSpan,
+  zoomView,
+} from '../chart-window';
+
+const line = (times, data) => ({times, data});
+
+describe('windowSpan', () => {
+  it('covers the given number of seconds', () => {
+    expect(windowSpan([], {mode: 'seconds', size: 5})).toBe(5000);
+  });
+
+  it('covers the last N samples of the line spanning the most time', () => {
+    const lines = [
+      line([0, 100, 200, 300, 400], [1, 2, 3, 4, 5]),
+      line([0, 50, 100, 150, 200], [1, 2, 3, 4, 5]),
+    ];
+    expect(windowSpan(lines, {mode: 'count', size: 3})).toBe(200);
+  });
+
+  it('falls back to a second without enough samples', () => {
+    expect(windowSpan([line([10], [1])], {mode: 'count', size: 3})).toBe(1000);
+  });
+});
+
+it('finds the newest sample', () => {
+  expect(latestTime([line([1, 5], [0, 0]), line([3, 7], [0, 0])])).toBe(7);
+  expect(latestTime([line([], [])])).toBeUndefined();
+});
+
+describe('timeDomain', () => {
+  it('ends at the newest sample', () => {
+    expect(timeDomain(1000, {zoom: 1, offset: 0}, 5000)).toEqual([4000, 5000]);
+  });
+
+  it('is narrowed by zooming and moved back by the offset', () => {
+    expect(timeDomain(1000, {zoom: 2, offset: 300}, 5000)).toEqual([
+      4200, 4700,
+    ]);
+  });
+});
+
+describe('clip', () => {
+  const l = line([0, 100, 200, 300, 400], [1, 2, 3, 4, 5]);
+
+  it('keeps the samples inside the domain', () => {
+    expect(clip(l, [150, 300])).toMatchObject({
+      times: [200, 300],
+      data: [3, 4],
+    });
+  });
+
+  it('can keep the samples just outside it, too', () => {
+    expect(clip(l, [150, 300], true)).toMatchObject({
+      times: [100, 200, 300, 400],
+      data: [2, 3, 4, 5],
+    });
+  });
+});
+
+it('summarises values', () => {
+  expect(summarise([1, 2, 6])).toEqual({min: 1, max: 6, mean: 3, count: 3});
+  expect(summarise([])).toBeUndefined();
+});
+
+describe('valueRange', () => {
+  it('uses the fixed range as given', () => {
+    expect(
+      valueRange([line([0], [500])], {mode: 'fixed', min: 0, max: 255}),
+    ).toEqual([0, 255]);
+    expect(valueRange([], {mode: 'fixed', min: 10, max: 0})).toEqual([0, 10]);
+  });
+
+  it('fits the values, with a little room', () => {
+    expect(valueRange([line([0, 1], [0, 100])], {mode: 'auto'})).toEqual([
+      -5, 105,
+    ]);
+  });
+
+  it('copes with flat lines and no lines', () => {
+    expect(valueRange([line([0, 1], [7, 7])], {mode: 'auto'})).toEqual([6, 8]);
+    expect(valueRange([], {mode: 'auto'})).toEqual([0, 1]);
+  });
+});
+
+describe('ticks', () => {
+  it('picks round numbers', () => {
+    expect(ticks(0, 100, 5)).toEqual([0, 20, 40, 60, 80, 100]);
+    expect(ticks(-10.3, -0.2, 5)).toEqual([-10, -8, -6, -4, -2]);
+    expect(ticks(0.1, 0.5, 4)).toEqual([0.1, 0.2, 0.3, 0.4, 0.5]);
+  });
+
+  it('copes with an empty range', () => {
+    expect(ticks(3, 3)).toEqual([3]);
+  });
+});
+
+describe('zoomView', () => {
+  it('zooms about the middle of the domain', () => {
+    const view = zoomView({zoom: 1, offset: 0}, 2, 1000);
+    expect(view).toEqual({zoom: 2, offset: 250});
+    expect(timeDomain(1000, view, 1000)).toEqual([250, 750]);
+  });
+
+  it('stays between 1 and MAX_ZOOM', () => {
+    expect(zoomView({zoom: 1, offset: 0}, 0.5, 1000).zoom).toBe(1);
+    expect(zoomView({zoom: 1, offset: 0}, 1000, 1000).zoom).toBe(MAX_ZOOM);
+  });
+});
+
+it('pans no further than the newest sample or the limit', () => {
+  expect(panView({zoom: 1, offset: 100}, -500)).toEqual({zoom: 1, offset: 0});
+  expect(panView({zoom: 1, offset: 100}, 500, 400)).toEqual({
+    zoom: 1,
+    offset: 400,
+  });
+});
@@ -0,0 +1,137 @@
+/**
+ * Tests for the firmware command encoding, and the command/acknowledgement round trip against
+ * a fake transport.
+ */
+
+import {Buffer} from 'buffer';
+import {
+  ACK_CHARACTERISTIC,
+  ACK_TIMEOUT,
+  COMMAND_CHARACTERISTIC,
+  encodeCommand,
+  parseAck,
+  sendCommand,
+} from '../commands';
+
+jest.useFakeTimers();
+
+it('encodes commands with their opcode, sequence and argument', () => {
+  expect(Array.from(encodeCommand('tare', undefined, 7))).toEqual([0x02, 7]);
+  expect(Array.from(encodeCommand('stopStreaming', undefined, 300))).toEqual([
+    0x04, 44,
+  ]);
+  expect(Array.from(encodeCommand('setSampleRate', 300, 1))).toEqual([
+    0x01, 1, 0x2c, 0x01,
+  ]);
+  expect(Array.from(encodeCommand('setName', 'Left', 2))).toEqual([
+    0x05, 2, 0x4c, 0x65, 0x66, 0x74,
+  ]);
+});
+
+it('rejects unknown commands and bad arguments', () => {
+  expect(() => encodeCommand('selfDestruct', undefined, 0)).toThrow(
+    'Unknown command',
+  );
+  expect(() => encodeCommand('setSampleRate', 0, 0)).toThrow(RangeError);
+  expect(() => encodeCommand('setSampleRate', 12.5, 0)).toThrow(RangeError);
+  expect(() => encodeCommand('setName', '', 0)).toThrow(RangeError);
+  expect(() => encodeCommand('setName', 'x'.repeat(21), 0)).toThrow(RangeError);
+});
+
+it('parses acknowledgements', () => {
+  expect(parseAck(Buffer.from([0x02, 7, 0]))).toEqual({
+    opcode: 0x02,
+    sequence: 7,
+    status: 0,
+    ok: true,
+    message: 'ok',
+  });
+  expect(parseAck(Buffer.from([0x01, 3, 2]))).toMatchObject({
+    ok: false,
+    message: 'invalid argument',
+  });
+  expect(parseAck(Buffer.from([0x01, 3, 9])).message).toBe('status 9');
+  expect(() => parseAck(Buffer.from([0x01, 3]))).toThrow(RangeError);
+});
+
+/*
+ * A transport with just the two methods sendCommand uses. 'respond' is called with each
+ * command written, and returns the acknowledgement to notify (or nothing).
+ */
+const fakeTransport = respond => {
+  const transport = {
+    written: [],
+    listener: undefined,
+    removed: false,
+    monitorCharacteristicForDevice: (id, service, characteristic, listener) => {
+      expect(characteristic).toBe(ACK_CHARACTERISTIC);
+      transport.listener = listener;
+      return {remove: () => (transport.removed = true)};
+    },
+    writeCharacteristicWithResponseForDevice: (
+      id,
+      service,
+      characteristic,
+      base64,
+    ) => {
+      expect(characteristic).toBe(COMMAND_CHARACTERISTIC);
+      const bytes = Buffer.from(base64, 'base64');
+      transport.written.push(Array.from(bytes));
+      const ack = respond(bytes);
+      if (ack) {
+        // Another command's acknowledgement first, which should be ignored.
+        transport.listener(null, {
+          value: Buffer.from([0x7f, 0, 0]).toString('base64'),
+        });
+        transport.listener(null, {value: Buffer.from(ack).toString('base64')});
+      }
+      return Promise.resolve({});
+    },
+  };
+  return transport;
+};
+
+it('resolves once the command is acknowledged', async () => {
+  const transport = fakeTransport(bytes => [bytes[0], bytes[1], 0]);
+  const ack = await sendCommand(transport, 'DEV', 'setSampleRate', 50, 9);
+
+  expect(transport.written).toEqual([[0x01, 9, 50, 0]]);
+  expect(ack).toMatchObject({opcode: 0x01, sequence: 9, ok: true});
+  expect(transport.removed).toBe(true);
+});
+
+it('rejects when the device refuses the command', async () => {
+  const transport = fakeTransport(bytes => [bytes[0], bytes[1], 3]);
+  await expect(
+    sendCommand(transport, 'DEV', 'tare', undefined, 1),
+  ).rejects.toThrow('Tare failed: busy');
+  expect(transport.removed).toBe(true);
+});
+
+it('rejects when the acknowledgement does not arrive in time', async () => {
+  const transport = fakeTransport(() => undefined);
+  const sent = sendCommand(transport, 'DEV', 'tare', undefined, 1);
+  jest.advanceTimersByTime(ACK_TIMEOUT);
+
+  await expect(sent).rejects.toThrow('not acknowledged within');
+  expect(transport.removed).toBe(true);
+});
+
+it('rejects when the write fails, or the command is bad', async () => {
+  const transport = fakeTransport(() => undefined);
+  transport.writeCharacteristicWithResponseForDevice = () =>
+    Promise.reject(new Error('Write failed'));
+  await expect(
+    sendCommand(transport, 'DEV', 'tare', undefined, 1),
+  ).rejects.toThrow('Write failed');
+
+  await expect(
+    sendCommand(
+      fakeTransport(() => undefined),
+      'DEV',
+      'setSampleRate',
+      -1,
+      1,
+    ),
+  ).rejects.toThrow(RangeError);
+});
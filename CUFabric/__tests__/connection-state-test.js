@@ -0,0 +1,85 @@
+import {BleError, BleErrorCode} from 'react-native-ble-plx';
+import {
+  backoff,
+  BASE_DELAY,
+  describeError,
+  ERROR_HISTORY,
+  MAX_DELAY,
+  overallState,
+  pushError,
+} from '../connection-state';
+
+describe('backoff', () => {
+  it('doubles with every attempt', () => {
+    const none = () => 0;
+    expect(backoff(0, none)).toBe(BASE_DELAY / 2);
+    expect(backoff(1, none)).toBe(BASE_DELAY);
+    expect(backoff(2, none)).toBe(BASE_DELAY * 2);
+  });
+
+  it('jitters between half and all of the delay', () => {
+    expect(backoff(3, () => 0)).toBe(BASE_DELAY * 4);
+    expect(backoff(3, () => 0.5)).toBe(BASE_DELAY * 6);
+    expect(backoff(3, () => 0.999)).toBeLessThanOrEqual(BASE_DELAY * 8);
+  });
+
+  it('is capped at MAX_DELAY', () => {
+    expect(backoff(50, () => 0.999)).toBeLessThanOrEqual(MAX_DELAY);
+  });
+});
+
+describe('describeError', () => {
+  it('names BleError codes', () => {
+    const error = new BleError(
+      {
+        errorCode: BleErrorCode.DeviceDisconnected,
+        attErrorCode: null,
+        iosErrorCode: null,
+        androidErrorCode: null,
+        reason: 'gone',
+      },
+      {},
+    );
+    const entry = describeError(error, {id: 'A', name: 'Left'}, 'notify');
+    expect(entry).toMatchObject({
+      sensorId: 'A',
+      sensorName: 'Left',
+      operation: 'notify',
+      code: BleErrorCode.DeviceDisconnected,
+      codeName: 'DeviceDisconnected',
+      message: 'gone',
+    });
+  });
+
+  it('copes with other errors', () => {
+    const entry = describeError(new Error('oops'), undefined, 'scan');
+    expect(entry.code).toBeUndefined();
+    expect(entry.sensorId).toBeUndefined();
+    expect(entry.message).toBe('oops');
+  });
+});
+
+it('keeps the newest ERROR_HISTORY errors', () => {
+  let history = [];
+  for (let i = 0; i < ERROR_HISTORY + 5; i++) {
+    history = pushError(history, {message: String(i)});
+  }
+  expect(history.length).toBe(ERROR_HISTORY);
+  expect(history[0].message).toBe(String(ERROR_HISTORY + 4));
+});
+
+describe('overallState', () => {
+  it('is idle or scanning with no sensors', () => {
+    expect(overallState(false, [])).toBe('idle');
+    expect(overallState(true, [])).toBe('scanning');
+  });
+
+  it('reports the busiest sensor', () => {
+    expect(
+      overallState(true, [{state: 'ready'}, {state: 'reconnecting'}]),
+    ).toBe('reconnecting');
+    expect(overallState(false, [{state: 'ready'}, {state: 'failed'}])).toBe(
+      'ready',
+    );
+  });
+});
@@ -0,0 +1,113 @@
+/**
+ * @format
+ */
+
+import {Buffer} from 'buffer';
+import {
+  DEFAULT_DECODER,
+  getDecoder,
+  registerDecoder,
+  scalar,
+  struct,
+} from '../decoders';
+
+describe('scalar', () => {
+  it('decodes 8-bit integers', () => {
+    expect(scalar('uint8')(Buffer.from([0xff]))).toBe(255);
+    expect(scalar('int8')(Buffer.from([0xff]))).toBe(-1);
+  });
+
+  it('decodes 16-bit integers in either byte order', () => {
+    const bytes = Buffer.from([0x34, 0x12]);
+    expect(scalar('uint16')(bytes)).toBe(0x1234);
+    expect(scalar('uint16', false)(bytes)).toBe(0x3412);
+    expect(scalar('int16')(Buffer.from([0xfe, 0xff]))).toBe(-2);
+  });
+
+  it('decodes 32-bit integers in either byte order', () => {
+    const bytes = Buffer.from([0x78, 0x56, 0x34, 0x12]);
+    expect(scalar('uint32')(bytes)).toBe(0x12345678);
+    expect(scalar('uint32', false)(bytes)).toBe(0x78563412);
+    expect(scalar('uint32')(Buffer.from([0xff, 0xff, 0xff, 0xff]))).toBe(
+      4294967295,
+    );
+    expect(scalar('int32')(Buffer.from([0xff, 0xff, 0xff, 0xff]))).toBe(-1);
+  });
+
+  it('decodes float32 in either byte order', () => {
+    // 1.5 is 0x3fc00000
+    expect(scalar('float32')(Buffer.from([0x00, 0x00, 0xc0, 0x3f]))).toBe(1.5);
+    expect(
+      scalar('float32', false)(Buffer.from([0x3f, 0xc0, 0x00, 0x00])),
+    ).toBe(1.5);
+  });
+
+  it('reads from the start of a Buffer sliced out of a larger one', () => {
+    const bytes = Buffer.from([0xaa, 0x01, 0x02]).subarray(1);
+    expect(scalar('uint16')(bytes)).toBe(0x0201);
+  });
+
+  it('rejects payloads which are too short', () => {
+    expect(() => scalar('uint32')(Buffer.from([0x01, 0x02]))).toThrow(
+      RangeError,
+    );
+  });
+
+  it('rejects unknown types', () => {
+    expect(() => scalar('int24')).toThrow('Unknown decoder type: int24');
+  });
+});
+
+describe('struct', () => {
+  it('decodes consecutive fields into named channels', () => {
+    const decode = struct([
+      {name: 'heel', type: 'uint16'},
+      {name: 'midfoot', type: 'uint8'},
+      {name: 'toe', type: 'int16'},
+    ]);
+
+    expect(decode(Buffer.from([0x10, 0x00, 0x20, 0xff, 0xff]))).toEqual({
+      heel: 16,
+      midfoot: 32,
+      toe: -1,
+    });
+  });
+
+  it('skips padding and honours explicit offsets and byte order', () => {
+    const decode = struct(
+      [
+        {type: 'uint8'},
+        {name: 'a', type: 'uint16'},
+        {name: 'b', type: 'uint16', littleEndian: true},
+        {name: 'c', type: 'uint8', offset: 0},
+      ],
+      false,
+    );
+
+    expect(decode(Buffer.from([0x07, 0x01, 0x02, 0x01, 0x02]))).toEqual({
+      a: 0x0102,
+      b: 0x0201,
+      c: 7,
+    });
+  });
+
+  it('rejects payloads which are too short', () => {
+    const decode = struct([
+      {name: 'a', type: 'uint16'},
+      {name: 'b', type: 'float32'},
+    ]);
+    expect(() => decode(Buffer.from([0x01, 0x02, 0x03]))).toThrow(RangeError);
+  });
+});
+
+describe('registry', () => {
+  it('falls back to the default decoder', () => {
+    expect(getDecoder('1234', '5678')).toBe(DEFAULT_DECODER);
+  });
+
+  it('looks decoders up regardless of UUID case', () => {
+    const decoder = scalar('uint16');
+    registerDecoder('abcd-ef', '0123-ab', decoder);
+    expect(getDecoder('ABCD-EF', '0123-AB')).toBe(decoder);
+  });
+});
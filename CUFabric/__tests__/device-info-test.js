@@ -0,0 +1,78 @@
+/**
+ * Tests for reading the standard Battery and Device Information services.
+ */
+
+import {Buffer} from 'buffer';
+import {
+  DEVICE_INFORMATION,
+  describeInfo,
+  healthWarnings,
+  parseBatteryLevel,
+  parseString,
+  readDeviceInfo,
+} from '../device-info';
+
+const base64 = bytes => Buffer.from(bytes).toString('base64');
+
+it('parses battery levels', () => {
+  expect(parseBatteryLevel(base64([87]))).toBe(87);
+  expect(parseBatteryLevel(base64([255]))).toBe(100);
+  expect(parseBatteryLevel(base64([]))).toBeNull();
+  expect(parseBatteryLevel(null)).toBeNull();
+});
+
+it('parses Device Information strings, dropping NUL padding', () => {
+  expect(parseString(Buffer.from('1.2.0\0\0', 'utf8').toString('base64'))).toBe(
+    '1.2.0',
+  );
+  expect(parseString(base64([0, 0]))).toBeNull();
+});
+
+it('reads whatever Device Information a sensor has', async () => {
+  const values = {
+    [DEVICE_INFORMATION.manufacturer]: 'Clarkson University',
+    [DEVICE_INFORMATION.firmware]: '1.2.0',
+  };
+  const transport = {
+    readCharacteristicForDevice: (id, service, uuid) =>
+      uuid in values
+        ? Promise.resolve({value: Buffer.from(values[uuid]).toString('base64')})
+        : Promise.reject(new Error('Characteristic ' + uuid + ' not found')),
+  };
+
+  expect(await readDeviceInfo(transport, 'AA:BB')).toEqual({
+    manufacturer: 'Clarkson University',
+    model: null,
+    firmware: '1.2.0',
+    hardware: null,
+  });
+});
+
+it('warns about low batteries and weak signals', () => {
+  expect(healthWarnings({battery: 50, rssi: -60})).toEqual([]);
+  expect(healthWarnings({battery: null, rssi: undefined})).toEqual([]);
+  expect(healthWarnings({battery: 20, rssi: -85})).toEqual([
+    {type: 'battery', message: 'Battery low (20%)'},
+    {type: 'signal', message: 'Weak signal (-85 dBm)'},
+  ]);
+});
+
+it('describes Device Information in a line', () => {
+  expect(
+    describeInfo({
+      manufacturer: 'Clarkson University',
+      model: 'CUFabric Insole',
+      firmware: '1.2.0',
+      hardware: null,
+    }),
+  ).toBe('Clarkson University CUFabric Insole, firmware 1.2.0');
+  expect(describeInfo(null)).toBeNull();
+  expect(
+    describeInfo({
+      manufacturer: null,
+      model: null,
+      firmware: null,
+      hardware: null,
+    }),
+  ).toBeNull();
+});
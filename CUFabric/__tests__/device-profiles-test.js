@@ -0,0 +1,132 @@
+/**
+ * @format
+ */
+
+import {Buffer} from 'buffer';
+import {getDecoder} from '../decoders';
+import {
+  loadProfiles,
+  matchProfile,
+  pollInterval,
+  PROFILES,
+  profileSource,
+  profileUnit,
+  registerProfileDecoders,
+  scanServices,
+} from '../device-profiles';
+
+const GLOVE_SERVICE = '0000bb00-0000-1000-8000-00805f9b34fb';
+const GLOVE_DATA = '0000bb01-0000-1000-8000-00805f9b34fb';
+
+const glove = {
+  id: 'glove',
+  name: 'Glove',
+  namePatterns: ['^CU Glove'],
+  services: [GLOVE_SERVICE],
+  data: [
+    {
+      service: GLOVE_SERVICE,
+      characteristic: GLOVE_DATA,
+      channels: [
+        {name: 'thumb', type: 'uint16', unit: 'kPa'},
+        {name: 'index', type: 'uint16', offset: 4, unit: 'kPa'},
+      ],
+    },
+  ],
+  sampleRate: 20,
+};
+
+it('loads the profiles in device-profiles.json', () => {
+  expect(PROFILES.map(p => p.id)).toEqual(['clarkson-insole']);
+  expect(profileSource(PROFILES[0])).toEqual({
+    serviceUUID: '88189766-42ED-4E52-8E9F-47C7DECD82A9',
+    uuid: 'F8898AF6-786E-4058-B910-4244CECD3008',
+  });
+  expect(pollInterval(PROFILES[0])).toBe(200);
+  expect(profileUnit(PROFILES[0])).toBe('raw');
+});
+
+it('fills in what was left out, and upper-cases UUIDs', () => {
+  const [profile] = loadProfiles([glove]);
+  expect(profile.services).toEqual([GLOVE_SERVICE.toUpperCase()]);
+  expect(profile.data[0].characteristic).toBe(GLOVE_DATA.toUpperCase());
+  expect(profile.data[0].littleEndian).toBe(true);
+  expect(profile.display).toEqual({heatmap: false});
+});
+
+it('says what is wrong with a profile', () => {
+  expect(() => loadProfiles([])).toThrow('at least one');
+  expect(() => loadProfiles([glove, glove])).toThrow(
+    '"glove" is defined twice',
+  );
+  expect(() => loadProfiles([{...glove, id: undefined}])).toThrow(
+    'Device profile 0 needs an id',
+  );
+  expect(() =>
+    loadProfiles([{...glove, services: [], namePatterns: []}]),
+  ).toThrow('name pattern or a service');
+  expect(() => loadProfiles([{...glove, namePatterns: ['(']}])).toThrow(
+    'bad name pattern',
+  );
+  expect(() =>
+    loadProfiles([
+      {...glove, data: [{...glove.data[0], channels: [{name: 'x'}]}]},
+    ]),
+  ).toThrow('unknown type');
+  expect(() => loadProfiles([{...glove, sampleRate: 0}])).toThrow(
+    'sample rate',
+  );
+});
+
+it("scans for every profile's services, unless one's only found by name", () => {
+  const profiles = loadProfiles([...PROFILES, glove]);
+  expect(scanServices(profiles)).toEqual([
+    PROFILES[0].services[0],
+    GLOVE_SERVICE.toUpperCase(),
+  ]);
+  expect(
+    scanServices(loadProfiles([...PROFILES, {...glove, services: []}])),
+  ).toBeNull();
+});
+
+it('matches devices by advertised service, then by name', () => {
+  const profiles = loadProfiles([...PROFILES, glove]);
+  const match = device => (matchProfile(profiles, device) || {}).id;
+  expect(match({name: 'Clarkson L', serviceUUIDs: [GLOVE_SERVICE]})).toBe(
+    'glove',
+  );
+  expect(match({name: 'Clarkson L', serviceUUIDs: null})).toBe(
+    'clarkson-insole',
+  );
+  expect(match({name: 'CU Glove R', serviceUUIDs: null})).toBe('glove');
+  expect(match({name: null, serviceUUIDs: ['1234']})).toBeUndefined();
+});
+
+it('registers a decoder for each data characteristic', () => {
+  const profiles = loadProfiles([
+    glove,
+    {
+      ...glove,
+      id: 'one-channel',
+      data: [
+        {
+          service: GLOVE_SERVICE,
+          characteristic: '0000bb02-0000-1000-8000-00805f9b34fb',
+          channels: [{name: 'angle', type: 'int16', offset: 1}],
+          littleEndian: false,
+        },
+      ],
+    },
+  ]);
+  registerProfileDecoders(profiles);
+
+  const bytes = Buffer.from([1, 0, 0xff, 0xff, 2, 0]);
+  expect(getDecoder(GLOVE_SERVICE, GLOVE_DATA)(bytes)).toEqual({
+    thumb: 1,
+    index: 2,
+  });
+  // A single channel's just a value -- here, big-endian, starting at the second byte.
+  expect(
+    getDecoder(GLOVE_SERVICE, '0000BB02-0000-1000-8000-00805F9B34FB')(bytes),
+  ).toBe(0x00ff);
+});
@@ -0,0 +1,54 @@
+import {
+  clearLog,
+  formatLog,
+  getLog,
+  LOG_SIZE,
+  logError,
+  logInfo,
+  subscribe,
+} from '../diagnostics';
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  clearLog();
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+it('keeps the last LOG_SIZE events, oldest first', () => {
+  for (let i = 0; i < LOG_SIZE + 10; i++) {
+    logInfo('event ' + i);
+  }
+  const log = getLog();
+  expect(log.length).toBe(LOG_SIZE);
+  expect(log[0].message).toBe('event 10');
+  expect(log[LOG_SIZE - 1].message).toBe('event ' + (LOG_SIZE + 9));
+});
+
+it('logs errors by their message, and still writes to the console', () => {
+  logError(new Error('it broke'));
+  expect(getLog()[0]).toMatchObject({level: 'error', message: 'it broke'});
+  expect(console.error).toHaveBeenCalled();
+});
+
+it('tells subscribers about new events', () => {
+  const listener = jest.fn();
+  const unsubscribe = subscribe(listener);
+  logInfo('hello');
+  unsubscribe();
+  logInfo('goodbye');
+
+  expect(listener).toHaveBeenCalledTimes(1);
+  expect(listener.mock.calls[0][0][0].message).toBe('hello');
+});
+
+it('formats the log one event per line', () => {
+  const text = formatLog([
+    {time: Date.UTC(2023, 0, 1), level: 'info', message: 'a'},
+    {time: Date.UTC(2023, 0, 1, 0, 0, 1), level: 'error', message: 'b'},
+  ]);
+  expect(text).toBe(
+    '2023-01-01T00:00:00.000Z INFO a\n2023-01-01T00:00:01.000Z ERROR b',
+  );
+});
@@ -0,0 +1,173 @@
+/**
+ * @format
+ */
+
+import {
+  analyseGait,
+  analyseSession,
+  detectSteps,
+  findExtrema,
+  pressureSummary,
+  summariseSteps,
+} from '../gait';
+
+/*
+ * A fixture walking signal: one foot contact every 'period' ms, each a half-sine of load
+ * lasting 'stance' ms, sampled every 20ms -- with a little deterministic noise on top.
+ */
+const walk = ({
+  duration = 5000,
+  period = 1000,
+  stance = 600,
+  peak = 200,
+} = {}) => {
+  const times = [];
+  const values = [];
+  for (let t = 0; t < duration; t += 20) {
+    const phase = t % period;
+    const load =
+      phase < stance ? peak * Math.sin((Math.PI * phase) / stance) : 0;
+    times.push(t);
+    values.push(load + 3 * Math.sin(t / 7));
+  }
+  return {times, values};
+};
+
+/*
+ * Where the foot touches down and lifts off in the fixture: where the half-sine crosses 20%
+ * of its peak (the default contact level).
+ */
+const STANCE = 600 - (2 * 600 * Math.asin(0.2)) / Math.PI;
+
+describe('findExtrema', () => {
+  it('alternates peaks and valleys, ignoring small wiggles', () => {
+    const values = [0, 10, 9, 10, 0, 1, 0, 10, 0];
+    expect(findExtrema(values, 5)).toEqual([
+      {type: 'valley', index: 0},
+      {type: 'peak', index: 1},
+      {type: 'valley', index: 4},
+      {type: 'peak', index: 7},
+    ]);
+  });
+});
+
+describe('detectSteps', () => {
+  it('finds one step per foot contact', () => {
+    const {times, values} = walk();
+    const steps = detectSteps(times, values);
+    expect(steps).toHaveLength(5);
+    steps.forEach((step, i) => {
+      expect(Math.abs(step.peak - (i * 1000 + 300))).toBeLessThanOrEqual(40);
+      expect(Math.abs(step.toeOff - step.strike - STANCE)).toBeLessThan(20);
+    });
+  });
+
+  it('does not count a step still in progress', () => {
+    const {times, values} = walk({duration: 4400});
+    expect(detectSteps(times, values)).toHaveLength(4);
+  });
+
+  it('finds nothing in a flat or noisy signal', () => {
+    expect(detectSteps([0, 20, 40, 60], [5, 5, 5, 5])).toEqual([]);
+    const {times} = walk();
+    const noise = times.map(t => 50 + 3 * Math.sin(t / 7));
+    expect(detectSteps(times, noise).length).toBeLessThan(2);
+  });
+});
+
+describe('summariseSteps', () => {
+  it('works out cadence, stance and swing', () => {
+    const {times, values} = walk({duration: 10800, period: 1200});
+    const gait = summariseSteps(detectSteps(times, values));
+    expect(gait.stepCount).toBe(9);
+    // One contact of this foot every 1.2s is 100 steps a minute, counting both feet.
+    expect(gait.cadence).toBeCloseTo(100, 0);
+    expect(Math.abs(gait.stanceTime - STANCE)).toBeLessThan(20);
+    expect(Math.abs(gait.swingTime - (1200 - STANCE))).toBeLessThan(20);
+  });
+
+  it('leaves pauses out of the cadence', () => {
+    const steps = [0, 1000, 2000, 10000, 11000].map(strike => ({
+      strike: strike,
+      peak: strike + 300,
+      toeOff: strike + 600,
+      load: 100,
+    }));
+    const gait = summariseSteps(steps);
+    expect(gait.stepCount).toBe(5);
+    expect(gait.cadence).toBe(120);
+    expect(gait.swingTime).toBe(400);
+  });
+
+  it('has no cadence until there are two steps', () => {
+    expect(summariseSteps([])).toEqual({
+      stepCount: 0,
+      cadence: undefined,
+      stanceTime: undefined,
+      swingTime: undefined,
+    });
+  });
+});
+
+describe('pressure', () => {
+  it('works out the centre of pressure and heel/toe split', () => {
+    const summary = pressureSummary([
+      {heel: 300, toe: 100},
+      undefined,
+      {heel: 100, toe: 300},
+      {heel: 0, toe: 200},
+    ]);
+    expect(summary.distribution).toEqual({heel: 0.4, midfoot: 0, toe: 0.6});
+    // The heel region is at (0.5, 0.1), and the toe region at (0.45, 0.88).
+    expect(summary.centreOfPressure.x).toBeCloseTo(0.5 * 0.4 + 0.45 * 0.6);
+    expect(summary.centreOfPressure.y).toBeCloseTo(0.1 * 0.4 + 0.88 * 0.6);
+  });
+
+  it('uses the channel mapping', () => {
+    const summary = pressureSummary([{ch0: 100, ch1: 300}], {
+      ch0: 'heel',
+      ch1: 'arch',
+    });
+    expect(summary.distribution).toEqual({heel: 0.25, midfoot: 0.75, toe: 0});
+  });
+
+  it('has nothing to say about single-channel sensors', () => {
+    expect(pressureSummary([undefined, undefined])).toBeUndefined();
+    expect(pressureSummary([{heel: 0, toe: 0}])).toBeUndefined();
+  });
+});
+
+describe('analyseSession', () => {
+  it('analyses each sensor separately', () => {
+    const {times, values} = walk();
+    const samples = [];
+    times.forEach((time, i) => {
+      samples.push({time, sensorId: 'L', value: values[i]});
+      samples.push({
+        time,
+        sensorId: 'R',
+        value: 10,
+        channels: {heel: 5, toe: 5},
+      });
+    });
+
+    const results = analyseSession(samples);
+    expect(results.L).toEqual(analyseGait(times, values));
+    expect(results.L.stepCount).toBe(5);
+    expect(results.R.stepCount).toBe(0);
+    expect(results.R.distribution).toEqual({heel: 0.5, midfoot: 0, toe: 0.5});
+  });
+
+  it('copes with a long session', () => {
+    // 160,000 samples -- more than any engine will take as arguments to one call.
+    const {times, values} = walk({duration: 3200000});
+    const samples = times.map((time, i) => ({
+      time,
+      sensorId: 'L',
+      value: values[i],
+    }));
+
+    expect(samples.length).toBeGreaterThan(100000);
+    expect(analyseSession(samples).L.stepCount).toBe(3200);
+  });
+});
@@ -0,0 +1,67 @@
+/**
+ * Tests for the GATT explorer's formatting helpers.
+ */
+
+import {Buffer} from 'buffer';
+import {
+  properties,
+  shortUUID,
+  toHex,
+  toInts,
+  toPayload,
+  uuidName,
+} from '../gatt-format';
+
+it('shortens and names UUIDs', () => {
+  expect(shortUUID('0000180f-0000-1000-8000-00805f9b34fb')).toBe('180F');
+  expect(shortUUID('88189766-42ed-4e52-8e9f-47c7decd82a9')).toBe(
+    '88189766-42ED-4E52-8E9F-47C7DECD82A9',
+  );
+  expect(uuidName('00002a19-0000-1000-8000-00805f9b34fb')).toBe(
+    'Battery Level',
+  );
+  expect(uuidName('88189766-42ed-4e52-8e9f-47c7decd82a9')).toBe(
+    'Clarkson Insole',
+  );
+  expect(uuidName('0000fff1-0000-1000-8000-00805f9b34fb')).toBeUndefined();
+});
+
+it('lists the properties a characteristic has', () => {
+  expect(
+    properties({isReadable: true, isNotifiable: true, isIndicatable: false}),
+  ).toEqual(['read', 'notify']);
+  expect(properties({})).toEqual([]);
+});
+
+it('shows values as hex and integers', () => {
+  const base64 = Buffer.from([0x2c, 0x01, 0xff, 0xff]).toString('base64');
+  expect(toHex(base64)).toBe('2C 01 FF FF');
+  expect(toHex(null)).toBe('');
+
+  const ints = toInts(base64);
+  expect(ints.map(i => i.type)).toEqual([
+    'uint8',
+    'int8',
+    'uint16',
+    'int16',
+    'uint32',
+    'int32',
+  ]);
+  expect(ints.find(i => i.type === 'uint16').values).toEqual([300, 65535]);
+  expect(ints.find(i => i.type === 'int16').values).toEqual([300, -1]);
+
+  expect(toInts(Buffer.from([1, 2, 3]).toString('base64')).length).toBe(2);
+  expect(toInts('')).toEqual([]);
+});
+
+it('turns hex and text into payloads', () => {
+  expect(toPayload('0x2C 01', 'hex')).toBe(
+    Buffer.from([0x2c, 0x01]).toString('base64'),
+  );
+  expect(toPayload('2c:01', 'hex')).toBe(
+    Buffer.from([0x2c, 0x01]).toString('base64'),
+  );
+  expect(toPayload('hi', 'utf8')).toBe(Buffer.from('hi').toString('base64'));
+  expect(() => toPayload('2C0', 'hex')).toThrow();
+  expect(() => toPayload('zz', 'hex')).toThrow();
+});
@@ -0,0 +1,51 @@
+/**
+ * @format
+ */
+
+import {heatColour, holdPeaks, scaleRange} from '../heatmap-scale';
+
+describe('scaleRange', () => {
+  it('runs from zero to the highest value in auto mode', () => {
+    expect(scaleRange({mode: 'auto', min: 10, max: 20}, [3, 40, 7])).toEqual([
+      0, 40,
+    ]);
+    expect(scaleRange({mode: 'auto'}, [])).toEqual([0, 1]);
+  });
+
+  it('uses the fixed range, whichever way round', () => {
+    expect(scaleRange({mode: 'fixed', min: 200, max: 50}, [3])).toEqual([
+      50, 200,
+    ]);
+  });
+});
+
+describe('heatColour', () => {
+  it('runs from blue to red', () => {
+    expect(heatColour(0, [0, 100])).toBe('rgb(33, 102, 172)');
+    expect(heatColour(100, [0, 100])).toBe('rgb(183, 28, 28)');
+  });
+
+  it('clamps values outside the range', () => {
+    expect(heatColour(-50, [0, 100])).toBe(heatColour(0, [0, 100]));
+    expect(heatColour(500, [0, 100])).toBe(heatColour(100, [0, 100]));
+  });
+
+  it('blends between the stops', () => {
+    // Half-way between the first two stops.
+    expect(heatColour(10, [0, 100])).toBe('rgb(50, 146, 186)');
+  });
+});
+
+describe('holdPeaks', () => {
+  it('keeps the highest value of each channel', () => {
+    let peaks = holdPeaks({}, {heel: 10, toe: 5});
+    peaks = holdPeaks(peaks, {heel: 4, toe: 8});
+    expect(peaks).toEqual({heel: 10, toe: 8});
+  });
+
+  it('returns the same object when nothing changed', () => {
+    const peaks = {heel: 10};
+    expect(holdPeaks(peaks, {heel: 9})).toBe(peaks);
+    expect(holdPeaks(peaks, undefined)).toBe(peaks);
+  });
+});
@@ -0,0 +1,40 @@
+/**
+ * @format
+ */
+
+import {channelRegions, guessFoot, LAYOUTS, REGIONS} from '../insole-layout';
+
+describe('channelRegions', () => {
+  it('places channels named after regions in them', () => {
+    expect(channelRegions(['heel', 'toe'])).toEqual({
+      heel: REGIONS.heel,
+      toe: REGIONS.toe,
+    });
+  });
+
+  it('follows the mapping', () => {
+    const regions = channelRegions(
+      ['ch0', 'ch1', 'ch2', 'ch3'],
+      LAYOUTS.fourZone.mapping,
+    );
+    expect(regions.ch0).toBe(REGIONS.heel);
+    expect(regions.ch3).toBe(REGIONS.hallux);
+  });
+
+  it('spreads anything else out from heel to toe', () => {
+    const regions = channelRegions(['a', 'b', 'c']);
+    expect(regions.a.y).toBeCloseTo(0.1);
+    expect(regions.b.y).toBeCloseTo(0.5);
+    expect(regions.c.y).toBeCloseTo(0.9);
+  });
+});
+
+describe('guessFoot', () => {
+  it('goes by the sensor name', () => {
+    expect(guessFoot('Clarkson Insole L')).toBe('left');
+    expect(guessFoot('Left insole')).toBe('left');
+    expect(guessFoot('Clarkson Insole R')).toBe('right');
+    expect(guessFoot('Clarkson')).toBe('right');
+    expect(guessFoot(undefined)).toBe('right');
+  });
+});
@@ -0,0 +1,91 @@
+import {PermissionsAndroid} from 'react-native';
+import {
+  BLOCKED,
+  checkPermissions,
+  DENIED,
+  GRANTED,
+  requiredPermissions,
+  summarise,
+} from '../permissions';
+
+const {PERMISSIONS, RESULTS} = PermissionsAndroid;
+
+describe('requiredPermissions', () => {
+  it('needs nothing at runtime on iOS or old Android', () => {
+    expect(requiredPermissions('ios', '15.0')).toEqual([]);
+    expect(requiredPermissions('android', 22)).toEqual([]);
+  });
+
+  it('needs location for scanning on Android 6 to 11', () => {
+    expect(requiredPermissions('android', 23)).toEqual([
+      PERMISSIONS.ACCESS_FINE_LOCATION,
+    ]);
+    expect(requiredPermissions('android', 30)).toEqual([
+      PERMISSIONS.ACCESS_FINE_LOCATION,
+    ]);
+  });
+
+  it('needs BLUETOOTH_SCAN and BLUETOOTH_CONNECT on Android 12 and later', () => {
+    expect(requiredPermissions('android', 31)).toEqual([
+      PERMISSIONS.BLUETOOTH_SCAN,
+      PERMISSIONS.BLUETOOTH_CONNECT,
+    ]);
+    expect(requiredPermissions('android', 33)).toEqual([
+      PERMISSIONS.BLUETOOTH_SCAN,
+      PERMISSIONS.BLUETOOTH_CONNECT,
+    ]);
+  });
+});
+
+describe('summarise', () => {
+  it('is granted when everything is', () => {
+    expect(
+      summarise({
+        [PERMISSIONS.BLUETOOTH_SCAN]: RESULTS.GRANTED,
+        [PERMISSIONS.BLUETOOTH_CONNECT]: RESULTS.GRANTED,
+      }),
+    ).toEqual({status: GRANTED, missing: []});
+    expect(summarise({})).toEqual({status: GRANTED, missing: []});
+  });
+
+  it('lists what was denied', () => {
+    expect(
+      summarise({
+        [PERMISSIONS.BLUETOOTH_SCAN]: RESULTS.GRANTED,
+        [PERMISSIONS.BLUETOOTH_CONNECT]: RESULTS.DENIED,
+      }),
+    ).toEqual({status: DENIED, missing: [PERMISSIONS.BLUETOOTH_CONNECT]});
+  });
+
+  it('is blocked if anything can no longer be asked for', () => {
+    expect(
+      summarise({
+        [PERMISSIONS.BLUETOOTH_SCAN]: RESULTS.NEVER_ASK_AGAIN,
+        [PERMISSIONS.BLUETOOTH_CONNECT]: RESULTS.DENIED,
+      }).status,
+    ).toBe(BLOCKED);
+  });
+});
+
+describe('checkPermissions', () => {
+  it('lists the permissions still missing, without asking', () => {
+    const check = jest
+      .spyOn(PermissionsAndroid, 'check')
+      .mockImplementation(permission =>
+        Promise.resolve(permission === PERMISSIONS.BLUETOOTH_SCAN),
+      );
+    const request = jest.spyOn(PermissionsAndroid, 'requestMultiple');
+    return checkPermissions([
+      PERMISSIONS.BLUETOOTH_SCAN,
+      PERMISSIONS.BLUETOOTH_CONNECT,
+    ])
+      .then(missing => {
+        expect(missing).toEqual([PERMISSIONS.BLUETOOTH_CONNECT]);
+        expect(request).not.toHaveBeenCalled();
+      })
+      .finally(() => {
+        check.mockRestore();
+        request.mockRestore();
+      });
+  });
+});
@@ -0,0 +1,61 @@
+/**
+ * @format
+ */
+
+import {createProcessor, processSeries} from '../processing';
+
+const run = (config, values, times = values.map((v, i) => i * 100)) =>
+  processSeries(createProcessor(config), values, times);
+
+it('passes raw values straight through with no stages', () => {
+  expect(run({stages: [], derived: []}, [1, 5, 3]).filtered).toEqual([1, 5, 3]);
+});
+
+it('applies calibration offset and scale', () => {
+  const config = {
+    stages: [{type: 'calibrate', offset: 10, scale: 2}],
+    derived: [],
+  };
+  expect(run(config, [10, 11, 15]).filtered).toEqual([0, 2, 10]);
+});
+
+it('computes a moving average over the window', () => {
+  const config = {stages: [{type: 'movingAverage', window: 2}], derived: []};
+  expect(run(config, [2, 4, 8, 8]).filtered).toEqual([2, 3, 6, 8]);
+});
+
+it('smooths exponentially', () => {
+  const config = {stages: [{type: 'exponential', alpha: 0.5}], derived: []};
+  expect(run(config, [0, 8, 8]).filtered).toEqual([0, 4, 6]);
+});
+
+it('removes single-sample spikes with the median filter', () => {
+  const config = {stages: [{type: 'median', window: 3}], derived: []};
+  expect(run(config, [5, 5, 100, 5, 5]).filtered).toEqual([5, 5, 5, 5, 5]);
+});
+
+it('runs stages in order', () => {
+  const calibrateThenAverage = {
+    stages: [
+      {type: 'calibrate', offset: 0, scale: 10},
+      {type: 'movingAverage', window: 2},
+    ],
+    derived: [],
+  };
+  expect(run(calibrateThenAverage, [1, 2]).filtered).toEqual([10, 15]);
+});
+
+it('derives the rate of change per second from the filtered values', () => {
+  const config = {
+    stages: [{type: 'calibrate', offset: 0, scale: 2}],
+    derived: [{type: 'rateOfChange'}],
+  };
+  const result = run(config, [1, 2, 2], [0, 500, 1000]);
+  expect(result.derived.rateOfChange).toEqual([0, 4, 0]);
+});
+
+it('rejects unknown stages', () => {
+  expect(() => createProcessor({stages: [{type: 'fft'}], derived: []})).toThrow(
+    'Unknown processing stage: fft',
+  );
+});
@@ -0,0 +1,301 @@
+/**
+ * Tests for the live relay, end to end: a Relay talking over real WebSockets to the receiver in
+ * scripts/relay-receiver.js, started on a free port for each test.
+ */
+
+import 'react-native';
+import React from 'react';
+import renderer, {act} from 'react-test-renderer';
+import RNFS from 'react-native-fs';
+import {BLEContext} from '../ble-context';
+import {IDLE} from '../recorder';
+import {SampleStore} from '../sample-store';
+import {CLOSED, OPEN, Relay, RELAY_VERSION, statusBody} from '../relay';
+import {RelayContext, RelayProvider} from '../relay-context';
+
+const WebSocket = require('ws');
+const {createReceiver, track} = require('../scripts/relay-receiver');
+
+/*
+ * Waits (for real) until 'condition' holds, letting React catch up as it goes.
+ */
+const waitFor = (condition, timeout = 4000) => {
+  const started = Date.now();
+  const check = () =>
+    // (act's result isn't quite a promise -- it doesn't chain.)
+    Promise.resolve(
+      act(() => new Promise(resolve => setTimeout(resolve, 10))),
+    ).then(() => {
+      if (condition()) {
+        return undefined;
+      }
+      if (Date.now() - started > timeout) {
+        throw new Error('Timed out waiting');
+      }
+      return check();
+    });
+  return check();
+};
+
+const sample = (time, value) => ({
+  time: time,
+  sensorId: 'LEFT',
+  characteristic: 'ffe1',
+  value: value,
+  channels: undefined,
+});
+
+const samplesReceived = () =>
+  receiver.messages
+    .filter(m => m.type === 'samples')
+    .reduce((all, m) => all.concat(m.samples), []);
+
+let receiver;
+let url;
+let relay;
+beforeEach(() => {
+  RNFS.__reset();
+  relay = undefined;
+  receiver = createReceiver();
+  return receiver.listen().then(u => {
+    url = u;
+  });
+});
+
+afterEach(() => {
+  if (relay) {
+    relay.stop();
+  }
+  return receiver.close();
+});
+
+it('batches samples into numbered messages', () => {
+  relay = new Relay(url, {WebSocket: WebSocket, batchInterval: 50});
+  relay.start();
+  return waitFor(() => relay.state === OPEN)
+    .then(() => {
+      for (let i = 0; i < 250; i++) {
+        relay.sample(sample(i, i));
+      }
+      relay.send('status', {connectionState: 'ready'});
+      return waitFor(() => receiver.messages.length === 5);
+    })
+    .then(() => {
+      expect(receiver.messages.map(m => m.type)).toEqual([
+        'hello',
+        'samples',
+        'samples',
+        'samples',
+        'status',
+      ]);
+      expect(receiver.messages.map(m => m.seq)).toEqual([
+        undefined,
+        1,
+        2,
+        3,
+        4,
+      ]);
+      expect(receiver.messages.every(m => m.v === RELAY_VERSION)).toBe(true);
+      // Full batches went straight away; the status took the rest with it.
+      expect(receiver.messages[1].samples).toHaveLength(100);
+      expect(receiver.messages[3].samples).toHaveLength(50);
+      expect(samplesReceived().map(s => s.value)).toEqual(
+        Array.from({length: 250}, (_, i) => i),
+      );
+      expect(receiver.messages[1].samples[0]).toEqual({
+        time: 0,
+        sensorId: 'LEFT',
+        value: 0,
+      });
+
+      const stream = receiver.streams[relay.stream];
+      expect(stream.missing).toBe(0);
+      expect(stream.samples).toBe(250);
+      expect(relay.stats()).toEqual({
+        state: OPEN,
+        sent: 4,
+        queued: 0,
+        dropped: 0,
+      });
+    });
+});
+
+it('reconnects, and sends what it queued while it was away', () => {
+  relay = new Relay(url, {WebSocket: WebSocket, random: () => 0});
+  relay.start();
+  return waitFor(() => relay.state === OPEN)
+    .then(() => {
+      relay.send('status', {connectionState: 'ready'});
+      return waitFor(() => receiver.messages.length === 2);
+    })
+    .then(() => {
+      receiver.disconnectAll();
+      return waitFor(() => relay.state === CLOSED);
+    })
+    .then(() => {
+      relay.send('event', {event: {label: 'Heel strike'}});
+      expect(relay.stats().queued).toBe(1);
+      return waitFor(() => receiver.messages.length === 4);
+    })
+    .then(() => {
+      expect(receiver.messages.map(m => m.type)).toEqual([
+        'hello',
+        'status',
+        'hello',
+        'event',
+      ]);
+      const stream = receiver.streams[relay.stream];
+      expect(stream.reconnections).toBe(1);
+      expect(stream.lastSeq).toBe(2);
+      expect(stream.missing).toBe(0);
+    });
+});
+
+it('drops the oldest messages when too many queue up, which the receiver notices', () => {
+  relay = new Relay(url, {WebSocket: WebSocket, random: () => 0, maxQueue: 2});
+  relay.start();
+  return waitFor(() => relay.state === OPEN)
+    .then(() => {
+      receiver.disconnectAll();
+      return waitFor(() => relay.state === CLOSED);
+    })
+    .then(() => {
+      [1, 2, 3, 4, 5].forEach(n => relay.send('status', {n: n}));
+      expect(relay.stats().dropped).toBe(3);
+      return waitFor(() => receiver.messages.length === 4);
+    })
+    .then(() => {
+      expect(receiver.messages.map(m => m.n)).toEqual([
+        undefined,
+        undefined,
+        4,
+        5,
+      ]);
+      expect(receiver.streams[relay.stream].missing).toBe(3);
+    });
+});
+
+it('keeps track of each stream', () => {
+  const streams = {};
+  const connection = {};
+  const message = (seq, type = 'status') => ({v: 1, seq: seq, type: type});
+
+  expect(track(streams, connection, message(1))).toBe('Message before hello');
+  expect(
+    track(streams, connection, {v: 1, type: 'hello', stream: 'a'}),
+  ).toBeUndefined();
+  expect(track(streams, connection, message(1))).toBeUndefined();
+  expect(track(streams, connection, message(4))).toBe(
+    '2 messages missing before 4',
+  );
+  expect(track(streams, connection, message(4))).toBe('Message 4 seen already');
+  expect(track(streams, connection, {v: 2, type: 'hello'})).toBe(
+    'Unsupported message version 2',
+  );
+  expect(streams.a).toMatchObject({
+    lastSeq: 4,
+    messages: 3,
+    missing: 2,
+    duplicates: 1,
+  });
+});
+
+it('describes the status', () => {
+  expect(
+    statusBody('ready', {status: 'recording', session: {id: 's1'}}, [
+      {
+        id: 'LEFT',
+        name: 'Left insole',
+        state: 'ready',
+        battery: 15,
+        rssi: -60,
+        warnings: [{type: 'battery', message: 'Battery low (15%)'}],
+        rate: 20,
+      },
+    ]),
+  ).toEqual({
+    connectionState: 'ready',
+    recording: {status: 'recording', sessionId: 's1'},
+    sensors: [
+      {
+        id: 'LEFT',
+        name: 'Left insole',
+        state: 'ready',
+        battery: 15,
+        rssi: -60,
+        warnings: ['battery'],
+      },
+    ],
+  });
+});
+
+it('relays what the BLEProvider sees, once a receiver is set', () => {
+  const store = new SampleStore();
+  let context;
+  const Probe = () => {
+    context = React.useContext(RelayContext);
+    return null;
+  };
+  const ble = changes => ({
+    store: store,
+    sensors: [],
+    connectionState: 'idle',
+    recording: IDLE,
+    events: [],
+    errors: [],
+    ...changes,
+  });
+  const tree = value => (
+    <BLEContext.Provider value={value}>
+      <RelayProvider WebSocket={WebSocket}>
+        <Probe />
+      </RelayProvider>
+    </BLEContext.Provider>
+  );
+
+  let rendered;
+  act(() => {
+    rendered = renderer.create(tree(ble()));
+  });
+  const event = {time: 5, sensorId: 'LEFT', label: 'Heel strike'};
+
+  return waitFor(() => context !== undefined)
+    .then(() => {
+      expect(() => context.setUrl('http://laptop')).toThrow(RangeError);
+      act(() => {
+        context.setUrl(url);
+      });
+      return waitFor(() => context.state === OPEN);
+    })
+    .then(() => {
+      store.append(sample(1, 42));
+      act(() => {
+        rendered.update(
+          tree(ble({connectionState: 'scanning', events: [event]})),
+        );
+      });
+      return waitFor(() => receiver.messages.length === 5);
+    })
+    .then(() => {
+      expect(receiver.messages.map(m => m.type)).toEqual([
+        'hello',
+        'status',
+        'samples',
+        'status',
+        'event',
+      ]);
+      expect(receiver.messages[1].connectionState).toBe('idle');
+      expect(receiver.messages[2].samples[0].value).toBe(42);
+      expect(receiver.messages[3].connectionState).toBe('scanning');
+      expect(receiver.messages[4].event).toEqual(event);
+      expect(context.stats().sent).toBe(4);
+
+      // Clearing the URL stops it.
+      act(() => {
+        context.setUrl('');
+      });
+      expect(context.stats().state).toBe('stopped');
+      act(() => rendered.unmount());
+      store.destroy();
+    });
+});
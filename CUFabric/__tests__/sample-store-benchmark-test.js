@@ -0,0 +1,112 @@
+/**
+ * Benchmarks for the sample store: how many samples a second it (and the processing chain in
+ * front of it) can take, and that its memory stays put however many it's given. The limits
+ * are set well below what a laptop manages, so they hold on a slow CI machine too -- the
+ * figures themselves are printed, for comparing changes, when run with BENCHMARK set:
+ *
+ *   BENCHMARK=1 npx jest sample-store-benchmark
+ */
+
+import {SampleStore} from '../sample-store';
+import {createProcessor} from '../processing';
+
+/*
+ * The rate (in samples per second) the store must keep up with: several insoles notifying at
+ * a good deal more than the firmware's fastest rate.
+ */
+const REQUIRED_RATE = 5000;
+
+const SAMPLES = 100000;
+
+/*
+ * Prints a figure -- only when asked to, so the test run's output isn't cluttered with them.
+ */
+const report = message => {
+  if (process.env.BENCHMARK) {
+    console.log(message);
+  }
+};
+
+/*
+ * Appends 'count' samples from each of 'sensors' sensors (run through a processing chain first,
+ * if 'processed'), returning how many samples a second that came to.
+ */
+const run = (store, count, sensors = 1, processed = false) => {
+  const processors = Array.from({length: sensors}, () =>
+    createProcessor({
+      stages: [{type: 'movingAverage', window: 5}],
+      derived: [{type: 'rateOfChange'}],
+    }),
+  );
+  const started = process.hrtime.bigint();
+  for (let i = 0; i < count; i++) {
+    for (let s = 0; s < sensors; s++) {
+      const time = i;
+      const value = Math.sin(i / 50) * 100;
+      store.append(
+        {time: time, sensorId: 'S' + s, value: value, channels: undefined},
+        processed ? processors[s](value, time) : undefined,
+      );
+    }
+  }
+  const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+  return (count * sensors) / seconds;
+};
+
+let store;
+beforeEach(() => {
+  jest.useFakeTimers();
+  store = new SampleStore();
+});
+
+afterEach(() => {
+  store.destroy();
+});
+
+it('takes thousands of samples a second', () => {
+  const rate = run(store, SAMPLES, 4);
+  report('Sample store: ' + Math.round(rate) + ' samples/s');
+  expect(rate).toBeGreaterThan(REQUIRED_RATE);
+});
+
+it('takes thousands of processed samples a second', () => {
+  const rate = run(store, SAMPLES, 4, true);
+  report(
+    'Processing chain and sample store: ' + Math.round(rate) + ' samples/s',
+  );
+  expect(rate).toBeGreaterThan(REQUIRED_RATE);
+});
+
+it('holds the same memory however many samples it is given', () => {
+  run(store, store.capacity, 4);
+  const buffers = store.sensors.S0;
+  const before = process.memoryUsage().heapUsed;
+
+  run(store, SAMPLES * 5, 4);
+  const grown = process.memoryUsage().heapUsed - before;
+  report('Heap growth over ' + SAMPLES * 20 + ' samples: ' + grown + ' bytes');
+
+  // The same buffers, still full, rather than bigger ones ...
+  expect(store.sensors.S0).toBe(buffers);
+  expect(buffers.times.values.length).toBe(store.capacity);
+  expect(store.series('S0').data).toHaveLength(store.capacity);
+  // ... and nothing much else kept hold of -- a copy of the samples would be tens of megabytes.
+  expect(grown).toBeLessThan(16 * 1024 * 1024);
+});
+
+it('publishes throttled snapshots while taking samples at full rate', () => {
+  const listener = jest.fn(() => store.snapshot(10000));
+  store.subscribe(listener);
+
+  // A thousand samples a second from four sensors, for ten seconds.
+  for (let ms = 0; ms < 10000; ms++) {
+    for (let s = 0; s < 4; s++) {
+      store.append({time: ms, sensorId: 'S' + s, value: ms});
+    }
+    jest.advanceTimersByTime(1);
+  }
+
+  // About once every PUBLISH_INTERVAL, rather than 40000 times.
+  expect(listener.mock.calls.length).toBeGreaterThan(250);
+  expect(listener.mock.calls.length).toBeLessThanOrEqual(10000 / 33);
+});
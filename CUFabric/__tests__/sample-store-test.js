@@ -0,0 +1,173 @@
+/**
+ * Tests for the ring buffers and sample store, and the hooks which read it.
+ */
+
+import 'react-native';
+import React from 'react';
+import renderer, {act} from 'react-test-renderer';
+import {BLEContext} from '../ble-context';
+import {RingBuffer, SampleStore} from '../sample-store';
+import {useSensorSeries} from '../sensor-series';
+
+jest.useFakeTimers();
+
+const sample = (time, value, channels) => ({
+  time: time,
+  sensorId: 'LEFT',
+  value: value,
+  channels: channels,
+});
+
+it('keeps the newest values in a ring buffer', () => {
+  const buffer = new RingBuffer(3);
+  expect(buffer.toArray()).toEqual([]);
+
+  [1, 2, 3, 4, 5].forEach(v => buffer.push(v));
+  expect(buffer.length).toBe(3);
+  expect(buffer.toArray()).toEqual([3, 4, 5]);
+  expect(buffer.get(0)).toBe(3);
+  expect(buffer.toArray(1)).toEqual([4, 5]);
+
+  buffer.clear();
+  buffer.push(6);
+  expect(buffer.toArray()).toEqual([6]);
+});
+
+it('keeps anything in a ring buffer of Arrays', () => {
+  const buffer = new RingBuffer(2, Array);
+  buffer.push({heel: 1});
+  buffer.push(undefined);
+  buffer.push({heel: 3});
+  expect(buffer.toArray()).toEqual([undefined, {heel: 3}]);
+});
+
+it('keeps each sensor the last so many samples', () => {
+  const store = new SampleStore(4);
+  for (let i = 0; i < 6; i++) {
+    store.append(sample(i * 100, i), {filtered: i * 10, derived: {}});
+  }
+
+  expect(store.ids()).toEqual(['LEFT']);
+  expect(store.series('LEFT')).toEqual({
+    times: [200, 300, 400, 500],
+    data: [2, 3, 4, 5],
+    filtered: [20, 30, 40, 50],
+    derived: {},
+    channels: undefined,
+    channelHistory: [undefined, undefined, undefined, undefined],
+  });
+  expect(store.series('RIGHT')).toBeUndefined();
+});
+
+it('gives the last so many milliseconds of a series', () => {
+  const store = new SampleStore(10);
+  for (let i = 0; i < 6; i++) {
+    store.append(sample(i * 100, i, {heel: i}), {
+      filtered: i,
+      // The derived series only starts with the third sample.
+      derived: i >= 2 ? {rateOfChange: -i} : {},
+    });
+  }
+
+  const recent = store.series('LEFT', 200);
+  expect(recent.times).toEqual([300, 400, 500]);
+  expect(recent.data).toEqual([3, 4, 5]);
+  expect(recent.derived.rateOfChange).toEqual([-3, -4, -5]);
+  expect(recent.channelHistory).toEqual([{heel: 3}, {heel: 4}, {heel: 5}]);
+
+  expect(store.series('LEFT', 0).data).toEqual([5]);
+  expect(store.series('LEFT', 0).channels).toEqual({heel: 5});
+  expect(store.series('LEFT').derived.rateOfChange).toEqual([-2, -3, -4, -5]);
+});
+
+it('rebuilds, replaces, clears and forgets histories', () => {
+  const store = new SampleStore(10);
+  [1, 2, 3].forEach(v => store.append(sample(v, v)));
+  expect(store.series('LEFT').filtered).toEqual([1, 2, 3]);
+
+  store.reprocess('LEFT', {filtered: [2, 4, 6], derived: {rateOfChange: [1]}});
+  expect(store.series('LEFT').filtered).toEqual([2, 4, 6]);
+  expect(store.series('LEFT').derived).toEqual({rateOfChange: [1]});
+
+  store.load('RIGHT', {
+    times: [10, 20],
+    data: [5, 6],
+    filtered: [5, 6],
+    derived: {},
+    channelHistory: [{toe: 5}, {toe: 6}],
+  });
+  expect(store.series('RIGHT').data).toEqual([5, 6]);
+  expect(store.series('RIGHT').channels).toEqual({toe: 6});
+
+  store.clear('LEFT');
+  expect(store.series('LEFT').data).toEqual([]);
+  store.remove('LEFT');
+  expect(store.ids()).toEqual(['RIGHT']);
+});
+
+it('tells its subscribers about changes at most once per interval', () => {
+  const store = new SampleStore(100, 50);
+  const listener = jest.fn();
+  const unsubscribe = store.subscribe(listener);
+
+  for (let i = 0; i < 20; i++) {
+    store.append(sample(i, i));
+  }
+  expect(listener).not.toHaveBeenCalled();
+  jest.advanceTimersByTime(50);
+  expect(listener).toHaveBeenCalledTimes(1);
+
+  store.append(sample(20, 20));
+  store.publish();
+  expect(listener).toHaveBeenCalledTimes(2);
+  jest.advanceTimersByTime(50);
+  expect(listener).toHaveBeenCalledTimes(2);
+
+  unsubscribe();
+  store.append(sample(21, 21));
+  jest.advanceTimersByTime(50);
+  expect(listener).toHaveBeenCalledTimes(2);
+});
+
+it('hands every sample to its sample listeners as it comes', () => {
+  const store = new SampleStore(2);
+  const listener = jest.fn();
+  const stop = store.onSample(listener);
+
+  [1, 2, 3].forEach(v => store.append(sample(v, v)));
+  expect(listener.mock.calls.map(([s]) => s.value)).toEqual([1, 2, 3]);
+
+  stop();
+  store.append(sample(4, 4));
+  expect(listener).toHaveBeenCalledTimes(3);
+});
+
+it('re-renders the components reading a series when the store publishes', () => {
+  const store = new SampleStore(100, 50);
+  let renders = 0;
+  let latest;
+  const Reader = () => {
+    renders++;
+    latest = useSensorSeries('LEFT', 1000);
+    return null;
+  };
+
+  act(() => {
+    renderer.create(
+      <BLEContext.Provider value={{store: store}}>
+        <Reader />
+      </BLEContext.Provider>,
+    );
+  });
+  expect(latest.data).toEqual([]);
+  const before = renders;
+
+  act(() => {
+    for (let i = 0; i < 100; i++) {
+      store.append(sample(i * 10, i));
+    }
+    jest.advanceTimersByTime(50);
+  });
+  expect(renders).toBe(before + 1);
+  expect(latest.data).toHaveLength(100);
+});
@@ -0,0 +1,226 @@
+/**
+ * @format
+ */
+
+import {
+  activeDuration,
+  parseChunk,
+  sampleRates,
+  serializeChunk,
+  toCSV,
+  toJSON,
+} from '../session-format';
+
+const metadata = {
+  id: 'abc123',
+  name: 'Trial 1',
+  startTime: Date.UTC(2022, 10, 1, 12, 0, 0),
+  endTime: Date.UTC(2022, 10, 1, 12, 0, 10),
+  pauses: [
+    {
+      start: Date.UTC(2022, 10, 1, 12, 0, 2),
+      end: Date.UTC(2022, 10, 1, 12, 0, 7),
+    },
+  ],
+  sensors: [
+    {id: 'AA:BB', name: 'Clarkson L', firmware: '1.2.0', sampleRate: 20},
+    {id: 'CC:DD', name: 'Clarkson R', firmware: null, sampleRate: 0.5},
+  ],
+  sampleCount: 3,
+};
+
+const samples = [
+  {
+    time: metadata.startTime + 50,
+    sensorId: 'AA:BB',
+    characteristic: 'F8898AF6',
+    value: 12,
+  },
+  {
+    time: metadata.startTime + 100,
+    sensorId: 'CC:DD',
+    characteristic: 'F8898AF6',
+    value: 7,
+    channels: {heel: 3, toe: 4},
+  },
+  {
+    time: metadata.startTime + 150,
+    sensorId: 'AA:BB',
+    characteristic: 'F8898AF6',
+    value: 13,
+  },
+];
+
+describe('chunks', () => {
+  it('round-trip through serializeChunk and parseChunk', () => {
+    expect(parseChunk(serializeChunk(samples))).toEqual(samples);
+  });
+
+  it('can be concatenated', () => {
+    const text =
+      serializeChunk(samples.slice(0, 1)) + serializeChunk(samples.slice(1));
+    expect(parseChunk(text)).toEqual(samples);
+  });
+
+  it('tolerate a truncated last line', () => {
+    const text = serializeChunk(samples) + '{"time": 12';
+    expect(parseChunk(text)).toEqual(samples);
+  });
+
+  it('reject corruption anywhere else', () => {
+    const text = '{"time": 12\n' + serializeChunk(samples);
+    expect(() => parseChunk(text)).toThrow();
+  });
+});
+
+describe('sample rates', () => {
+  it('exclude paused time', () => {
+    expect(activeDuration(metadata)).toBe(5000);
+    expect(sampleRates(metadata, {'AA:BB': 100, 'CC:DD': 5})).toEqual({
+      'AA:BB': 20,
+      'CC:DD': 1,
+    });
+  });
+
+  it('count up to a given time for a session which has not ended', () => {
+    const unfinished = {
+      ...metadata,
+      endTime: null,
+      pauses: [{start: metadata.startTime + 2000, end: null}],
+    };
+    expect(activeDuration(unfinished, metadata.startTime + 6000)).toBe(2000);
+  });
+});
+
+describe('toCSV', () => {
+  const lines = toCSV(metadata, samples).split('\n');
+
+  it('starts with the metadata header', () => {
+    expect(lines.slice(0, 7)).toEqual([
+      '# session: Trial 1',
+      '# id: abc123',
+      '# start_time: 2022-11-01T12:00:00.000Z',
+      '# end_time: 2022-11-01T12:00:10.000Z',
+      '# sample_count: 3',
+      '# sensor: id=AA:BB, name=Clarkson L, firmware=1.2.0, sample_rate=20.00',
+      '# sensor: id=CC:DD, name=Clarkson R, firmware=unknown, sample_rate=0.50',
+    ]);
+  });
+
+  it('has one column per channel, and one row per sample', () => {
+    expect(lines.slice(7)).toEqual([
+      'timestamp,elapsed_ms,sensor_id,characteristic,value,heel,toe',
+      metadata.startTime + 50 + ',50,AA:BB,F8898AF6,12,,',
+      metadata.startTime + 100 + ',100,CC:DD,F8898AF6,7,3,4',
+      metadata.startTime + 150 + ',150,AA:BB,F8898AF6,13,,',
+      '',
+    ]);
+  });
+
+  it('lists the events in the header', () => {
+    const event = {
+      time: metadata.startTime + 120,
+      sensorId: 'AA:BB',
+      ruleId: 'r1',
+      type: 'peak',
+      label: 'Heel strike',
+      value: 180,
+      alert: false,
+    };
+    const csv = toCSV({...metadata, events: [event]}, samples).split('\n');
+    expect(csv[7]).toBe(
+      '# event: time=' +
+        event.time +
+        ', elapsed_ms=120, sensor_id=AA:BB, type=peak, label=Heel strike, value=180',
+    );
+  });
+
+  it('lists the gait analysis in the header', () => {
+    const gait = {
+      'AA:BB': {
+        stepCount: 12,
+        cadence: 101.25,
+        stanceTime: 612.4,
+        swingTime: 580,
+        distribution: {heel: 0.5, midfoot: 0.125, toe: 0.375},
+      },
+      'CC:DD': {stepCount: 0},
+    };
+    const csv = toCSV({...metadata, gait}, samples).split('\n');
+    expect(csv.slice(7, 9)).toEqual([
+      '# gait: sensor_id=AA:BB, steps=12, cadence=101.3, stance_ms=612, swing_ms=580, ' +
+        'heel=50.0%, midfoot=12.5%, toe=37.5%',
+      '# gait: sensor_id=CC:DD, steps=0, cadence=unknown, stance_ms=unknown, swing_ms=unknown',
+    ]);
+  });
+
+  it('lists the calibrations applied in the header', () => {
+    const calibration = {
+      unit: 'N',
+      time: Date.UTC(2022, 9, 30, 9, 0, 0),
+      fits: {
+        heel: {coefficients: [-12.5, 0.333333333], r2: 0.99},
+        toe: {coefficients: [0, 2], r2: 1},
+      },
+    };
+    const sensors = [
+      metadata.sensors[0],
+      {...metadata.sensors[1], calibration: calibration},
+    ];
+    const csv = toCSV({...metadata, sensors}, samples).split('\n');
+    expect(csv.slice(7, 9)).toEqual([
+      '# calibration: sensor_id=CC:DD, channel=heel, unit=N, ' +
+        'fitted=2022-10-30T09:00:00.000Z, coefficients=-12.5;0.333333',
+      '# calibration: sensor_id=CC:DD, channel=toe, unit=N, ' +
+        'fitted=2022-10-30T09:00:00.000Z, coefficients=0;2',
+    ]);
+  });
+
+  it('notes the participant and trial in the header', () => {
+    const participant = {
+      id: 'p1',
+      code: 'P012',
+      shoeSize: null,
+      weight: 70,
+      foot: 'left',
+    };
+    const trial = {
+      templateId: '10m-walk',
+      name: '10 m walk',
+      protocol: 'Walk 10 m,\nthen stop.',
+      duration: 30,
+    };
+    const csv = toCSV({...metadata, participant, trial}, samples).split('\n');
+    expect(csv.slice(5, 7)).toEqual([
+      '# participant: id=P012, shoe_size_eu=unknown, weight_kg=70, foot=left',
+      '# trial: name=10 m walk, target_s=30, protocol="Walk 10 m, then stop."',
+    ]);
+  });
+
+  it('quotes header values which need it, and keeps them on one line', () => {
+    const sensors = [{...metadata.sensors[0], firmware: '1.2,\nbeta'}];
+    const csv = toCSV(
+      {...metadata, name: 'Trial 1, "fast"\nretake', sensors},
+      samples,
+    ).split('\n');
+    expect(csv[0]).toBe('# session: "Trial 1, ""fast"" retake"');
+    expect(csv[1]).toBe('# id: abc123');
+    expect(csv[5]).toBe(
+      '# sensor: id=AA:BB, name=Clarkson L, firmware="1.2, beta", sample_rate=20.00',
+    );
+  });
+
+  it('quotes fields which need it', () => {
+    const csv = toCSV(metadata, [{...samples[0], sensorId: 'left, "big" toe'}]);
+    expect(csv).toContain(',"left, ""big"" toe",');
+  });
+});
+
+describe('toJSON', () => {
+  it('holds the metadata and the samples', () => {
+    expect(JSON.parse(toJSON(metadata, samples))).toEqual({
+      metadata: metadata,
+      samples: samples,
+    });
+  });
+});
@@ -0,0 +1,393 @@
+/**
+ * Tests for uploading sessions to the lab's server, against the stand-in server in
+ * scripts/sync-server.js -- started on a free port for each test, and talked to over real HTTP.
+ */
+
+import 'react-native';
+import React from 'react';
+import http from 'http';
+import renderer, {act} from 'react-test-renderer';
+import RNFS from 'react-native-fs';
+import * as sessionStore from '../session-store';
+import {createSession, saveMetadata, writeChunk} from '../session-store';
+import {
+  describeSyncStatus,
+  FAILED,
+  normaliseServerUrl,
+  retryDelay,
+  SYNCED,
+  uploadSession,
+  WAITING,
+} from '../sync';
+import {SyncContext, SyncProvider} from '../sync-context';
+import {BLEContext} from '../ble-context';
+import {useRecorder} from '../recorder';
+
+const {createSyncServer} = require('../scripts/sync-server');
+
+/*
+ * Enough of fetch for sync.js, over Node's http module -- Jest doesn't have one.
+ */
+const fetch = (url, options = {}) =>
+  new Promise((resolve, reject) => {
+    const request = http.request(
+      url,
+      {method: options.method || 'GET', headers: options.headers},
+      response => {
+        let text = '';
+        response.setEncoding('utf8');
+        response.on('data', part => {
+          text += part;
+        });
+        response.on('end', () =>
+          resolve({
+            ok: response.statusCode >= 200 && response.statusCode < 300,
+            status: response.statusCode,
+            text: () => Promise.resolve(text),
+          }),
+        );
+      },
+    );
+    request.on('error', reject);
+    request.end(options.body);
+  });
+
+/*
+ * Records a session of 'chunks' chunks of three samples each.
+ */
+const record = (id, chunks, finished = true) => {
+  const metadata = {
+    id: id,
+    name: 'Walk ' + id,
+    startTime: 1000,
+    endTime: finished ? 1000 + chunks * 300 : undefined,
+    pauses: [],
+    sensors: [{id: 'LEFT', name: 'Left insole'}],
+    sampleCount: chunks * 3,
+  };
+  let written = createSession(metadata);
+  for (let c = 0; c < chunks; c++) {
+    const samples = [0, 1, 2].map(i => ({
+      time: 1000 + c * 300 + i * 100,
+      sensorId: 'LEFT',
+      value: c * 3 + i,
+    }));
+    written = written.then(() => writeChunk(id, c, samples));
+  }
+  return written.then(() => saveMetadata(metadata)).then(() => metadata);
+};
+
+const chunkRequests = server =>
+  server.requests.filter(r => r.method === 'PUT' && /chunks/.test(r.path));
+
+let server;
+let url;
+beforeEach(() => {
+  RNFS.__reset();
+  server = createSyncServer();
+  return server.listen().then(u => {
+    url = u;
+  });
+});
+
+afterEach(() => server.close());
+
+it('uploads a session a chunk at a time, then finishes it', () =>
+  record('s1', 3)
+    .then(() => {
+      const progress = [];
+      return uploadSession(url, 's1', {
+        fetch: fetch,
+        onProgress: (uploaded, total) => progress.push(uploaded + '/' + total),
+      }).then(result => {
+        expect(result).toEqual({chunks: 3, uploaded: 3, duplicate: false});
+        expect(progress).toEqual(['0/3', '1/3', '2/3', '3/3']);
+      });
+    })
+    .then(() => RNFS.readFile('/documents/sessions/s1/chunk-00001.jsonl'))
+    .then(chunk => {
+      expect(server.requests.map(r => r.method + ' ' + r.status)).toEqual([
+        'GET 404',
+        'PUT 201',
+        'PUT 201',
+        'PUT 201',
+        'PUT 200',
+      ]);
+      const stored = server.sessions.s1;
+      expect(stored.complete).toBe(true);
+      expect(stored.metadata.name).toBe('Walk s1');
+      expect(Object.keys(stored.chunks)).toEqual(['0', '1', '2']);
+      // Byte for byte as it's stored on the device.
+      expect(stored.chunks[1]).toBe(chunk);
+    }));
+
+it('resumes an interrupted upload from where it got to', () => {
+  server.fail('PUT', /chunks\/2$/, 0);
+  return record('s1', 4)
+    .then(() => uploadSession(url, 's1', {fetch: fetch}))
+    .then(
+      () => {
+        throw new Error('Expected the upload to fail');
+      },
+      error => {
+        expect(error.retryable).toBe(true);
+        expect(error.message).toMatch(/Unable to reach the server/);
+        expect(Object.keys(server.sessions.s1.chunks)).toEqual(['0', '1']);
+        expect(server.sessions.s1.complete).toBe(false);
+      },
+    )
+    .then(() => uploadSession(url, 's1', {fetch: fetch}))
+    .then(result => {
+      expect(result).toEqual({chunks: 4, uploaded: 2, duplicate: false});
+      // Chunks 0 and 1 went once; 2 twice, as the first try never got there.
+      expect(chunkRequests(server).map(r => r.path.split('/').pop())).toEqual([
+        '0',
+        '1',
+        '2',
+        '2',
+        '3',
+      ]);
+      expect(server.sessions.s1.complete).toBe(true);
+    });
+});
+
+it('retries failures worth retrying, and not the others', () => {
+  server.fail('PUT', /chunks\/0$/, 503);
+  server.fail('GET', /s2$/, 400);
+  return record('s1', 1)
+    .then(() => record('s2', 1))
+    .then(() => uploadSession(url, 's1', {fetch: fetch}).catch(error => error))
+    .then(error => {
+      expect(error.status).toBe(503);
+      expect(error.retryable).toBe(true);
+    })
+    .then(() => uploadSession(url, 's2', {fetch: fetch}).catch(error => error))
+    .then(error => {
+      expect(error.status).toBe(400);
+      expect(error.retryable).toBe(false);
+    });
+});
+
+it('handles sessions and chunks the server already has', () =>
+  record('s1', 2)
+    .then(() => uploadSession(url, 's1', {fetch: fetch}))
+    .then(() => uploadSession(url, 's1', {fetch: fetch}))
+    .then(result => {
+      // Nothing sent again but the metadata.
+      expect(result).toEqual({chunks: 2, uploaded: 0, duplicate: true});
+      expect(chunkRequests(server)).toHaveLength(2);
+    })
+    .then(() =>
+      // A chunk whose response went missing can be sent again ...
+      fetch(url + '/sessions/s1/chunks/0', {
+        method: 'PUT',
+        body: server.sessions.s1.chunks[0],
+      }),
+    )
+    .then(response => {
+      expect(response.status).toBe(200);
+      return response.text();
+    })
+    .then(text => expect(JSON.parse(text)).toEqual({index: 0, duplicate: true}))
+    .then(() =>
+      // ... but a different one can't take its place.
+      fetch(url + '/sessions/s1/chunks/0', {method: 'PUT', body: 'nonsense'}),
+    )
+    .then(response => expect(response.status).toBe(409)));
+
+it('waits for a session to be finished before uploading it', () =>
+  record('s1', 2, false)
+    .then(() => uploadSession(url, 's1', {fetch: fetch}).catch(error => error))
+    .then(error => {
+      expect(error.retryable).toBe(true);
+      expect(error.message).toMatch(/still being recorded/);
+      expect(server.requests).toEqual([]);
+    }));
+
+it('tidies up server URLs', () => {
+  expect(normaliseServerUrl(' http://lab:8080/api/ ')).toBe(
+    'http://lab:8080/api',
+  );
+  expect(normaliseServerUrl('')).toBe('');
+  expect(() => normaliseServerUrl('lab:8080')).toThrow(RangeError);
+});
+
+it('describes where a session has got to', () => {
+  expect(describeSyncStatus(undefined, 0)).toBe('Not synced');
+  expect(
+    describeSyncStatus({state: 'uploading', uploaded: 3, total: 10}, 0),
+  ).toBe('Uploading (3/10 chunks)');
+  expect(
+    describeSyncStatus(
+      {state: WAITING, error: 'The server responded 503', nextAttempt: 30000},
+      0,
+    ),
+  ).toBe('Sync failed (The server responded 503) -- retrying in 30 s');
+  expect(describeSyncStatus({state: FAILED, error: 'Bad request'}, 0)).toBe(
+    'Sync failed: Bad request',
+  );
+  expect(retryDelay(1, () => 1)).toBe(5000);
+  expect(retryDelay(20, () => 1)).toBe(5 * 60 * 1000);
+});
+
+/*
+ * Waits (for real) until 'condition' holds, re-rendering as it goes.
+ */
+const waitFor = (condition, timeout = 5000) => {
+  const started = Date.now();
+  const check = () =>
+    // (act's result isn't quite a promise -- it doesn't chain.)
+    Promise.resolve(
+      act(() => new Promise(resolve => setTimeout(resolve, 10))),
+    ).then(() => {
+      if (condition()) {
+        return undefined;
+      }
+      if (Date.now() - started > timeout) {
+        throw new Error('Timed out waiting');
+      }
+      return check();
+    });
+  return check();
+};
+
+it('queues every finished session, retries, and remembers what it has uploaded', () => {
+  let context;
+  const Probe = () => {
+    context = React.useContext(SyncContext);
+    return null;
+  };
+  const render = () => {
+    let tree;
+    act(() => {
+      tree = renderer.create(
+        <SyncProvider fetch={fetch} random={() => 0}>
+          <Probe />
+        </SyncProvider>,
+      );
+    });
+    return tree;
+  };
+
+  server.fail('PUT', /s2\/chunks\/1$/, 503);
+  let tree;
+  return record('s1', 2)
+    .then(() => record('s2', 2))
+    .then(() => record('s3', 1, false))
+    .then(() => {
+      tree = render();
+      return waitFor(() => context !== undefined);
+    })
+    .then(() => {
+      act(() => {
+        context.setServerUrl(url + '/');
+      });
+    })
+    .then(() =>
+      waitFor(
+        () =>
+          context.statuses.s1 &&
+          context.statuses.s1.state === SYNCED &&
+          context.statuses.s2 &&
+          context.statuses.s2.state === WAITING,
+      ),
+    )
+    .then(() => {
+      expect(context.serverUrl).toBe(url);
+      expect(context.statuses.s2.attempts).toBe(1);
+      expect(context.statuses.s2.error).toBe('Failing on purpose');
+      // Still being recorded, so not queued.
+      expect(context.statuses.s3).toBeUndefined();
+
+      act(() => {
+        context.syncNow();
+      });
+      return waitFor(() => context.statuses.s2.state === SYNCED);
+    })
+    .then(() => {
+      expect(server.sessions.s2.complete).toBe(true);
+      act(() => tree.unmount());
+
+      // Next launch, it remembers the server and what's been uploaded.
+      context = undefined;
+      tree = render();
+      return waitFor(
+        () => context && context.statuses.s1 && context.serverUrl === url,
+      );
+    })
+    .then(() => {
+      expect(context.statuses.s1.state).toBe(SYNCED);
+      act(() => tree.unmount());
+    });
+});
+
+it('uploads a finished recording once its gait analysis is saved', () => {
+  let context;
+  let recorder;
+  const Probe = () => {
+    context = React.useContext(SyncContext);
+    return null;
+  };
+  // The recorder, standing in for the BLEProvider the SyncProvider's usually inside.
+  const Recorder = ({children}) => {
+    recorder = useRecorder();
+    return (
+      <BLEContext.Provider value={{recording: recorder.recording}}>
+        {children}
+      </BLEContext.Provider>
+    );
+  };
+
+  // Reading the session back for its analysis takes a while, as it would on a phone.
+  const readSamples = sessionStore.readSamples;
+  const slowRead = jest
+    .spyOn(sessionStore, 'readSamples')
+    .mockImplementation(id =>
+      new Promise(resolve => setTimeout(resolve, 200)).then(() =>
+        readSamples(id),
+      ),
+    );
+
+  let tree;
+  act(() => {
+    tree = renderer.create(
+      <Recorder>
+        <SyncProvider fetch={fetch} random={() => 0}>
+          <Probe />
+        </SyncProvider>
+      </Recorder>,
+    );
+  });
+
+  let id;
+  return waitFor(() => context !== undefined)
+    .then(() => {
+      act(() => {
+        context.setServerUrl(url);
+      });
+      return waitFor(() => context.serverUrl === url);
+    })
+    .then(() => {
+      act(() => {
+        recorder.start('Walk');
+      });
+      id = recorder.recording.session.id;
+      act(() => {
+        for (let i = 0; i < 50; i++) {
+          recorder.record(
+            {time: 1000 + i * 20, sensorId: 'LEFT', value: i % 10},
+            {id: 'LEFT', name: 'Left insole'},
+          );
+        }
+        recorder.stop();
+      });
+      return waitFor(
+        () => context.statuses[id] && context.statuses[id].state === SYNCED,
+      );
+    })
+    .then(() => {
+      expect(server.sessions[id].metadata.gait.LEFT).toBeDefined();
+      act(() => tree.unmount());
+    })
+    .finally(() => slowRead.mockRestore());
+});
@@ -0,0 +1,117 @@
+/**
+ * @format
+ */
+
+import {
+  DEFAULT_TEMPLATES,
+  describeParticipant,
+  newParticipant,
+  newTemplate,
+  timeLeft,
+  trialDetails,
+  trialName,
+  validateParticipant,
+  validateTemplate,
+} from '../trials';
+
+const participant = {
+  id: 'p1',
+  code: 'P012',
+  shoeSize: 42,
+  weight: 70,
+  foot: 'left',
+};
+
+describe('validateParticipant', () => {
+  it('trims the code', () => {
+    expect(validateParticipant({...participant, code: ' P012 '})).toEqual(
+      participant,
+    );
+  });
+
+  it('allows the size and weight to be left out', () => {
+    const p = {...newParticipant(), code: 'P013'};
+    expect(validateParticipant(p)).toEqual(p);
+  });
+
+  it("turns away anything that isn't an anonymised ID", () => {
+    ['', 'Jane Smith', 'P'.repeat(17)].forEach(code =>
+      expect(() => validateParticipant({...participant, code})).toThrow(
+        RangeError,
+      ),
+    );
+  });
+
+  it('turns away sizes, weights and feet that make no sense', () => {
+    expect(() => validateParticipant({...participant, shoeSize: -1})).toThrow(
+      'shoe size',
+    );
+    expect(() => validateParticipant({...participant, weight: NaN})).toThrow(
+      'weight',
+    );
+    expect(() => validateParticipant({...participant, foot: 'both'})).toThrow(
+      'foot',
+    );
+  });
+});
+
+describe('validateTemplate', () => {
+  it('needs a name, and a positive duration if any', () => {
+    expect(() => validateTemplate(newTemplate())).toThrow('name');
+    expect(() =>
+      validateTemplate({...newTemplate(), name: 'Walk', duration: 0}),
+    ).toThrow('duration');
+    expect(
+      validateTemplate({...DEFAULT_TEMPLATES[0], name: ' Walk ', protocol: ''}),
+    ).toEqual({...DEFAULT_TEMPLATES[0], name: 'Walk', protocol: ''});
+  });
+});
+
+it('describes a participant', () => {
+  expect(describeParticipant(participant)).toBe(
+    'P012, EU 42, 70 kg, left foot',
+  );
+  expect(describeParticipant({...participant, shoeSize: null})).toBe(
+    'P012, 70 kg, left foot',
+  );
+});
+
+describe('trialDetails', () => {
+  it('copies the selected participant and trial', () => {
+    const details = trialDetails([participant], DEFAULT_TEMPLATES, {
+      participantId: 'p1',
+      templateId: 'sit-to-stand',
+    });
+    expect(details.participant).toEqual(participant);
+    expect(details.participant).not.toBe(participant);
+    expect(details.trial).toEqual({
+      templateId: 'sit-to-stand',
+      name: 'Sit-to-stand',
+      protocol: DEFAULT_TEMPLATES[1].protocol,
+      duration: 30,
+    });
+    expect(trialName(details)).toBe('Sit-to-stand, P012');
+  });
+
+  it('has neither when nothing (or something since deleted) is selected', () => {
+    const details = trialDetails([], DEFAULT_TEMPLATES, {
+      participantId: 'p1',
+      templateId: null,
+    });
+    expect(details).toEqual({participant: null, trial: null});
+    expect(trialName(details)).toBeUndefined();
+  });
+});
+
+it('counts down, not counting pauses', () => {
+  const session = {startTime: 0, pauses: [{start: 5000, end: 8000}]};
+  expect(timeLeft(session, 30, 10000)).toBe(23000);
+  // Still paused, so the clock's stopped.
+  const paused = {
+    ...session,
+    pauses: [...session.pauses, {start: 20000, end: null}],
+  };
+  expect(timeLeft(paused, 30, 20000)).toBe(13000);
+  expect(timeLeft(paused, 30, 25000)).toBe(13000);
+  expect(timeLeft({startTime: 0, pauses: []}, 30, 31000)).toBe(-1000);
+});
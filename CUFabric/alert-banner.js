@@ -0,0 +1,65 @@
+/**
+ * alert-banner.js
+ *
+ * React-component which shows the alerts raised by the alert rules (see alerts.js) until the
+ * user dismisses them: the most recent one, which sensor it came from and when, and how many
+ * more are waiting behind it.
+ */
+
+import React, {useContext} from 'react';
+import {Button, StyleSheet, Text, View} from 'react-native';
+import {BLEContext} from './ble-context';
+
+/**
+ * The banner -- it must be nested inside the BLEProvider (see App.js). It renders nothing
+ * while there are no alerts.
+ *
+ * @returns {JSX.Element}
+ * @constructor
+ */
+export const AlertBanner = () => {
+  const {alerts, sensors, dismissAlerts} = useContext(BLEContext);
+
+  if (!alerts.length) {
+    return null;
+  }
+
+  const latest = alerts[alerts.length - 1];
+  const sensor = sensors.find(s => s.id === latest.sensorId);
+
+  return (
+    <View style={styles.banner}>
+      <View style={styles.text}>
+        <Text style={styles.label}>{latest.label}</Text>
+        <Text style={styles.detail}>
+          {(sensor ? sensor.name : latest.sensorId) +
+            ' at ' +
+            new Date(latest.time).toLocaleTimeString() +
+            (alerts.length > 1 ? ' (+' + (alerts.length - 1) + ' more)' : '')}
+        </Text>
+      </View>
+      <Button title="Dismiss" onPress={dismissAlerts} />
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  banner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+    backgroundColor: '#ffcdd2',
+  },
+  text: {
+    flex: 1,
+  },
+  label: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#b71c1c',
+  },
+  detail: {
+    fontSize: 12,
+  },
+});
@@ -0,0 +1,138 @@
+/**
+ * alert-rules.js
+ *
+ * React-component for setting up the alert rules (see alerts.js): adding a rule of any type,
+ * switching each on and off, choosing whether it raises an alert (and how the phone vibrates
+ * when it does) or just marks an event, and setting its parameters. The BLEProvider saves the
+ * rules whenever they change.
+ */
+
+import React, {useContext} from 'react';
+import {Button, StyleSheet, Switch, Text, View} from 'react-native';
+import {BLEContext} from './ble-context';
+import {newRule, RULE_TYPES, VIBRATIONS} from './alerts';
+import {ParamInput} from './processing-settings';
+
+/**
+ * The rules editor -- it must be nested inside the BLEProvider (see App.js).
+ *
+ * @returns {JSX.Element}
+ * @constructor
+ */
+export const AlertRules = () => {
+  const {rules, setRules} = useContext(BLEContext);
+
+  const update = (id, changes) =>
+    setRules(
+      rules.map(rule => (rule.id === id ? {...rule, ...changes} : rule)),
+    );
+
+  return (
+    <View>
+      {rules.length === 0 && (
+        <Text style={styles.empty}>
+          No rules yet -- add one below to be alerted, or to mark events on the
+          chart.
+        </Text>
+      )}
+      {rules.map(rule => (
+        <View key={rule.id} style={styles.rule}>
+          <View style={styles.header}>
+            <Text style={styles.label}>{rule.name}</Text>
+            <Switch
+              value={rule.enabled}
+              onValueChange={enabled => update(rule.id, {enabled})}
+            />
+          </View>
+          <Text style={styles.description}>
+            {RULE_TYPES[rule.type].describe(rule)}
+          </Text>
+          <View style={styles.params}>
+            {Object.keys(RULE_TYPES[rule.type].params).map(name => (
+              <ParamInput
+                key={name}
+                name={name}
+                value={rule[name]}
+                onChange={value => update(rule.id, {[name]: value})}
+              />
+            ))}
+          </View>
+          <View style={styles.header}>
+            <Text style={styles.label}>Raise an alert</Text>
+            <Switch
+              value={rule.alert}
+              onValueChange={alert => update(rule.id, {alert})}
+            />
+          </View>
+          {rule.alert && (
+            <View style={styles.buttons}>
+              <Text style={styles.option}>Vibrate</Text>
+              {Object.keys(VIBRATIONS).map(vibration => (
+                <Button
+                  key={vibration}
+                  title={vibration}
+                  color={rule.vibration === vibration ? undefined : '#999'}
+                  onPress={() => update(rule.id, {vibration})}
+                />
+              ))}
+            </View>
+          )}
+          <Button
+            title="Delete"
+            color="#c62828"
+            onPress={() => setRules(rules.filter(r => r.id !== rule.id))}
+          />
+        </View>
+      ))}
+      <View style={styles.buttons}>
+        <Text style={styles.option}>Add</Text>
+        {Object.keys(RULE_TYPES).map(type => (
+          <Button
+            key={type}
+            title={RULE_TYPES[type].label}
+            onPress={() => setRules([...rules, newRule(type)])}
+          />
+        ))}
+      </View>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  empty: {
+    fontSize: 14,
+    color: '#666',
+    marginBottom: 8,
+  },
+  rule: {
+    paddingVertical: 6,
+    borderBottomWidth: StyleSheet.hairlineWidth,
+    borderColor: '#ccc',
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  label: {
+    flex: 1,
+    fontSize: 16,
+  },
+  description: {
+    fontSize: 12,
+    color: '#666',
+  },
+  params: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  buttons: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    alignItems: 'center',
+  },
+  option: {
+    fontSize: 14,
+    marginRight: 8,
+    minWidth: 56,
+  },
+});
@@ -0,0 +1,210 @@
+/**
+ * alerts.js
+ *
+ * Rules run against every sensor's stream of values, and the detectors which run them. A rule
+ * either raises an alert (an in-app banner and a vibration -- see alert-banner.js) when
+ * something's wrong, or just marks an event worth knowing about, like a heel strike; either
+ * way, what it detects is marked on the chart and written into the recording in progress.
+ *
+ * A rule is a plain object (so the rule set can be saved as JSON):
+ *
+ *   {id, type, name, enabled, alert, vibration, ...params}
+ *
+ * where 'type' is one of the RULE_TYPES below, 'alert' is whether it raises an alert, and
+ * 'vibration' is one of the VIBRATIONS. The params depend on the type.
+ *
+ * Like the processing stages (see processing.js), detectors keep state between values, so
+ * each sensor gets its own.
+ */
+
+/*
+ * The kinds of rule, with a description of each and its default parameters:
+ *
+ *   above      -- the value stays above 'threshold' for at least 'duration' milliseconds
+ *   rateAbove  -- the value changes faster than 'threshold' per second (either way)
+ *   noData     -- no values at all for 'seconds' seconds
+ *   peak       -- a peak in the value above 'threshold' (e.g., a heel strike), at least
+ *                 'refractory' milliseconds after the last one
+ */
+export const RULE_TYPES = {
+  above: {
+    label: 'Value above',
+    params: {threshold: 200, duration: 500},
+    describe: rule =>
+      'value above ' + rule.threshold + ' for ' + rule.duration + 'ms',
+  },
+  rateAbove: {
+    label: 'Rate of change above',
+    params: {threshold: 500},
+    describe: rule => 'changing faster than ' + rule.threshold + '/s',
+  },
+  noData: {
+    label: 'No data',
+    params: {seconds: 3},
+    describe: rule => 'no data for ' + rule.seconds + 's',
+  },
+  peak: {
+    label: 'Peak',
+    params: {threshold: 150, refractory: 300},
+    describe: rule =>
+      'peaks above ' + rule.threshold + ', ' + rule.refractory + 'ms apart',
+  },
+};
+
+/*
+ * The vibration patterns a rule can alert with, as passed to react-native's Vibration.vibrate
+ * (a duration in milliseconds, or a list of alternating pauses and vibrations).
+ */
+export const VIBRATIONS = {
+  none: undefined,
+  short: 200,
+  long: 800,
+  double: [0, 150, 100, 150],
+};
+
+/**
+ * Creates a new rule of the given type, with the default parameters.
+ *
+ * @param type one of the RULE_TYPES
+ * @returns {Object}
+ */
+export const newRule = type => ({
+  id: Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+  type: type,
+  name: RULE_TYPES[type].label,
+  enabled: true,
+  alert: type !== 'peak',
+  vibration: type === 'peak' ? 'none' : 'short',
+  ...RULE_TYPES[type].params,
+});
+
+/*
+ * Detectors for the rules which look at values, keyed by type. Each returns a function of
+ * (value, time) which returns the detected event's {time, value} -- or undefined. A rule which
+ * stays true only fires once, and is re-armed when it stops being true.
+ */
+const DETECTORS = {
+  above: rule => {
+    let since;
+    let fired = false;
+    return (value, time) => {
+      if (value <= rule.threshold) {
+        since = undefined;
+        fired = false;
+        return undefined;
+      }
+
+      since = since === undefined ? time : since;
+      if (!fired && time - since >= rule.duration) {
+        fired = true;
+        return {time: time, value: value};
+      }
+      return undefined;
+    };
+  },
+
+  rateAbove: rule => {
+    let previous;
+    let fired = false;
+    return (value, time) => {
+      const last = previous;
+      previous = {value, time};
+      if (!last || time <= last.time) {
+        return undefined;
+      }
+
+      const rate = Math.abs(value - last.value) / ((time - last.time) / 1000);
+      if (rate <= rule.threshold) {
+        fired = false;
+        return undefined;
+      }
+      if (!fired) {
+        fired = true;
+        return {time: time, value: value};
+      }
+      return undefined;
+    };
+  },
+
+  // A peak is found one value late: it's the previous value, once this one is lower.
+  peak: rule => {
+    let before;
+    let previous;
+    let lastPeak = -Infinity;
+    return (value, time) => {
+      let event;
+      if (
+        previous &&
+        previous.value > rule.threshold &&
+        previous.value > value &&
+        (!before || previous.value >= before.value) &&
+        previous.time - lastPeak >= rule.refractory
+      ) {
+        lastPeak = previous.time;
+        event = {time: previous.time, value: previous.value};
+      }
+
+      // A plateau keeps the value it started at as 'before', so its end can still be a peak.
+      if (!previous || previous.value !== value) {
+        before = previous;
+      }
+      previous = {value, time};
+      return event;
+    };
+  },
+
+  // Silence can't be detected from the values -- see isSilent.
+  noData: () => () => undefined,
+};
+
+/**
+ * Creates a detector for a set of rules: a function of (value, time) which returns the events
+ * detected by that value -- each of the form {time, value, ruleId, type, label, alert}.
+ * Disabled rules are skipped.
+ *
+ * @param rules the rules
+ * @returns {function(number, number): Object[]}
+ */
+export const createDetector = rules => {
+  const detectors = rules
+    .filter(rule => rule.enabled && DETECTORS[rule.type])
+    .map(rule => ({rule: rule, detect: DETECTORS[rule.type](rule)}));
+
+  return (value, time) => {
+    const events = [];
+    detectors.forEach(({rule, detect}) => {
+      const detected = detect(value, time);
+      if (detected) {
+        events.push(toEvent(rule, detected));
+      }
+    });
+    return events;
+  };
+};
+
+/**
+ * Makes an event from what a rule detected.
+ *
+ * @param rule the rule
+ * @param detected {time, value}
+ * @returns {{time, value, ruleId, type, label, alert}}
+ */
+export const toEvent = (rule, detected) => ({
+  time: detected.time,
+  value: detected.value,
+  ruleId: rule.id,
+  type: rule.type,
+  label: rule.name,
+  alert: rule.alert,
+});
+
+/**
+ * Whether a 'noData' rule has been broken: the last value arrived more than rule.seconds ago.
+ *
+ * @param rule the rule
+ * @param lastTime when the last value arrived (milliseconds since the epoch)
+ * @param now the time now
+ * @returns {boolean}
+ */
+export const isSilent = (rule, lastTime, now) =>
+  lastTime !== undefined && now - lastTime > rule.seconds * 1000;
@@ -0,0 +1,76 @@
+package com.cufabric;
+
+import android.content.Intent;
+import androidx.core.content.ContextCompat;
+import com.facebook.react.bridge.ReactApplicationContext;
+import com.facebook.react.bridge.ReactContextBaseJavaModule;
+import com.facebook.react.bridge.ReactMethod;
+import com.facebook.react.modules.core.DeviceEventManagerModule;
+import java.lang.ref.WeakReference;
+
+/**
+ * The CUFabricBackground native module: starts, updates and stops DataCollectionService (see
+ * background.js), and tells JavaScript when its notification's Stop button is pressed.
+ */
+public class BackgroundModule extends ReactContextBaseJavaModule {
+
+  private static final String STOP_EVENT = "CUFabricBackgroundStop";
+
+  /*
+   * The context of the running JavaScript, for the service to send the Stop event through --
+   * weakly held, so a reload doesn't leak the old one.
+   */
+  private static WeakReference<ReactApplicationContext> current = new WeakReference<>(null);
+
+  BackgroundModule(ReactApplicationContext context) {
+    super(context);
+    current = new WeakReference<>(context);
+  }
+
+  @Override
+  public String getName() {
+    return "CUFabricBackground";
+  }
+
+  @ReactMethod
+  public void start(String title, String text) {
+    ContextCompat.startForegroundService(
+        getReactApplicationContext(), intent(DataCollectionService.ACTION_START, title, text));
+  }
+
+  @ReactMethod
+  public void update(String title, String text) {
+    getReactApplicationContext()
+        .startService(intent(DataCollectionService.ACTION_UPDATE, title, text));
+  }
+
+  @ReactMethod
+  public void stop() {
+    ReactApplicationContext context = getReactApplicationContext();
+    context.stopService(new Intent(context, DataCollectionService.class));
+  }
+
+  // NativeEventEmitter needs these, though there's nothing to do when listeners come and go.
+  @ReactMethod
+  public void addListener(String eventName) {}
+
+  @ReactMethod
+  public void removeListeners(Integer count) {}
+
+  static void emitStopPressed() {
+    ReactApplicationContext context = current.get();
+    if (context != null && context.hasActiveCatalystInstance()) {
+      context
+          .getJSModule(DeviceEventManagerModule.RCTDeviceEventEmitter.class)
+          .emit(STOP_EVENT, null);
+    }
+  }
+
+  private Intent intent(String action, String title, String text) {
+    Intent intent = new Intent(getReactApplicationContext(), DataCollectionService.class);
+    intent.setAction(action);
+    intent.putExtra(DataCollectionService.EXTRA_TITLE, title);
+    intent.putExtra(DataCollectionService.EXTRA_TEXT, text);
+    return intent;
+  }
+}
@@ -0,0 +1,109 @@
+package com.cufabric;
+
+import android.app.Notification;
+import android.app.NotificationChannel;
+import android.app.NotificationManager;
+import android.app.PendingIntent;
+import android.app.Service;
+import android.content.Context;
+import android.content.Intent;
+import android.content.pm.ServiceInfo;
+import android.os.Build;
+import android.os.IBinder;
+import androidx.core.app.NotificationCompat;
+
+/**
+ * The foreground service which keeps the app (and so its Bluetooth connections) alive while
+ * it's in the background, in background mode. It does no work of its own -- the JavaScript side
+ * carries on receiving and recording, and tells it what to show in its notification (see
+ * background.js). The notification's Stop button is passed back to JavaScript through
+ * BackgroundModule.
+ */
+public class DataCollectionService extends Service {
+
+  public static final String ACTION_START = "com.cufabric.background.START";
+  public static final String ACTION_UPDATE = "com.cufabric.background.UPDATE";
+  public static final String ACTION_STOP_PRESSED = "com.cufabric.background.STOP_PRESSED";
+
+  public static final String EXTRA_TITLE = "title";
+  public static final String EXTRA_TEXT = "text";
+
+  private static final String CHANNEL_ID = "data-collection";
+  private static final int NOTIFICATION_ID = 1;
+
+  @Override
+  public int onStartCommand(Intent intent, int flags, int startId) {
+    String action = intent != null ? intent.getAction() : null;
+
+    if (ACTION_STOP_PRESSED.equals(action)) {
+      // JavaScript stops the recording and the connections, then stops us.
+      BackgroundModule.emitStopPressed();
+      return START_NOT_STICKY;
+    }
+
+    String title = intent != null ? intent.getStringExtra(EXTRA_TITLE) : null;
+    String text = intent != null ? intent.getStringExtra(EXTRA_TEXT) : null;
+    Notification notification = buildNotification(title, text);
+
+    if (ACTION_UPDATE.equals(action)) {
+      NotificationManager manager =
+          (NotificationManager) getSystemService(Context.NOTIFICATION_SERVICE);
+      manager.notify(NOTIFICATION_ID, notification);
+    } else if (Build.VERSION.SDK_INT >= Build.VERSION_CODES.Q) {
+      startForeground(
+          NOTIFICATION_ID, notification, ServiceInfo.FOREGROUND_SERVICE_TYPE_CONNECTED_DEVICE);
+    } else {
+      startForeground(NOTIFICATION_ID, notification);
+    }
+
+    // If Android kills the app, there's no JavaScript left to collect anything -- so there's no
+    // point in it restarting the service.
+    return START_NOT_STICKY;
+  }
+
+  @Override
+  public IBinder onBind(Intent intent) {
+    return null;
+  }
+
+  private Notification buildNotification(String title, String text) {
+    createChannel();
+
+    int immutable =
+        Build.VERSION.SDK_INT >= Build.VERSION_CODES.M ? PendingIntent.FLAG_IMMUTABLE : 0;
+
+    // Tapping the notification brings the app back to the front.
+    Intent open = new Intent(this, MainActivity.class);
+    open.setFlags(Intent.FLAG_ACTIVITY_SINGLE_TOP);
+    PendingIntent openIntent =
+        PendingIntent.getActivity(this, 0, open, PendingIntent.FLAG_UPDATE_CURRENT | immutable);
+
+    Intent stop = new Intent(this, DataCollectionService.class);
+    stop.setAction(ACTION_STOP_PRESSED);
+    PendingIntent stopIntent =
+        PendingIntent.getService(this, 1, stop, PendingIntent.FLAG_UPDATE_CURRENT | immutable);
+
+    return new NotificationCompat.Builder(this, CHANNEL_ID)
+        .setContentTitle(title != null ? title : "CUFabric")
+        .setContentText(text != null ? text : "")
+        .setSmallIcon(R.mipmap.ic_launcher)
+        .setContentIntent(openIntent)
+        .addAction(0, "Stop", stopIntent)
+        .setOngoing(true)
+        .setOnlyAlertOnce(true)
+        .setCategory(NotificationCompat.CATEGORY_SERVICE)
+        .build();
+  }
+
+  private void createChannel() {
+    if (Build.VERSION.SDK_INT < Build.VERSION_CODES.O) {
+      return;
+    }
+    NotificationChannel channel =
+        new NotificationChannel(
+            CHANNEL_ID, "Background data collection", NotificationManager.IMPORTANCE_LOW);
+    channel.setDescription("Shown while sensors stay connected with the app in the background");
+    NotificationManager manager = getSystemService(NotificationManager.class);
+    manager.createNotificationChannel(channel);
+  }
+}
@@ -0,0 +1,119 @@
+/**
+ * background.js
+ *
+ * The JavaScript side of background mode. Android stops an app's Bluetooth connections soon
+ * after it leaves the foreground, unless it's running a foreground service -- which has to show
+ * a notification for as long as it runs. The service (DataCollectionService.java, started
+ * through the CUFabricBackground native module) does nothing itself but keep the app alive: the
+ * BLEProvider carries on receiving and recording as normal, and keeps the notification up to
+ * date (see ble-context.js).
+ *
+ * On iOS, and under Jest, there's no native module, and these all do nothing.
+ */
+
+import {NativeEventEmitter, NativeModules} from 'react-native';
+
+/*
+ * The event the native module sends when the notification's Stop button is pressed.
+ */
+const STOP_EVENT = 'CUFabricBackgroundStop';
+
+const native = () => NativeModules.CUFabricBackground;
+
+/*
+ * Formats a number of milliseconds as m:ss, or h:mm:ss once it's an hour or more -- background
+ * sessions can run a good deal longer than the ones watched on screen.
+ */
+const formatElapsed = ms => {
+  const seconds = Math.max(0, Math.floor(ms / 1000));
+  const pad = n => String(n).padStart(2, '0');
+  const minutes = Math.floor(seconds / 60) % 60;
+  const hours = Math.floor(seconds / 3600);
+  return (
+    (hours ? hours + ':' + pad(minutes) : String(minutes)) +
+    ':' +
+    pad(seconds % 60)
+  );
+};
+
+/**
+ * Whether this platform has a foreground service to run.
+ *
+ * @returns {boolean}
+ */
+export const isSupported = () => native() !== undefined;
+
+/**
+ * Starts the foreground service, showing its notification.
+ *
+ * @param notification {title, text} (see notificationText)
+ */
+export const startService = ({title, text}) => {
+  if (native()) {
+    native().start(title, text);
+  }
+};
+
+/**
+ * Updates the service's notification.
+ *
+ * @param notification {title, text} (see notificationText)
+ */
+export const updateService = ({title, text}) => {
+  if (native()) {
+    native().update(title, text);
+  }
+};
+
+/**
+ * Stops the foreground service, taking its notification away.
+ */
+export const stopService = () => {
+  if (native()) {
+    native().stop();
+  }
+};
+
+/**
+ * Listens for the notification's Stop button.
+ *
+ * @param listener called with no arguments when it's pressed
+ * @returns {{remove: function}} the subscription
+ */
+export const onStopPressed = listener => {
+  if (!native()) {
+    return {remove: () => {}};
+  }
+  return new NativeEventEmitter(native()).addListener(STOP_EVENT, listener);
+};
+
+/**
+ * What the notification says: how long the session has been recording and how many samples
+ * it has, or just how many sensors are connected when nothing's recording.
+ *
+ * @param recording the recorder's state (see recorder.js)
+ * @param sensors the connected sensors
+ * @param now the time now, in milliseconds
+ * @returns {{title: string, text: string}}
+ */
+export const notificationText = (recording, sensors, now) => {
+  const connected =
+    sensors.length === 1 ? '1 sensor' : sensors.length + ' sensors';
+
+  if (recording.status === 'idle' || !recording.session) {
+    return {
+      title: 'Connected in the background',
+      text: connected + ', not recording',
+    };
+  }
+
+  return {
+    title: recording.status === 'paused' ? 'Recording paused' : 'Recording',
+    text:
+      formatElapsed(now - recording.session.startTime) +
+      ' -- ' +
+      recording.sampleCount +
+      ' samples from ' +
+      connected,
+  };
+};
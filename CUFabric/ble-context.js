@@ -15,11 +15,57 @@ import React, {
   useRef,
   useState,
 } from 'react';
-import {BleError, BleManager} from 'react-native-ble-plx';
+import {BleError, BleErrorCode, BleManager} from 'react-native-ble-plx';
 import {Buffer} from 'buffer';
+import {getDecoder, registerDecoder, scalar} from './decoders';
+import {IDLE, useRecorder} from './recorder';
+import {logError, logInfo, logWarning} from './diagnostics';
+import {GRANTED, usePermissions} from './permissions';
+import {createProcessor, DEFAULT_PROCESSING, processSeries} from './processing';
+import {
+  createDetector,
+  isSilent,
+  RULE_TYPES,
+  toEvent,
+  VIBRATIONS,
+} from './alerts';
+import {readSetting, writeSetting} from './settings-store';
+import {SampleStore} from './sample-store';
+import {DEFAULT_MAPPING} from './insole-layout';
+import {DEFAULT_TEMPLATES, trialDetails, trialName} from './trials';
+import {
+  defaultProfile,
+  matchProfile,
+  pollInterval,
+  PROFILES,
+  profileSource,
+  registerProfileDecoders,
+  scanServices,
+} from './device-profiles';
+import {applyCalibration, averageReadings} from './calibration';
+import {sendCommand as transmitCommand} from './commands';
+import {healthWarnings, readBatteryLevel, readDeviceInfo} from './device-info';
+import {
+  notificationText,
+  onStopPressed,
+  startService,
+  stopService,
+  updateService,
+} from './background';
+import {
+  backoff,
+  CONNECTING,
+  describeError,
+  DISCOVERING,
+  FAILED,
+  MAX_RETRIES,
+  overallState,
+  pushError,
+  READY,
+  RECONNECTING,
+} from './connection-state';
 
-import {AppState, LogBox, PermissionsAndroid, Platform} from 'react-native';
-import {append} from 'react-native-svg/lib/typescript/lib/Matrix2D';
+import {AppState, LogBox, Vibration} from 'react-native';
 LogBox.ignoreLogs(['new NativeEventEmitter']);
 
 /*
@@ -29,7 +75,54 @@ LogBox.ignoreLogs(['new NativeEventEmitter']);
  */
 export const BLEContext = createContext({
   sensor: undefined,
-  sensorData: [],
+  sensors: [],
+  store: new SampleStore(),
+  processing: DEFAULT_PROCESSING,
+  setProcessing: config => {},
+  recording: IDLE,
+  startRecording: name => {},
+  pauseRecording: () => {},
+  resumeRecording: () => {},
+  stopRecording: () => {},
+  devices: [],
+  scanning: false,
+  adapterState: 'Unknown',
+  permissions: {
+    status: 'checking',
+    missing: [],
+    request: () => {},
+    openSettings: () => {},
+  },
+  connectionState: 'idle',
+  errors: [],
+  rules: [],
+  setRules: rules => {},
+  insoleLayout: DEFAULT_MAPPING,
+  setInsoleLayout: mapping => {},
+  participants: [],
+  setParticipants: participants => {},
+  trialTemplates: DEFAULT_TEMPLATES,
+  setTrialTemplates: templates => {},
+  trialSelection: {participantId: null, templateId: null},
+  selectTrial: changes => {},
+  calibrations: {},
+  setCalibration: (id, calibration) => {},
+  captureRaw: (id, duration) => Promise.resolve(),
+  backgroundMode: false,
+  setBackgroundMode: enabled => {},
+  inBackground: false,
+  events: [],
+  alerts: [],
+  dismissAlerts: () => {},
+  startScan: () => {},
+  stopScan: () => {},
+  connect: id => {},
+  retry: id => {},
+  disconnect: id => {},
+  forget: id => {},
+  setSource: (id, source) => {},
+  gatt: {},
+  sendCommand: (name, argument, id) => Promise.resolve(),
 });
 
 /*
@@ -38,272 +131,1517 @@ export const BLEContext = createContext({
  *
  * The instance resides outside the scope of the BLEProvider because the react objects
  * are recreated and re-rendered with every state update. We do not want BLEManager
- * instantiating multiple times. I am almost certain this could be safely moved inside
- * the BLEProvider using the 'useRef' hook -- but I haven't tried that yet.
+ * instantiating multiple times. It's only created the first time a BLEProvider needs it, though
+ * -- a BLEProvider given some other transport (e.g., the simulator in simulator.js) never
+ * touches the native module at all.
  */
-const blemanager = new BleManager();
+let sharedManager;
+const defaultTransport = () => {
+  if (!sharedManager) {
+    sharedManager = new BleManager();
+  }
+  return sharedManager;
+};
+
+/*
+ * The characteristic a sensor's values are read from if we know nothing else about it -- that
+ * of the first of the device profiles (see device-profiles.js). Each sensor's actually read
+ * from its own profile's, unless another has been promoted to take its place (see setSource).
+ */
+export const DEFAULT_SOURCE = profileSource(defaultProfile(PROFILES));
+
+/*
+ * The window (in milliseconds) over which each sensor's samples-per-second figure is worked
+ * out, and how many times longer than average the interval between two samples must be before
+ * we count it as a gap.
+ */
+const STATS_WINDOW = 1000;
+const GAP_FACTOR = 3;
+
+/*
+ * How often (in milliseconds) each connected sensor's signal strength and battery level are
+ * read (see device-info.js) -- the battery drains slowly, and each read costs it a little.
+ */
+const RSSI_INTERVAL = 5000;
+const BATTERY_INTERVAL = 60000;
+
+/*
+ * How many of the most recent events (see alerts.js) we keep for the chart's markers.
+ */
+const EVENT_HISTORY = 100;
+
+/*
+ * The name the alert rules are saved under (see settings-store.js).
+ */
+const ALERT_RULES = 'alert-rules';
+
+/*
+ * ... and the insole layout (see insole-layout.js).
+ */
+const INSOLE_LAYOUT = 'insole-layout';
+
+/*
+ * ... and the sensors' calibrations (see calibration.js).
+ */
+const CALIBRATIONS = 'calibrations';
+
+/*
+ * ... and whether background mode is on.
+ */
+const BACKGROUND_MODE = 'background-mode';
+
+/*
+ * ... and the participants, trial templates and which of each is selected (see trials.js).
+ */
+const PARTICIPANTS = 'participants';
+const TRIAL_TEMPLATES = 'trial-templates';
+const TRIAL_SELECTION = 'trial-selection';
+
+const NO_SELECTION = {participantId: null, templateId: null};
+
+/*
+ * The colours (as "r, g, b" triples) handed out to connected sensors, in order. Each sensor
+ * keeps its colour for as long as it's connected, so its line in chart.js doesn't change colour
+ * when another sensor connects or disconnects.
+ */
+export const SENSOR_COLOURS = [
+  '134, 65, 244',
+  '0, 150, 136',
+  '233, 30, 99',
+  '33, 150, 243',
+  '255, 235, 59',
+  '121, 85, 72',
+];
 
 /*
  * This is the context provider ... It is the top-level element used by App.js
  * when the app is rendered.
+ *
+ * 'transport' is optional -- it's the object we talk BLE through, which must have the same
+ * methods as ble-plx's BleManager. It defaults to the real BleManager; see simulator.js for the
+ * alternative. It's only read on the first render.
+ *
+ * 'profiles' is optional too -- the kinds of sensor to scan for and how to read them (see
+ * device-profiles.js). It defaults to those in device-profiles.json.
  */
-export const BLEProvider = ({children}) => {
+export const BLEProvider = ({children, transport, profiles = PROFILES}) => {
+  const blemanager = useRef(undefined);
+  if (!blemanager.current) {
+    blemanager.current = transport || defaultTransport();
+  }
+
   const appState = useRef(AppState.currentState);
   const [appStateVisible, setAppStateVisible] = useState(appState.current);
 
   /*
-   * The discovered sensor object
+   * The connected sensors. Each entry is an object of the form:
+   *
+   *   {id, name, profile, colour, state, device, rssi, battery, info, warnings, source, mode,
+   *    rate, gaps, attempts, nextAttempt, lastError}
+   *
+   * where 'state' is one of 'connecting', 'discovering', 'ready', 'reconnecting' or 'failed'
+   * (see connection-state.js), 'device' is the ble-plx Device instance (only set once the GATT db has been discovered), and 'colour' is the "r, g, b"
+   * triple chart.js should draw this sensor's line in. The values obtained from the sensor
+   * aren't in here -- they arrive far too often to go through React state, so they go into the
+   * sample store instead (see below).
+   *
+   * 'mode' is 'notify' or 'poll' depending on how we're receiving values (see startStreaming),
+   * 'rate' is the number of samples received in the last second, and 'gaps' is the number of
+   * times the stream has skipped one or more samples since we connected.
+   *
+   * 'attempts' is the number of reconnection attempts made since the sensor was last ready,
+   * 'nextAttempt' is when the next one is due (while 'reconnecting'), and 'lastError' is the
+   * entry in 'errors' (see below) for whatever last went wrong with it. 'rssi' is the signal
+   * strength in dBm -- last seen while scanning, then polled while connected. 'battery' is the
+   * battery level in percent, and 'info' the {manufacturer, model, firmware, hardware} from
+   * the Device Information Service (see device-info.js) -- each null until it's been read, or
+   * if the sensor doesn't have it. 'warnings' are any {type, message} about the battery running
+   * low or the signal being weak. 'source' is the {serviceUUID, uuid} of the characteristic the
+   * values come from (see setSource). 'profile' is the kind of sensor it is (see
+   * device-profiles.js).
+   */
+  const [sensors, setSensors] = useState([]);
+
+  /*
+   * Each sensor's recent values -- raw, filtered and derived -- kept outside React (see
+   * sample-store.js), and read through the hooks in sensor-series.js.
+   */
+  const [store] = useState(() => new SampleStore());
+
+  /*
+   * A ref mirroring the 'sensors' state variable ... the AppState listener and unmount cleanup
+   * below are registered once, so they'd only ever see the initial (empty) list if they read
+   * the state variable directly.
+   */
+  const sensorsRef = useRef([]);
+  useEffect(() => {
+    sensorsRef.current = sensors;
+  }, [sensors]);
+
+  /*
+   * The list of devices discovered while scanning. Each entry is a plain object of the form
+   * {id, name, profile, rssi, lastSeen} -- we deliberately don't keep the ble-plx Device
+   * instances around here, since those are re-created by the library for every advertisement
+   * packet. 'profile' is the device profile it matched (see device-profiles.js).
+   */
+  const [devices, setDevices] = useState([]);
+
+  /*
+   * True while the transport's startDeviceScan is running, and a ref mirroring it so we know
+   * whether to pick the scan back up when the app returns from the background.
+   */
+  const [scanning, setScanning] = useState(false);
+  const scanningRef = useRef(false);
+  useEffect(() => {
+    scanningRef.current = scanning;
+  }, [scanning]);
+
+  /*
+   * The Bluetooth adapter's state, as reported by the transport's onStateChange: one of
+   * 'Unknown', 'Resetting', 'Unsupported', 'Unauthorized', 'PoweredOff' or 'PoweredOn'.
+   */
+  const [adapterState, setAdapterState] = useState('Unknown');
+  const adapterStateRef = useRef('Unknown');
+
+  /*
+   * The runtime permissions Bluetooth needs (see permissions.js) -- requested once, when the
+   * provider mounts. Nothing scans or connects until they've been granted; 'permitted' mirrors
+   * that for the callbacks.
+   */
+  const permissions = usePermissions();
+  const permitted = useRef(permissions.status === GRANTED);
+
+  /*
+   * The last few errors we've run into, newest first (see describeError in
+   * connection-state.js).
+   */
+  const [errors, setErrors] = useState([]);
+
+  /*
+   * The ids of the sensors the user has asked us to connect to, and hasn't since disconnected
+   * from. A sensor whose connection drops is only reconnected if it's still in here.
+   */
+  const wanted = useRef(new Set());
+
+  /*
+   * Per-sensor reconnection bookkeeping, keyed by device id: the number of failed attempts in
+   * a row, the timer for the next attempt, and the onDeviceDisconnected subscription which
+   * tells us when a ready sensor drops.
+   */
+  const attempts = useRef({});
+  const reconnectTimers = useRef({});
+  const disconnectSubscriptions = useRef({});
+
+  /*
+   * Device ids the user has asked us to 'forget'. Advertisements from these devices are
+   * ignored until the next call to startScan (i.e., until the user hits 'rescan').
+   */
+  const forgotten = useRef(new Set());
+
+  /*
+   * The pending polling timer for each connected sensor, keyed by device id. A sensor without
+   * an entry here isn't being polled (see startPolling and stopStreaming below).
+   */
+  const pollers = useRef({});
+
+  /*
+   * The monitorCharacteristicForDevice subscription for each connected sensor that streams its
+   * values as notifications, keyed by device id (see startStreaming below).
+   */
+  const monitors = useRef({});
+
+  /*
+   * Bookkeeping used to work out each sensor's real data rate, keyed by device id. Each entry
+   * holds the arrival times of the samples received in the last STATS_WINDOW milliseconds and
+   * the number of gaps seen so far. These are updated for every sample, so they live in a ref
+   * and are only copied into the 'sensors' state once a second.
+   */
+  const sampleStats = useRef({});
+
+  /*
+   * The signal-processing chain config applied to every sensor's raw values (see
+   * processing.js), and a ref mirroring it for the callbacks which are never redefined.
+   */
+  const [processing, setProcessing] = useState(DEFAULT_PROCESSING);
+  const processingRef = useRef(DEFAULT_PROCESSING);
+
+  /*
+   * Each sensor's processor (built by createProcessor from the config above), keyed by
+   * device id.
+   */
+  const processors = useRef({});
+
+  /*
+   * The characteristics promoted to be the source of each sensor's values (see setSource),
+   * keyed by device id -- kept across reconnections.
+   */
+  const sources = useRef({});
+
+  /*
+   * Each sensor's device profile (see device-profiles.js), keyed by device id -- picked when
+   * we connect, and kept across reconnections.
+   */
+  const sensorProfiles = useRef({});
+
+  /*
+   * The decoders for the profiles' characteristics (see decoders.js).
+   */
+  useEffect(() => registerProfileDecoders(profiles), [profiles]);
+
+  /**
+   * The characteristic a sensor's values come from: one promoted by setSource, or failing
+   * that, its profile's.
+   *
+   * @param id the device id of the sensor
+   * @returns {{serviceUUID: string, uuid: string}}
+   */
+  const sourceOf = useCallback(
+    id => sources.current[id] || profileSource(sensorProfiles.current[id]),
+    [],
+  );
+
+  /*
+   * The sequence number for the next command sent to a sensor (see commands.js) -- it only has
+   * to differ from the last few, so it's shared between sensors and wraps at 256.
+   */
+  const commandSequence = useRef(0);
+
+  /*
+   * Each sensor's Device Information (see device-info.js), keyed by device id, for stamping its
+   * firmware revision into recordings -- it's in the 'sensors' state too, but handleSensorValue
+   * can't see that.
+   */
+  const deviceInfo = useRef({});
+
+  /*
+   * Each sensor's last-read battery level and signal strength, and the warnings they raised
+   * (see healthWarnings in device-info.js), keyed by device id. Several reads can finish before
+   * the 'sensors' state catches up, so the warnings are worked out from here instead.
+   */
+  const health = useRef({});
+
+  /*
+   * The alert rules (see alerts.js), and a ref mirroring them for the callbacks which are never
+   * redefined. Like the processors, each sensor gets its own detector, keyed by device id.
+   */
+  const [rules, setRulesState] = useState([]);
+  const rulesRef = useRef([]);
+  const detectors = useRef({});
+
+  /*
+   * Which region of the foot each channel of a multi-channel insole is in (see
+   * insole-layout.js), and a ref mirroring it for startRecording below.
+   */
+  const [insoleLayout, setInsoleLayoutState] = useState(DEFAULT_MAPPING);
+  const insoleLayoutRef = useRef(DEFAULT_MAPPING);
+
+  /*
+   * The participants and trial templates (see trials.js), and which of each is selected --
+   * {participantId, templateId}, either of which may be null -- with refs mirroring them for
+   * startRecording, which stamps the selected ones into each recording.
+   */
+  const [participants, setParticipantsState] = useState([]);
+  const participantsRef = useRef([]);
+  const [trialTemplates, setTrialTemplatesState] = useState(DEFAULT_TEMPLATES);
+  const trialTemplatesRef = useRef(DEFAULT_TEMPLATES);
+  const [trialSelection, setTrialSelectionState] = useState(NO_SELECTION);
+  const trialSelectionRef = useRef(NO_SELECTION);
+
+  /*
+   * Each sensor's calibration (see calibration.js), keyed by device id, and a ref mirroring it
+   * for handleSensorValue. A sensor without one has its raw values charted.
+   */
+  const [calibrations, setCalibrations] = useState({});
+  const calibrationsRef = useRef({});
+
+  /*
+   * The raw readings being collected for captureRaw, keyed by device id.
+   */
+  const rawCaptures = useRef({});
+
+  /*
+   * Whether the user has opted in to background mode (see background.js): staying connected,
+   * and recording, while the app's in the background. Without it, leaving the app disconnects
+   * from every sensor. 'inBackground' is true while the app's in the background with the
+   * sensors still connected, and 'wasScanning' remembers whether to pick the scan back up when
+   * it returns.
+   */
+  const [backgroundMode, setBackgroundModeState] = useState(false);
+  const backgroundModeRef = useRef(false);
+  const [inBackground, setInBackground] = useState(false);
+  const inBackgroundRef = useRef(false);
+  const wasScanning = useRef(false);
+
+  /*
+   * The events the rules have detected -- the most recent EVENT_HISTORY of them -- and the
+   * alerts among them which the user hasn't dismissed yet.
+   */
+  const [events, setEvents] = useState([]);
+  const [alerts, setAlerts] = useState([]);
+
+  /*
+   * The 'noData' rules each sensor is currently breaking, keyed by device id, so each silence
+   * is only reported once.
+   */
+  const silences = useRef({});
+
+  /*
+   * Session recording (see recorder.js). Every sample we receive is passed to 'record', which
+   * ignores it unless a session is in progress.
+   */
+  const {
+    recording,
+    record,
+    recordEvent,
+    start,
+    pause: pauseRecording,
+    resume: resumeRecording,
+    stop: stopRecording,
+  } = useRecorder();
+
+  /*
+   * A ref mirroring 'recording', for the background notification (see below).
+   */
+  const recordingRef = useRef(recording);
+  useEffect(() => {
+    recordingRef.current = recording;
+  }, [recording]);
+
+  /**
+   * Merges 'changes' into the entry for the sensor with the given id.
+   *
+   * We always go through the functional form of setSensors here, so this method doesn't depend
+   * on the 'sensors' state variable and is never redefined.
+   *
+   * @param id the device id of the sensor to update
+   * @param changes the fields to overwrite
+   */
+  const updateSensor = useCallback((id, changes) => {
+    setSensors(previous =>
+      previous.map(s => (s.id === id ? {...s, ...changes} : s)),
+    );
+  }, []);
+
+  /**
+   * Records a sensor's battery level and/or signal strength, and works out whether either is
+   * worth a warning -- logging each warning when it's first raised, rather than at every read.
+   *
+   * @param id the device id of the sensor
+   * @param changes {battery, rssi} -- either or both
+   */
+  const updateHealth = useCallback(
+    (id, changes) => {
+      const previous = health.current[id] || {warnings: []};
+      const current = {...previous, ...changes};
+      current.warnings = healthWarnings(current);
+      health.current[id] = current;
+
+      current.warnings
+        .filter(w => !previous.warnings.some(p => p.type === w.type))
+        .forEach(w => {
+          const known = sensorsRef.current.find(s => s.id === id);
+          logWarning((known ? known.name : id) + ': ' + w.message);
+        });
+
+      updateSensor(id, {...changes, warnings: current.warnings});
+    },
+    [updateSensor],
+  );
+
+  /**
+   * Logs an error to the diagnostics log (see diagnostics.js), and adds it to the 'errors'
+   * history.
+   *
+   * @param error the error -- normally a BleError
+   * @param id (optional) the device id of the sensor involved
+   * @param operation what we were doing at the time (e.g., 'connect')
+   * @returns {Object} the history entry
+   */
+  const reportError = useCallback((error, id, operation) => {
+    const known = sensorsRef.current.find(s => s.id === id);
+    const entry = describeError(
+      error,
+      id === undefined ? undefined : {id: id, name: known ? known.name : id},
+      operation,
+    );
+
+    logError(
+      'Error during ' +
+        operation +
+        (entry.sensorName ? ' (' + entry.sensorName + ')' : '') +
+        ': ' +
+        (entry.codeName ? '[' + entry.codeName + '] ' : '') +
+        entry.message,
+    );
+    setErrors(previous => pushError(previous, entry));
+    return entry;
+  }, []);
+
+  /**
+   * Runs a raw sample from a sensor through that sensor's processing chain (see
+   * processing.js), and appends both to its history in the sample store. Nothing here touches
+   * React state, so a sample costs the same however many we've had before it.
+   *
+   * @param sample the sample, of the form {time, sensorId, characteristic, value, channels}
+   *   (see session-format.js)
+   * @returns {{filtered, derived}} the processing chain's output for the sample
+   */
+  let appendDataPoint = useCallback(
+    sample => {
+      const id = sample.sensorId;
+      if (!processors.current[id]) {
+        processors.current[id] = createProcessor(processingRef.current);
+      }
+      const output = processors.current[id](sample.value, sample.time);
+
+      store.append(sample, output);
+      return output;
+    },
+    [store],
+  );
+
+  /**
+   * Deals with an event detected by one of the rules: it goes into the 'events' list (for the
+   * chart), the diagnostics log, and the session being recorded, if there is one. If the rule
+   * raises alerts, the phone vibrates and the alert banner shows it until it's dismissed.
+   *
+   * @param event the event, of the form {time, sensorId, ruleId, type, label, value, alert}
+   */
+  const raiseEvent = useCallback(
+    event => {
+      const known = sensorsRef.current.find(s => s.id === event.sensorId);
+      (event.alert ? logWarning : logInfo)(
+        (event.alert ? 'Alert: ' : 'Event: ') +
+          event.label +
+          ' (' +
+          (known ? known.name : event.sensorId) +
+          ')',
+      );
+      setEvents(previous => [...previous, event].slice(-EVENT_HISTORY));
+      recordEvent(event);
+
+      if (event.alert) {
+        const rule = rulesRef.current.find(r => r.id === event.ruleId);
+        const pattern = rule ? VIBRATIONS[rule.vibration] : undefined;
+        if (pattern !== undefined) {
+          Vibration.vibrate(pattern);
+        }
+        setAlerts(previous => [...previous, event]);
+      }
+    },
+    [recordEvent],
+  );
+
+  /**
+   * Runs a sensor's (processed) value through its detector, raising whatever events it
+   * detects.
+   *
+   * @param id the device id of the sensor
+   * @param value the value, after the processing chain
+   * @param time when the value arrived
+   */
+  const detectEvents = useCallback(
+    (id, value, time) => {
+      // It isn't silent any more.
+      delete silences.current[id];
+
+      if (!detectors.current[id]) {
+        detectors.current[id] = createDetector(rulesRef.current);
+      }
+      detectors.current[id](value, time).forEach(event =>
+        raiseEvent({...event, sensorId: id}),
+      );
+    },
+    [raiseEvent],
+  );
+
+  /**
+   * Replaces the alert rules, and saves them for next time.
+   *
+   * @param next the new list of rules
+   */
+  const setRules = useCallback(next => {
+    setRulesState(next);
+    writeSetting(ALERT_RULES, next).catch(error => {
+      logError('Unable to save the alert rules: ' + error.message);
+    });
+  }, []);
+
+  /**
+   * Replaces the insole layout, and saves it for next time.
+   *
+   * @param mapping the new mapping, {channelName: regionName}
+   */
+  const setInsoleLayout = useCallback(mapping => {
+    setInsoleLayoutState(mapping);
+    insoleLayoutRef.current = mapping;
+    writeSetting(INSOLE_LAYOUT, mapping).catch(error => {
+      logError('Unable to save the insole layout: ' + error.message);
+    });
+  }, []);
+
+  /**
+   * Changes which participant and trial template are selected, and saves it for next time.
+   *
+   * @param changes {participantId, templateId} -- either may be left out, to leave it as it is,
+   *   or null, for none
+   */
+  const selectTrial = useCallback(changes => {
+    const next = {...trialSelectionRef.current, ...changes};
+    setTrialSelectionState(next);
+    trialSelectionRef.current = next;
+    writeSetting(TRIAL_SELECTION, next).catch(error => {
+      logError('Unable to save the trial selection: ' + error.message);
+    });
+  }, []);
+
+  /**
+   * Replaces the participants, and saves them for next time. If the selected one's gone, none
+   * is selected.
+   *
+   * @param next the participants (see trials.js)
+   */
+  const setParticipants = useCallback(
+    next => {
+      setParticipantsState(next);
+      participantsRef.current = next;
+      writeSetting(PARTICIPANTS, next).catch(error => {
+        logError('Unable to save the participants: ' + error.message);
+      });
+      if (!next.some(p => p.id === trialSelectionRef.current.participantId)) {
+        selectTrial({participantId: null});
+      }
+    },
+    [selectTrial],
+  );
+
+  /**
+   * Replaces the trial templates, and saves them for next time. If the selected one's gone,
+   * none is selected.
+   *
+   * @param next the templates (see trials.js)
+   */
+  const setTrialTemplates = useCallback(
+    next => {
+      setTrialTemplatesState(next);
+      trialTemplatesRef.current = next;
+      writeSetting(TRIAL_TEMPLATES, next).catch(error => {
+        logError('Unable to save the trial templates: ' + error.message);
+      });
+      if (!next.some(t => t.id === trialSelectionRef.current.templateId)) {
+        selectTrial({templateId: null});
+      }
+    },
+    [selectTrial],
+  );
+
+  /**
+   * Turns background mode on or off, and saves it for next time.
+   *
+   * @param enabled whether to stay connected while the app's in the background
+   */
+  const setBackgroundMode = useCallback(enabled => {
+    setBackgroundModeState(enabled);
+    backgroundModeRef.current = enabled;
+    writeSetting(BACKGROUND_MODE, enabled).catch(error => {
+      logError('Unable to save background mode: ' + error.message);
+    });
+  }, []);
+
+  /**
+   * Starts recording a session (see recorder.js), noting the insole layout in it -- so the
+   * session's gait analysis, and its replay, use the layout it was recorded with -- along with
+   * the selected participant and trial (see trialDetails in trials.js).
+   *
+   * @param name (optional) the session's name -- the trial's and participant's, unless given
+   */
+  const startRecording = useCallback(
+    name => {
+      const details = trialDetails(
+        participantsRef.current,
+        trialTemplatesRef.current,
+        trialSelectionRef.current,
+      );
+      return start(name || trialName(details), {
+        layout: insoleLayoutRef.current,
+        ...details,
+      });
+    },
+    [start],
+  );
+
+  /**
+   * Dismisses every alert currently showing.
+   */
+  const dismissAlerts = useCallback(() => setAlerts([]), []);
+
+  /**
+   * Records (or refreshes) a device in the discovered devices list.
+   *
+   * @param device the ble-plx Device instance delivered by the scan listener
+   * @param profile the device profile it matched
+   */
+  const recordDevice = useCallback((device, profile) => {
+    const entry = {
+      id: device.id,
+      name: device.name,
+      profile: profile,
+      rssi: device.rssi,
+      lastSeen: Date.now(),
+    };
+
+    setDevices(previous => {
+      const index = previous.findIndex(d => d.id === device.id);
+      if (index < 0) {
+        return [...previous, entry];
+      }
+
+      const updated = [...previous];
+      updated[index] = entry;
+      return updated;
+    });
+  }, []);
+
+  /**
+   * Stops a scan started by startScan. Safe to call when no scan is running.
+   */
+  const stopScan = useCallback(() => {
+    logInfo('Stopping device scan');
+    blemanager.current.stopDeviceScan();
+    setScanning(false);
+  }, []);
+
+  /**
+   * Scans for BLE devices matching one of the device profiles (see device-profiles.js),
+   * collecting every one we see in the 'devices' state variable. Scanning continues until stopScan or connect is called,
+   * so the RSSI and lastSeen values keep updating while the device list is on screen.
+   *
+   * Calling startScan again (i.e., 'rescan') clears the list and the set of forgotten devices.
+   */
+  const startScan = useCallback(() => {
+    if (!permitted.current) {
+      logWarning('Not scanning -- Bluetooth permissions have not been granted');
+      setScanning(false);
+      return;
+    }
+
+    logInfo('Starting device scan');
+    blemanager.current.stopDeviceScan();
+    forgotten.current.clear();
+    setDevices([]);
+    setScanning(true);
+
+    // We only ask for devices advertising the profiles' services (unless there's a profile we
+    // can only recognise by name, when we have to hear from everything in range). We do ask
+    // for duplicates, though -- otherwise iOS only reports each device once and the RSSI and
+    // lastSeen values would never be refreshed.
+    blemanager.current.startDeviceScan(
+      scanServices(profiles),
+      {allowDuplicates: true},
+      (error, device) => {
+        if (error) {
+          // Handle error (scanning will be stopped automatically)
+          logWarning('Unable to scan for devices ...');
+          reportError(error, undefined, 'scan');
+          setScanning(false);
+
+          return;
+        }
+
+        // The service filter may have let through something we don't know (or, without one,
+        // everything) -- so it's only recorded if it matches a profile.
+        const profile = device && matchProfile(profiles, device);
+        if (profile && !forgotten.current.has(device.id)) {
+          recordDevice(device, profile);
+        }
+      },
+    );
+  }, [profiles, reportError, recordDevice]);
+
+  /**
+   * Stops the notification subscription or polling loop for the sensor with the given id (see
+   * startStreaming below).
+   *
+   * @param id the device id of the sensor
+   */
+  const stopStreaming = useCallback(id => {
+    if (id in monitors.current) {
+      monitors.current[id].remove();
+      delete monitors.current[id];
+    }
+    if (id in pollers.current) {
+      clearTimeout(pollers.current[id]);
+      delete pollers.current[id];
+    }
+    delete sampleStats.current[id];
+    delete processors.current[id];
+    delete detectors.current[id];
+    delete silences.current[id];
+  }, []);
+
+  /**
+   * Stops everything we have running for the sensor with the given id: streaming, any pending
+   * reconnection attempt, and the subscription watching for it to drop.
+   *
+   * @param id the device id of the sensor
+   */
+  const release = useCallback(
+    id => {
+      stopStreaming(id);
+      if (id in reconnectTimers.current) {
+        clearTimeout(reconnectTimers.current[id]);
+        delete reconnectTimers.current[id];
+      }
+      if (id in disconnectSubscriptions.current) {
+        disconnectSubscriptions.current[id].remove();
+        delete disconnectSubscriptions.current[id];
+      }
+    },
+    [stopStreaming],
+  );
+
+  /**
+   * Disconnects from the sensor with the given id, or from every connected sensor if no id
+   * is given. A sensor we've disconnected from on purpose isn't reconnected.
+   *
+   * @param id (optional) the device id of the sensor to disconnect from
+   */
+  const disconnect = useCallback(
+    id => {
+      const targets = sensorsRef.current.filter(
+        s => id === undefined || s.id === id,
+      );
+
+      return Promise.all(
+        targets.map(target => {
+          wanted.current.delete(target.id);
+          delete attempts.current[target.id];
+          delete health.current[target.id];
+          release(target.id);
+          store.remove(target.id);
+          setSensors(previous => previous.filter(s => s.id !== target.id));
+
+          logInfo('Disconnecting from ' + target.name);
+          return blemanager.current
+            .cancelDeviceConnection(target.id)
+            .then(() => {
+              logInfo(target.name + ' disconnected.');
+            })
+            .catch(error => {
+              logError('Attempt to cancel connection failed.');
+              if (error instanceof BleError) {
+                logError('[' + error.errorCode + '] ' + error.reason);
+              }
+            });
+        }),
+      );
+    },
+    [release, store],
+  );
+
+  /**
+   * Notes the arrival of a sample from the given sensor, for the samples-per-second and gap
+   * figures published in the 'sensors' state.
+   *
+   * A gap is an interval between two consecutive samples more than GAP_FACTOR times the
+   * average interval over the last STATS_WINDOW milliseconds -- i.e., one or more samples we
+   * expected but never got.
+   *
+   * @param id the device id of the sensor
+   */
+  const recordSample = useCallback(id => {
+    const now = Date.now();
+    const stats = sampleStats.current[id] || {times: [], gaps: 0};
+    sampleStats.current[id] = stats;
+
+    // Drop the times which have left the window, in place -- this runs for every sample.
+    const {times} = stats;
+    while (times.length && now - times[0] > STATS_WINDOW) {
+      times.shift();
+    }
+    if (times.length > 1) {
+      const average = (times[times.length - 1] - times[0]) / (times.length - 1);
+      if (now - times[times.length - 1] > average * GAP_FACTOR) {
+        stats.gaps++;
+      }
+    }
+
+    times.push(now);
+  }, []);
+
+  /*
+   * attemptConnection (below) as it currently stands -- handleSensorError schedules calls to
+   * it, but attemptConnection also depends on handleSensorError, so it's reached through here.
    */
-  let [sensor, setSensor] = useState(undefined);
+  const attemptConnectionRef = useRef(undefined);
 
-  /*
-   * The list of values obtained from the sensor (to be rendered by the line graph in chart.js)
+  /**
+   * Deals with something going wrong with a sensor -- a failed connection attempt, a failed
+   * read, or the connection dropping. The error goes into the history, the connection is torn
+   * down, and (unless the user has since disconnected from the sensor) a reconnection attempt
+   * is scheduled after a backoff delay (see connection-state.js). After MAX_RETRIES failed
+   * attempts in a row, the sensor is marked 'failed' and we go back to scanning, so the user
+   * can retry or pick something else. Any other connected sensors carry on.
+   *
+   * @param id the device id of the sensor
+   * @param error the error reported by ble-plx
+   * @param operation what we were doing at the time (e.g., 'connect' or 'read')
    */
-  const [sensorData, setSensorData] = useState([0]);
+  const handleSensorError = useCallback(
+    (id, error, operation) => {
+      const entry = reportError(error, id, operation);
 
-  /*
-   * The service and characteristic UUIDs for the Clarkson Insole demo device's "readCounter"
-   * method.
+      // A second report of the same failure (e.g., the monitor and onDeviceDisconnected both
+      // telling us about one drop) -- an attempt is already scheduled.
+      if (id in reconnectTimers.current || !wanted.current.has(id)) {
+        return;
+      }
+
+      release(id);
+      blemanager.current.cancelDeviceConnection(id).catch(() => {});
+
+      const made = attempts.current[id] || 0;
+      if (made >= MAX_RETRIES) {
+        logError('Giving up on ' + id + ' after ' + made + ' attempts.');
+        updateSensor(id, {
+          state: FAILED,
+          device: undefined,
+          nextAttempt: undefined,
+          lastError: entry,
+        });
+        startScan();
+        return;
+      }
+
+      const delay = backoff(made);
+      attempts.current[id] = made + 1;
+      logInfo('Reconnecting to ' + id + ' in ' + delay + 'ms ...');
+      updateSensor(id, {
+        state: RECONNECTING,
+        device: undefined,
+        attempts: made + 1,
+        nextAttempt: Date.now() + delay,
+        lastError: entry,
+      });
+      reconnectTimers.current[id] = setTimeout(() => {
+        delete reconnectTimers.current[id];
+        attemptConnectionRef.current(id);
+      }, delay);
+    },
+    [reportError, release, startScan, updateSensor],
+  );
+
+  /**
+   * Decodes a characteristic value received from the given sensor -- whether it was read or
+   * notified -- and appends it to that sensor's data list.
+   *
+   * @param device the ble-plx Device instance of the sensor
+   * @param characteristic the ble-plx Characteristic holding the value
+   * @returns {number} the decoded value
    */
-  const CU_FAB_SERVICE = '88189766-42ED-4E52-8E9F-47C7DECD82A9';
-  const CU_FAB_COUNTER_CHARACTERISTIC = 'F8898AF6-786E-4058-B910-4244CECD3008';
+  const handleSensorValue = useCallback(
+    (device, characteristic) => {
+      // Characteristic values are base-64 encoded buffers in the
+      // react-native-ble-plx API ... how the bytes are laid out depends on the
+      // firmware, so we use whichever decoder is registered for this characteristic
+      // (see decoders.js).
+      let buffer = new Buffer(characteristic.value, 'base64');
+      let decoded;
+      try {
+        decoded = getDecoder(
+          characteristic.serviceUUID,
+          characteristic.uuid,
+        )(buffer);
+      } catch (error) {
+        // A malformed payload is one bad sample, not a reason to drop the connection.
+        logError(
+          'Unable to decode ' +
+            buffer.length +
+            ' byte value from ' +
+            device.name +
+            ': ' +
+            error.message,
+        );
+        return undefined;
+      }
+
+      // Multi-channel payloads are charted as the total across all channels; the individual
+      // channel values are kept alongside.
+      let channels;
+      let value = decoded;
+      if (typeof decoded === 'object') {
+        channels = decoded;
+        value = Object.values(decoded).reduce((sum, v) => sum + v, 0);
+      }
+
+      if (rawCaptures.current[device.id]) {
+        rawCaptures.current[device.id].push({value, channels});
+      }
+
+      // Everything from here on sees the calibrated reading, if the sensor has a calibration.
+      const calibration = calibrationsRef.current[device.id];
+      ({value, channels} = applyCalibration(calibration, value, channels));
+
+      const sample = {
+        time: Date.now(),
+        sensorId: device.id,
+        characteristic: characteristic.uuid,
+        value: value,
+        channels: channels,
+      };
+
+      recordSample(device.id);
+      const output = appendDataPoint(sample);
+      detectEvents(device.id, output.filtered, sample.time);
+      const info = deviceInfo.current[device.id];
+      record(sample, {
+        id: device.id,
+        name: device.name,
+        firmware: info ? info.firmware : null,
+        calibration: calibration,
+      });
+
+      return value;
+    },
+    [appendDataPoint, detectEvents, record, recordSample],
+  );
 
   /**
-   * This method scans for BLE devices until it finds one with a name beginning with "Clarkson"
+   * This method obtains the latest value from the given sensor and appends it to that
+   * sensor's data list. It's only used for sensors whose characteristic can't notify us of new
+   * values -- each of those has its own polling loop calling this (see startPolling below).
    *
-   * Once it's found, we stop scanning, obtain a connection to the device, and then
-   * save the device in the 'sensor' state variable defined above.
+   * It only depends on other callbacks which are never redefined, so the polling loops can
+   * safely hold on to it for as long as they're running.
    *
-   * Methods, like variables, get redefined over and over in react everytime the object's state
-   * changes -- so here, we use the 'useCallback' hook to wrap the method definition. By doing so,
-   * we define the method and the things it's dependent on. A method wrapped in a useCallback will
-   * only be redefined if one if its dependencies is changed -- in this case, there are no
-   * dependencies, so the method is never redefined.
+   * @param device the ble-plx Device instance of a connected sensor
+   * @type {(function(*): Promise<number|undefined>)|*}
    */
-  let scanAndConnect = useCallback(() => {
-    console.log('Starting scanAndConnect');
-    // Start scanning for BLE devices -- we don't use any filters, so it'll discover everything in range.
-    blemanager.startDeviceScan(null, null, (error, device) => {
-      if (error) {
-        // Handle error (scanning will be stopped automatically)
-        console.info('Unable to scan for devices ...');
-        console.log(error);
+  let readSensorValue = useCallback(
+    async device => {
+      const source = sourceOf(device.id);
+      return blemanager.current
+        .readCharacteristicForDevice(device.id, source.serviceUUID, source.uuid)
+        .then(characteristic => handleSensorValue(device, characteristic))
+        .catch(error => handleSensorError(device.id, error, 'read'));
+    },
+    [handleSensorError, handleSensorValue, sourceOf],
+  );
 
-        return;
-      }
+  /*
+   * This is a quick helper which wraps an asynchronous 'thenable' method in a timeout
+   */
+  const timeout = (promise, time) =>
+    Promise.race([promise, new Promise((_r, rej) => setTimeout(rej, time))]);
 
-      // Check if it is a device you are looking for based on advertisement data
-      // or other criteria.
-      if (device && device.name && device.name.startsWith('Clarkson')) {
-        // Stop scanning as it's not necessary if you are scanning for one device.
-        blemanager.stopDeviceScan();
-
-        // Before we can use the device we found, we must (1) connect to it, and
-        // (2) discover its services and characteristics. This is time-consuming
-        // so we do it here once, rather than each time we need to read a value.
-        console.log('Found a device named: ' + device.name);
-        blemanager
-          .connectToDevice(device.id, {autoConnect: true})
-          .then(d => {
-            console.log(
-              device.name +
-                ' connected, discovering services and characteristics...',
-            );
-            // Device is connected, now read the GATT db.
-            return blemanager.discoverAllServicesAndCharacteristicsForDevice(
-              device.id,
-            );
-          })
-          .then(d => {
-            // GATT db is read and ready to use ...
-            // Store the device in the sensor state object for use later.
-            console.log(device.name + ' is ready for use.');
-            setTimeout(() => setSensor(device), 500);
-            return;
-          })
+  /**
+   * Starts reading the given sensor's value repeatedly after a fixed delay. Each sensor gets
+   * its own loop: it waits for the interval its profile's sample rate gives (see pollInterval
+   * in device-profiles.js), reads the value, and then re-arms itself -- until stopStreaming is
+   * called for that sensor. The interval's also the timeout around each read.
+   *
+   * @param device the ble-plx Device instance of a connected sensor
+   */
+  const startPolling = useCallback(
+    device => {
+      /*
+       * emitCurrentValue calls readSensorValue to update the current reading, and schedules
+       * the next read.
+       */
+      const interval = pollInterval(sensorProfiles.current[device.id]);
+      const emitCurrentValue = () => {
+        timeout(readSensorValue(device), interval)
           .catch(error => {
-            // If any of the above failed, or something unexpected occurred, we'll
-            // wind up here in this catch handler ... lets do some cleanup
-            console.error('An unexpected error occurred in scanAndConnect: ');
             if (error) {
-              console.error(error);
+              logWarning(error);
+            }
+          })
+          .finally(() => {
+            // Only re-arm if nobody called stopStreaming while the read was in flight.
+            if (device.id in pollers.current) {
+              pollers.current[device.id] = setTimeout(
+                emitCurrentValue,
+                interval,
+              );
             }
+          });
+      };
+
+      stopStreaming(device.id);
+      pollers.current[device.id] = setTimeout(emitCurrentValue, interval);
+    },
+    [readSensorValue, stopStreaming],
+  );
+
+  /**
+   * Starts receiving values from the given sensor. If its characteristic supports notify or
+   * indicate, we subscribe with monitorCharacteristicForDevice and the sensor sends us every
+   * sample as it's taken. Otherwise we fall back to reading the value on a timer (see
+   * startPolling above).
+   *
+   * @param device the ble-plx Device instance of a connected sensor
+   */
+  const startStreaming = useCallback(
+    device => {
+      stopStreaming(device.id);
+      const source = sourceOf(device.id);
+
+      return blemanager.current
+        .characteristicsForDevice(device.id, source.serviceUUID)
+        .then(characteristics => {
+          const characteristic = characteristics.find(
+            c => c.uuid.toUpperCase() === source.uuid.toUpperCase(),
+          );
 
-            console.error(
-              'Attempting to cancel connection to device if one existed...',
+          if (
+            !characteristic ||
+            !(characteristic.isNotifiable || characteristic.isIndicatable)
+          ) {
+            logInfo(
+              device.name + ' does not support notifications -- polling.',
             );
-            try {
-              blemanager
-                .cancelDeviceConnection(device.id)
-                .then(device => {
-                  if (error) {
-                    console.error(error);
-                  }
-                })
-                .catch(error2 => {
-                  if (error2) {
-                    console.error(error2);
+            updateSensor(device.id, {mode: 'poll'});
+            startPolling(device);
+            return;
+          }
+
+          logInfo(device.name + ' supports notifications -- subscribing.');
+          updateSensor(device.id, {mode: 'notify'});
+          monitors.current[device.id] =
+            blemanager.current.monitorCharacteristicForDevice(
+              device.id,
+              source.serviceUUID,
+              source.uuid,
+              (error, notified) => {
+                if (error) {
+                  // Removing the subscription (see stopStreaming) cancels the transaction,
+                  // which is reported here as an error -- that one's expected.
+                  if (error.errorCode === BleErrorCode.OperationCancelled) {
+                    return;
                   }
-                });
-            } catch (error2) {
-              console.error('Attempt to cancel connection failed.');
-              if (error2 instanceof BleError) {
-                console.error('[' + error2.errorCode + '] ' + error2.reason);
-              }
-            }
 
-            scanAndConnect();
-          });
-      }
-    });
-  }, []);
+                  delete monitors.current[device.id];
+                  handleSensorError(device.id, error, 'notify');
+                  return;
+                }
 
-  let appendDataPoint = useCallback(
-    value => {
-      // Straight-lines don't make good demos -- let's record
-      // the sin(value/2) instead.
-      let new1Data = [...sensorData, Math.sin(value / 2)];
-
-      // We only want to accumulate 25 datapoints, and then
-      // start rolling ...
-      if (new1Data.length > 25) {
-        new1Data.shift();
-      }
+                handleSensorValue(device, notified);
+              },
+            );
+        })
+        .catch(error => handleSensorError(device.id, error, 'subscribe'));
+    },
+    [
+      handleSensorError,
+      handleSensorValue,
+      sourceOf,
+      startPolling,
+      stopStreaming,
+      updateSensor,
+    ],
+  );
 
-      // Update the sensorData state object ... this sets off a chain reaction
-      // documented in the 'useEffect' hooks written below.
-      setSensorData(sensorData => new1Data);
+  /**
+   * Reads a newly-ready sensor's Device Information, battery level and signal strength (see
+   * device-info.js). None of these are essential, so a sensor without the standard services
+   * just goes without -- its battery level stays null, and it isn't polled for it again.
+   *
+   * @param id the device id of the sensor
+   */
+  const readHealth = useCallback(
+    id => {
+      readDeviceInfo(blemanager.current, id)
+        .then(info => {
+          deviceInfo.current[id] = info;
+          updateSensor(id, {info: info});
+          if (info.firmware) {
+            logInfo(id + ' is running firmware ' + info.firmware);
+          }
+          return readBatteryLevel(blemanager.current, id).catch(() => null);
+        })
+        .then(battery => {
+          updateHealth(id, {battery: battery});
+          return blemanager.current.readRSSIForDevice(id);
+        })
+        .then(device => updateHealth(id, {rssi: device.rssi}))
+        .catch(error => logWarning(error));
     },
-    [sensorData],
+    [updateHealth, updateSensor],
   );
 
   /**
-   * This method obtains the latest value from the sensor and appends it to the list
-   * stored in the sensorData state variable. It is a callback method dependent on the
-   * 'sensor' and 'sensorData' objects -- so if either of those two values are changed,
-   * this callback gets re-defined.
+   * Makes one attempt at connecting to the sensor with the given id, which must already be in
+   * the 'sensors' list. Before we can use the device, we must (1) connect to it, and (2)
+   * discover its services and characteristics. This is time-consuming so we do it here once,
+   * rather than each time we need to read a value. Once that's done, the sensor is 'ready' and
+   * we start streaming from it.
    *
-   * This is critical, because if we don't redefine the method after a state change, then
-   * subsequent calls to it are using stale references to old values and the app will not
-   * behave the way we want it to.
+   * If anything fails, handleSensorError takes over (and may call this again later).
    *
-   * @type {(function(): Promise<number|number>)|*}
+   * @param id the id of the device to connect to
    */
-  let readSensorValue = useCallback(async () => {
-    if (sensor == undefined) {
-      console.error(
-        'Attempt to read sensor value on undefined sensor instance.',
-      );
-      return -1;
-    }
+  const attemptConnection = useCallback(
+    id => {
+      if (!wanted.current.has(id)) {
+        return Promise.resolve();
+      }
 
-    // Attempt to connect
-    console.log('Attempting to read sensor value.');
-    return blemanager
-      .readCharacteristicForDevice(
-        sensor.id,
-        CU_FAB_SERVICE,
-        CU_FAB_COUNTER_CHARACTERISTIC,
-      )
-      .then(characteristic => {
-        console.log(
-          'Read sensor value from service {' +
-            characteristic.serviceUUID +
-            '} and characteristic {' +
-            characteristic.uuid +
-            '}.',
-        );
+      logInfo('Connecting to device ' + id);
+      updateSensor(id, {state: CONNECTING, nextAttempt: undefined});
+      return blemanager.current
+        .connectToDevice(id, {autoConnect: true})
+        .then(device => {
+          logInfo(
+            device.name +
+              ' connected, discovering services and characteristics...',
+          );
+          updateSensor(id, {state: DISCOVERING});
 
-        // Characteristic values are base-64 encoded buffers in the
-        // react-native-ble-plx API ... here we're decoding it as a
-        // single 8-bit integer, but I didn't actually cross-reference
-        // this against the device's firmware ... it's possible the device
-        // is returning a 16 or 32-bit integer value? In which case, we
-        // need to decode up to 4 bytes of data from this buffer ... keep
-        // in mind there will be an endian mismatch, so you'll need to flip
-        // the bytes around and so some bit-shifting if needed.
-        console.log(
-          'Attempting to decode characteristic value as base64 encoded buffer.',
-        );
-        let buffer = new Buffer(characteristic.value, 'base64');
+          // From here on, hear about the connection dropping ... we remove this subscription
+          // before disconnecting on purpose (see release), so anything it reports is a drop.
+          disconnectSubscriptions.current[id] =
+            blemanager.current.onDeviceDisconnected(id, error =>
+              handleSensorError(
+                id,
+                error || new Error('Connection lost'),
+                'disconnect',
+              ),
+            );
 
-        console.log('Buffer has length ' + buffer.length);
-        let value = Uint8Array.from(buffer)[0];
+          // Device is connected, now read the GATT db.
+          return blemanager.current.discoverAllServicesAndCharacteristicsForDevice(
+            id,
+          );
+        })
+        .then(device => {
+          if (!wanted.current.has(id)) {
+            // The user disconnected while we were busy.
+            release(id);
+            blemanager.current.cancelDeviceConnection(id).catch(() => {});
+            return undefined;
+          }
 
-        console.log(
-          'Decoded value ' + value + ' - appending to chart data array.',
-        );
+          // GATT db is read and ready to use ...
+          // Store the device in the sensor's entry and start reading from it.
+          logInfo(device.name + ' is ready for use.');
+          attempts.current[id] = 0;
+          updateSensor(id, {
+            state: READY,
+            device: device,
+            attempts: 0,
+            nextAttempt: undefined,
+          });
+          startStreaming(device);
+          readHealth(id);
+          return device;
+        })
+        .catch(error => handleSensorError(id, error, 'connect'));
+    },
+    [handleSensorError, readHealth, release, startStreaming, updateSensor],
+  );
+
+  useEffect(() => {
+    attemptConnectionRef.current = attemptConnection;
+  }, [attemptConnection]);
 
-        appendDataPoint(value);
+  /**
+   * Tries to connect to a 'reconnecting' or 'failed' sensor right away, rather than waiting
+   * for the next scheduled attempt, and resets its count of attempts.
+   *
+   * @param id the device id of the sensor
+   */
+  const retry = useCallback(
+    id => {
+      if (!sensorsRef.current.some(s => s.id === id)) {
+        return Promise.resolve();
+      }
 
-        return value;
-      })
-      .catch(error => {
-        console.error('Unexpected error occurred reading sensor value.');
-        if (error instanceof BleError) {
-          console.error('[' + error.errorCode + '] ' + error.reason);
-        }
+      release(id);
+      wanted.current.add(id);
+      attempts.current[id] = 0;
+      return attemptConnection(id);
+    },
+    [attemptConnection, release],
+  );
 
-        console.error(
-          'Attempting to cancel connection to device if one existed...',
+  /**
+   * Connects to the device with the given id, which is normally one the user picked from the
+   * 'devices' list, and adds it to the connected sensors. Scanning is stopped first; sensors
+   * we're already connected to are left alone, so the user can go back to the list and add
+   * more (e.g., a left and a right insole). Picking a sensor which has 'failed' retries it.
+   *
+   * @param id the id of the device to connect to
+   */
+  const connect = useCallback(
+    id => {
+      if (!permitted.current) {
+        logWarning(
+          'Not connecting -- Bluetooth permissions have not been granted',
         );
-        try {
-          blemanager
-            .cancelDeviceConnection(device.id)
-            .then(device => {
-              if (error) {
-                console.error(error);
-              }
-            })
-            .catch(error2 => {
-              if (error2) {
-                console.error(error2);
-              }
-            });
-        } catch (error2) {
-          console.error('Attempt to cancel connection failed');
-          if (error2 instanceof BleError) {
-            console.error('[' + error2.errorCode + '] ' + error2.reason);
-          } else {
-            console.error(error);
-          }
-        }
+        return Promise.resolve();
+      }
+
+      stopScan();
+
+      const existing = sensorsRef.current.find(s => s.id === id);
+      if (existing && existing.state === FAILED) {
+        return retry(id);
+      }
+      if (existing || wanted.current.has(id)) {
+        logInfo('Already connected to device ' + id);
+        return Promise.resolve();
+      }
 
-        console.error('Attempting to reset and resume scanning...');
-        setSensor(undefined);
-        scanAndConnect();
+      // The profile it matched while scanning -- or, for one we never saw advertise (or have
+      // connected to before), the one it had last time, or the default.
+      const discovered = devices.find(d => d.id === id);
+      const profile =
+        (discovered && discovered.profile) ||
+        sensorProfiles.current[id] ||
+        defaultProfile(profiles);
+      sensorProfiles.current[id] = profile;
+      setSensors(previous => {
+        const inUse = previous.map(s => s.colour);
+        return [
+          ...previous,
+          {
+            id: id,
+            name: discovered ? discovered.name : id,
+            profile: profile,
+            colour:
+              SENSOR_COLOURS.find(c => !inUse.includes(c)) ||
+              SENSOR_COLOURS[previous.length % SENSOR_COLOURS.length],
+            state: CONNECTING,
+            device: undefined,
+            rssi: discovered ? discovered.rssi : undefined,
+            battery: null,
+            info: null,
+            warnings: [],
+            source: sourceOf(id),
+            mode: undefined,
+            rate: 0,
+            gaps: 0,
+            attempts: 0,
+            nextAttempt: undefined,
+            lastError: undefined,
+          },
+        ];
       });
-  }, [appendDataPoint, sensor]);
 
-  /*
-   * This is a quick helper which wraps an asynchronous 'thenable' method in a timeout
+      wanted.current.add(id);
+      attempts.current[id] = 0;
+      return attemptConnection(id);
+    },
+    [attemptConnection, devices, profiles, retry, sourceOf, stopScan],
+  );
+
+  /**
+   * Removes a device from the discovered devices list, disconnecting from it first if it's one
+   * of the connected sensors. The device won't be re-added by the running scan.
+   *
+   * @param id the id of the device to forget
    */
-  const timeout = (promise, time) =>
-    Promise.race([promise, new Promise((_r, rej) => setTimeout(rej, time))]);
+  const forget = useCallback(
+    id => {
+      forgotten.current.add(id);
+      setDevices(previous => previous.filter(d => d.id !== id));
+      if (sensorsRef.current.some(s => s.id === id)) {
+        disconnect(id);
+      }
+    },
+    [disconnect],
+  );
+
+  /**
+   * Promotes a characteristic to be the source of a sensor's values, in place of its profile's
+   * (see device-profiles.js) -- e.g., for firmware which moves its data somewhere new. The sensor's
+   * history is cleared (the old values may mean something else entirely), and if it's
+   * connected, it starts streaming from the new characteristic straight away.
+   *
+   * @param id the device id of the sensor
+   * @param source {serviceUUID, uuid, type} -- 'type' is optional, and registers a scalar
+   *   decoder of that type for the characteristic (see decoders.js)
+   */
+  const setSource = useCallback(
+    (id, source) => {
+      const {serviceUUID, uuid, type} = source;
+      if (type) {
+        registerDecoder(serviceUUID, uuid, scalar(type));
+      }
+      sources.current[id] = {serviceUUID, uuid};
+      logInfo('Charting ' + uuid + ' from ' + id);
+
+      updateSensor(id, {source: sources.current[id]});
+      store.clear(id);
+      const sensor = sensorsRef.current.find(s => s.id === id);
+      if (sensor && sensor.state === READY && sensor.device) {
+        startStreaming(sensor.device);
+      }
+    },
+    [startStreaming, store, updateSensor],
+  );
+
+  /**
+   * Replaces (or with 'calibration' undefined, removes) a sensor's calibration, and saves it
+   * for next time. The sensor's history is cleared, since it's in the old units.
+   *
+   * @param id the device id of the sensor
+   * @param calibration the calibration (see fitCalibration in calibration.js)
+   */
+  const setCalibration = useCallback(
+    (id, calibration) => {
+      const next = {...calibrationsRef.current};
+      if (calibration) {
+        next[id] = calibration;
+      } else {
+        delete next[id];
+      }
+      calibrationsRef.current = next;
+      setCalibrations(next);
+      writeSetting(CALIBRATIONS, next).catch(error => {
+        logError('Unable to save the calibrations: ' + error.message);
+      });
+
+      // The processing chain's state is in the old units too -- it's rebuilt with the next value.
+      delete processors.current[id];
+      store.clear(id);
+    },
+    [store],
+  );
+
+  /**
+   * Collects a sensor's raw (uncalibrated) readings for a while, and averages them -- for the
+   * calibration wizard (see calibration-wizard.js).
+   *
+   * @param id the device id of the sensor
+   * @param duration (optional) how long to collect for, in milliseconds
+   * @returns {Promise<{value, channels, count}>} the average reading, or rejects if none
+   *   arrived
+   */
+  const captureRaw = useCallback((id, duration = 1000) => {
+    rawCaptures.current[id] = [];
+    return new Promise((resolve, reject) =>
+      setTimeout(() => {
+        const readings = rawCaptures.current[id] || [];
+        delete rawCaptures.current[id];
+        if (readings.length) {
+          resolve(averageReadings(readings));
+        } else {
+          reject(new Error('No readings arrived from ' + id));
+        }
+      }, duration),
+    );
+  }, []);
+
+  /**
+   * Sends one of the firmware's commands (see commands.js) to a sensor, and waits for it to be
+   * acknowledged -- e.g., sendCommand('tare'), or sendCommand('setSampleRate', 100).
+   *
+   * @param name the command's name (see COMMANDS in commands.js)
+   * @param argument the command's argument, for those which take one
+   * @param id (optional) the device id of the sensor -- defaults to the first connected one
+   * @returns {Promise<Object>} resolves to the acknowledgement (see parseAck), or rejects (with
+   *   the error also going into the error history) if the sensor doesn't acknowledge it
+   */
+  const sendCommand = useCallback(
+    (name, argument, id) => {
+      const sensor = sensorsRef.current.find(s =>
+        id === undefined ? s.state === READY : s.id === id,
+      );
+      if (!sensor || sensor.state !== READY) {
+        return Promise.reject(
+          new Error('No connected sensor to send ' + name + ' to'),
+        );
+      }
+
+      const sequence = commandSequence.current;
+      commandSequence.current = (sequence + 1) % 256;
+      logInfo('Sending ' + name + ' to ' + sensor.id);
+
+      return transmitCommand(
+        blemanager.current,
+        sensor.id,
+        name,
+        argument,
+        sequence,
+      )
+        .then(ack => {
+          if (name === 'setName') {
+            updateSensor(sensor.id, {name: argument});
+          }
+          return ack;
+        })
+        .catch(error => {
+          reportError(error, sensor.id, 'command ' + name);
+          throw error;
+        });
+    },
+    [reportError, updateSensor],
+  );
 
   /*
-   * 'time' in milliseconds -- used for the delay between sensor value updates, and
-   * also for the timeout around the asyncronous call to read the sensor value.
+   * Direct access to the GATT operations, for the GATT explorer (see gatt-explorer.js). Each
+   * returns the ble-plx promise (or subscription, for monitor), and failures also go into the
+   * error history.
    */
-  let time = useRef(200);
+  const gatt = useMemo(() => {
+    const report = (operation, id) => error => {
+      reportError(error, id, operation);
+      throw error;
+    };
+    return {
+      services: id =>
+        blemanager.current.servicesForDevice(id).catch(report('services', id)),
+      characteristics: (id, serviceUUID) =>
+        blemanager.current
+          .characteristicsForDevice(id, serviceUUID)
+          .catch(report('characteristics', id)),
+      descriptors: (id, serviceUUID, uuid) =>
+        blemanager.current
+          .descriptorsForDevice(id, serviceUUID, uuid)
+          .catch(report('descriptors', id)),
+      read: (id, serviceUUID, uuid) =>
+        blemanager.current
+          .readCharacteristicForDevice(id, serviceUUID, uuid)
+          .catch(report('read', id)),
+      readDescriptor: (id, serviceUUID, uuid, descriptorUUID) =>
+        blemanager.current
+          .readDescriptorForDevice(id, serviceUUID, uuid, descriptorUUID)
+          .catch(report('read descriptor', id)),
+      write: (id, serviceUUID, uuid, base64, withResponse = true) =>
+        (withResponse
+          ? blemanager.current.writeCharacteristicWithResponseForDevice(
+              id,
+              serviceUUID,
+              uuid,
+              base64,
+            )
+          : blemanager.current.writeCharacteristicWithoutResponseForDevice(
+              id,
+              serviceUUID,
+              uuid,
+              base64,
+            )
+        ).catch(report('write', id)),
+      monitor: (id, serviceUUID, uuid, listener) =>
+        blemanager.current.monitorCharacteristicForDevice(
+          id,
+          serviceUUID,
+          uuid,
+          listener,
+        ),
+    };
+  }, [reportError]);
 
   /*
-   * emitCurrentValue calls readSensorValue to update the current reading, and displays
-   * the result on the console ... it's had a more useful function in a previous iteration
-   * of this code, but it wasn't working properly and I never fully refactored it out.
+   * startScan changes with the device profiles -- which a caller may well pass in afresh on
+   * every render -- so the effect below, which mustn't run again until the provider unmounts,
+   * reads it through here.
    */
-  let emitCurrentValue = useCallback(() => {
-    timeout(readSensorValue(), time.current)
-      .then(value => {
-        console.log('Current value: ' + value);
-        return value;
-      })
-      .catch(error => {
-        if (error) {
-          console.log(error);
-        }
-      });
-  }, [readSensorValue, time]);
+  const startScanRef = useRef(startScan);
+  useEffect(() => {
+    startScanRef.current = startScan;
+  }, [startScan]);
 
   /*
    * A react component can respond to state changes using a 'useEffect' hook ... this
@@ -313,32 +1651,86 @@ export const BLEProvider = ({children}) => {
    * unmounted.
    */
   useEffect(() => {
-    const bluetoothStateSubscription = blemanager.onStateChange(state => {
-      if (state === 'PoweredOn') {
-        console.log('Bluetooth is available ... starting scan');
-        scanAndConnect();
-        bluetoothStateSubscription.remove();
-      }
-    }, true);
+    // The set itself never changes, only its contents.
+    const wantedIds = wanted.current;
+
+    // We keep listening for the lifetime of the provider, so the status banner can show the
+    // adapter state -- and so turning Bluetooth off and on again starts a fresh scan.
+    let previousState;
+    const bluetoothStateSubscription = blemanager.current.onStateChange(
+      state => {
+        if (state === previousState) {
+          return;
+        }
+        logInfo('Bluetooth adapter state: ' + state);
+        previousState = state;
+        setAdapterState(state);
+        adapterStateRef.current = state;
+
+        if (state === 'PoweredOn') {
+          logInfo('Bluetooth is available ... starting scan');
+          startScanRef.current();
+        } else {
+          setScanning(false);
+        }
+      },
+      true,
+    );
+
+    // In background mode, the notification's Stop button ends everything: the recording, the
+    // connections, and the service itself.
+    const leaveBackground = () => {
+      inBackgroundRef.current = false;
+      setInBackground(false);
+      stopService();
+    };
+    const stopSubscription = onStopPressed(() => {
+      logInfo('Stop pressed in the background notification');
+      stopRecording();
+      disconnect();
+      leaveBackground();
+    });
 
     const subscription = AppState.addEventListener('change', nextAppState => {
       if (
         appState.current.match(/inactive|background/) &&
         nextAppState === 'active'
       ) {
-        console.log('App returning to foreground -- calling scanAndConnect');
-        scanAndConnect();
-      } else if (sensor) {
-        console.log(
-          'App moving to background -- attempting to disconnecting from sensor',
-        );
-        try {
-          blemanager.cancelDeviceConnection(sensor.id).then(() => {
-            console.log(
-              'Disconnected from sensor on transition to background.',
-            );
-          });
-        } catch (error) {}
+        if (inBackgroundRef.current) {
+          // Everything carried on while we were away, so there's nothing to start again --
+          // other than the scan, if the user was looking for sensors when they left.
+          logInfo('App returning to foreground -- still connected');
+          leaveBackground();
+          if (wasScanning.current) {
+            startScanRef.current();
+          }
+        } else {
+          logInfo('App returning to foreground -- calling startScan');
+          startScanRef.current();
+        }
+      } else if (
+        nextAppState.match(/inactive|background/) &&
+        !inBackgroundRef.current
+      ) {
+        wasScanning.current = scanningRef.current;
+        stopScan();
+        if (backgroundModeRef.current && sensorsRef.current.length) {
+          logInfo('App moving to background -- staying connected');
+          inBackgroundRef.current = true;
+          setInBackground(true);
+          startService(
+            notificationText(
+              recordingRef.current,
+              sensorsRef.current,
+              Date.now(),
+            ),
+          );
+        } else {
+          logInfo(
+            'App moving to background -- attempting to disconnecting from sensor',
+          );
+          disconnect();
+        }
       }
 
       appState.current = nextAppState;
@@ -346,38 +1738,286 @@ export const BLEProvider = ({children}) => {
     });
 
     return () => {
-      console.error('Unmounting context');
-      if (sensor) {
-        blemanager.cancelDeviceConnection(sensor.id);
+      logError('Unmounting context');
+      bluetoothStateSubscription.remove();
+      subscription.remove();
+      stopSubscription.remove();
+      if (inBackgroundRef.current) {
+        stopService();
+      }
+      blemanager.current.stopDeviceScan();
+      sensorsRef.current.forEach(s => {
+        wantedIds.delete(s.id);
+        release(s.id);
+        blemanager.current.cancelDeviceConnection(s.id).catch(() => {});
+      });
+      store.destroy();
+    };
+  }, [disconnect, release, stopRecording, stopScan, store]);
+
+  /*
+   * Once the permissions are granted (if they weren't from the start), start the scan we
+   * couldn't start when Bluetooth came on.
+   */
+  useEffect(() => {
+    const granted = permissions.status === GRANTED;
+    const newly = granted && !permitted.current;
+    permitted.current = granted;
+
+    if (newly && adapterStateRef.current === 'PoweredOn') {
+      logInfo('Permissions granted ... starting scan');
+      startScan();
+    }
+  }, [permissions.status, startScan]);
+
+  /*
+   * When the processing chain config changes, every sensor gets a new processor, and its
+   * filtered and derived series are rebuilt from the raw values we already have.
+   */
+  useEffect(() => {
+    processingRef.current = processing;
+
+    store.ids().forEach(id => {
+      const {data, times} = store.series(id);
+      processors.current[id] = createProcessor(processing);
+      store.reprocess(id, processSeries(processors.current[id], data, times));
+    });
+  }, [processing, store]);
+
+  /*
+   * Load the alert rules, insole layout, calibrations and background mode saved last time (see
+   * settings-store.js).
+   */
+  useEffect(() => {
+    let mounted = true;
+    readSetting(ALERT_RULES, []).then(saved => {
+      if (mounted) {
+        setRulesState(saved.filter(rule => RULE_TYPES[rule.type]));
       }
+    });
+    readSetting(INSOLE_LAYOUT, DEFAULT_MAPPING).then(saved => {
+      if (mounted) {
+        setInsoleLayoutState(saved);
+        insoleLayoutRef.current = saved;
+      }
+    });
+    readSetting(CALIBRATIONS, {}).then(saved => {
+      if (mounted) {
+        setCalibrations(saved);
+        calibrationsRef.current = saved;
+      }
+    });
+    readSetting(BACKGROUND_MODE, false).then(saved => {
+      if (mounted) {
+        setBackgroundModeState(saved);
+        backgroundModeRef.current = saved;
+      }
+    });
+    Promise.all([
+      readSetting(PARTICIPANTS, []),
+      readSetting(TRIAL_TEMPLATES, DEFAULT_TEMPLATES),
+      readSetting(TRIAL_SELECTION, NO_SELECTION),
+    ]).then(([savedParticipants, savedTemplates, savedSelection]) => {
+      if (mounted) {
+        setParticipantsState(savedParticipants);
+        participantsRef.current = savedParticipants;
+        setTrialTemplatesState(savedTemplates);
+        trialTemplatesRef.current = savedTemplates;
+        setTrialSelectionState(savedSelection);
+        trialSelectionRef.current = savedSelection;
+      }
+    });
+    return () => {
+      mounted = false;
     };
   }, []);
 
   /*
-   * This effect is used to read the sensor value repeatedly after a fixed delay ... it waits
-   * for 'time' (see above) milliseconds, and then calls emitCurrentValue. The logic here gets a
-   * little convoluted ... here's the sequence of events:
-   *
-   * 1) This effect is triggered before the component mounts setting the initial timer to 'time' milliseconds
-   * 2) After 'time' milliseconds, emitCurrentValue is invoked
-   * 3) emitCurrentValue calls readSensorValue
-   * 4) readSensorValue modifies the sensorData state object
-   * 5) Since emitCurrentValue is a callback dependent on sensorData, emitCurrentValue is redefined after this invocation
-   * 6) Since this effect is dependent on emitCurrentValue, it is executed AGAIN after emitCurrentValue is redefined
-   * 7) When the effect is executed, return to step 2 and repeat indefinitely.
+   * When the rules change, every sensor gets a new detector (the next time it has a value).
+   */
+  useEffect(() => {
+    rulesRef.current = rules;
+    detectors.current = {};
+    silences.current = {};
+  }, [rules]);
+
+  /*
+   * The 'noData' rules can't be checked as values arrive, because they're about values which
+   * don't -- so once a second, check how long it's been since each connected sensor's last one.
+   */
+  useEffect(() => {
+    const interval = setInterval(() => {
+      const now = Date.now();
+      const silent = rulesRef.current.filter(
+        rule => rule.enabled && rule.type === 'noData',
+      );
+      sensorsRef.current.forEach(sensor => {
+        const stats = sampleStats.current[sensor.id];
+        if (sensor.state !== READY || !stats || !stats.times.length) {
+          return;
+        }
+
+        const last = stats.times[stats.times.length - 1];
+        const reported = silences.current[sensor.id] || [];
+        silent
+          .filter(rule => !reported.includes(rule.id))
+          .filter(rule => isSilent(rule, last, now))
+          .forEach(rule => {
+            silences.current[sensor.id] = [
+              ...(silences.current[sensor.id] || []),
+              rule.id,
+            ];
+            raiseEvent({
+              ...toEvent(rule, {time: now, value: null}),
+              sensorId: sensor.id,
+            });
+          });
+      });
+    }, 1000);
+
+    return () => clearInterval(interval);
+  }, [raiseEvent]);
+
+  /*
+   * While we're in the background, keep the notification up to date with how the recording's
+   * going.
    */
   useEffect(() => {
-    if (sensor) {
-      setTimeout(emitCurrentValue, time.current);
+    if (!inBackground) {
+      return undefined;
     }
-  }, [emitCurrentValue, sensor]);
+    const interval = setInterval(
+      () =>
+        updateService(
+          notificationText(
+            recordingRef.current,
+            sensorsRef.current,
+            Date.now(),
+          ),
+        ),
+      1000,
+    );
+    return () => clearInterval(interval);
+  }, [inBackground]);
+
+  /*
+   * Once a second, copy each sensor's samples-per-second and gap count from the sampleStats
+   * bookkeeping (see recordSample above) into the 'sensors' state, so they can be displayed.
+   */
+  useEffect(() => {
+    const interval = setInterval(() => {
+      const now = Date.now();
+      sensorsRef.current.forEach(sensor => {
+        const stats = sampleStats.current[sensor.id];
+        if (!stats) {
+          return;
+        }
+
+        const recent = stats.times.filter(t => now - t <= STATS_WINDOW);
+        const rate = (recent.length * 1000) / STATS_WINDOW;
+        if (rate !== sensor.rate || stats.gaps !== sensor.gaps) {
+          updateSensor(sensor.id, {rate: rate, gaps: stats.gaps});
+        }
+      });
+    }, 1000);
+
+    return () => clearInterval(interval);
+  }, [updateSensor]);
+
+  /*
+   * Keep an eye on each ready sensor's signal strength and (if it has a Battery Service) its
+   * battery level. A read which fails is just skipped -- if the sensor's gone, the disconnect
+   * handler will already have heard about it.
+   */
+  useEffect(() => {
+    const poll = read =>
+      sensorsRef.current
+        .filter(sensor => sensor.state === READY)
+        .forEach(sensor => read(sensor.id));
+
+    const rssiInterval = setInterval(
+      () =>
+        poll(id =>
+          blemanager.current
+            .readRSSIForDevice(id)
+            .then(device => updateHealth(id, {rssi: device.rssi}))
+            .catch(() => {}),
+        ),
+      RSSI_INTERVAL,
+    );
+    const batteryInterval = setInterval(
+      () =>
+        poll(id => {
+          if (!health.current[id] || health.current[id].battery === null) {
+            return;
+          }
+          readBatteryLevel(blemanager.current, id)
+            .then(battery => updateHealth(id, {battery: battery}))
+            .catch(() => {});
+        }),
+      BATTERY_INTERVAL,
+    );
+
+    return () => {
+      clearInterval(rssiInterval);
+      clearInterval(batteryInterval);
+    };
+  }, [updateHealth]);
+
+  /*
+   * For components which only care about a single sensor (and for everything written before
+   * we supported more than one), 'sensor' refers to the first connected sensor.
+   */
+  const primary = sensors.find(s => s.state === READY);
 
   /*
    * This is the actual object we'll provide as the context to nested elements.
    */
   const context = {
-    sensor: sensor,
-    sensorData: sensorData,
+    sensor: primary ? primary.device : undefined,
+    sensors: sensors,
+    store: store,
+    processing: processing,
+    setProcessing: setProcessing,
+    recording: recording,
+    startRecording: startRecording,
+    pauseRecording: pauseRecording,
+    resumeRecording: resumeRecording,
+    stopRecording: stopRecording,
+    devices: devices,
+    scanning: scanning,
+    adapterState: adapterState,
+    permissions: permissions,
+    connectionState: overallState(scanning, sensors),
+    errors: errors,
+    rules: rules,
+    setRules: setRules,
+    insoleLayout: insoleLayout,
+    setInsoleLayout: setInsoleLayout,
+    participants: participants,
+    setParticipants: setParticipants,
+    trialTemplates: trialTemplates,
+    setTrialTemplates: setTrialTemplates,
+    trialSelection: trialSelection,
+    selectTrial: selectTrial,
+    calibrations: calibrations,
+    setCalibration: setCalibration,
+    captureRaw: captureRaw,
+    backgroundMode: backgroundMode,
+    setBackgroundMode: setBackgroundMode,
+    inBackground: inBackground,
+    events: events,
+    alerts: alerts,
+    dismissAlerts: dismissAlerts,
+    startScan: startScan,
+    stopScan: stopScan,
+    connect: connect,
+    retry: retry,
+    disconnect: disconnect,
+    forget: forget,
+    setSource: setSource,
+    gatt: gatt,
+    sendCommand: sendCommand,
   };
 
   /*
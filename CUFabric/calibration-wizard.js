@@ -0,0 +1,270 @@
+/**
+ * calibration-wizard.js
+ *
+ * React-component guiding the user through calibrating a sensor (see calibration.js): first a
+ * reading with nothing on the insole, then one for each known load they put on it, then a
+ * curve fitted through them -- which, once saved, the BLEProvider applies to every value the
+ * sensor sends.
+ */
+
+import React, {useContext, useState} from 'react';
+import {Button, StyleSheet, Text, View} from 'react-native';
+import {BLEContext} from './ble-context';
+import {READY} from './connection-state';
+import {fitCalibration, MAX_DEGREE, UNITS, VALUE} from './calibration';
+import {ParamInput} from './processing-settings';
+
+/*
+ * How long (in milliseconds) each capture averages the sensor's readings over.
+ */
+const CAPTURE_TIME = 1000;
+
+/*
+ * Describes a fit, e.g. 'heel: 0.520x - 12.1 (r² 0.998)'.
+ */
+const describeFit = (name, fit) => {
+  const terms = fit.coefficients
+    .map((c, power) =>
+      power === 0
+        ? c.toPrecision(3)
+        : c.toPrecision(3) + (power === 1 ? 'x' : 'x^' + power),
+    )
+    .reverse()
+    .join(' + ')
+    .replace(/\+ -/g, '- ');
+  return (
+    (name === VALUE ? '' : name + ': ') +
+    terms +
+    ' (r² ' +
+    fit.r2.toFixed(3) +
+    ')'
+  );
+};
+
+/**
+ * The wizard -- it must be nested inside the BLEProvider (see App.js).
+ *
+ * @returns {JSX.Element}
+ * @constructor
+ */
+export const CalibrationWizard = () => {
+  const {sensors, calibrations, setCalibration, captureRaw} =
+    useContext(BLEContext);
+
+  const ready = sensors.filter(s => s.state === READY);
+  const [selected, setSelected] = useState(undefined);
+  const sensor = ready.find(s => s.id === selected) || ready[0];
+
+  /*
+   * The calibration in progress: the unit and degree chosen, the points captured so far (the
+   * first being the zero-load baseline), and the fit once there is one.
+   */
+  const [unit, setUnit] = useState(UNITS[0]);
+  const [degree, setDegree] = useState(1);
+  const [load, setLoad] = useState(10);
+  const [points, setPoints] = useState(undefined);
+  const [fitted, setFitted] = useState(undefined);
+  const [capturing, setCapturing] = useState(false);
+  const [error, setError] = useState(undefined);
+
+  if (!ready.length) {
+    return (
+      <Text style={styles.empty}>Connect to a sensor to calibrate it.</Text>
+    );
+  }
+
+  const current = calibrations[sensor.id];
+
+  const reset = () => {
+    setPoints(undefined);
+    setFitted(undefined);
+    setError(undefined);
+  };
+
+  const capture = known => {
+    setCapturing(true);
+    setError(undefined);
+    captureRaw(sensor.id, CAPTURE_TIME)
+      .then(reading =>
+        setPoints(previous => [
+          ...(previous || []),
+          {load: known, value: reading.value, channels: reading.channels},
+        ]),
+      )
+      .catch(e => setError(e.message))
+      .finally(() => setCapturing(false));
+  };
+
+  const fit = () => {
+    try {
+      setFitted(fitCalibration(sensor.id, points, unit, degree));
+      setError(undefined);
+    } catch (e) {
+      setError(e.message);
+    }
+  };
+
+  return (
+    <View>
+      <View style={styles.row}>
+        {ready.map(s => (
+          <Button
+            key={s.id}
+            title={s.name}
+            color={s.id === sensor.id ? undefined : '#999'}
+            onPress={() => {
+              setSelected(s.id);
+              reset();
+            }}
+          />
+        ))}
+      </View>
+
+      <Text style={styles.text}>
+        {current
+          ? 'Calibrated in ' +
+            current.unit +
+            ' on ' +
+            new Date(current.time).toLocaleString()
+          : 'Not calibrated -- showing raw counts.'}
+      </Text>
+      {current &&
+        Object.keys(current.fits).map(name => (
+          <Text key={name} style={styles.detail}>
+            {describeFit(name, current.fits[name])}
+          </Text>
+        ))}
+      {current && !points && (
+        <Button
+          title="Remove calibration"
+          onPress={() => setCalibration(sensor.id, undefined)}
+        />
+      )}
+
+      {!points && (
+        <>
+          <View style={styles.row}>
+            <Text style={styles.label}>Unit</Text>
+            {UNITS.map(u => (
+              <Button
+                key={u}
+                title={u}
+                color={u === unit ? undefined : '#999'}
+                onPress={() => setUnit(u)}
+              />
+            ))}
+          </View>
+          <View style={styles.row}>
+            <Text style={styles.label}>Fit</Text>
+            {Array.from({length: MAX_DEGREE}, (_, i) => i + 1).map(d => (
+              <Button
+                key={d}
+                title={d === 1 ? 'Linear' : 'Degree ' + d}
+                color={d === degree ? undefined : '#999'}
+                onPress={() => setDegree(d)}
+              />
+            ))}
+          </View>
+          <Text style={styles.text}>
+            Take all the load off the insole, then capture the baseline.
+          </Text>
+          <Button
+            title={capturing ? 'Capturing...' : 'Capture baseline'}
+            disabled={capturing}
+            onPress={() => capture(0)}
+          />
+        </>
+      )}
+
+      {points && (
+        <>
+          {points.map((point, i) => (
+            <Text key={i} style={styles.detail}>
+              {point.load +
+                ' ' +
+                unit +
+                ' -> ' +
+                point.value.toFixed(1) +
+                ' raw'}
+            </Text>
+          ))}
+          {!fitted && (
+            <>
+              <Text style={styles.text}>
+                {'Put a known load on the insole, enter it, and capture -- ' +
+                  (degree + 1) +
+                  ' points are needed for this fit; more will make it better.'}
+              </Text>
+              <View style={styles.row}>
+                <ParamInput name={unit} value={load} onChange={setLoad} />
+                <Button
+                  title={capturing ? 'Capturing...' : 'Capture load'}
+                  disabled={capturing}
+                  onPress={() => capture(load)}
+                />
+              </View>
+              <View style={styles.row}>
+                <Button
+                  title="Fit"
+                  disabled={capturing || points.length < degree + 1}
+                  onPress={fit}
+                />
+                <Button title="Start over" onPress={reset} />
+              </View>
+            </>
+          )}
+          {fitted && (
+            <>
+              {Object.keys(fitted.fits).map(name => (
+                <Text key={name} style={styles.detail}>
+                  {describeFit(name, fitted.fits[name])}
+                </Text>
+              ))}
+              <View style={styles.row}>
+                <Button
+                  title="Save"
+                  onPress={() => {
+                    setCalibration(sensor.id, fitted);
+                    reset();
+                  }}
+                />
+                <Button title="Start over" onPress={reset} />
+              </View>
+            </>
+          )}
+        </>
+      )}
+      {error && <Text style={styles.error}>{error}</Text>}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  empty: {
+    fontSize: 14,
+    color: '#666',
+  },
+  row: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  label: {
+    fontSize: 14,
+    marginRight: 8,
+    minWidth: 48,
+  },
+  text: {
+    fontSize: 14,
+    marginBottom: 8,
+  },
+  detail: {
+    fontSize: 12,
+    color: '#666',
+  },
+  error: {
+    fontSize: 12,
+    color: '#b71c1c',
+  },
+});
@@ -0,0 +1,279 @@
+/**
+ * calibration.js
+ *
+ * Turning a sensor's raw counts into physical units. The calibration wizard (see
+ * calibration-wizard.js) captures the raw reading with no load on the insole, then with one or
+ * more known loads, and fits a curve (a straight line, or a polynomial) through those points
+ * for each channel. A force (N) is shared out between the channels, each taking the part of it
+ * that its rise over the baseline is of the whole; a pressure (kPa) is taken to be the same
+ * under every channel. The result is one calibration per sensor:
+ *
+ *   {deviceId, time, unit, degree, fits: {channelName: {coefficients, r2}}, points}
+ *
+ * where 'time' is when it was fitted, 'unit' is one of UNITS, 'coefficients' are the fitted
+ * polynomial's, lowest power first, 'r2' is how well it fits (1 is perfectly), and 'points'
+ * are the captures it was fitted to. A single-channel sensor's fit is under VALUE.
+ *
+ * The BLEProvider keeps the calibrations (see settings-store.js) and applies them to every
+ * sample as it arrives, so everything downstream -- the chart, the processing chain, the alert
+ * rules and recordings -- sees physical units. All pure functions.
+ */
+
+/*
+ * The units a sensor can be calibrated in.
+ */
+export const UNITS = ['N', 'kPa'];
+
+/*
+ * The highest degree of polynomial offered (1 is a straight line).
+ */
+export const MAX_DEGREE = 3;
+
+/*
+ * The name single-channel sensors' fits go under.
+ */
+export const VALUE = 'value';
+
+/**
+ * Evaluates a polynomial.
+ *
+ * @param coefficients the coefficients, lowest power first
+ * @param x where to evaluate it
+ * @returns {number}
+ */
+export const evaluate = (coefficients, x) =>
+  coefficients.reduceRight((total, c) => total * x + c, 0);
+
+/**
+ * Fits a polynomial through some points by least squares.
+ *
+ * @param xs the x values
+ * @param ys the y values
+ * @param degree the degree of the polynomial
+ * @returns {number[]} its coefficients, lowest power first
+ * @throws {Error} if there aren't enough distinct x values to fit that degree
+ */
+export const fitPolynomial = (xs, ys, degree) => {
+  const distinct = new Set(xs).size;
+  if (distinct < degree + 1) {
+    throw new Error(
+      'A degree ' +
+        degree +
+        ' fit needs ' +
+        (degree + 1) +
+        ' distinct readings, but there are only ' +
+        distinct,
+    );
+  }
+
+  // The normal equations, (X^T X) c = X^T y, as an augmented matrix.
+  const size = degree + 1;
+  const matrix = Array.from({length: size}, (_, row) => {
+    const equation = Array.from({length: size}, (__, column) =>
+      xs.reduce((sum, x) => sum + Math.pow(x, row + column), 0),
+    );
+    equation.push(xs.reduce((sum, x, i) => sum + ys[i] * Math.pow(x, row), 0));
+    return equation;
+  });
+
+  // Gaussian elimination, with partial pivoting ...
+  for (let column = 0; column < size; column++) {
+    let pivot = column;
+    for (let row = column + 1; row < size; row++) {
+      if (Math.abs(matrix[row][column]) > Math.abs(matrix[pivot][column])) {
+        pivot = row;
+      }
+    }
+    [matrix[column], matrix[pivot]] = [matrix[pivot], matrix[column]];
+
+    for (let row = column + 1; row < size; row++) {
+      const factor = matrix[row][column] / matrix[column][column];
+      for (let k = column; k <= size; k++) {
+        matrix[row][k] -= factor * matrix[column][k];
+      }
+    }
+  }
+
+  // ... and back substitution.
+  const coefficients = new Array(size).fill(0);
+  for (let row = size - 1; row >= 0; row--) {
+    let total = matrix[row][size];
+    for (let k = row + 1; k < size; k++) {
+      total -= matrix[row][k] * coefficients[k];
+    }
+    coefficients[row] = total / matrix[row][row];
+  }
+  return coefficients;
+};
+
+/**
+ * How well a fit matches the points it was fitted to -- the coefficient of determination.
+ *
+ * @param coefficients the fit
+ * @param xs the x values
+ * @param ys the y values
+ * @returns {number} 1 for a perfect fit, less for a worse one
+ */
+export const rSquared = (coefficients, xs, ys) => {
+  const mean = ys.reduce((sum, y) => sum + y, 0) / ys.length;
+  const total = ys.reduce((sum, y) => sum + (y - mean) * (y - mean), 0);
+  const residual = ys.reduce((sum, y, i) => {
+    const error = y - evaluate(coefficients, xs[i]);
+    return sum + error * error;
+  }, 0);
+  return total > 0 ? 1 - residual / total : 1;
+};
+
+/**
+ * Fits a calibration to the wizard's captures.
+ *
+ * @param deviceId the device id of the sensor
+ * @param points the captures, each of the form {load, value, channels} -- 'load' is the known
+ *   load (0 for the baseline), and 'value' and 'channels' the raw reading under it
+ * @param unit the unit the loads are in (see UNITS)
+ * @param degree the degree of polynomial to fit (1 for a straight line)
+ * @param time (optional) when it was fitted -- defaults to now
+ * @returns {Object} the calibration
+ * @throws {Error} if there aren't enough captures to fit that degree
+ */
+export const fitCalibration = (
+  deviceId,
+  points,
+  unit,
+  degree,
+  time = Date.now(),
+) => {
+  const loads = points.map(p => p.load);
+  const names = points.every(p => p.channels)
+    ? Object.keys(points[0].channels)
+    : [VALUE];
+
+  const raw = (point, name) =>
+    name === VALUE ? point.value : point.channels[name];
+
+  // What each channel's reading at each point is fitted to: the whole load, or -- for a force
+  // on a multi-channel sensor -- its share of it, so the channels add up to the load again.
+  let targets = () => loads;
+  if (names[0] !== VALUE && unit === 'N') {
+    const baseline = points.reduce((lowest, p) =>
+      p.load < lowest.load ? p : lowest,
+    );
+    const rises = points.map(p => {
+      const rise = {};
+      names.forEach(name => {
+        rise[name] = Math.max(0, raw(p, name) - raw(baseline, name));
+      });
+      return rise;
+    });
+    targets = name =>
+      points.map((p, i) => {
+        const total = names.reduce((sum, n) => sum + rises[i][n], 0);
+        return total > 0 ? (p.load * rises[i][name]) / total : 0;
+      });
+  }
+
+  const fits = {};
+  names.forEach(name => {
+    const raws = points.map(p => raw(p, name));
+    const ys = targets(name);
+    const coefficients = fitPolynomial(raws, ys, degree);
+    fits[name] = {
+      coefficients: coefficients,
+      r2: rSquared(coefficients, raws, ys),
+    };
+  });
+
+  return {
+    deviceId: deviceId,
+    time: time,
+    unit: unit,
+    degree: degree,
+    fits: fits,
+    points: points,
+  };
+};
+
+/**
+ * Applies a calibration to a raw reading. Multi-channel readings are calibrated channel by
+ * channel (any channel without a fit is left as it was). Their value is the total of the
+ * calibrated channels for a force, as it is for raw ones (see handleSensorValue in
+ * ble-context.js), and the mean of them for a pressure.
+ *
+ * @param calibration the calibration, or undefined for none
+ * @param value the raw value
+ * @param channels (optional) the raw channel values, {channelName: value}
+ * @returns {{value: number, channels: (Object|undefined)}} the calibrated reading
+ */
+export const applyCalibration = (calibration, value, channels) => {
+  if (!calibration) {
+    return {value, channels};
+  }
+
+  if (channels) {
+    const calibrated = {};
+    Object.keys(channels).forEach(name => {
+      const fit = calibration.fits[name];
+      calibrated[name] = fit
+        ? evaluate(fit.coefficients, channels[name])
+        : channels[name];
+    });
+    const values = Object.values(calibrated);
+    const total = values.reduce((sum, v) => sum + v, 0);
+    return {
+      value:
+        calibration.unit === 'kPa' && values.length
+          ? total / values.length
+          : total,
+      channels: calibrated,
+    };
+  }
+
+  const fit = calibration.fits[VALUE];
+  return {value: fit ? evaluate(fit.coefficients, value) : value, channels};
+};
+
+/**
+ * Averages raw readings -- the wizard captures a second or so of them for each point, to
+ * smooth out the noise.
+ *
+ * @param readings the readings, each of the form {value, channels}
+ * @returns {{value: number, channels: (Object|undefined), count: number}}
+ */
+export const averageReadings = readings => {
+  const mean = values => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+  let channels;
+  if (readings.every(r => r.channels)) {
+    channels = {};
+    Object.keys(readings[0].channels).forEach(name => {
+      channels[name] = mean(readings.map(r => r.channels[name]));
+    });
+  }
+  return {
+    value: mean(readings.map(r => r.value)),
+    channels: channels,
+    count: readings.length,
+  };
+};
+
+/**
+ * The unit a set of sensors' values are in, for labelling an axis: the calibrated unit if they
+ * share one, or 'raw' if none are calibrated.
+ *
+ * @param ids the device ids of the sensors
+ * @param calibrations the calibrations, keyed by device id
+ * @param rawUnits (optional) the unit each uncalibrated sensor's values are in, keyed by
+ *   device id, where it's known (see profileUnit in device-profiles.js) -- 'raw' otherwise
+ * @returns {string}
+ */
+export const unitLabel = (ids, calibrations, rawUnits = {}) => {
+  const units = [];
+  ids.forEach(id => {
+    const calibration = calibrations[id];
+    const unit = calibration ? calibration.unit : rawUnits[id] || 'raw';
+    if (!units.includes(unit)) {
+      units.push(unit);
+    }
+  });
+  return units.length ? units.join(' / ') : 'raw';
+};
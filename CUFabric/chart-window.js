@@ -0,0 +1,238 @@
+/**
+ * chart-window.js
+ *
+ * The arithmetic behind the chart (see chart.js): which slice of each sensor's history is on
+ * screen, the ranges and tick marks of its axes, zooming and panning, and the min/max/mean
+ * readout. All pure functions, so they can be tested without rendering anything.
+ *
+ * A 'line' here is an object of the form {times, data, ...}, where 'times' (in milliseconds,
+ * ascending) and 'data' are parallel lists -- as in the sensors' histories (see
+ * sample-store.js).
+ *
+ * The visible part of the x-axis (the 'domain') is worked out from the chart's window setting
+ * and a view of the form {zoom, offset}: the window is divided by 'zoom' (1 shows the whole
+ * window), and the domain ends 'offset' milliseconds before the newest sample.
+ */
+
+/*
+ * The window settings offered: the last N samples, or the last N seconds.
+ */
+export const WINDOW_SIZES = {
+  count: [25, 100, 250, 500],
+  seconds: [5, 10, 30],
+};
+
+export const DEFAULT_WINDOW = {mode: 'seconds', size: 10};
+export const DEFAULT_Y_RANGE = {mode: 'auto', min: 0, max: 255};
+export const DEFAULT_VIEW = {zoom: 1, offset: 0};
+
+/*
+ * How far in the chart can be zoomed.
+ */
+export const MAX_ZOOM = 20;
+
+/*
+ * Returns the number of entries in the (sorted) list 'times' which are < 'time' (or <= 'time',
+ * if 'inclusive').
+ */
+const countBelow = (times, time, inclusive) => {
+  let low = 0;
+  let high = times.length;
+  while (low < high) {
+    const middle = Math.floor((low + high) / 2);
+    if (times[middle] < time || (inclusive && times[middle] === time)) {
+      low = middle + 1;
+    } else {
+      high = middle;
+    }
+  }
+  return low;
+};
+
+/**
+ * The time of the newest sample in any of the lines.
+ *
+ * @param lines the lines
+ * @returns {number|undefined} undefined if there are no samples at all
+ */
+export const latestTime = lines => {
+  const latest = lines
+    .filter(line => line.times.length)
+    .map(line => line.times[line.times.length - 1]);
+  return latest.length ? Math.max(...latest) : undefined;
+};
+
+/**
+ * The time span (in milliseconds) the window setting covers. For a count of samples, that's
+ * the span of the last 'size' samples of whichever line covers the most time.
+ *
+ * @param lines the lines
+ * @param window {mode, size} -- 'mode' is 'count' or 'seconds'
+ * @returns {number}
+ */
+export const windowSpan = (lines, window) => {
+  if (window.mode === 'seconds') {
+    return window.size * 1000;
+  }
+
+  let span = 0;
+  lines.forEach(line => {
+    const n = line.times.length;
+    if (n > 1) {
+      span = Math.max(
+        span,
+        line.times[n - 1] - line.times[Math.max(0, n - window.size)],
+      );
+    }
+  });
+  return span || 1000;
+};
+
+/**
+ * The visible part of the x-axis.
+ *
+ * @param span the window span (see windowSpan)
+ * @param view {zoom, offset}
+ * @param end the time of the newest sample (or when the chart was frozen)
+ * @returns {number[]} [start, end] in milliseconds
+ */
+export const timeDomain = (span, view, end) => {
+  const right = end - view.offset;
+  return [right - span / view.zoom, right];
+};
+
+/**
+ * The part of a line inside the domain. With 'neighbours', the samples either side of it are
+ * included too, so the line can be drawn right to the edges of the chart.
+ *
+ * @param line the line
+ * @param domain [start, end]
+ * @param neighbours (optional) include the samples just outside the domain
+ * @returns {Object} the line, with its times and data sliced
+ */
+export const clip = (line, domain, neighbours = false) => {
+  let from = countBelow(line.times, domain[0], false);
+  let to = countBelow(line.times, domain[1], true);
+  if (neighbours) {
+    from = Math.max(0, from - 1);
+    to = Math.min(line.times.length, to + 1);
+  }
+  return {
+    ...line,
+    times: line.times.slice(from, to),
+    data: line.data.slice(from, to),
+  };
+};
+
+/**
+ * The min, max and mean of some values.
+ *
+ * @param values the values
+ * @returns {{min, max, mean, count}|undefined} undefined if there are no values
+ */
+export const summarise = values => {
+  if (!values.length) {
+    return undefined;
+  }
+  return {
+    min: Math.min(...values),
+    max: Math.max(...values),
+    mean: values.reduce((sum, v) => sum + v, 0) / values.length,
+    count: values.length,
+  };
+};
+
+/**
+ * The range of the y-axis: either the fixed one from the settings, or (in 'auto' mode) one
+ * fitted to the lines' values with a little room above and below.
+ *
+ * @param lines the (clipped) lines
+ * @param yRange {mode, min, max} -- 'mode' is 'auto' or 'fixed'
+ * @returns {number[]} [min, max]
+ */
+export const valueRange = (lines, yRange) => {
+  if (yRange.mode === 'fixed') {
+    const low = Math.min(yRange.min, yRange.max);
+    const high = Math.max(yRange.min, yRange.max);
+    return low === high ? [low - 1, high + 1] : [low, high];
+  }
+
+  const values = [];
+  lines.forEach(line =>
+    line.data.forEach(v => Number.isFinite(v) && values.push(v)),
+  );
+  if (!values.length) {
+    return [0, 1];
+  }
+
+  const low = Math.min(...values);
+  const high = Math.max(...values);
+  if (low === high) {
+    return [low - 1, high + 1];
+  }
+  const padding = (high - low) * 0.05;
+  return [low - padding, high + padding];
+};
+
+/*
+ * A 'nice' step (1, 2 or 5 times a power of ten) of about the given size.
+ */
+const niceStep = raw => {
+  const magnitude = Math.pow(10, Math.floor(Math.log10(raw)));
+  const residual = raw / magnitude;
+  const nice =
+    residual < 1.5 ? 1 : residual < 3.5 ? 2 : residual < 7.5 ? 5 : 10;
+  return nice * magnitude;
+};
+
+/**
+ * Tick marks for an axis: round numbers between 'min' and 'max', about 'count' of them.
+ *
+ * @param min the low end of the axis
+ * @param max the high end of the axis
+ * @param count (optional) roughly how many ticks
+ * @returns {number[]}
+ */
+export const ticks = (min, max, count = 5) => {
+  if (!(max > min)) {
+    return [min];
+  }
+
+  const step = niceStep((max - min) / count);
+  const result = [];
+  for (let tick = Math.ceil(min / step) * step; tick <= max; tick += step) {
+    // Rounding keeps 0.30000000000000004 out of the labels.
+    result.push(Number(tick.toPrecision(12)));
+  }
+  return result;
+};
+
+/**
+ * Zooms the view in (factor > 1) or out (factor < 1), keeping the middle of the domain where
+ * it is.
+ *
+ * @param view {zoom, offset}
+ * @param factor how much to zoom by
+ * @param span the window span (see windowSpan)
+ * @returns {{zoom, offset}}
+ */
+export const zoomView = (view, factor, span) => {
+  const zoom = Math.max(1, Math.min(MAX_ZOOM, view.zoom * factor));
+  const before = span / view.zoom;
+  const after = span / zoom;
+  return {zoom: zoom, offset: Math.max(0, view.offset + (before - after) / 2)};
+};
+
+/**
+ * Pans the view back in time (ms > 0) or forward (ms < 0) -- but never past the newest sample,
+ * nor more than 'limit' milliseconds back.
+ *
+ * @param view {zoom, offset}
+ * @param ms how far to pan
+ * @param limit (optional) the largest offset allowed
+ * @returns {{zoom, offset}}
+ */
+export const panView = (view, ms, limit = Infinity) => ({
+  ...view,
+  offset: Math.max(0, Math.min(limit, view.offset + ms)),
+});
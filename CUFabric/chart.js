@@ -1,21 +1,25 @@
-import React, {
-  useCallback,
-  useContext,
-  useEffect,
-  useRef,
-  useState,
-} from 'react';
-import {BLEContext, EventEmitter} from './ble-context';
+import React, {useContext, useState} from 'react';
+import {BLEContext} from './ble-context';
+import {Button, Dimensions, StyleSheet, Text, View} from 'react-native';
 import {
-  Dimensions,
-  PermissionsAndroid,
-  SafeAreaView,
-  ScrollView,
-  StatusBar,
-  useColorScheme,
-  View,
-} from 'react-native';
-import {LineChart} from 'react-native-chart-kit';
+  clip,
+  DEFAULT_VIEW,
+  DEFAULT_WINDOW,
+  DEFAULT_Y_RANGE,
+  latestTime,
+  panView,
+  summarise,
+  timeDomain,
+  valueRange,
+  WINDOW_SIZES,
+  windowSpan,
+  zoomView,
+} from './chart-window';
+import {Plot} from './plot';
+import {unitLabel} from './calibration';
+import {profileUnit} from './device-profiles';
+import {ParamInput} from './processing-settings';
+import {useAllSeries, withSeries} from './sensor-series';
 
 /**
  * React-component to wrap the line graph ... this was in App.js before, but
@@ -24,57 +28,305 @@ import {LineChart} from 'react-native-chart-kit';
  * child of the context -- so I moved the linegraph into it's own component which IS nested
  * inside of it (see App.js).
  *
+ * What's shown is configurable (see ChartSettings below): the window (the last so many
+ * samples, or seconds), the y-axis range, and the zoom and pan (by pinching and dragging the
+ * chart itself). The chart can also be frozen, to look at something more closely -- the
+ * sensors carry on streaming, and recording, underneath. It redraws whenever the sample store
+ * publishes (see sample-store.js), rather than for every sample.
+ *
+ * Events detected by the alert rules (see alerts.js) are marked on the chart, in the colour of
+ * the sensor they came from. The y-axis is labelled with the units the values are in -- raw
+ * counts, unless the sensors have been calibrated (see calibration.js).
+ *
  * @returns {JSX.Element}
  * @constructor
  */
 export const Chart = () => {
-  const {sensor, sensorData} = useContext(BLEContext);
+  const {
+    sensors: list,
+    processing,
+    recording,
+    events,
+    calibrations,
+  } = useContext(BLEContext);
+  const sensors = withSeries(list, useAllSeries());
 
-  useEffect(() => {
-    PermissionsAndroid.request(
-      PermissionsAndroid.PERMISSIONS.ACCESS_FINE_LOCATION,
-    );
+  const [windowSetting, setWindowSetting] = useState(DEFAULT_WINDOW);
+  const [yRange, setYRange] = useState(DEFAULT_Y_RANGE);
+  const [view, setView] = useState(DEFAULT_VIEW);
+  const [width, setWidth] = useState(Dimensions.get('window').width * 0.9);
 
-    return () => {};
-  }, []);
+  /*
+   * While frozen, this holds the sensors as they were when the chart was frozen, and the time
+   * of the newest sample then.
+   */
+  const [frozen, setFrozen] = useState(undefined);
+  const shown = frozen ? frozen.sensors : sensors;
 
-  return (
-    <LineChart
-      data={{
-        // labels: ["January", "February", "March", "April", "May", "June"],
-        datasets: [
-          {
-            data: sensorData,
-            color: (opacity = 1) => `rgba(134, 65, 244, ${opacity})`,
-          },
-        ],
-      }}
-      width={Dimensions.get('window').width * 0.95} // from react-native
-      height={Dimensions.get('window').height * 0.75}
-      // yAxisLabel="$"
-      // yAxisSuffix="k"
-      yAxisInterval={1} // optional, defaults to 1
-      chartConfig={{
-        backgroundColor: '#e26a00',
-        backgroundGradientFrom: '#fb8c00',
-        backgroundGradientTo: '#ffa726',
-        decimalPlaces: 2, // optional, defaults to 2dp
-        color: (opacity = 1) => `rgba(255, 255, 255, ${opacity})`,
-        labelColor: (opacity = 1) => `rgba(255, 255, 255, ${opacity})`,
-        style: {
-          borderRadius: 16,
-        },
-        propsForDots: {
-          r: '6',
-          strokeWidth: '2',
-          stroke: '#ffa726',
-        },
-      }}
-      //bezier
-      style={{
-        marginVertical: 8,
-        borderRadius: 16,
-      }}
+  // One line per connected sensor, drawn in the colour the BLEProvider gave it. When the
+  // processing chain has any stages, the raw values are drawn faded out behind the filtered
+  // ones so the two can be compared.
+  const connected = shown.filter(s => s.state === 'ready' && s.data.length);
+  const filtering = processing.stages.length > 0;
+  const lines = [];
+  const main = [];
+  connected.forEach(s => {
+    const raw = {
+      times: s.times,
+      data: s.data,
+      name: filtering ? s.name + ' (raw)' : s.name,
+      color: (opacity = 1) =>
+        `rgba(${s.colour}, ${filtering ? opacity * 0.35 : opacity})`,
+    };
+    lines.push(raw);
+    if (filtering) {
+      const filtered = {
+        times: s.times,
+        data: s.filtered,
+        name: s.name,
+        color: (opacity = 1) => `rgba(${s.colour}, ${opacity})`,
+      };
+      lines.push(filtered);
+      main.push(filtered);
+    } else {
+      main.push(raw);
+    }
+  });
+
+  // Derived series (e.g., rate of change) aren't in the same units as the values, so they get
+  // a chart of their own.
+  const derivedLines = [];
+  processing.derived.forEach(series => {
+    connected.forEach(s => {
+      if (s.derived[series.type] && s.derived[series.type].length) {
+        derivedLines.push({
+          times: s.times.slice(-s.derived[series.type].length),
+          data: s.derived[series.type],
+          name: s.name + ' ' + series.type,
+          color: (opacity = 1) => `rgba(${s.colour}, ${opacity})`,
+        });
+      }
+    });
+  });
+
+  const newest = frozen ? frozen.at : latestTime(lines);
+  const end = newest === undefined ? 0 : newest;
+  const span = windowSpan(lines, windowSetting);
+  const domain = timeDomain(span, view, end);
+
+  // Panning stops at the oldest sample we still have.
+  const oldest = Math.min(
+    end,
+    ...lines.filter(l => l.times.length).map(l => l.times[0]),
+  );
+  const limit = Math.max(0, end - oldest - span / view.zoom);
+
+  const markers = events
+    .map(event => ({
+      event,
+      sensor: connected.find(s => s.id === event.sensorId),
+    }))
+    .filter(({sensor}) => sensor)
+    .map(({event, sensor}) => ({
+      time: event.time,
+      label: event.label,
+      colour: `rgb(${sensor.colour})`,
+    }));
+
+  const unit = unitLabel(
+    connected.map(s => s.id),
+    calibrations,
+    // (Replayed sensors have no profile.)
+    Object.fromEntries(
+      connected.filter(s => s.profile).map(s => [s.id, profileUnit(s.profile)]),
+    ),
+  );
+
+  const plot = (plotLines, range, height, plotMarkers, plotUnit) => (
+    <Plot
+      lines={plotLines.map(line => clip(line, domain, true))}
+      domain={domain}
+      range={valueRange(
+        plotLines.map(line => clip(line, domain)),
+        range,
+      )}
+      origin={end}
+      markers={plotMarkers}
+      unit={plotUnit}
+      width={width}
+      height={height}
+      onZoom={factor => setView(v => zoomView(v, factor, span))}
+      onPan={ms => setView(v => panView(v, ms, limit))}
     />
   );
+
+  return (
+    <View onLayout={event => setWidth(event.nativeEvent.layout.width)}>
+      <ChartSettings
+        windowSetting={windowSetting}
+        onWindowChange={setting => {
+          setWindowSetting(setting);
+          setView(DEFAULT_VIEW);
+        }}
+        yRange={yRange}
+        onYRangeChange={setYRange}
+        zoomed={view.zoom !== 1 || view.offset !== 0}
+        onResetView={() => setView(DEFAULT_VIEW)}
+        frozen={frozen !== undefined}
+        onFreeze={() => setFrozen({sensors: sensors, at: end})}
+        onUnfreeze={() => {
+          setFrozen(undefined);
+          setView(DEFAULT_VIEW);
+        }}
+      />
+      {frozen && (
+        <Text style={styles.frozen}>
+          {recording.status === 'recording'
+            ? 'Frozen -- still recording'
+            : 'Frozen'}
+        </Text>
+      )}
+      {plot(
+        lines,
+        yRange,
+        Dimensions.get('window').height * 0.5,
+        markers,
+        unit,
+      )}
+      <Readout lines={main.map(line => clip(line, domain))} />
+      {derivedLines.length > 0 &&
+        plot(
+          derivedLines,
+          DEFAULT_Y_RANGE,
+          Dimensions.get('window').height * 0.3,
+        )}
+    </View>
+  );
 };
+
+/**
+ * The min, max and mean of each line over the visible part of the chart.
+ *
+ * @returns {JSX.Element}
+ * @constructor
+ */
+const Readout = ({lines}) => (
+  <View style={styles.readout}>
+    {lines.map((line, i) => {
+      const stats = summarise(line.data);
+      return (
+        <Text
+          key={line.name + i}
+          style={[styles.readoutText, {color: line.color(1)}]}>
+          {line.name +
+            ': ' +
+            (stats
+              ? 'min ' +
+                stats.min.toFixed(1) +
+                ', max ' +
+                stats.max.toFixed(1) +
+                ', mean ' +
+                stats.mean.toFixed(1)
+              : 'no samples in view')}
+        </Text>
+      );
+    })}
+  </View>
+);
+
+/**
+ * The chart's toolbar: the window and y-axis settings, freezing, and resetting the zoom.
+ *
+ * @returns {JSX.Element}
+ * @constructor
+ */
+const ChartSettings = ({
+  windowSetting,
+  onWindowChange,
+  yRange,
+  onYRangeChange,
+  zoomed,
+  onResetView,
+  frozen,
+  onFreeze,
+  onUnfreeze,
+}) => (
+  <View>
+    <View style={styles.toolbar}>
+      <Text style={styles.label}>Window</Text>
+      {Object.keys(WINDOW_SIZES).map(mode =>
+        WINDOW_SIZES[mode].map(size => (
+          <Button
+            key={mode + size}
+            title={size + (mode === 'seconds' ? 's' : '')}
+            color={
+              windowSetting.mode === mode && windowSetting.size === size
+                ? undefined
+                : '#999'
+            }
+            onPress={() => onWindowChange({mode, size})}
+          />
+        )),
+      )}
+    </View>
+    <View style={styles.toolbar}>
+      <Text style={styles.label}>Y axis</Text>
+      <Button
+        title="Auto"
+        color={yRange.mode === 'auto' ? undefined : '#999'}
+        onPress={() => onYRangeChange({...yRange, mode: 'auto'})}
+      />
+      <Button
+        title="Fixed"
+        color={yRange.mode === 'fixed' ? undefined : '#999'}
+        onPress={() => onYRangeChange({...yRange, mode: 'fixed'})}
+      />
+      {yRange.mode === 'fixed' && (
+        <>
+          <ParamInput
+            name="min"
+            value={yRange.min}
+            onChange={min => onYRangeChange({...yRange, min})}
+          />
+          <ParamInput
+            name="max"
+            value={yRange.max}
+            onChange={max => onYRangeChange({...yRange, max})}
+          />
+        </>
+      )}
+    </View>
+    <View style={styles.toolbar}>
+      {frozen ? (
+        <Button title="Live" onPress={onUnfreeze} />
+      ) : (
+        <Button title="Freeze" onPress={onFreeze} />
+      )}
+      {zoomed && <Button title="Reset zoom" onPress={onResetView} />}
+    </View>
+  </View>
+);
+
+const styles = StyleSheet.create({
+  toolbar: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    alignItems: 'center',
+    marginBottom: 4,
+  },
+  label: {
+    fontSize: 14,
+    marginRight: 8,
+    minWidth: 56,
+  },
+  frozen: {
+    fontSize: 14,
+    color: '#1565c0',
+  },
+  readout: {
+    marginVertical: 4,
+  },
+  readoutText: {
+    fontSize: 12,
+  },
+});
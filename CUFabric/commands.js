@@ -0,0 +1,232 @@
+/**
+ * commands.js
+ *
+ * The commands the Clarkson insole's firmware accepts, and how they go over the air. Each command
+ * is written (with response) to the command characteristic as
+ *
+ *   [opcode, sequence, ...arguments]
+ *
+ * and the insole answers with a notification on the acknowledgement characteristic:
+ *
+ *   [opcode, sequence, status]
+ *
+ * where 'sequence' is echoed back so we can tell which command is being acknowledged, and
+ * 'status' is one of ACK_STATUS below. Multi-byte arguments are little-endian, like everything
+ * else on the wire (see decoders.js).
+ *
+ * encodeCommand and parseAck are pure functions; sendCommand does the round trip through a
+ * transport (a BleManager, or see simulator.js). The BLEProvider wraps it up as its own
+ * sendCommand (see ble-context.js).
+ */
+
+import {Buffer} from 'buffer';
+
+/*
+ * The insole's service, and the characteristics commands are written to and acknowledged on.
+ */
+export const COMMAND_SERVICE = '88189766-42ED-4E52-8E9F-47C7DECD82A9';
+export const COMMAND_CHARACTERISTIC = 'F8898AF7-786E-4058-B910-4244CECD3008';
+export const ACK_CHARACTERISTIC = 'F8898AF8-786E-4058-B910-4244CECD3008';
+
+/*
+ * How long (in milliseconds) we wait for a command to be acknowledged.
+ */
+export const ACK_TIMEOUT = 2000;
+
+/*
+ * The longest name the insole will advertise, in bytes (UTF-8).
+ */
+export const MAX_NAME_LENGTH = 20;
+
+/*
+ * The commands, by name: each has its opcode, a label for the settings screen, and -- for those
+ * which take one -- 'encode', which turns the argument into bytes (throwing if it's no good).
+ */
+export const COMMANDS = {
+  setSampleRate: {
+    opcode: 0x01,
+    label: 'Set sample rate',
+    encode: rate => {
+      if (!Number.isInteger(rate) || rate < 1 || rate > 1000) {
+        throw new RangeError(
+          'Sample rate must be a whole number of Hz from 1 to 1000: ' + rate,
+        );
+      }
+      const bytes = Buffer.alloc(2);
+      bytes.writeUInt16LE(rate, 0);
+      return bytes;
+    },
+  },
+  tare: {
+    opcode: 0x02,
+    label: 'Tare',
+  },
+  startStreaming: {
+    opcode: 0x03,
+    label: 'Start streaming',
+  },
+  stopStreaming: {
+    opcode: 0x04,
+    label: 'Stop streaming',
+  },
+  setName: {
+    opcode: 0x05,
+    label: 'Set name',
+    encode: name => {
+      const bytes = Buffer.from(String(name || ''), 'utf8');
+      if (!bytes.length || bytes.length > MAX_NAME_LENGTH) {
+        throw new RangeError(
+          'Name must be 1 to ' + MAX_NAME_LENGTH + ' bytes long: ' + name,
+        );
+      }
+      return bytes;
+    },
+  },
+};
+
+/*
+ * What the status byte of an acknowledgement means.
+ */
+export const ACK_STATUS = {
+  0x00: 'ok',
+  0x01: 'unknown command',
+  0x02: 'invalid argument',
+  0x03: 'busy',
+};
+
+/**
+ * Encodes a command for writing to the command characteristic.
+ *
+ * @param name the command's name (see COMMANDS)
+ * @param argument the command's argument, for those which take one
+ * @param sequence the sequence number (0-255) the acknowledgement will echo
+ * @returns {Buffer}
+ * @throws {Error} for an unknown command, or a RangeError for a bad argument
+ */
+export const encodeCommand = (name, argument, sequence) => {
+  const command = COMMANDS[name];
+  if (!command) {
+    throw new Error('Unknown command: ' + name);
+  }
+  const payload = command.encode ? command.encode(argument) : Buffer.alloc(0);
+  return Buffer.concat([
+    Buffer.from([command.opcode, sequence % 256]),
+    payload,
+  ]);
+};
+
+/**
+ * Parses an acknowledgement.
+ *
+ * @param bytes the acknowledgement characteristic's value (a Buffer or any other Uint8Array)
+ * @returns {{opcode: number, sequence: number, status: number, ok: boolean, message: string}}
+ * @throws {RangeError} if it's too short to be one
+ */
+export const parseAck = bytes => {
+  if (bytes.length < 3) {
+    throw new RangeError(
+      'Acknowledgement of ' + bytes.length + ' bytes is too short',
+    );
+  }
+  const status = bytes[2];
+  return {
+    opcode: bytes[0],
+    sequence: bytes[1],
+    status: status,
+    ok: status === 0,
+    message: ACK_STATUS[status] || 'status ' + status,
+  };
+};
+
+/**
+ * Sends a command to a device, and waits for it to be acknowledged.
+ *
+ * @param transport the transport (a BleManager, or a SimulatedTransport)
+ * @param id the device id
+ * @param name the command's name (see COMMANDS)
+ * @param argument the command's argument, for those which take one
+ * @param sequence the sequence number to send it with
+ * @param timeout (optional) how long to wait for the acknowledgement, in milliseconds
+ * @returns {Promise<Object>} resolves to the acknowledgement (see parseAck), or rejects if the
+ *   write fails, the device says no, or it doesn't answer in time
+ */
+export const sendCommand = (
+  transport,
+  id,
+  name,
+  argument,
+  sequence,
+  timeout = ACK_TIMEOUT,
+) =>
+  new Promise((resolve, reject) => {
+    const bytes = encodeCommand(name, argument, sequence);
+    const opcode = bytes[0];
+
+    let subscription;
+    let timer;
+    const finish = (error, ack) => {
+      clearTimeout(timer);
+      if (subscription) {
+        subscription.remove();
+        subscription = undefined;
+      }
+      if (error) {
+        reject(error);
+      } else {
+        resolve(ack);
+      }
+    };
+
+    // Listen for the acknowledgement before writing, so we can't miss it.
+    subscription = transport.monitorCharacteristicForDevice(
+      id,
+      COMMAND_SERVICE,
+      ACK_CHARACTERISTIC,
+      (error, characteristic) => {
+        if (error) {
+          finish(error);
+          return;
+        }
+        if (!characteristic || !characteristic.value) {
+          return;
+        }
+
+        let ack;
+        try {
+          ack = parseAck(Buffer.from(characteristic.value, 'base64'));
+        } catch (e) {
+          return;
+        }
+        if (ack.opcode !== opcode || ack.sequence !== sequence % 256) {
+          return;
+        }
+        finish(
+          ack.ok
+            ? undefined
+            : new Error(COMMANDS[name].label + ' failed: ' + ack.message),
+          ack,
+        );
+      },
+    );
+    timer = setTimeout(
+      () =>
+        finish(
+          new Error(
+            COMMANDS[name].label +
+              ' was not acknowledged within ' +
+              timeout +
+              'ms',
+          ),
+        ),
+      timeout,
+    );
+
+    transport
+      .writeCharacteristicWithResponseForDevice(
+        id,
+        COMMAND_SERVICE,
+        COMMAND_CHARACTERISTIC,
+        bytes.toString('base64'),
+      )
+      .catch(finish);
+  });
@@ -0,0 +1,11 @@
+/**
+ * config.js
+ *
+ * Development switches -- flip these locally, but don't commit them flipped.
+ */
+
+/*
+ * When true, the app talks to the simulated sensors in simulator.js instead of the Bluetooth
+ * radio -- handy on an emulator, or with no insole to hand.
+ */
+export const USE_SIMULATOR = false;
@@ -0,0 +1,123 @@
+/**
+ * connection-state.js
+ *
+ * The connection state machine the BLEProvider runs for each sensor, and the pure helpers it
+ * uses: the backoff between reconnection attempts, and the history of errors it keeps.
+ *
+ * Each sensor moves through these states:
+ *
+ *   connecting -> discovering -> ready
+ *
+ * and if the connection fails, or drops once it's ready, it goes to 'reconnecting' and waits
+ * (see backoff) before going back to 'connecting'. After MAX_RETRIES failed attempts in a row
+ * it gives up and goes to 'failed', where it stays until the user retries or removes it.
+ *
+ * On top of that, the provider as a whole publishes a single 'connectionState' (see
+ * overallState) -- which adds 'idle' and 'scanning' for when there are no sensors.
+ */
+
+import {BleError, BleErrorCode} from 'react-native-ble-plx';
+
+export const IDLE = 'idle';
+export const SCANNING = 'scanning';
+export const CONNECTING = 'connecting';
+export const DISCOVERING = 'discovering';
+export const READY = 'ready';
+export const RECONNECTING = 'reconnecting';
+export const FAILED = 'failed';
+
+/*
+ * How many times in a row we try to (re)connect to a sensor before giving up, and the delays
+ * (in milliseconds) between attempts -- BASE_DELAY before the first retry, doubling every
+ * attempt up to MAX_DELAY.
+ */
+export const MAX_RETRIES = 5;
+export const BASE_DELAY = 1000;
+export const MAX_DELAY = 30000;
+
+/*
+ * The number of errors kept in the history published by the BLEProvider.
+ */
+export const ERROR_HISTORY = 20;
+
+/**
+ * The delay before reconnection attempt number 'attempt' (counting from 0). It's exponential
+ * in 'attempt', with 'equal jitter': a random delay between half and all of the exponential
+ * one -- so two insoles which drop at the same moment don't retry in lock step.
+ *
+ * @param attempt the number of attempts made so far
+ * @param random (optional) a function returning a random number in [0, 1)
+ * @param base (optional) the delay to start from, if not BASE_DELAY
+ * @param max (optional) the longest delay, if not MAX_DELAY
+ * @returns {number} the delay in milliseconds
+ */
+export const backoff = (
+  attempt,
+  random = Math.random,
+  base = BASE_DELAY,
+  max = MAX_DELAY,
+) => {
+  const delay = Math.min(max, base * Math.pow(2, attempt));
+  return Math.round(delay / 2 + (delay / 2) * random());
+};
+
+/*
+ * The BleErrorCode names, keyed by code, so the history can say 'DeviceDisconnected' rather
+ * than 201.
+ */
+const CODE_NAMES = {};
+Object.keys(BleErrorCode).forEach(name => {
+  CODE_NAMES[BleErrorCode[name]] = name;
+});
+
+/**
+ * Describes an error for the history.
+ *
+ * @param error the error -- a BleError, or anything else that was thrown
+ * @param sensor the {id, name} of the sensor involved, if any
+ * @param operation what we were doing when it happened (e.g., 'connect')
+ * @returns {{time, sensorId, sensorName, operation, code, codeName, message}}
+ */
+export const describeError = (error, sensor, operation) => {
+  const ble = error instanceof BleError;
+  return {
+    time: Date.now(),
+    sensorId: sensor ? sensor.id : undefined,
+    sensorName: sensor ? sensor.name : undefined,
+    operation: operation,
+    code: ble ? error.errorCode : undefined,
+    codeName: ble ? CODE_NAMES[error.errorCode] : undefined,
+    message: ble
+      ? error.reason || error.message
+      : String((error && error.message) || error),
+  };
+};
+
+/**
+ * Adds an entry to an error history, newest first, keeping only ERROR_HISTORY entries.
+ *
+ * @param history the history so far
+ * @param entry the entry to add (see describeError)
+ * @returns {Object[]} the new history
+ */
+export const pushError = (history, entry) =>
+  [entry, ...history].slice(0, ERROR_HISTORY);
+
+/**
+ * Works out the provider's overall connection state from its sensors: the 'busiest' state any
+ * sensor is in (so one sensor reconnecting shows even if the other is fine), or 'scanning' or
+ * 'idle' when there are no sensors.
+ *
+ * @param scanning whether a scan is running
+ * @param sensors the BLEProvider's sensors
+ * @returns {string}
+ */
+export const overallState = (scanning, sensors) => {
+  const states = sensors.map(s => s.state);
+  const order = [RECONNECTING, CONNECTING, DISCOVERING, READY, FAILED];
+  const busiest = order.find(state => states.includes(state));
+  if (busiest) {
+    return busiest;
+  }
+  return scanning ? SCANNING : IDLE;
+};
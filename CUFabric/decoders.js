@@ -0,0 +1,160 @@
+/**
+ * decoders.js
+ *
+ * Characteristic payload decoders, and the registry the BLEProvider uses to look up the right
+ * one for a given service/characteristic.
+ *
+ * A decoder is a pure function which takes the raw bytes of a characteristic value (a Buffer or
+ * any other Uint8Array) and returns either a single number, or -- for firmware which packs
+ * several channels into one payload -- an object mapping channel names to numbers. For example:
+ *
+ *   registerDecoder(SERVICE, CHARACTERISTIC, scalar('uint16'));
+ *   registerDecoder(SERVICE, CHARACTERISTIC, struct([
+ *     {name: 'heel', type: 'uint16'},
+ *     {name: 'toe', type: 'uint16'},
+ *   ]));
+ *
+ * BLE is little-endian on the wire, so unless told otherwise, that's what the decoders assume.
+ */
+
+/*
+ * The scalar types we know how to decode: their size in bytes, and the DataView method which
+ * reads them.
+ */
+export const TYPES = {
+  int8: {size: 1, read: 'getInt8'},
+  uint8: {size: 1, read: 'getUint8'},
+  int16: {size: 2, read: 'getInt16'},
+  uint16: {size: 2, read: 'getUint16'},
+  int32: {size: 4, read: 'getInt32'},
+  uint32: {size: 4, read: 'getUint32'},
+  float32: {size: 4, read: 'getFloat32'},
+};
+
+/*
+ * Wraps the given bytes in a DataView without copying them. Buffer (from the 'buffer' package)
+ * is a Uint8Array, so this works for both.
+ */
+const view = bytes =>
+  new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+/*
+ * Reads a single value of the given type from 'data' at 'offset', with a more helpful message
+ * than DataView's RangeError when the payload is too short.
+ */
+const read = (data, type, offset, littleEndian) => {
+  const info = TYPES[type];
+  if (!info) {
+    throw new Error('Unknown decoder type: ' + type);
+  }
+  if (offset + info.size > data.byteLength) {
+    throw new RangeError(
+      'Payload of ' +
+        data.byteLength +
+        ' bytes is too short to read ' +
+        type +
+        ' at offset ' +
+        offset,
+    );
+  }
+
+  return data[info.read](offset, littleEndian);
+};
+
+/**
+ * Creates a decoder for a single value of the given type at the start of the payload.
+ *
+ * @param type one of the keys of TYPES (e.g., 'int16')
+ * @param littleEndian false if the value is big-endian
+ * @returns {function(Uint8Array): number}
+ */
+export const scalar = (type, littleEndian = true) => {
+  if (!TYPES[type]) {
+    throw new Error('Unknown decoder type: ' + type);
+  }
+
+  return bytes => read(view(bytes), type, 0, littleEndian);
+};
+
+/**
+ * Creates a decoder for a payload made up of several fields, one per channel. Each field is an
+ * object of the form {name, type, offset, littleEndian}:
+ *
+ *  - 'type' is one of the keys of TYPES
+ *  - 'offset' is optional -- by default each field starts where the previous one ended
+ *  - 'littleEndian' is optional -- by default it's the value passed to struct
+ *  - a field with no 'name' is padding: it's skipped, and left out of the result
+ *
+ * @param fields the layout of the payload, in order
+ * @param littleEndian the default byte order of the fields
+ * @returns {function(Uint8Array): Object<string, number>}
+ */
+export const struct = (fields, littleEndian = true) => {
+  // Work out each field's offset up front, so decoding a payload is just a series of reads.
+  let next = 0;
+  const layout = fields.map(field => {
+    if (!TYPES[field.type]) {
+      throw new Error('Unknown decoder type: ' + field.type);
+    }
+
+    const offset = field.offset !== undefined ? field.offset : next;
+    next = offset + TYPES[field.type].size;
+    return {
+      name: field.name,
+      type: field.type,
+      offset: offset,
+      littleEndian:
+        field.littleEndian !== undefined ? field.littleEndian : littleEndian,
+    };
+  });
+
+  return bytes => {
+    const data = view(bytes);
+    const channels = {};
+    layout.forEach(field => {
+      const value = read(data, field.type, field.offset, field.littleEndian);
+      if (field.name) {
+        channels[field.name] = value;
+      }
+    });
+    return channels;
+  };
+};
+
+/*
+ * The registered decoders, keyed by '<service UUID>/<characteristic UUID>' (upper case, since
+ * iOS and Android don't agree on the case of UUIDs).
+ */
+const registry = {};
+
+const key = (serviceUUID, characteristicUUID) =>
+  (serviceUUID + '/' + characteristicUUID).toUpperCase();
+
+/*
+ * The decoder used for characteristics nobody has registered one for -- a single unsigned
+ * byte, which is how the app has always decoded the Clarkson insole's counter.
+ */
+export const DEFAULT_DECODER = scalar('uint8');
+
+/**
+ * Registers the decoder for the given service and characteristic, replacing any registered
+ * before.
+ *
+ * @param serviceUUID the UUID of the service the characteristic belongs to
+ * @param characteristicUUID the UUID of the characteristic
+ * @param decoder a function created by scalar or struct (or any function with the same shape)
+ */
+export const registerDecoder = (serviceUUID, characteristicUUID, decoder) => {
+  registry[key(serviceUUID, characteristicUUID)] = decoder;
+};
+
+/**
+ * Returns the decoder registered for the given service and characteristic, or DEFAULT_DECODER
+ * if there isn't one.
+ *
+ * @param serviceUUID the UUID of the service the characteristic belongs to
+ * @param characteristicUUID the UUID of the characteristic
+ * @returns {function(Uint8Array): (number|Object<string, number>)}
+ */
+export const getDecoder = (serviceUUID, characteristicUUID) =>
+  registry[key(serviceUUID, characteristicUUID)] || DEFAULT_DECODER;
@@ -0,0 +1,167 @@
+/**
+ * device-info.js
+ *
+ * The standard Bluetooth services every well-behaved sensor carries besides its own: the Battery
+ * Service (0x180F), whose Battery Level characteristic is a single byte percentage, and the
+ * Device Information Service (0x180A), whose characteristics are UTF-8 strings -- of which we
+ * read the manufacturer, model number and firmware and hardware revisions.
+ *
+ * The BLEProvider reads both when a sensor connects, then keeps the battery level and signal
+ * strength up to date (see ble-context.js); healthWarnings says when either of those is getting
+ * too low to trust the sensor's data for much longer.
+ */
+
+import {Buffer} from 'buffer';
+
+/*
+ * Builds the full UUID of a standard 16-bit one, as ble-plx reports them.
+ */
+const standard = short => '0000' + short + '-0000-1000-8000-00805f9b34fb';
+
+export const BATTERY_SERVICE = standard('180f');
+export const BATTERY_LEVEL = standard('2a19');
+export const DEVICE_INFORMATION_SERVICE = standard('180a');
+
+/*
+ * The Device Information characteristics we read, by the field they go in.
+ */
+export const DEVICE_INFORMATION = {
+  manufacturer: standard('2a29'),
+  model: standard('2a24'),
+  firmware: standard('2a26'),
+  hardware: standard('2a27'),
+};
+
+/*
+ * The battery level (in percent) at or below which we warn that a sensor's running out.
+ */
+export const LOW_BATTERY = 20;
+
+/*
+ * The signal strength (in dBm) at or below which we warn that a sensor's too far away -- around
+ * here, notifications start going missing.
+ */
+export const WEAK_SIGNAL = -85;
+
+/**
+ * Parses a Battery Level characteristic's value.
+ *
+ * @param base64 the value, as ble-plx hands it to us
+ * @returns {number|null} the level in percent, or null if there isn't one
+ */
+export const parseBatteryLevel = base64 => {
+  const bytes = Buffer.from(base64 || '', 'base64');
+  return bytes.length ? Math.min(100, bytes[0]) : null;
+};
+
+/**
+ * Parses one of the Device Information strings -- some firmware pads them with NULs.
+ *
+ * @param base64 the value, as ble-plx hands it to us
+ * @returns {string|null} the string, or null if it's empty
+ */
+export const parseString = base64 => {
+  const text = Buffer.from(base64 || '', 'base64')
+    .toString('utf8')
+    .replace(/\0/g, '')
+    .trim();
+  return text.length ? text : null;
+};
+
+/**
+ * Reads a device's Device Information Service. Sensors needn't have all of it (or any), so a
+ * characteristic which can't be read just leaves its field null.
+ *
+ * @param transport the transport (a BleManager, or a SimulatedTransport)
+ * @param id the device id
+ * @returns {Promise<{manufacturer, model, firmware, hardware}>}
+ */
+export const readDeviceInfo = (transport, id) => {
+  const fields = Object.keys(DEVICE_INFORMATION);
+  return Promise.all(
+    fields.map(field =>
+      transport
+        .readCharacteristicForDevice(
+          id,
+          DEVICE_INFORMATION_SERVICE,
+          DEVICE_INFORMATION[field],
+        )
+        .then(characteristic => parseString(characteristic.value))
+        .catch(() => null),
+    ),
+  ).then(values => {
+    const info = {};
+    fields.forEach((field, i) => {
+      info[field] = values[i];
+    });
+    return info;
+  });
+};
+
+/**
+ * Reads a device's battery level.
+ *
+ * @param transport the transport (a BleManager, or a SimulatedTransport)
+ * @param id the device id
+ * @returns {Promise<number|null>} the level in percent -- rejects if it can't be read
+ */
+export const readBatteryLevel = (transport, id) =>
+  transport
+    .readCharacteristicForDevice(id, BATTERY_SERVICE, BATTERY_LEVEL)
+    .then(characteristic => parseBatteryLevel(characteristic.value));
+
+/**
+ * What's worth warning the user about a sensor's health.
+ *
+ * @param sensor {battery, rssi} -- either may be null or undefined, if we don't know it
+ * @returns {{type: string, message: string}[]} the warnings -- each 'battery' or 'signal', with
+ *   a message like 'Battery low (15%)' -- or an empty list if all's well
+ */
+export const healthWarnings = sensor => {
+  const warnings = [];
+  if (
+    sensor.battery !== null &&
+    sensor.battery !== undefined &&
+    sensor.battery <= LOW_BATTERY
+  ) {
+    warnings.push({
+      type: 'battery',
+      message: 'Battery low (' + sensor.battery + '%)',
+    });
+  }
+  if (
+    sensor.rssi !== null &&
+    sensor.rssi !== undefined &&
+    sensor.rssi <= WEAK_SIGNAL
+  ) {
+    warnings.push({
+      type: 'signal',
+      message: 'Weak signal (' + sensor.rssi + ' dBm)',
+    });
+  }
+  return warnings;
+};
+
+/**
+ * Describes a sensor's Device Information in a line, e.g. 'Clarkson Insole v2, firmware 1.2.0'.
+ *
+ * @param info the sensor's info (see readDeviceInfo), or null if it hasn't been read
+ * @returns {string|null} the description, or null if there's nothing to say
+ */
+export const describeInfo = info => {
+  if (!info) {
+    return null;
+  }
+  const parts = [];
+  const product = [info.manufacturer, info.model].filter(Boolean).join(' ');
+  if (product) {
+    parts.push(product);
+  }
+  if (info.firmware) {
+    parts.push('firmware ' + info.firmware);
+  }
+  if (info.hardware) {
+    parts.push('hardware ' + info.hardware);
+  }
+  return parts.length ? parts.join(', ') : null;
+};
@@ -0,0 +1,240 @@
+/**
+ * device-list.js
+ *
+ * React-component listing the sensors discovered by the BLEProvider's scan. From here the user
+ * picks which device to connect to (our lab usually has several insoles powered on at once, so
+ * we can't just grab the first one we see), rescans, or forgets a device.
+ */
+
+import React, {useContext} from 'react';
+import {BLEContext} from './ble-context';
+import {Button, StyleSheet, Text, View} from 'react-native';
+import {describeInfo} from './device-info';
+
+/**
+ * Formats a device's lastSeen timestamp as a short 'seen 3s ago' string.
+ *
+ * @param lastSeen milliseconds since the epoch
+ * @returns {string}
+ */
+const seenAgo = lastSeen => {
+  const seconds = Math.max(0, Math.round((Date.now() - lastSeen) / 1000));
+  return 'seen ' + seconds + 's ago';
+};
+
+/**
+ * A single row in the device list.
+ *
+ * @returns {JSX.Element}
+ * @constructor
+ */
+const DeviceRow = ({device, onConnect, onForget}) => {
+  return (
+    <View style={styles.row}>
+      <View style={styles.details}>
+        <Text style={styles.name}>{device.name}</Text>
+        <Text style={styles.meta}>
+          {device.profile.name}, {device.id}
+        </Text>
+        <Text style={styles.meta}>
+          RSSI {device.rssi} dBm, {seenAgo(device.lastSeen)}
+        </Text>
+      </View>
+      <Button title="Connect" onPress={() => onConnect(device.id)} />
+      <Button title="Forget" onPress={() => onForget(device.id)} />
+    </View>
+  );
+};
+
+/**
+ * Describes where a sensor is in the connection state machine (see connection-state.js).
+ *
+ * @param sensor an entry in the BLEContext's 'sensors' list
+ * @returns {string}
+ */
+const describeState = sensor => {
+  switch (sensor.state) {
+    case 'ready':
+      return (
+        (sensor.mode || 'starting') +
+        ', ' +
+        sensor.rate.toFixed(1) +
+        ' samples/s, ' +
+        sensor.gaps +
+        ' gaps'
+      );
+    case 'reconnecting':
+      return (
+        'reconnecting (attempt ' +
+        sensor.attempts +
+        ' in ' +
+        Math.max(0, Math.ceil((sensor.nextAttempt - Date.now()) / 1000)) +
+        's)'
+      );
+    default:
+      return sensor.state;
+  }
+};
+
+/**
+ * Describes a connected sensor's battery level and signal strength, e.g. 'battery 87%, -60 dBm'
+ * -- leaving out whichever we don't know.
+ *
+ * @param sensor an entry in the BLEContext's 'sensors' list
+ * @returns {string|null}
+ */
+const describeHealth = sensor => {
+  const parts = [];
+  if (sensor.battery !== null && sensor.battery !== undefined) {
+    parts.push('battery ' + sensor.battery + '%');
+  }
+  if (sensor.rssi !== null && sensor.rssi !== undefined) {
+    parts.push(sensor.rssi + ' dBm');
+  }
+  return parts.length ? parts.join(', ') : null;
+};
+
+/**
+ * A row for one of the connected sensors, with a swatch in the colour chart.js draws its line in.
+ * Sensors which are reconnecting or have given up also show what went wrong, and can be retried.
+ * Below its state are its battery level, signal strength and Device Information, once they've
+ * been read, and a warning if either of the first two is getting low (see device-info.js).
+ *
+ * @returns {JSX.Element}
+ * @constructor
+ */
+const SensorRow = ({sensor, onDisconnect, onRetry}) => {
+  const troubled = sensor.state === 'reconnecting' || sensor.state === 'failed';
+
+  return (
+    <View style={styles.row}>
+      <View
+        style={[styles.swatch, {backgroundColor: `rgb(${sensor.colour})`}]}
+      />
+      <View style={styles.details}>
+        <Text style={styles.name}>{sensor.name}</Text>
+        <Text style={styles.meta}>{describeState(sensor)}</Text>
+        {describeHealth(sensor) && (
+          <Text style={styles.meta}>{describeHealth(sensor)}</Text>
+        )}
+        {describeInfo(sensor.info) && (
+          <Text style={styles.meta}>{describeInfo(sensor.info)}</Text>
+        )}
+        {(sensor.warnings || []).map(warning => (
+          <Text key={warning.type} style={styles.warning}>
+            {warning.message}
+          </Text>
+        ))}
+        {troubled && sensor.lastError && (
+          <Text style={styles.error}>{sensor.lastError.message}</Text>
+        )}
+      </View>
+      {troubled && <Button title="Retry" onPress={() => onRetry(sensor.id)} />}
+      <Button title="Disconnect" onPress={() => onDisconnect(sensor.id)} />
+    </View>
+  );
+};
+
+/**
+ * The device picker itself -- it must be nested inside the BLEProvider (see App.js).
+ *
+ * Connected sensors are listed first, followed by everything the scan has found that we're
+ * not connected to yet.
+ *
+ * @returns {JSX.Element}
+ * @constructor
+ */
+export const DeviceList = () => {
+  const {
+    sensors,
+    devices,
+    scanning,
+    startScan,
+    stopScan,
+    connect,
+    retry,
+    disconnect,
+    forget,
+  } = useContext(BLEContext);
+
+  const available = devices.filter(d => !sensors.some(s => s.id === d.id));
+
+  return (
+    <View>
+      <View style={styles.toolbar}>
+        <Text style={styles.status}>
+          {scanning
+            ? 'Scanning ... ' + devices.length + ' found'
+            : sensors.length + ' connected'}
+        </Text>
+        {scanning ? (
+          <Button title="Stop" onPress={stopScan} />
+        ) : (
+          <Button title="Rescan" onPress={startScan} />
+        )}
+        {sensors.length > 1 && (
+          <Button title="Disconnect all" onPress={() => disconnect()} />
+        )}
+      </View>
+      {sensors.map(sensor => (
+        <SensorRow
+          key={sensor.id}
+          sensor={sensor}
+          onDisconnect={disconnect}
+          onRetry={retry}
+        />
+      ))}
+      {available.map(device => (
+        <DeviceRow
+          key={device.id}
+          device={device}
+          onConnect={connect}
+          onForget={forget}
+        />
+      ))}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  toolbar: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  status: {
+    flex: 1,
+    fontSize: 16,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 8,
+    borderBottomWidth: StyleSheet.hairlineWidth,
+    borderBottomColor: '#ccc',
+  },
+  details: {
+    flex: 1,
+  },
+  name: {
+    fontSize: 18,
+    fontWeight: '600',
+  },
+  meta: {
+    fontSize: 12,
+    color: '#666',
+  },
+  error: {
+    fontSize: 12,
+    color: '#c62828',
+  },
+  warning: {
+    fontSize: 12,
+    color: '#e65100',
+  },
+  swatch: {
+    width: 12,
+    height: 12,
+    borderRadius: 6,
+    marginRight: 8,
+  },
+});
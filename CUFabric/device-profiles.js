@@ -0,0 +1,225 @@
+/**
+ * device-profiles.js
+ *
+ * The kinds of sensor the app knows how to talk to, described in device-profiles.json rather
+ * than in code -- so supporting a new CU Fabric wearable (a knee sleeve, a glove) means adding
+ * an entry there, not changing the BLEProvider. Each profile is of the form
+ *
+ *   {id, name, namePatterns, services, data, sampleRate, display}
+ *
+ * where
+ *
+ *  - 'namePatterns' are regular expressions matched against the advertised name, and
+ *    'services' the service UUIDs the device advertises -- a device is this kind of sensor if
+ *    it advertises one of the services, or failing that, if its name matches a pattern. The
+ *    scan only asks the radio for devices advertising one of the profiles' services (see
+ *    scanServices), so a profile with no services is only ever found by name.
+ *  - 'data' lists the characteristics the sensor's values come from, each of the form
+ *    {service, characteristic, channels, littleEndian}: 'channels' is the layout of its
+ *    payload, a list of {name, type, unit, offset} -- 'type' is one of the types in
+ *    decoders.js, 'offset' is optional (see struct), and 'unit' is what the values are in
+ *    before any calibration. One channel is decoded as a single value, more as a value per
+ *    channel. The first characteristic is the one charted, unless another's promoted in its
+ *    place (see setSource in ble-context.js).
+ *  - 'sampleRate' is how many samples a second to read from a sensor which can't notify us of
+ *    new values, and so has to be polled.
+ *  - 'display' holds hints for the screens: 'heatmap' is whether the sensor's channels are
+ *    regions of a foot (see heatmap.js).
+ *
+ * UUIDs may be in either case -- they're upper-cased when the profiles are loaded.
+ */
+
+import profileData from './device-profiles.json';
+import {registerDecoder, struct, TYPES} from './decoders';
+
+/*
+ * Throws an Error about a profile, naming it.
+ */
+const invalid = (profile, index, message) => {
+  throw new Error(
+    'Device profile ' +
+      (profile && profile.id ? '"' + profile.id + '"' : index) +
+      ' ' +
+      message,
+  );
+};
+
+/**
+ * Checks device profiles (as read from JSON) make sense, and fills in what's optional.
+ *
+ * @param data a list of profiles, as described above
+ * @returns {Object[]} the profiles, with their UUIDs upper-cased
+ * @throws Error saying which profile is wrong, and why
+ */
+export const loadProfiles = data => {
+  if (!Array.isArray(data) || !data.length) {
+    throw new Error('There must be at least one device profile');
+  }
+  const ids = [];
+  return data.map((profile, index) => {
+    if (!profile || typeof profile.id !== 'string' || !profile.id) {
+      invalid(profile, index, 'needs an id');
+    }
+    if (ids.includes(profile.id)) {
+      invalid(profile, index, 'is defined twice');
+    }
+    ids.push(profile.id);
+    const namePatterns = profile.namePatterns || [];
+    const services = (profile.services || []).map(s => s.toUpperCase());
+    namePatterns.forEach(pattern => {
+      try {
+        RegExp(pattern);
+      } catch (e) {
+        invalid(profile, index, 'has a bad name pattern: ' + pattern);
+      }
+    });
+    if (!namePatterns.length && !services.length) {
+      invalid(profile, index, 'needs a name pattern or a service to scan for');
+    }
+    if (!Array.isArray(profile.data) || !profile.data.length) {
+      invalid(profile, index, 'needs a data characteristic');
+    }
+    const sources = profile.data.map(source => {
+      if (!source.service || !source.characteristic) {
+        invalid(profile, index, 'has a data characteristic with no UUID');
+      }
+      if (!Array.isArray(source.channels) || !source.channels.length) {
+        invalid(profile, index, 'has a data characteristic with no channels');
+      }
+      source.channels.forEach(channel => {
+        if (!channel.name || !TYPES[channel.type]) {
+          invalid(
+            profile,
+            index,
+            'has a channel with no name, or of unknown type ' + channel.type,
+          );
+        }
+      });
+      return {
+        ...source,
+        service: source.service.toUpperCase(),
+        characteristic: source.characteristic.toUpperCase(),
+        littleEndian: source.littleEndian !== false,
+      };
+    });
+    if (!(profile.sampleRate > 0)) {
+      invalid(profile, index, 'needs a positive sample rate');
+    }
+    return {
+      id: profile.id,
+      name: profile.name || profile.id,
+      namePatterns: namePatterns,
+      services: services,
+      data: sources,
+      sampleRate: profile.sampleRate,
+      display: {heatmap: false, ...profile.display},
+    };
+  });
+};
+
+/*
+ * The profiles in device-profiles.json -- the first is the one assumed for a device we connect
+ * to without having seen it advertise (see defaultProfile).
+ */
+export const PROFILES = loadProfiles(profileData);
+
+/**
+ * The service UUIDs to scan for: every one any profile advertises, or null -- scan for
+ * everything -- if there's a profile which can only be found by name.
+ *
+ * @param profiles the profiles
+ * @returns {string[]|null}
+ */
+export const scanServices = profiles => {
+  if (profiles.some(p => !p.services.length)) {
+    return null;
+  }
+  const services = [];
+  profiles.forEach(p =>
+    p.services.forEach(s => {
+      if (!services.includes(s)) {
+        services.push(s);
+      }
+    }),
+  );
+  return services;
+};
+
+/**
+ * Finds the profile for a device, from what it advertises -- the services first, since a name
+ * can be anything, then the name.
+ *
+ * @param profiles the profiles
+ * @param device {name, serviceUUIDs}, as seen while scanning -- either may be null
+ * @returns {Object|undefined} the profile, or undefined if it's not a device we know
+ */
+export const matchProfile = (profiles, device) => {
+  const advertised = (device.serviceUUIDs || []).map(s => s.toUpperCase());
+  return (
+    profiles.find(p => p.services.some(s => advertised.includes(s))) ||
+    profiles.find(
+      p =>
+        device.name &&
+        p.namePatterns.some(pattern => new RegExp(pattern).test(device.name)),
+    )
+  );
+};
+
+/**
+ * The profile assumed for a device we know nothing about.
+ *
+ * @param profiles the profiles
+ * @returns {Object}
+ */
+export const defaultProfile = profiles => profiles[0];
+
+/**
+ * The characteristic a sensor's values are read from, unless another's been promoted in its
+ * place -- the profile's first.
+ *
+ * @param profile the sensor's profile
+ * @returns {{serviceUUID: string, uuid: string}}
+ */
+export const profileSource = profile => ({
+  serviceUUID: profile.data[0].service,
+  uuid: profile.data[0].characteristic,
+});
+
+/**
+ * How long (in milliseconds) to wait between reads of a sensor which has to be polled.
+ *
+ * @param profile the sensor's profile
+ * @returns {number}
+ */
+export const pollInterval = profile => Math.round(1000 / profile.sampleRate);
+
+/**
+ * The unit a sensor's uncalibrated values are in -- its first channel's, or 'raw' if it
+ * doesn't say.
+ *
+ * @param profile the sensor's profile
+ * @returns {string}
+ */
+export const profileUnit = profile => profile.data[0].channels[0].unit || 'raw';
+
+/**
+ * Registers a decoder (see decoders.js) for each of the profiles' data characteristics, built
+ * from its channels.
+ *
+ * @param profiles the profiles
+ */
+export const registerProfileDecoders = profiles =>
+  profiles.forEach(profile =>
+    profile.data.forEach(
+      ({service, characteristic, channels, littleEndian}) => {
+        const decode = struct(channels, littleEndian);
+        registerDecoder(
+          service,
+          characteristic,
+          channels.length === 1
+            ? bytes => decode(bytes)[channels[0].name]
+            : decode,
+        );
+      },
+    ),
+  );
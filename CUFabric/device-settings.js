@@ -0,0 +1,141 @@
+/**
+ * device-settings.js
+ *
+ * React-component for configuring a connected insole through its firmware's commands (see
+ * commands.js): its sample rate and name, taring it, and starting and stopping its stream. Each
+ * command waits to be acknowledged, and what came of the last one is shown underneath.
+ */
+
+import React, {useContext, useState} from 'react';
+import {Button, StyleSheet, Text, TextInput, View} from 'react-native';
+import {BLEContext} from './ble-context';
+import {READY} from './connection-state';
+import {COMMANDS, MAX_NAME_LENGTH} from './commands';
+import {ParamInput} from './processing-settings';
+
+/**
+ * The settings panel -- it must be nested inside the BLEProvider (see App.js).
+ *
+ * @returns {JSX.Element}
+ * @constructor
+ */
+export const DeviceSettings = () => {
+  const {sensors, sendCommand} = useContext(BLEContext);
+
+  const ready = sensors.filter(s => s.state === READY);
+  const [selected, setSelected] = useState(undefined);
+  const sensor = ready.find(s => s.id === selected) || ready[0];
+
+  const [rate, setRate] = useState(20);
+  const [name, setName] = useState('');
+
+  /*
+   * The command waiting to be acknowledged, if any, and what came of the last one: {name,
+   * ok, message}.
+   */
+  const [pending, setPending] = useState(undefined);
+  const [result, setResult] = useState(undefined);
+
+  if (!ready.length) {
+    return (
+      <Text style={styles.empty}>Connect to a sensor to configure it.</Text>
+    );
+  }
+
+  const send = (command, argument) => {
+    setPending(command);
+    setResult(undefined);
+    sendCommand(command, argument, sensor.id)
+      .then(() =>
+        setResult({
+          name: command,
+          ok: true,
+          message: COMMANDS[command].label + ': done',
+        }),
+      )
+      .catch(error =>
+        setResult({name: command, ok: false, message: error.message}),
+      )
+      .finally(() => setPending(undefined));
+  };
+
+  const button = (command, argument) => (
+    <Button
+      title={COMMANDS[command].label}
+      disabled={pending !== undefined}
+      onPress={() => send(command, argument)}
+    />
+  );
+
+  return (
+    <View>
+      <View style={styles.row}>
+        {ready.map(s => (
+          <Button
+            key={s.id}
+            title={s.name}
+            color={s.id === sensor.id ? undefined : '#999'}
+            onPress={() => setSelected(s.id)}
+          />
+        ))}
+      </View>
+      <View style={styles.row}>
+        {button('tare')}
+        {button('startStreaming')}
+        {button('stopStreaming')}
+      </View>
+      <View style={styles.row}>
+        <ParamInput name="Hz" value={rate} onChange={setRate} />
+        {button('setSampleRate', Math.round(rate))}
+      </View>
+      <View style={styles.row}>
+        <TextInput
+          style={styles.input}
+          value={name}
+          onChangeText={setName}
+          placeholder={sensor.name}
+          maxLength={MAX_NAME_LENGTH}
+        />
+        {button('setName', name)}
+      </View>
+      {pending && (
+        <Text style={styles.status}>
+          {'Waiting for ' + COMMANDS[pending].label + '...'}
+        </Text>
+      )}
+      {result && (
+        <Text style={[styles.status, !result.ok && styles.error]}>
+          {result.message}
+        </Text>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  empty: {
+    fontSize: 14,
+    color: '#666',
+  },
+  row: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  input: {
+    flex: 1,
+    minWidth: 120,
+    borderWidth: 1,
+    borderColor: '#ccc',
+    paddingHorizontal: 4,
+    marginRight: 8,
+  },
+  status: {
+    fontSize: 14,
+    color: '#666',
+  },
+  error: {
+    color: '#b71c1c',
+  },
+});
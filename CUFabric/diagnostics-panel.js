@@ -0,0 +1,144 @@
+/**
+ * diagnostics-panel.js
+ *
+ * React-component showing the diagnostics log (see diagnostics.js), newest first. It starts
+ * collapsed; once expanded, the log can be copied to the clipboard -- along with the state of
+ * the BLE layer and the error history -- to paste into a bug report.
+ */
+
+import React, {useContext, useState} from 'react';
+import {
+  Button,
+  Clipboard,
+  Platform,
+  StyleSheet,
+  Text,
+  View,
+} from 'react-native';
+import {BLEContext} from './ble-context';
+import {clearLog, formatLog, useDiagnosticsLog} from './diagnostics';
+
+/*
+ * The number of events shown -- the copied log has all of them.
+ */
+const SHOWN = 50;
+
+const LEVEL_COLOURS = {
+  info: '#333',
+  warning: '#ef6c00',
+  error: '#c62828',
+};
+
+/**
+ * Builds the text copied by 'Copy log'.
+ *
+ * @param context the BLEContext
+ * @param log the diagnostics log
+ * @returns {string}
+ */
+const report = (context, log) => {
+  const lines = [
+    'Bluetooth: ' + context.adapterState,
+    'Connection: ' + context.connectionState,
+    ...context.sensors.map(
+      s =>
+        'Sensor ' +
+        s.id +
+        ' (' +
+        s.name +
+        '): ' +
+        s.state +
+        ', ' +
+        s.rate +
+        ' samples/s, ' +
+        s.gaps +
+        ' gaps',
+    ),
+    '',
+    'Errors:',
+    ...context.errors.map(
+      e =>
+        new Date(e.time).toISOString() +
+        ' ' +
+        e.operation +
+        (e.sensorId ? ' ' + e.sensorId : '') +
+        ' ' +
+        (e.codeName ? '[' + e.codeName + '] ' : '') +
+        e.message,
+    ),
+    '',
+    'Log:',
+    formatLog(log),
+  ];
+  return lines.join('\n');
+};
+
+/**
+ * The panel -- it must be nested inside the BLEProvider (see App.js).
+ *
+ * @returns {JSX.Element}
+ * @constructor
+ */
+export const DiagnosticsPanel = () => {
+  const context = useContext(BLEContext);
+  const log = useDiagnosticsLog();
+  const [expanded, setExpanded] = useState(false);
+  const [copied, setCopied] = useState(false);
+
+  const copy = () => {
+    Clipboard.setString(report(context, log));
+    setCopied(true);
+  };
+
+  if (!expanded) {
+    return (
+      <Button
+        title={'Show diagnostics (' + log.length + ' events)'}
+        onPress={() => setExpanded(true)}
+      />
+    );
+  }
+
+  return (
+    <View>
+      <View style={styles.toolbar}>
+        <Button title="Hide" onPress={() => setExpanded(false)} />
+        <Button title={copied ? 'Copied' : 'Copy log'} onPress={copy} />
+        <Button
+          title="Clear"
+          onPress={() => {
+            clearLog();
+            setCopied(false);
+          }}
+        />
+      </View>
+      {log.length === 0 && <Text style={styles.empty}>Nothing logged.</Text>}
+      {log
+        .slice(-SHOWN)
+        .reverse()
+        .map((event, i) => (
+          <Text
+            key={event.time + '-' + i}
+            style={[styles.event, {color: LEVEL_COLOURS[event.level]}]}>
+            {new Date(event.time).toLocaleTimeString()} {event.message}
+          </Text>
+        ))}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  toolbar: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: 8,
+  },
+  empty: {
+    fontSize: 12,
+    color: '#666',
+  },
+  event: {
+    fontSize: 12,
+    fontFamily: Platform.select({ios: 'Menlo', default: 'monospace'}),
+  },
+});
@@ -0,0 +1,116 @@
+/**
+ * diagnostics.js
+ *
+ * The diagnostics log: a record of the last LOG_SIZE events from the BLE layer, so they can be
+ * shown in the app (see diagnostics-panel.js) and copied into a bug report -- rather than only
+ * going to a console nobody can see on a phone in the lab.
+ *
+ * Like the decoder registry, the log lives at module level, so the BLEProvider's callbacks can
+ * log without depending on any React state. Everything logged also still goes to the console.
+ */
+
+import {useEffect, useState} from 'react';
+
+/*
+ * The number of events kept.
+ */
+export const LOG_SIZE = 200;
+
+let entries = [];
+const listeners = new Set();
+
+/*
+ * Turns whatever was logged into a single line of text -- errors by their message, and other
+ * objects as JSON.
+ */
+const describe = message => {
+  if (typeof message === 'string') {
+    return message;
+  }
+  if (message instanceof Error) {
+    return message.message;
+  }
+  try {
+    return JSON.stringify(message);
+  } catch (e) {
+    return String(message);
+  }
+};
+
+/**
+ * Adds an event to the log (and the console).
+ *
+ * @param level 'info', 'warning' or 'error'
+ * @param message a string, or anything else worth logging (e.g., an Error)
+ */
+export const logEvent = (level, message) => {
+  if (level === 'error') {
+    console.error(message);
+  } else {
+    console.log(message);
+  }
+
+  entries = [
+    ...entries.slice(-(LOG_SIZE - 1)),
+    {time: Date.now(), level: level, message: describe(message)},
+  ];
+  listeners.forEach(listener => listener(entries));
+};
+
+export const logInfo = message => logEvent('info', message);
+export const logWarning = message => logEvent('warning', message);
+export const logError = message => logEvent('error', message);
+
+/**
+ * @returns {Object[]} the logged events, oldest first -- each of the form {time, level, message}
+ */
+export const getLog = () => entries;
+
+export const clearLog = () => {
+  entries = [];
+  listeners.forEach(listener => listener(entries));
+};
+
+/**
+ * Calls 'listener' with the whole log every time an event is added.
+ *
+ * @returns {function()} call this to stop listening
+ */
+export const subscribe = listener => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+/**
+ * Formats events as text, one per line: '<ISO time> <LEVEL> <message>'.
+ *
+ * @param events the events to format
+ * @returns {string}
+ */
+export const formatLog = events =>
+  events
+    .map(
+      event =>
+        new Date(event.time).toISOString() +
+        ' ' +
+        event.level.toUpperCase() +
+        ' ' +
+        event.message,
+    )
+    .join('\n');
+
+/**
+ * A hook returning the log, which re-renders the component whenever an event is added.
+ *
+ * @returns {Object[]}
+ */
+export const useDiagnosticsLog = () => {
+  const [log, setLog] = useState(getLog);
+
+  useEffect(() => {
+    setLog(getLog());
+    return subscribe(setLog);
+  }, []);
+
+  return log;
+};
@@ -0,0 +1,138 @@
+/**
+ * gait-summary.js
+ *
+ * React-component summarising each sensor's gait (see gait.js) over the history the
+ * BLEProvider keeps -- the same samples the chart can show. It sits under the chart (see
+ * App.js), and works just as well while a session is replayed.
+ */
+
+import React, {useContext, useMemo} from 'react';
+import {StyleSheet, Text, View} from 'react-native';
+import {BLEContext} from './ble-context';
+import {analyseGait} from './gait';
+import {useAllSeries, withSeries} from './sensor-series';
+
+/*
+ * Formats an optional number, with its units.
+ */
+const format = (value, units, places = 0) =>
+  value === undefined ? '--' : value.toFixed(places) + units;
+
+const percent = fraction => format(fraction * 100, '%');
+
+/**
+ * The summary card -- it must be nested inside the BLEProvider (see App.js).
+ *
+ * @returns {JSX.Element}
+ * @constructor
+ */
+export const GaitSummary = () => {
+  const {sensors: list, insoleLayout} = useContext(BLEContext);
+  const series = useAllSeries();
+
+  const results = useMemo(
+    () =>
+      withSeries(list, series)
+        .filter(s => s.data.length)
+        .map(s => ({
+          sensor: s,
+          span: (s.times[s.times.length - 1] - s.times[0]) / 1000,
+          gait: analyseGait(
+            s.times,
+            s.filtered,
+            s.channelHistory || [],
+            insoleLayout,
+          ),
+        })),
+    [insoleLayout, list, series],
+  );
+
+  if (!results.length) {
+    return <Text style={styles.empty}>No data to analyse yet.</Text>;
+  }
+
+  return (
+    <View style={styles.card}>
+      {results.map(({sensor, span, gait}) => (
+        <View key={sensor.id} style={styles.sensor}>
+          <Text style={[styles.name, {color: `rgb(${sensor.colour})`}]}>
+            {sensor.name + ' -- last ' + span.toFixed(0) + 's'}
+          </Text>
+          <View style={styles.figures}>
+            <Figure label="Steps" value={String(gait.stepCount)} />
+            <Figure label="Cadence" value={format(gait.cadence, '/min')} />
+            <Figure label="Stance" value={format(gait.stanceTime, 'ms')} />
+            <Figure label="Swing" value={format(gait.swingTime, 'ms')} />
+          </View>
+          {gait.distribution && (
+            <View style={styles.figures}>
+              <Figure label="Heel" value={percent(gait.distribution.heel)} />
+              <Figure
+                label="Midfoot"
+                value={percent(gait.distribution.midfoot)}
+              />
+              <Figure label="Toe" value={percent(gait.distribution.toe)} />
+              <Figure
+                label="CoP"
+                value={
+                  percent(gait.centreOfPressure.y) +
+                  ' up, ' +
+                  percent(gait.centreOfPressure.x) +
+                  ' across'
+                }
+              />
+            </View>
+          )}
+        </View>
+      ))}
+    </View>
+  );
+};
+
+/**
+ * One labelled figure in the card.
+ *
+ * @returns {JSX.Element}
+ * @constructor
+ */
+const Figure = ({label, value}) => (
+  <View style={styles.figure}>
+    <Text style={styles.label}>{label}</Text>
+    <Text style={styles.value}>{value}</Text>
+  </View>
+);
+
+const styles = StyleSheet.create({
+  empty: {
+    fontSize: 14,
+    color: '#666',
+  },
+  card: {
+    marginTop: 8,
+    padding: 8,
+    borderRadius: 8,
+    backgroundColor: '#f5f5f5',
+  },
+  sensor: {
+    marginBottom: 4,
+  },
+  name: {
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  figures: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  figure: {
+    marginRight: 16,
+    marginVertical: 2,
+  },
+  label: {
+    fontSize: 11,
+    color: '#666',
+  },
+  value: {
+    fontSize: 16,
+  },
+});
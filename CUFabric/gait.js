@@ -0,0 +1,319 @@
+/**
+ * gait.js
+ *
+ * Gait analytics for the Clarkson insole: finding the steps in a sensor's stream of values,
+ * and working out the cadence, stance and swing times from them -- and, for sensors sending
+ * multi-channel payloads, where on the foot the pressure is (the centre of pressure, and how
+ * it's split between heel, midfoot and toe -- see insole-layout.js for where each channel is).
+ *
+ * All pure functions over plain lists, like chart-window.js, so they can be tested against
+ * fixture signals. The summary card (see gait-summary.js) runs them over the live history, and
+ * the recorder (see recorder.js) runs them over the whole session when it's stopped.
+ *
+ * A step is found from the peaks and valleys in the load on the insole: each peak with a
+ * valley either side of it is one foot contact. The foot counts as on the ground (its 'stance'
+ * phase) while the load is above 'contact' of the way from the valleys up to the peak; the rest
+ * of the time it's swinging.
+ */
+
+import {channelRegions, DEFAULT_MAPPING} from './insole-layout';
+
+/*
+ * The detection parameters:
+ *
+ *   prominence   -- how far (as a fraction of the signal's range) the load has to rise and fall
+ *                   to count as a peak or valley, so noise isn't mistaken for steps
+ *   contact      -- the fraction of the way from valley to peak at which the foot counts as
+ *                   touching down, or lifting off
+ *   minStance    -- the shortest (ms) foot contact we'll believe -- anything quicker is noise
+ *   minInterval  -- the shortest (ms) time between contacts of the same foot we'll believe
+ *   maxInterval  -- the longest -- anything longer is a pause, not a stride
+ */
+export const DEFAULT_GAIT = {
+  prominence: 0.3,
+  contact: 0.2,
+  minStance: 100,
+  minInterval: 250,
+  maxInterval: 3000,
+};
+
+/*
+ * The parts of the foot the pressure distribution is split into, by how far up the foot ('y')
+ * they start.
+ */
+const PARTS = [
+  {name: 'heel', from: 0},
+  {name: 'midfoot', from: 1 / 3},
+  {name: 'toe', from: 2 / 3},
+];
+
+const mean = values =>
+  values.length
+    ? values.reduce((sum, v) => sum + v, 0) / values.length
+    : undefined;
+
+/**
+ * Finds the peaks and valleys in a signal: each one is at least 'delta' higher (for a peak) or
+ * lower (for a valley) than the extremes either side of it. They alternate, starting with
+ * whichever comes first.
+ *
+ * @param values the values
+ * @param delta how far the signal has to move to count
+ * @returns {{type: 'peak'|'valley', index: number}[]}
+ */
+export const findExtrema = (values, delta) => {
+  const extrema = [];
+  let max = -Infinity;
+  let min = Infinity;
+  let maxIndex;
+  let minIndex;
+
+  // undefined until the signal first moves by 'delta' one way or the other.
+  let lookingForPeak;
+
+  values.forEach((value, i) => {
+    if (value > max) {
+      max = value;
+      maxIndex = i;
+    }
+    if (value < min) {
+      min = value;
+      minIndex = i;
+    }
+
+    if (lookingForPeak !== true && value > min + delta) {
+      extrema.push({type: 'valley', index: minIndex});
+      lookingForPeak = true;
+      max = value;
+      maxIndex = i;
+    } else if (lookingForPeak !== false && value < max - delta) {
+      extrema.push({type: 'peak', index: maxIndex});
+      lookingForPeak = false;
+      min = value;
+      minIndex = i;
+    }
+  });
+  return extrema;
+};
+
+/*
+ * The time at which the signal crosses 'level' between samples i and j (linearly
+ * interpolated).
+ */
+const crossing = (times, values, i, j, level) => {
+  const span = values[j] - values[i];
+  const fraction = span === 0 ? 0 : (level - values[i]) / span;
+  return times[i] + fraction * (times[j] - times[i]);
+};
+
+/**
+ * Finds the steps in a sensor's values: one per peak in the load with a valley either side.
+ *
+ * @param times when each value arrived (milliseconds, ascending)
+ * @param values the load values
+ * @param options (optional) the detection parameters (see DEFAULT_GAIT)
+ * @returns {{strike, peak, toeOff, load}[]} when the foot touched down, when the load peaked,
+ *   and when the foot lifted off (all in milliseconds), and the peak load
+ */
+export const detectSteps = (times, values, options = DEFAULT_GAIT) => {
+  if (values.length < 3) {
+    return [];
+  }
+
+  // A loop, not Math.max(...values): a whole session's values are far more arguments than
+  // JavaScriptCore will take in one call.
+  let max = -Infinity;
+  let min = Infinity;
+  for (let i = 0; i < values.length; i++) {
+    max = values[i] > max ? values[i] : max;
+    min = values[i] < min ? values[i] : min;
+  }
+  const range = max - min;
+  if (!(range > 0)) {
+    return [];
+  }
+
+  const extrema = findExtrema(values, options.prominence * range);
+
+  // The last peak has no valley after it until the load starts rising again -- but the step is
+  // over as soon as the load drops back below the contact level, so the lowest point since will
+  // do (it's checked against the level below).
+  const last = extrema[extrema.length - 1];
+  const trailing = last && last.type === 'peak';
+  if (trailing) {
+    let lowest = last.index;
+    for (let i = last.index + 1; i < values.length; i++) {
+      lowest = values[i] < values[lowest] ? i : lowest;
+    }
+    extrema.push({type: 'valley', index: lowest});
+  }
+
+  const steps = [];
+  for (let i = 1; i < extrema.length - 1; i++) {
+    if (extrema[i].type !== 'peak') {
+      continue;
+    }
+
+    const before = extrema[i - 1].index;
+    const peak = extrema[i].index;
+    const after = extrema[i + 1].index;
+    const floor = Math.min(values[before], values[after]);
+    const level = floor + options.contact * (values[peak] - floor);
+    if (trailing && i === extrema.length - 2 && !(values[after] < level)) {
+      // Still on the ground.
+      continue;
+    }
+
+    let rise = peak;
+    while (rise > before && values[rise - 1] >= level) {
+      rise--;
+    }
+    let fall = peak;
+    while (fall < after && values[fall + 1] >= level) {
+      fall++;
+    }
+
+    const strike =
+      rise > before
+        ? crossing(times, values, rise - 1, rise, level)
+        : times[rise];
+    const toeOff =
+      fall < after
+        ? crossing(times, values, fall, fall + 1, level)
+        : times[fall];
+    if (toeOff - strike >= options.minStance) {
+      steps.push({strike, peak: times[peak], toeOff, load: values[peak]});
+    }
+  }
+  return steps;
+};
+
+/**
+ * Summarises the steps from one insole.
+ *
+ * The cadence is in steps per minute of walking -- both feet -- so it's twice the rate at
+ * which this foot touches down, and left and right insoles should agree. Intervals outside
+ * [minInterval, maxInterval] (e.g., across a pause) are left out of the cadence and swing time.
+ *
+ * @param steps the steps (see detectSteps)
+ * @param options (optional) the detection parameters (see DEFAULT_GAIT)
+ * @returns {{stepCount, cadence, stanceTime, swingTime}} times in milliseconds; any of them
+ *   undefined if there weren't enough steps to work it out
+ */
+export const summariseSteps = (steps, options = DEFAULT_GAIT) => {
+  const strides = [];
+  const swings = [];
+  for (let i = 1; i < steps.length; i++) {
+    const stride = steps[i].strike - steps[i - 1].strike;
+    if (stride >= options.minInterval && stride <= options.maxInterval) {
+      strides.push(stride);
+      swings.push(steps[i].strike - steps[i - 1].toeOff);
+    }
+  }
+
+  const stride = mean(strides);
+  return {
+    stepCount: steps.length,
+    cadence: stride === undefined ? undefined : (2 * 60000) / stride,
+    stanceTime: mean(steps.map(step => step.toeOff - step.strike)),
+    swingTime: mean(swings),
+  };
+};
+
+/**
+ * The centre of pressure and the heel/midfoot/toe split, over a run of multi-channel
+ * payloads -- i.e., weighted by the load on each channel across all of them.
+ *
+ * @param payloads the channel values, each {name: value} (entries which are undefined --
+ *   samples from a single-channel sensor -- are skipped)
+ * @param mapping (optional) which region each channel is in (see insole-layout.js)
+ * @returns {{centreOfPressure: {x, y}, distribution: {heel, midfoot, toe}}|undefined}
+ *   distribution as fractions of the total load; undefined if there was no load at all
+ */
+export const pressureSummary = (payloads, mapping = DEFAULT_MAPPING) => {
+  const present = payloads.filter(p => p && typeof p === 'object');
+  if (!present.length) {
+    return undefined;
+  }
+
+  const positions = channelRegions(
+    Object.keys(present[present.length - 1]),
+    mapping,
+  );
+  let total = 0;
+  let x = 0;
+  let y = 0;
+  const distribution = {heel: 0, midfoot: 0, toe: 0};
+  present.forEach(payload => {
+    Object.keys(payload).forEach(name => {
+      const load = Math.max(0, payload[name]);
+      const position = positions[name] || channelRegions([name], mapping)[name];
+      const part = PARTS.filter(r => position.y >= r.from).pop();
+      total += load;
+      x += load * position.x;
+      y += load * position.y;
+      distribution[part.name] += load;
+    });
+  });
+
+  if (!(total > 0)) {
+    return undefined;
+  }
+  Object.keys(distribution).forEach(name => (distribution[name] /= total));
+  return {centreOfPressure: {x: x / total, y: y / total}, distribution};
+};
+
+/**
+ * The full analysis of one sensor's samples.
+ *
+ * @param times when each value arrived (milliseconds, ascending)
+ * @param values the load values
+ * @param payloads (optional) the multi-channel payloads, parallel to 'values'
+ * @param mapping (optional) which region each channel is in (see insole-layout.js)
+ * @param options (optional) the detection parameters (see DEFAULT_GAIT)
+ * @returns {{stepCount, cadence, stanceTime, swingTime, centreOfPressure, distribution}}
+ */
+export const analyseGait = (
+  times,
+  values,
+  payloads = [],
+  mapping = DEFAULT_MAPPING,
+  options = DEFAULT_GAIT,
+) => ({
+  ...summariseSteps(detectSteps(times, values, options), options),
+  ...(pressureSummary(payloads, mapping) || {}),
+});
+
+/**
+ * Analyses a recorded session's samples (see session-format.js), one sensor at a time.
+ *
+ * @param samples the samples
+ * @param mapping (optional) which region each channel is in (see insole-layout.js)
+ * @param options (optional) the detection parameters (see DEFAULT_GAIT)
+ * @returns {Object} {sensorId: analysis} -- see analyseGait
+ */
+export const analyseSession = (
+  samples,
+  mapping = DEFAULT_MAPPING,
+  options = DEFAULT_GAIT,
+) => {
+  const tracks = {};
+  samples.forEach(sample => {
+    const track = tracks[sample.sensorId] || {
+      times: [],
+      values: [],
+      payloads: [],
+    };
+    tracks[sample.sensorId] = track;
+    track.times.push(sample.time);
+    track.values.push(sample.value);
+    track.payloads.push(sample.channels);
+  });
+
+  const results = {};
+  Object.keys(tracks).forEach(id => {
+    const {times, values, payloads} = tracks[id];
+    results[id] = analyseGait(times, values, payloads, mapping, options);
+  });
+  return results;
+};
@@ -0,0 +1,391 @@
+/**
+ * gatt-explorer.js
+ *
+ * React-component for poking at a connected sensor's GATT table: every service and
+ * characteristic, with its properties and descriptors. Values can be read (shown as hex, base-64
+ * and as integers -- see gatt-format.js), written as hex or text, and watched with
+ * notifications; and any characteristic can be promoted to be the one the sensor's values are
+ * charted from (see setSource in ble-context.js).
+ *
+ * It's a tool for working out what new firmware sends, so it talks to the sensor directly
+ * through the BLEProvider's 'gatt' operations, leaving the streaming alone.
+ */
+
+import React, {useContext, useEffect, useRef, useState} from 'react';
+import {Button, StyleSheet, Switch, Text, TextInput, View} from 'react-native';
+import {BLEContext, DEFAULT_SOURCE} from './ble-context';
+import {READY} from './connection-state';
+import {TYPES} from './decoders';
+import {
+  properties,
+  shortUUID,
+  toHex,
+  toInts,
+  toPayload,
+  uuidName,
+} from './gatt-format';
+
+/*
+ * A UUID, with its name if it's one we know.
+ */
+const label = uuid => {
+  const name = uuidName(uuid);
+  return name ? name + ' (' + shortUUID(uuid) + ')' : shortUUID(uuid);
+};
+
+/**
+ * The explorer -- it must be nested inside the BLEProvider (see App.js).
+ *
+ * @returns {JSX.Element}
+ * @constructor
+ */
+export const GattExplorer = () => {
+  const {sensors, gatt} = useContext(BLEContext);
+
+  const ready = sensors.filter(s => s.state === READY);
+  const [selected, setSelected] = useState(undefined);
+  const sensor = ready.find(s => s.id === selected) || ready[0];
+
+  /*
+   * The sensor's GATT table, once explored: [{service, characteristics: [{characteristic,
+   * descriptors}]}].
+   */
+  const [table, setTable] = useState(undefined);
+  const [exploring, setExploring] = useState(false);
+  const [error, setError] = useState(undefined);
+
+  const sensorId = sensor ? sensor.id : undefined;
+  useEffect(() => {
+    setTable(undefined);
+    setError(undefined);
+  }, [sensorId]);
+
+  const explore = () => {
+    setExploring(true);
+    setError(undefined);
+    gatt
+      .services(sensor.id)
+      .then(services =>
+        Promise.all(
+          services.map(service =>
+            gatt
+              .characteristics(sensor.id, service.uuid)
+              .then(characteristics =>
+                Promise.all(
+                  characteristics.map(characteristic =>
+                    gatt
+                      .descriptors(sensor.id, service.uuid, characteristic.uuid)
+                      .catch(() => [])
+                      .then(descriptors => ({characteristic, descriptors})),
+                  ),
+                ),
+              )
+              .then(characteristics => ({service, characteristics})),
+          ),
+        ),
+      )
+      .then(setTable)
+      .catch(e => setError(e.message))
+      .finally(() => setExploring(false));
+  };
+
+  if (!ready.length) {
+    return <Text style={styles.empty}>Connect to a sensor to explore it.</Text>;
+  }
+
+  return (
+    <View>
+      <View style={styles.toolbar}>
+        {ready.map(s => (
+          <Button
+            key={s.id}
+            title={s.name}
+            color={s.id === sensor.id ? undefined : '#999'}
+            onPress={() => setSelected(s.id)}
+          />
+        ))}
+      </View>
+      <Text style={styles.detail}>
+        {'Charting ' + label((sensor.source || DEFAULT_SOURCE).uuid)}
+      </Text>
+      <Button
+        title={exploring ? 'Exploring...' : table ? 'Refresh' : 'Explore'}
+        disabled={exploring}
+        onPress={explore}
+      />
+      {error && <Text style={styles.error}>{error}</Text>}
+      {table &&
+        table.map(({service, characteristics}) => (
+          <View key={service.uuid} style={styles.service}>
+            <Text style={styles.title}>{label(service.uuid)}</Text>
+            {characteristics.map(({characteristic, descriptors}) => (
+              <CharacteristicView
+                key={characteristic.uuid}
+                sensor={sensor}
+                service={service}
+                characteristic={characteristic}
+                descriptors={descriptors}
+              />
+            ))}
+          </View>
+        ))}
+    </View>
+  );
+};
+
+/**
+ * One characteristic: its properties and descriptors, and what can be done with it.
+ *
+ * @returns {JSX.Element}
+ * @constructor
+ */
+const CharacteristicView = ({sensor, service, characteristic, descriptors}) => {
+  const {gatt, setSource} = useContext(BLEContext);
+
+  const [value, setValue] = useState(characteristic.value);
+  const [error, setError] = useState(undefined);
+  const [payload, setPayload] = useState('');
+  const [format, setFormat] = useState('hex');
+  const [withResponse, setWithResponse] = useState(
+    !!characteristic.isWritableWithResponse,
+  );
+  const [type, setType] = useState('uint8');
+
+  /*
+   * The notification subscription, while notifications are on.
+   */
+  const subscription = useRef(undefined);
+  const [notifying, setNotifying] = useState(false);
+  useEffect(
+    () => () => subscription.current && subscription.current.remove(),
+    [],
+  );
+
+  const uuids = [sensor.id, service.uuid, characteristic.uuid];
+  const charted =
+    (sensor.source || DEFAULT_SOURCE).uuid.toUpperCase() ===
+    characteristic.uuid.toUpperCase();
+
+  const read = () => {
+    setError(undefined);
+    gatt
+      .read(...uuids)
+      .then(c => setValue(c.value))
+      .catch(e => setError(e.message));
+  };
+
+  const write = () => {
+    setError(undefined);
+    let base64;
+    try {
+      base64 = toPayload(payload, format);
+    } catch (e) {
+      setError(e.message);
+      return;
+    }
+    gatt.write(...uuids, base64, withResponse).catch(e => setError(e.message));
+  };
+
+  const notify = on => {
+    if (subscription.current) {
+      subscription.current.remove();
+      subscription.current = undefined;
+    }
+    if (on) {
+      setError(undefined);
+      subscription.current = gatt.monitor(...uuids, (e, c) => {
+        if (e) {
+          setError(e.message);
+          setNotifying(false);
+          subscription.current = undefined;
+        } else if (c) {
+          setValue(c.value);
+        }
+      });
+    }
+    setNotifying(on);
+  };
+
+  return (
+    <View style={styles.characteristic}>
+      <Text style={styles.name}>{label(characteristic.uuid)}</Text>
+      <Text style={styles.detail}>
+        {properties(characteristic).join(', ') || 'no properties'}
+      </Text>
+      {descriptors.map(descriptor => (
+        <DescriptorView
+          key={descriptor.uuid}
+          uuids={[...uuids, descriptor.uuid]}
+          descriptor={descriptor}
+        />
+      ))}
+      {value !== undefined && value !== null && <Value base64={value} />}
+      {error && <Text style={styles.error}>{error}</Text>}
+      <View style={styles.toolbar}>
+        {characteristic.isReadable && <Button title="Read" onPress={read} />}
+        {(characteristic.isNotifiable || characteristic.isIndicatable) && (
+          <>
+            <Text style={styles.detail}>Notify</Text>
+            <Switch value={notifying} onValueChange={notify} />
+          </>
+        )}
+      </View>
+      {(characteristic.isWritableWithResponse ||
+        characteristic.isWritableWithoutResponse) && (
+        <View style={styles.toolbar}>
+          <TextInput
+            style={styles.input}
+            value={payload}
+            onChangeText={setPayload}
+            placeholder={format === 'hex' ? '01 FF' : 'text'}
+            autoCapitalize="none"
+          />
+          <Button
+            title={format}
+            onPress={() => setFormat(format === 'hex' ? 'utf8' : 'hex')}
+          />
+          {characteristic.isWritableWithResponse &&
+            characteristic.isWritableWithoutResponse && (
+              <Button
+                title={withResponse ? 'with response' : 'no response'}
+                onPress={() => setWithResponse(!withResponse)}
+              />
+            )}
+          <Button title="Write" onPress={write} />
+        </View>
+      )}
+      {(characteristic.isReadable || characteristic.isNotifiable) && (
+        <View style={styles.toolbar}>
+          {charted ? (
+            <Text style={styles.detail}>Charted</Text>
+          ) : (
+            <>
+              {Object.keys(TYPES).map(t => (
+                <Button
+                  key={t}
+                  title={t}
+                  color={t === type ? undefined : '#999'}
+                  onPress={() => setType(t)}
+                />
+              ))}
+              <Button
+                title="Chart this"
+                onPress={() =>
+                  setSource(sensor.id, {
+                    serviceUUID: service.uuid,
+                    uuid: characteristic.uuid,
+                    type: type,
+                  })
+                }
+              />
+            </>
+          )}
+        </View>
+      )}
+    </View>
+  );
+};
+
+/**
+ * One descriptor, which can be read.
+ *
+ * @returns {JSX.Element}
+ * @constructor
+ */
+const DescriptorView = ({uuids, descriptor}) => {
+  const {gatt} = useContext(BLEContext);
+  const [value, setValue] = useState(descriptor.value);
+  const [error, setError] = useState(undefined);
+
+  return (
+    <View style={styles.descriptor}>
+      <View style={styles.toolbar}>
+        <Text style={styles.detail}>{label(descriptor.uuid)}</Text>
+        <Button
+          title="Read"
+          onPress={() => {
+            setError(undefined);
+            gatt
+              .readDescriptor(...uuids)
+              .then(d => setValue(d.value))
+              .catch(e => setError(e.message));
+          }}
+        />
+      </View>
+      {value !== undefined && value !== null && <Value base64={value} />}
+      {error && <Text style={styles.error}>{error}</Text>}
+    </View>
+  );
+};
+
+/**
+ * A value, as hex, base-64 and integers.
+ *
+ * @returns {JSX.Element}
+ * @constructor
+ */
+const Value = ({base64}) => (
+  <View>
+    <Text style={styles.value}>{'hex: ' + (toHex(base64) || '(empty)')}</Text>
+    <Text style={styles.value}>{'base64: ' + base64}</Text>
+    {toInts(base64).map(({type, values}) => (
+      <Text key={type} style={styles.value}>
+        {type + ': ' + values.join(', ')}
+      </Text>
+    ))}
+  </View>
+);
+
+const styles = StyleSheet.create({
+  empty: {
+    fontSize: 14,
+    color: '#666',
+  },
+  toolbar: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    alignItems: 'center',
+    marginBottom: 4,
+  },
+  service: {
+    marginTop: 12,
+  },
+  title: {
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  characteristic: {
+    marginTop: 8,
+    padding: 8,
+    borderRadius: 8,
+    backgroundColor: '#f5f5f5',
+  },
+  descriptor: {
+    marginLeft: 8,
+  },
+  name: {
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  detail: {
+    fontSize: 12,
+    color: '#666',
+    marginRight: 8,
+  },
+  value: {
+    fontSize: 12,
+    fontFamily: 'monospace',
+  },
+  error: {
+    fontSize: 12,
+    color: '#b71c1c',
+  },
+  input: {
+    flex: 1,
+    minWidth: 100,
+    borderWidth: 1,
+    borderColor: '#ccc',
+    paddingHorizontal: 4,
+    marginRight: 4,
+  },
+});
@@ -0,0 +1,133 @@
+/**
+ * gatt-format.js
+ *
+ * Helpers for the GATT explorer (see gatt-explorer.js): showing characteristic values (which
+ * ble-plx hands us base-64 encoded) as hex and as integers, turning what the user types into a
+ * payload to write, and putting names to the UUIDs we know. All pure functions.
+ */
+
+import {Buffer} from 'buffer';
+
+/*
+ * Names for the standard 16-bit UUIDs we're likely to come across, and for the Clarkson
+ * insole's own.
+ */
+const KNOWN_UUIDS = {
+  1800: 'Generic Access',
+  1801: 'Generic Attribute',
+  '180A': 'Device Information',
+  '180F': 'Battery Service',
+  '2A00': 'Device Name',
+  '2A01': 'Appearance',
+  '2A05': 'Service Changed',
+  '2A19': 'Battery Level',
+  '2A24': 'Model Number',
+  '2A25': 'Serial Number',
+  '2A26': 'Firmware Revision',
+  '2A27': 'Hardware Revision',
+  '2A28': 'Software Revision',
+  '2A29': 'Manufacturer Name',
+  2901: 'Characteristic User Description',
+  2902: 'Client Characteristic Configuration',
+  '88189766-42ED-4E52-8E9F-47C7DECD82A9': 'Clarkson Insole',
+  'F8898AF6-786E-4058-B910-4244CECD3008': 'Counter',
+};
+
+/*
+ * The integer types offered for each value, in order -- all little-endian.
+ */
+const INT_TYPES = [
+  {type: 'uint8', size: 1, read: 'getUint8'},
+  {type: 'int8', size: 1, read: 'getInt8'},
+  {type: 'uint16', size: 2, read: 'getUint16'},
+  {type: 'int16', size: 2, read: 'getInt16'},
+  {type: 'uint32', size: 4, read: 'getUint32'},
+  {type: 'int32', size: 4, read: 'getInt32'},
+];
+
+/**
+ * Shortens a UUID built on the Bluetooth base UUID to its 16-bit form (e.g., '180F'); any other
+ * UUID is returned upper-cased.
+ *
+ * @param uuid the UUID
+ * @returns {string}
+ */
+export const shortUUID = uuid => {
+  const match = /^0000([0-9a-f]{4})-0000-1000-8000-00805f9b34fb$/i.exec(uuid);
+  return match ? match[1].toUpperCase() : uuid.toUpperCase();
+};
+
+/**
+ * The name of a service, characteristic or descriptor, if it's one we know.
+ *
+ * @param uuid the UUID
+ * @returns {string|undefined}
+ */
+export const uuidName = uuid => KNOWN_UUIDS[shortUUID(uuid)];
+
+/**
+ * The properties of a characteristic, as short labels.
+ *
+ * @param characteristic a ble-plx Characteristic
+ * @returns {string[]}
+ */
+export const properties = characteristic =>
+  [
+    ['read', characteristic.isReadable],
+    ['write', characteristic.isWritableWithResponse],
+    ['write without response', characteristic.isWritableWithoutResponse],
+    ['notify', characteristic.isNotifiable],
+    ['indicate', characteristic.isIndicatable],
+  ]
+    .filter(([, has]) => has)
+    .map(([label]) => label);
+
+/**
+ * Formats a base-64 value as hex bytes (e.g., '0A FF 10').
+ *
+ * @param base64 the value
+ * @returns {string}
+ */
+export const toHex = base64 =>
+  Array.from(Buffer.from(base64 || '', 'base64'))
+    .map(byte => byte.toString(16).toUpperCase().padStart(2, '0'))
+    .join(' ');
+
+/**
+ * Reads a base-64 value as each integer type it's a whole number of.
+ *
+ * @param base64 the value
+ * @returns {{type: string, values: number[]}[]}
+ */
+export const toInts = base64 => {
+  const bytes = Buffer.from(base64 || '', 'base64');
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  return INT_TYPES.filter(
+    ({size}) => bytes.length > 0 && bytes.length % size === 0,
+  ).map(({type, size, read}) => ({
+    type: type,
+    values: Array.from({length: bytes.length / size}, (_, i) =>
+      view[read](i * size, true),
+    ),
+  }));
+};
+
+/**
+ * Turns what the user typed into a base-64 payload to write.
+ *
+ * @param text the payload -- hex bytes (spaces, colons and a leading '0x' allowed), or text
+ * @param format 'hex' or 'utf8'
+ * @returns {string} the payload, base-64 encoded
+ * @throws {Error} if 'text' isn't valid hex
+ */
+export const toPayload = (text, format) => {
+  if (format === 'utf8') {
+    return Buffer.from(text, 'utf8').toString('base64');
+  }
+
+  const hex = text.replace(/^0x/i, '').replace(/[\s:,]/g, '');
+  if (!/^([0-9a-f]{2})*$/i.test(hex)) {
+    throw new Error('Not a whole number of hex bytes: ' + text);
+  }
+  return Buffer.from(hex, 'hex').toString('base64');
+};
@@ -0,0 +1,79 @@
+/**
+ * heatmap-scale.js
+ *
+ * The arithmetic behind the pressure heatmap (see heatmap.js): the colour scale, and the
+ * peak-hold bookkeeping. All pure functions, like chart-window.js.
+ */
+
+/*
+ * The scale's settings: in 'auto' mode it runs from 0 to the highest value showing (or held,
+ * with peak hold on); in 'fixed' mode, from 'min' to 'max'.
+ */
+export const DEFAULT_SCALE = {mode: 'auto', min: 0, max: 255};
+
+/*
+ * The colours the scale runs through, low to high, as [r, g, b].
+ */
+const STOPS = [
+  [33, 102, 172],
+  [67, 190, 200],
+  [120, 198, 80],
+  [253, 216, 53],
+  [230, 81, 0],
+  [183, 28, 28],
+];
+
+/**
+ * The range the colour scale covers.
+ *
+ * @param scale {mode, min, max}
+ * @param values the values being shown
+ * @returns {number[]} [min, max]
+ */
+export const scaleRange = (scale, values) => {
+  if (scale.mode === 'fixed') {
+    const low = Math.min(scale.min, scale.max);
+    const high = Math.max(scale.min, scale.max);
+    return low === high ? [low, low + 1] : [low, high];
+  }
+
+  const finite = values.filter(Number.isFinite);
+  const high = finite.length ? Math.max(...finite) : 0;
+  return [0, high > 0 ? high : 1];
+};
+
+/**
+ * The colour for a value -- values outside the range get the colour at that end.
+ *
+ * @param value the value
+ * @param range [min, max]
+ * @returns {string} an 'rgb(r, g, b)' colour
+ */
+export const heatColour = (value, range) => {
+  const fraction = Math.max(
+    0,
+    Math.min(1, (value - range[0]) / (range[1] - range[0])),
+  );
+  const position = fraction * (STOPS.length - 1);
+  const i = Math.min(STOPS.length - 2, Math.floor(position));
+  const t = position - i;
+  const rgb = STOPS[i].map((c, j) => Math.round(c + (STOPS[i + 1][j] - c) * t));
+  return 'rgb(' + rgb.join(', ') + ')';
+};
+
+/**
+ * Updates the held peaks with a new payload.
+ *
+ * @param peaks {channelName: highest value so far}
+ * @param channels the latest channel values, {channelName: value}
+ * @returns {Object} the same object if no peak changed, otherwise a new one
+ */
+export const holdPeaks = (peaks, channels) => {
+  let updated = peaks;
+  Object.keys(channels || {}).forEach(name => {
+    if (!(channels[name] <= updated[name])) {
+      updated = {...updated, [name]: channels[name]};
+    }
+  });
+  return updated;
+};
@@ -0,0 +1,390 @@
+/**
+ * heatmap.js
+ *
+ * React-component drawing the live pressure under each multi-channel insole: a foot outline
+ * with one region per channel (see insole-layout.js), coloured by that channel's latest value.
+ * With peak hold on, each region is also ringed in the colour of the highest value it's seen
+ * since the peaks were last reset.
+ *
+ * Like the chart, it reads the sensors (and their latest values, from the sample store) from the
+ * BLEContext -- so it plays back recorded sessions too.
+ */
+
+import React, {useContext, useEffect, useMemo, useRef, useState} from 'react';
+import {Button, StyleSheet, Switch, Text, View} from 'react-native';
+import Svg, {
+  Defs,
+  Ellipse,
+  G,
+  LinearGradient,
+  Path,
+  Rect,
+  Stop,
+  Text as SvgText,
+} from 'react-native-svg';
+import {BLEContext} from './ble-context';
+import {useAllSeries, withSeries} from './sensor-series';
+import {channelRegions, guessFoot, LAYOUTS, REGIONS} from './insole-layout';
+import {
+  DEFAULT_SCALE,
+  heatColour,
+  holdPeaks,
+  scaleRange,
+} from './heatmap-scale';
+import {ParamInput} from './processing-settings';
+
+/*
+ * The size of each foot as drawn, in pixels.
+ */
+const WIDTH = 100;
+const HEIGHT = 240;
+
+/*
+ * The outline of a right foot seen from above, toes at the top -- a left foot is drawn
+ * mirrored.
+ */
+const OUTLINE =
+  'M 50 236 C 25 236, 18 215, 20 190 C 22 160, 30 140, 28 115 ' +
+  'C 24 90, 8 75, 10 45 C 12 15, 30 4, 42 4 C 60 4, 75 12, 85 25 ' +
+  'C 95 40, 92 70, 85 95 C 78 125, 78 160, 78 190 C 80 220, 70 236, 50 236 Z';
+
+/**
+ * The heatmap -- it must be nested inside the BLEProvider (see App.js).
+ *
+ * @returns {JSX.Element}
+ * @constructor
+ */
+export const Heatmap = () => {
+  const {
+    sensors: list,
+    store,
+    insoleLayout,
+    setInsoleLayout,
+  } = useContext(BLEContext);
+
+  // Only the newest sample of each sensor's history is needed.
+  const series = useAllSeries(0);
+  const sensors = useMemo(() => withSeries(list, series), [list, series]);
+
+  const [scale, setScale] = useState(DEFAULT_SCALE);
+  const [peakHold, setPeakHold] = useState(false);
+  const [editing, setEditing] = useState(false);
+
+  /*
+   * The peaks held for each sensor ({sensorId: {channelName: value}}), and which foot each
+   * sensor is on, where the user has said otherwise than its name suggests (see guessFoot).
+   */
+  const [peaks, setPeaks] = useState({});
+  const [feet, setFeet] = useState({});
+
+  // (Only sensors whose profile says their channels are regions of a foot -- replayed sensors
+  // have no profile, so any multi-channel one's assumed to be an insole.)
+  const insoles = sensors.filter(
+    s =>
+      s.channels &&
+      typeof s.channels === 'object' &&
+      (!s.profile || s.profile.display.heatmap),
+  );
+
+  /*
+   * The peaks are held from every sample, as it arrives -- the series above only has the
+   * newest one each time the store publishes, so a peak between publishes would be missed --
+   * and copied into 'peaks' whenever the store publishes. A replayed session's store is loaded
+   * rather than appended to (see replay.js), so the newest samples are held as well. Turning
+   * peak hold on starts afresh.
+   */
+  const held = useRef({});
+  const hold = (id, channels) => {
+    const previous = held.current[id] || {};
+    const updated = holdPeaks(previous, channels);
+    if (updated !== previous) {
+      held.current = {...held.current, [id]: updated};
+    }
+  };
+  useEffect(() => {
+    if (!peakHold) {
+      return;
+    }
+    held.current = {};
+    setPeaks({});
+    return store.onSample(sample => hold(sample.sensorId, sample.channels));
+  }, [peakHold, store]);
+
+  useEffect(() => {
+    if (!peakHold) {
+      return;
+    }
+    sensors.forEach(s => {
+      if (s.channels && typeof s.channels === 'object') {
+        hold(s.id, s.channels);
+      }
+    });
+    setPeaks(held.current);
+  }, [peakHold, sensors]);
+
+  const resetPeaks = () => {
+    held.current = {};
+    setPeaks({});
+  };
+
+  const shown = [];
+  insoles.forEach(s => {
+    shown.push(...Object.values(s.channels));
+    if (peakHold && peaks[s.id]) {
+      shown.push(...Object.values(peaks[s.id]));
+    }
+  });
+  const range = scaleRange(scale, shown);
+
+  if (!insoles.length) {
+    return (
+      <Text style={styles.empty}>
+        The heatmap needs a sensor which sends more than one channel.
+      </Text>
+    );
+  }
+
+  return (
+    <View>
+      <View style={styles.feet}>
+        {insoles.map(s => {
+          const foot = feet[s.id] || guessFoot(s.name);
+          return (
+            <View key={s.id} style={styles.foot}>
+              <Foot
+                channels={s.channels}
+                peaks={peakHold ? peaks[s.id] : undefined}
+                mapping={insoleLayout}
+                foot={foot}
+                range={range}
+              />
+              <Text style={styles.name}>{s.name}</Text>
+              <Button
+                title={foot === 'left' ? 'Left foot' : 'Right foot'}
+                onPress={() =>
+                  setFeet({
+                    ...feet,
+                    [s.id]: foot === 'left' ? 'right' : 'left',
+                  })
+                }
+              />
+            </View>
+          );
+        })}
+      </View>
+      <ScaleBar range={range} />
+      <View style={styles.toolbar}>
+        <Text style={styles.label}>Scale</Text>
+        <Button
+          title="Auto"
+          color={scale.mode === 'auto' ? undefined : '#999'}
+          onPress={() => setScale({...scale, mode: 'auto'})}
+        />
+        <Button
+          title="Fixed"
+          color={scale.mode === 'fixed' ? undefined : '#999'}
+          onPress={() => setScale({...scale, mode: 'fixed'})}
+        />
+        {scale.mode === 'fixed' && (
+          <>
+            <ParamInput
+              name="min"
+              value={scale.min}
+              onChange={min => setScale({...scale, min})}
+            />
+            <ParamInput
+              name="max"
+              value={scale.max}
+              onChange={max => setScale({...scale, max})}
+            />
+          </>
+        )}
+      </View>
+      <View style={styles.toolbar}>
+        <Text style={styles.label}>Peak hold</Text>
+        <Switch value={peakHold} onValueChange={setPeakHold} />
+        {peakHold && <Button title="Reset peaks" onPress={resetPeaks} />}
+      </View>
+      <View style={styles.toolbar}>
+        <Text style={styles.label}>Layout</Text>
+        <Button
+          title={editing ? 'Done' : 'Edit'}
+          onPress={() => setEditing(!editing)}
+        />
+      </View>
+      {editing && (
+        <LayoutEditor
+          channels={Object.keys(insoles[0].channels)}
+          mapping={insoleLayout}
+          onChange={setInsoleLayout}
+        />
+      )}
+    </View>
+  );
+};
+
+/**
+ * One foot: its outline, and a region per channel.
+ *
+ * @returns {JSX.Element}
+ * @constructor
+ */
+const Foot = ({channels, peaks, mapping, foot, range}) => {
+  const regions = channelRegions(Object.keys(channels), mapping);
+  const x = fraction => (foot === 'left' ? 1 - fraction : fraction) * WIDTH;
+  const y = fraction => (1 - fraction) * HEIGHT;
+
+  return (
+    <Svg width={WIDTH} height={HEIGHT}>
+      <G
+        transform={
+          foot === 'left' ? `translate(${WIDTH}, 0) scale(-1, 1)` : ''
+        }>
+        <Path d={OUTLINE} fill="#eeeeee" stroke="#9e9e9e" strokeWidth={2} />
+      </G>
+      {Object.keys(regions).map(name => {
+        const region = regions[name];
+        return (
+          <G key={name}>
+            <Ellipse
+              cx={x(region.x)}
+              cy={y(region.y)}
+              rx={region.rx * WIDTH}
+              ry={region.ry * HEIGHT}
+              fill={heatColour(channels[name], range)}
+              stroke={
+                peaks && peaks[name] !== undefined
+                  ? heatColour(peaks[name], range)
+                  : 'none'
+              }
+              strokeWidth={4}
+            />
+            <SvgText
+              x={x(region.x)}
+              y={y(region.y) + 4}
+              fontSize={10}
+              fill="white"
+              textAnchor="middle">
+              {String(Math.round(channels[name]))}
+            </SvgText>
+          </G>
+        );
+      })}
+    </Svg>
+  );
+};
+
+/**
+ * The colour scale, with its range.
+ *
+ * @returns {JSX.Element}
+ * @constructor
+ */
+const ScaleBar = ({range}) => {
+  const steps = 10;
+  return (
+    <View style={styles.scale}>
+      <Text style={styles.scaleLabel}>{range[0].toFixed(0)}</Text>
+      <Svg width={160} height={12}>
+        <Defs>
+          <LinearGradient id="heat" x1="0" y1="0" x2="1" y2="0">
+            {Array.from({length: steps + 1}, (_, i) => (
+              <Stop
+                key={i}
+                offset={String(i / steps)}
+                stopColor={heatColour(
+                  range[0] + ((range[1] - range[0]) * i) / steps,
+                  range,
+                )}
+              />
+            ))}
+          </LinearGradient>
+        </Defs>
+        <Rect width={160} height={12} fill="url(#heat)" />
+      </Svg>
+      <Text style={styles.scaleLabel}>{range[1].toFixed(0)}</Text>
+    </View>
+  );
+};
+
+/**
+ * Editor for the channel-to-region mapping: start from one of the preset layouts, or tap a
+ * channel to move it to the next region.
+ *
+ * @returns {JSX.Element}
+ * @constructor
+ */
+const LayoutEditor = ({channels, mapping, onChange}) => {
+  const names = Object.keys(REGIONS);
+  const current = channelRegions(channels, mapping);
+
+  return (
+    <View>
+      <View style={styles.toolbar}>
+        {Object.keys(LAYOUTS).map(key => (
+          <Button
+            key={key}
+            title={LAYOUTS[key].label}
+            onPress={() => onChange(LAYOUTS[key].mapping)}
+          />
+        ))}
+      </View>
+      {channels.map(channel => {
+        const region = names.find(name => REGIONS[name] === current[channel]);
+        return (
+          <View key={channel} style={styles.toolbar}>
+            <Text style={styles.label}>{channel}</Text>
+            <Button
+              title={region || 'automatic'}
+              onPress={() =>
+                onChange({
+                  ...mapping,
+                  [channel]: names[(names.indexOf(region) + 1) % names.length],
+                })
+              }
+            />
+          </View>
+        );
+      })}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  empty: {
+    fontSize: 14,
+    color: '#666',
+  },
+  feet: {
+    flexDirection: 'row',
+    justifyContent: 'space-around',
+  },
+  foot: {
+    alignItems: 'center',
+  },
+  name: {
+    fontSize: 12,
+    marginTop: 4,
+  },
+  scale: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginVertical: 8,
+  },
+  scaleLabel: {
+    fontSize: 12,
+    marginHorizontal: 4,
+  },
+  toolbar: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    alignItems: 'center',
+    marginBottom: 4,
+  },
+  label: {
+    fontSize: 14,
+    marginRight: 8,
+    minWidth: 72,
+  },
+});
@@ -0,0 +1,94 @@
+/**
+ * insole-layout.js
+ *
+ * Where a multi-channel insole's channels sit on the foot. Different insoles (and firmware
+ * versions) name and place their pressure sensors differently, so the app works from a fixed
+ * set of anatomical REGIONS and a mapping from each channel's name to one of them:
+ *
+ *   {ch0: 'heel', ch1: 'lateral', ch2: 'meta1', ch3: 'hallux'}
+ *
+ * A channel which isn't in the mapping, but is named after a region (e.g., 'heel'), goes in
+ * that region; anything else is spread out from heel to toe in the order the channels arrive.
+ * The mapping is one of the app's settings (see settings-store.js) -- the BLEProvider holds it,
+ * and the heatmap (see heatmap.js) and gait analysis (see gait.js) both use it.
+ */
+
+/*
+ * The regions, for a right foot seen from above, as ellipses {x, y, rx, ry}: 'x' runs from the
+ * medial (0) to the lateral (1) edge, and 'y' from the back of the heel (0) to the tip of the
+ * toes (1). A left foot is the mirror image.
+ */
+export const REGIONS = {
+  heel: {x: 0.5, y: 0.1, rx: 0.18, ry: 0.07},
+  heelMedial: {x: 0.4, y: 0.1, rx: 0.09, ry: 0.07},
+  heelLateral: {x: 0.6, y: 0.1, rx: 0.09, ry: 0.07},
+  arch: {x: 0.38, y: 0.42, rx: 0.07, ry: 0.1},
+  midfoot: {x: 0.55, y: 0.42, rx: 0.14, ry: 0.1},
+  lateral: {x: 0.7, y: 0.42, rx: 0.07, ry: 0.1},
+  meta1: {x: 0.25, y: 0.7, rx: 0.1, ry: 0.06},
+  meta3: {x: 0.5, y: 0.7, rx: 0.1, ry: 0.06},
+  meta5: {x: 0.75, y: 0.66, rx: 0.1, ry: 0.06},
+  ball: {x: 0.5, y: 0.7, rx: 0.3, ry: 0.07},
+  hallux: {x: 0.3, y: 0.9, rx: 0.09, ry: 0.05},
+  toes: {x: 0.62, y: 0.86, rx: 0.16, ry: 0.05},
+  toe: {x: 0.45, y: 0.88, rx: 0.25, ry: 0.06},
+};
+
+/*
+ * Mappings for the insole layouts we know about, offered as presets by the heatmap's settings.
+ */
+export const LAYOUTS = {
+  named: {
+    label: 'Channels named by region',
+    mapping: {},
+  },
+  fourZone: {
+    label: '4 sensors (ch0-ch3)',
+    mapping: {ch0: 'heel', ch1: 'lateral', ch2: 'meta1', ch3: 'hallux'},
+  },
+  eightZone: {
+    label: '8 sensors (ch0-ch7)',
+    mapping: {
+      ch0: 'heelMedial',
+      ch1: 'heelLateral',
+      ch2: 'arch',
+      ch3: 'lateral',
+      ch4: 'meta1',
+      ch5: 'meta3',
+      ch6: 'meta5',
+      ch7: 'hallux',
+    },
+  },
+};
+
+export const DEFAULT_MAPPING = LAYOUTS.named.mapping;
+
+/**
+ * Where each of a sensor's channels sits on the foot.
+ *
+ * @param names the channel names, in the order the sensor sends them
+ * @param mapping (optional) {channelName: regionName}
+ * @returns {Object} {channelName: {x, y, rx, ry}}
+ */
+export const channelRegions = (names, mapping = DEFAULT_MAPPING) => {
+  const regions = {};
+  names.forEach((name, i) => {
+    regions[name] = REGIONS[mapping[name]] ||
+      REGIONS[name] || {
+        x: 0.5,
+        y: names.length > 1 ? 0.1 + (0.8 * i) / (names.length - 1) : 0.5,
+        rx: 0.2,
+        ry: Math.min(0.07, 0.4 / names.length),
+      };
+  });
+  return regions;
+};
+
+/**
+ * Guesses which foot a sensor is on from its name (e.g., 'Clarkson Insole L').
+ *
+ * @param name the sensor's name
+ * @returns {'left'|'right'}
+ */
+export const guessFoot = name =>
+  /\b(l|left)\b/i.test(name || '') ? 'left' : 'right';
@@ -0,0 +1,243 @@
+/**
+ * participant-list.js
+ *
+ * React-component for the participants (see trials.js): picking who's wearing the insoles for
+ * the next recording, and adding, editing and deleting them. The BLEProvider saves them
+ * whenever they change, and stamps the selected one into each recording.
+ */
+
+import React, {useContext, useState} from 'react';
+import {Button, StyleSheet, Text, TextInput, View} from 'react-native';
+import {BLEContext} from './ble-context';
+import {
+  describeParticipant,
+  FEET,
+  newParticipant,
+  validateParticipant,
+} from './trials';
+
+/*
+ * A number field's text as a number -- or null, if it's been left empty. Anything else that
+ * isn't a number is NaN, which validateParticipant turns away.
+ */
+const parseOptional = text => (text.trim() === '' ? null : Number(text));
+
+const formatOptional = value => (value === null ? '' : String(value));
+
+/**
+ * The form for adding or editing a participant.
+ *
+ * @param participant the participant to start from
+ * @param onSave called with the participant once it's been filled in properly
+ * @param onCancel called if it's abandoned
+ * @returns {JSX.Element}
+ * @constructor
+ */
+export const ParticipantForm = ({participant, onSave, onCancel}) => {
+  const [code, setCode] = useState(participant.code);
+  const [shoeSize, setShoeSize] = useState(
+    formatOptional(participant.shoeSize),
+  );
+  const [weight, setWeight] = useState(formatOptional(participant.weight));
+  const [foot, setFoot] = useState(participant.foot);
+  const [error, setError] = useState(undefined);
+
+  const save = () => {
+    try {
+      onSave(
+        validateParticipant({
+          ...participant,
+          code: code,
+          shoeSize: parseOptional(shoeSize),
+          weight: parseOptional(weight),
+          foot: foot,
+        }),
+      );
+    } catch (e) {
+      setError(e.message);
+    }
+  };
+
+  return (
+    <View style={styles.form}>
+      <View style={styles.row}>
+        <Text style={styles.field}>ID</Text>
+        <TextInput
+          style={styles.input}
+          value={code}
+          onChangeText={setCode}
+          placeholder="P012"
+          autoCapitalize="characters"
+          autoCorrect={false}
+        />
+      </View>
+      <View style={styles.row}>
+        <Text style={styles.field}>Shoe size (EU)</Text>
+        <TextInput
+          style={styles.input}
+          value={shoeSize}
+          onChangeText={setShoeSize}
+          keyboardType="numeric"
+        />
+      </View>
+      <View style={styles.row}>
+        <Text style={styles.field}>Weight (kg)</Text>
+        <TextInput
+          style={styles.input}
+          value={weight}
+          onChangeText={setWeight}
+          keyboardType="numeric"
+        />
+      </View>
+      <View style={styles.row}>
+        <Text style={styles.field}>Dominant foot</Text>
+        {FEET.map(f => (
+          <Button
+            key={f}
+            title={f}
+            color={foot === f ? undefined : '#999'}
+            onPress={() => setFoot(f)}
+          />
+        ))}
+      </View>
+      {error && <Text style={styles.error}>{error}</Text>}
+      <View style={styles.buttons}>
+        <Button title="Save" onPress={save} />
+        <Button title="Cancel" color="#999" onPress={onCancel} />
+      </View>
+    </View>
+  );
+};
+
+/**
+ * The participant list -- it must be nested inside the BLEProvider (see App.js).
+ *
+ * @returns {JSX.Element}
+ * @constructor
+ */
+export const ParticipantList = () => {
+  const {
+    participants,
+    setParticipants,
+    trialSelection,
+    selectTrial,
+    recording,
+  } = useContext(BLEContext);
+
+  // The participant being added or edited, if any.
+  const [editing, setEditing] = useState(undefined);
+
+  // Who's selected is written into the recording when it starts, so it's fixed until it stops.
+  const locked = recording.status !== 'idle';
+
+  const save = participant => {
+    setParticipants(
+      participants.some(p => p.id === participant.id)
+        ? participants.map(p => (p.id === participant.id ? participant : p))
+        : [...participants, participant],
+    );
+    setEditing(undefined);
+  };
+
+  if (editing) {
+    return (
+      <ParticipantForm
+        participant={editing}
+        onSave={save}
+        onCancel={() => setEditing(undefined)}
+      />
+    );
+  }
+
+  return (
+    <View>
+      {participants.length === 0 && (
+        <Text style={styles.empty}>
+          No participants yet -- add one below, and recordings will be labelled
+          with their ID.
+        </Text>
+      )}
+      {participants.map(participant => {
+        const selected = trialSelection.participantId === participant.id;
+        return (
+          <View key={participant.id} style={styles.item}>
+            <Text style={[styles.label, selected && styles.selected]}>
+              {describeParticipant(participant)}
+            </Text>
+            <Button
+              title={selected ? 'Selected' : 'Select'}
+              color={selected ? undefined : '#999'}
+              disabled={locked}
+              onPress={() =>
+                selectTrial({participantId: selected ? null : participant.id})
+              }
+            />
+            <Button title="Edit" onPress={() => setEditing(participant)} />
+            <Button
+              title="Delete"
+              color="#c62828"
+              disabled={locked && selected}
+              onPress={() =>
+                setParticipants(
+                  participants.filter(p => p.id !== participant.id),
+                )
+              }
+            />
+          </View>
+        );
+      })}
+      <Button
+        title="Add participant"
+        onPress={() => setEditing(newParticipant())}
+      />
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  empty: {
+    fontSize: 14,
+    color: '#666',
+    marginBottom: 8,
+  },
+  item: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 6,
+    borderBottomWidth: StyleSheet.hairlineWidth,
+    borderColor: '#ccc',
+  },
+  label: {
+    flex: 1,
+    fontSize: 16,
+  },
+  selected: {
+    fontWeight: '700',
+  },
+  form: {
+    paddingVertical: 6,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  field: {
+    fontSize: 14,
+    width: 120,
+  },
+  input: {
+    flex: 1,
+    borderWidth: 1,
+    borderColor: '#ccc',
+    paddingHorizontal: 4,
+  },
+  buttons: {
+    flexDirection: 'row',
+    justifyContent: 'space-around',
+  },
+  error: {
+    color: '#b71c1c',
+    marginBottom: 8,
+  },
+});
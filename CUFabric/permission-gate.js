@@ -0,0 +1,86 @@
+/**
+ * permission-gate.js
+ *
+ * React-component which shows its children only once the app has the Bluetooth permissions it
+ * needs (see permissions.js). Until then it explains why we need them, and offers to ask again
+ * -- or, if the user has told Android not to ask again, to open the app's system settings,
+ * checking again when they come back.
+ */
+
+import React, {useContext} from 'react';
+import {Button, StyleSheet, Text, View} from 'react-native';
+import {BLEContext} from './ble-context';
+import {BLOCKED, CHECKING, GRANTED} from './permissions';
+
+/*
+ * Why we need each permission, in words the user can act on.
+ */
+const REASONS = {
+  'android.permission.BLUETOOTH_SCAN': 'find insole sensors nearby',
+  'android.permission.BLUETOOTH_CONNECT': 'connect to your insole sensors',
+  'android.permission.ACCESS_FINE_LOCATION':
+    'scan for Bluetooth devices (this version of Android counts that as location access ' +
+    '-- we never use your location)',
+};
+
+/**
+ * The gate -- it must be nested inside the BLEProvider (see App.js).
+ *
+ * @returns {JSX.Element}
+ * @constructor
+ */
+export const PermissionGate = ({children}) => {
+  const {permissions} = useContext(BLEContext);
+  const {status, missing, request, openSettings} = permissions;
+
+  if (status === GRANTED) {
+    return <>{children}</>;
+  }
+
+  if (status === CHECKING) {
+    return <Text style={styles.text}>Checking permissions ...</Text>;
+  }
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.title}>Bluetooth permission needed</Text>
+      <Text style={styles.text}>CU Fabric needs your permission to:</Text>
+      {missing.map(permission => (
+        <Text key={permission} style={styles.reason}>
+          {'• ' + (REASONS[permission] || permission)}
+        </Text>
+      ))}
+      {status === BLOCKED ? (
+        <>
+          <Text style={styles.text}>
+            You've asked not to be asked again, so this can only be changed in
+            the app's settings.
+          </Text>
+          <Button title="Open settings" onPress={openSettings} />
+        </>
+      ) : (
+        <Button title="Grant permission" onPress={request} />
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    paddingVertical: 8,
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: '600',
+    marginBottom: 8,
+  },
+  text: {
+    fontSize: 16,
+    marginBottom: 8,
+  },
+  reason: {
+    fontSize: 16,
+    marginLeft: 8,
+    marginBottom: 4,
+  },
+});
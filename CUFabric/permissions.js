@@ -0,0 +1,201 @@
+/**
+ * permissions.js
+ *
+ * The runtime permissions the app needs before it can use Bluetooth, and the usePermissions
+ * hook the BLEProvider uses to ask for them (once) and to gate scanning on the answer.
+ *
+ * Which permissions those are depends on the platform and the Android API level:
+ *
+ *   - Android 12 (API 31) and later: BLUETOOTH_SCAN and BLUETOOTH_CONNECT. We declare
+ *     BLUETOOTH_SCAN with 'neverForLocation' in AndroidManifest.xml, so location isn't needed.
+ *   - Android 6 to 11 (API 23-30): ACCESS_FINE_LOCATION, which BLE scanning requires there.
+ *   - Older Android versions grant everything at install time, and iOS asks the user itself
+ *     the first time we touch Bluetooth (a refusal shows up as the adapter state
+ *     'Unauthorized'), so there's nothing to request at runtime.
+ */
+
+import {useCallback, useEffect, useState} from 'react';
+import {AppState, Linking, PermissionsAndroid, Platform} from 'react-native';
+import {logInfo, logWarning} from './diagnostics';
+
+/*
+ * The permission statuses: 'checking' until we know, 'granted' once everything's granted,
+ * 'denied' if the user refused something (we can ask again), and 'blocked' if they refused
+ * with "don't ask again" (only the system settings can change it now).
+ */
+export const CHECKING = 'checking';
+export const GRANTED = 'granted';
+export const DENIED = 'denied';
+export const BLOCKED = 'blocked';
+
+/**
+ * The permissions needed to use Bluetooth on the given platform.
+ *
+ * @param os Platform.OS
+ * @param version Platform.Version (the API level, on Android)
+ * @returns {string[]} the permissions, as PermissionsAndroid.PERMISSIONS values
+ */
+export const requiredPermissions = (os, version) => {
+  if (os !== 'android' || version < 23) {
+    return [];
+  }
+  if (version >= 31) {
+    return [
+      PermissionsAndroid.PERMISSIONS.BLUETOOTH_SCAN,
+      PermissionsAndroid.PERMISSIONS.BLUETOOTH_CONNECT,
+    ];
+  }
+  return [PermissionsAndroid.PERMISSIONS.ACCESS_FINE_LOCATION];
+};
+
+/**
+ * Sums up the results of PermissionsAndroid.requestMultiple as one status -- the worst of
+ * them -- along with the permissions which weren't granted.
+ *
+ * @param results the results, keyed by permission
+ * @returns {{status: string, missing: string[]}}
+ */
+export const summarise = results => {
+  const missing = Object.keys(results).filter(
+    permission => results[permission] !== PermissionsAndroid.RESULTS.GRANTED,
+  );
+  const blocked = missing.some(
+    permission =>
+      results[permission] === PermissionsAndroid.RESULTS.NEVER_ASK_AGAIN,
+  );
+
+  return {
+    status: missing.length === 0 ? GRANTED : blocked ? BLOCKED : DENIED,
+    missing: missing,
+  };
+};
+
+const required = () => requiredPermissions(Platform.OS, Platform.Version);
+
+/*
+ * The request in flight (or the last one made), shared by every caller -- so however many
+ * components mount, the user is only asked once.
+ */
+let pending;
+
+/**
+ * Asks for any of the required permissions we don't already have.
+ *
+ * @param again (optional) ask again even if we've already asked once
+ * @returns {Promise<{status: string, missing: string[]}>}
+ */
+export const requestPermissions = (again = false) => {
+  if (pending && !again) {
+    return pending;
+  }
+
+  const permissions = required();
+  logInfo(
+    'Requesting permissions: ' + (permissions.join(', ') || 'none needed'),
+  );
+  pending = (
+    permissions.length
+      ? PermissionsAndroid.requestMultiple(permissions)
+      : Promise.resolve({})
+  )
+    .then(summarise)
+    .then(result => {
+      if (result.status === GRANTED) {
+        logInfo('Permissions granted');
+      } else {
+        logWarning(
+          'Permissions ' + result.status + ': ' + result.missing.join(', '),
+        );
+      }
+      return result;
+    })
+    .catch(error => {
+      pending = undefined;
+      logWarning('Unable to request permissions: ' + error.message);
+      return {status: DENIED, missing: permissions};
+    });
+  return pending;
+};
+
+/**
+ * Checks, without asking, which of the required permissions still haven't been granted -- for
+ * noticing the user granting them in the system settings. Once they all have, later requests
+ * don't need to ask.
+ *
+ * @param permissions (optional) the permissions to check -- defaults to the required ones
+ * @returns {Promise<string[]>} the permissions still missing
+ */
+export const checkPermissions = (permissions = required()) =>
+  Promise.all(
+    permissions.map(permission => PermissionsAndroid.check(permission)),
+  ).then(granted => {
+    const missing = permissions.filter((_, i) => !granted[i]);
+    if (!missing.length) {
+      pending = Promise.resolve({status: GRANTED, missing: []});
+    }
+    return missing;
+  });
+
+/**
+ * Requests the permissions the first time it's used, and returns:
+ *
+ *   {status, missing, request, openSettings}
+ *
+ * where 'status' is one of the statuses above, 'missing' lists the permissions not granted,
+ * request() asks again (e.g., after the user has read our rationale) and openSettings() opens
+ * the app's page in the system settings (the only way out of 'blocked'). Whenever the app
+ * comes back to the foreground without them, they're checked again, in case the user's just
+ * granted them there.
+ *
+ * With nothing to request on this platform, 'status' is 'granted' from the very first render.
+ *
+ * @returns {{status, missing, request, openSettings}}
+ */
+export const usePermissions = () => {
+  const [result, setResult] = useState(() => ({
+    status: required().length ? CHECKING : GRANTED,
+    missing: [],
+  }));
+
+  useEffect(() => {
+    let mounted = true;
+    requestPermissions().then(r => mounted && setResult(r));
+    return () => {
+      mounted = false;
+    };
+  }, []);
+
+  useEffect(() => {
+    const subscription = AppState.addEventListener('change', nextAppState => {
+      if (nextAppState !== 'active') {
+        return;
+      }
+      checkPermissions()
+        .then(missing =>
+          setResult(previous => {
+            if (previous.status === GRANTED || previous.status === CHECKING) {
+              return previous;
+            }
+            if (missing.length) {
+              return {...previous, missing: missing};
+            }
+            logInfo('Permissions granted in the system settings');
+            return {status: GRANTED, missing: []};
+          }),
+        )
+        .catch(error => {
+          logWarning('Unable to check permissions: ' + error.message);
+        });
+    });
+    return () => subscription.remove();
+  }, []);
+
+  const request = useCallback(
+    () => requestPermissions(true).then(r => setResult(r)),
+    [],
+  );
+
+  const openSettings = useCallback(() => Linking.openSettings(), []);
+
+  return {...result, request, openSettings};
+};
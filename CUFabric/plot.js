@@ -0,0 +1,292 @@
+/**
+ * plot.js
+ *
+ * The line plot the chart (see chart.js) draws with. react-native-chart-kit spaces its points
+ * evenly, which can't show samples by the time they arrived, so this draws the lines itself
+ * with react-native-svg: a real time x-axis, a y-axis with round-number ticks, and a legend.
+ *
+ * It also turns touches into zooming and panning -- a pinch zooms, a horizontal drag pans --
+ * which it reports through onZoom and onPan rather than keeping any view state of its own.
+ */
+
+import React, {useMemo, useRef} from 'react';
+import {PanResponder, StyleSheet, Text, View} from 'react-native';
+import Svg, {
+  ClipPath,
+  Defs,
+  G,
+  Line,
+  LinearGradient,
+  Polyline,
+  Rect,
+  Stop,
+  Text as SvgText,
+} from 'react-native-svg';
+import {ticks} from './chart-window';
+
+/*
+ * Room (in pixels) left around the plot area for the axis labels.
+ */
+const LEFT = 44;
+const BOTTOM = 22;
+const TOP = 10;
+const RIGHT = 10;
+
+const LABEL_COLOUR = 'rgba(255, 255, 255, 0.9)';
+const GRID_COLOUR = 'rgba(255, 255, 255, 0.25)';
+
+/*
+ * Formats a y-axis tick -- trimming the decimal places the tick step doesn't need.
+ */
+const formatValue = value =>
+  Math.abs(value) >= 1000 || Number.isInteger(value)
+    ? String(Math.round(value))
+    : String(Number(value.toPrecision(3)));
+
+/*
+ * The distance between the first two touches of a gesture.
+ */
+const touchDistance = touches =>
+  Math.hypot(
+    touches[0].pageX - touches[1].pageX,
+    touches[0].pageY - touches[1].pageY,
+  );
+
+/**
+ * The plot. Each entry in 'lines' is of the form {times, data, name, color}, where 'color' is
+ * a function of opacity (as react-native-chart-kit had it).
+ *
+ * @param lines the lines to draw, already clipped to the domain
+ * @param domain the x-axis range [start, end], in milliseconds
+ * @param range the y-axis range [min, max]
+ * @param origin the time the x-axis labels count from (they read e.g. '-5s')
+ * @param markers (optional) vertical markers, each of the form {time, label, colour}
+ * @param unit (optional) the unit of the values, shown up the y-axis
+ * @param width the width of the plot, in pixels
+ * @param height the height of the plot, in pixels
+ * @param onZoom (optional) called with the factor to zoom by when the user pinches
+ * @param onPan (optional) called with the milliseconds to pan back by when the user drags
+ * @returns {JSX.Element}
+ * @constructor
+ */
+export const Plot = ({
+  lines,
+  domain,
+  range,
+  origin,
+  markers = [],
+  unit,
+  width,
+  height,
+  onZoom,
+  onPan,
+}) => {
+  const plotWidth = Math.max(1, width - LEFT - RIGHT);
+  const plotHeight = Math.max(1, height - TOP - BOTTOM);
+
+  const x = t => LEFT + ((t - domain[0]) / (domain[1] - domain[0])) * plotWidth;
+  const y = v =>
+    TOP + (1 - (v - range[0]) / (range[1] - range[0])) * plotHeight;
+
+  /*
+   * The gesture handlers only live as long as the responder, so they read the latest props
+   * through this ref.
+   */
+  const latest = useRef({});
+  latest.current = {domain, plotWidth, onZoom, onPan};
+
+  const responder = useMemo(() => {
+    let last = {distance: undefined, x: undefined};
+
+    const start = event => {
+      const touches = event.nativeEvent.touches;
+      last = {
+        distance: touches.length > 1 ? touchDistance(touches) : undefined,
+        x: touches.length === 1 ? touches[0].pageX : undefined,
+      };
+    };
+
+    return PanResponder.create({
+      // Only claim horizontal drags and pinches, so the screen can still scroll vertically.
+      onMoveShouldSetPanResponder: (event, gesture) =>
+        event.nativeEvent.touches.length > 1 ||
+        Math.abs(gesture.dx) > Math.abs(gesture.dy) * 2,
+      onPanResponderGrant: start,
+      onPanResponderTerminationRequest: () => false,
+      onPanResponderMove: event => {
+        const touches = event.nativeEvent.touches;
+        const {
+          domain: d,
+          plotWidth: w,
+          onZoom: zoom,
+          onPan: pan,
+        } = latest.current;
+
+        if (touches.length > 1) {
+          const distance = touchDistance(touches);
+          if (last.distance && zoom) {
+            zoom(distance / last.distance);
+          }
+          last = {distance: distance, x: undefined};
+        } else if (touches.length === 1) {
+          if (last.x !== undefined && pan) {
+            // Dragging to the right brings older samples into view.
+            pan(((touches[0].pageX - last.x) / w) * (d[1] - d[0]));
+          }
+          last = {distance: undefined, x: touches[0].pageX};
+        }
+      },
+      onPanResponderRelease: () => {
+        last = {distance: undefined, x: undefined};
+      },
+    });
+  }, []);
+
+  const yTicks = ticks(range[0], range[1], Math.max(2, plotHeight / 40));
+  const xTicks = ticks(
+    (domain[0] - origin) / 1000,
+    (domain[1] - origin) / 1000,
+    Math.max(2, plotWidth / 70),
+  );
+
+  return (
+    <View>
+      <View {...responder.panHandlers}>
+        <Svg width={width} height={height}>
+          <Defs>
+            <LinearGradient id="background" x1="0" y1="0" x2="1" y2="0">
+              <Stop offset="0" stopColor="#fb8c00" stopOpacity="1" />
+              <Stop offset="1" stopColor="#ffa726" stopOpacity="1" />
+            </LinearGradient>
+            <ClipPath id="plot-area">
+              <Rect x={LEFT} y={TOP} width={plotWidth} height={plotHeight} />
+            </ClipPath>
+          </Defs>
+          <Rect
+            width={width}
+            height={height}
+            rx={16}
+            ry={16}
+            fill="url(#background)"
+          />
+          <G>
+            {yTicks.map(tick => (
+              <G key={'y' + tick}>
+                <Line
+                  x1={LEFT}
+                  x2={LEFT + plotWidth}
+                  y1={y(tick)}
+                  y2={y(tick)}
+                  stroke={GRID_COLOUR}
+                  strokeDasharray="4, 4"
+                />
+                <SvgText
+                  x={LEFT - 4}
+                  y={y(tick) + 4}
+                  fontSize={10}
+                  fill={LABEL_COLOUR}
+                  textAnchor="end">
+                  {formatValue(tick)}
+                </SvgText>
+              </G>
+            ))}
+            {unit ? (
+              <SvgText
+                x={10}
+                y={TOP + plotHeight / 2}
+                fontSize={10}
+                fill={LABEL_COLOUR}
+                textAnchor="middle"
+                rotation={-90}
+                originX={10}
+                originY={TOP + plotHeight / 2}>
+                {unit}
+              </SvgText>
+            ) : null}
+            {xTicks.map(tick => (
+              <SvgText
+                key={'x' + tick}
+                x={x(origin + tick * 1000)}
+                y={TOP + plotHeight + 15}
+                fontSize={10}
+                fill={LABEL_COLOUR}
+                textAnchor="middle">
+                {formatValue(tick) + 's'}
+              </SvgText>
+            ))}
+          </G>
+          {markers
+            .filter(m => m.time >= domain[0] && m.time <= domain[1])
+            .map((marker, i) => (
+              <G key={'m' + i}>
+                <Line
+                  x1={x(marker.time)}
+                  x2={x(marker.time)}
+                  y1={TOP}
+                  y2={TOP + plotHeight}
+                  stroke={marker.colour || 'white'}
+                  strokeWidth={1.5}
+                />
+                {marker.label ? (
+                  <SvgText
+                    x={x(marker.time) + 3}
+                    y={TOP + 10}
+                    fontSize={10}
+                    fill={marker.colour || 'white'}>
+                    {marker.label}
+                  </SvgText>
+                ) : null}
+              </G>
+            ))}
+          <G clipPath="url(#plot-area)">
+            {lines
+              .filter(line => line.times.length)
+              .map((line, i) => (
+                <Polyline
+                  key={line.name + i}
+                  points={line.times
+                    .map((t, j) => x(t) + ',' + y(line.data[j]))
+                    .join(' ')}
+                  fill="none"
+                  stroke={line.color(1)}
+                  strokeWidth={2}
+                />
+              ))}
+          </G>
+        </Svg>
+      </View>
+      {lines.length > 0 && (
+        <View style={styles.legend}>
+          {lines.map((line, i) => (
+            <View key={line.name + i} style={styles.legendItem}>
+              <View style={[styles.swatch, {backgroundColor: line.color(1)}]} />
+              <Text style={styles.legendText}>{line.name}</Text>
+            </View>
+          ))}
+        </View>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  legend: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginTop: 4,
+  },
+  legendItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginRight: 12,
+  },
+  swatch: {
+    width: 10,
+    height: 10,
+    borderRadius: 5,
+    marginRight: 4,
+  },
+  legendText: {
+    fontSize: 12,
+  },
+});
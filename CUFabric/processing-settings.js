@@ -0,0 +1,195 @@
+/**
+ * processing-settings.js
+ *
+ * React-component for configuring the signal-processing chain (see processing.js) applied to
+ * every sensor's raw values. Each stage can be switched on or off and has its parameters
+ * edited here; the stages always run in the order they're listed.
+ */
+
+import React, {useContext, useState} from 'react';
+import {StyleSheet, Switch, Text, TextInput, View} from 'react-native';
+import {BLEContext} from './ble-context';
+
+/*
+ * The stages and derived series offered here, in the order they're applied, along with the
+ * parameters each one takes and their default values.
+ */
+const OPTIONS = [
+  {
+    kind: 'stages',
+    type: 'calibrate',
+    label: 'Calibration',
+    params: {offset: 0, scale: 1},
+  },
+  {
+    kind: 'stages',
+    type: 'median',
+    label: 'Median spike filter',
+    params: {window: 5},
+  },
+  {
+    kind: 'stages',
+    type: 'movingAverage',
+    label: 'Moving average',
+    params: {window: 5},
+  },
+  {
+    kind: 'stages',
+    type: 'exponential',
+    label: 'Exponential smoothing',
+    params: {alpha: 0.3},
+  },
+  {
+    kind: 'derived',
+    type: 'rateOfChange',
+    label: 'Rate of change (per second)',
+    params: {},
+  },
+];
+
+/*
+ * Turns the BLEContext's chain config into the form edited here: one {enabled, params} entry
+ * per option, keyed by type.
+ */
+const fromConfig = config => {
+  const settings = {};
+  OPTIONS.forEach(option => {
+    const configured = config[option.kind].find(s => s.type === option.type);
+    const {type, ...params} = configured || {};
+    settings[option.type] = {
+      enabled: configured !== undefined,
+      params: {...option.params, ...params},
+    };
+  });
+  return settings;
+};
+
+/*
+ * ... and back again.
+ */
+const toConfig = settings => {
+  const config = {stages: [], derived: []};
+  OPTIONS.forEach(option => {
+    const setting = settings[option.type];
+    if (setting.enabled) {
+      config[option.kind].push({type: option.type, ...setting.params});
+    }
+  });
+  return config;
+};
+
+/**
+ * A numeric parameter. The text is kept as typed, and only passed on once it parses as a
+ * number -- otherwise clearing the field to type a new value would be impossible.
+ *
+ * @returns {JSX.Element}
+ * @constructor
+ */
+export const ParamInput = ({name, value, onChange}) => {
+  const [text, setText] = useState(String(value));
+
+  return (
+    <View style={styles.param}>
+      <Text style={styles.paramName}>{name}</Text>
+      <TextInput
+        style={styles.input}
+        keyboardType="numeric"
+        value={text}
+        onChangeText={t => {
+          setText(t);
+          const parsed = parseFloat(t);
+          if (!isNaN(parsed)) {
+            onChange(parsed);
+          }
+        }}
+      />
+    </View>
+  );
+};
+
+/**
+ * The settings panel -- it must be nested inside the BLEProvider (see App.js).
+ *
+ * @returns {JSX.Element}
+ * @constructor
+ */
+export const ProcessingSettings = () => {
+  const {processing, setProcessing} = useContext(BLEContext);
+  const settings = fromConfig(processing);
+
+  const update = (type, changes) => {
+    setProcessing(
+      toConfig({...settings, [type]: {...settings[type], ...changes}}),
+    );
+  };
+
+  return (
+    <View>
+      {OPTIONS.map(option => {
+        const setting = settings[option.type];
+        return (
+          <View key={option.type} style={styles.row}>
+            <View style={styles.header}>
+              <Text style={styles.label}>{option.label}</Text>
+              <Switch
+                value={setting.enabled}
+                onValueChange={enabled => update(option.type, {enabled})}
+              />
+            </View>
+            {setting.enabled && (
+              <View style={styles.params}>
+                {Object.keys(setting.params).map(name => (
+                  <ParamInput
+                    key={name}
+                    name={name}
+                    value={setting.params[name]}
+                    onChange={value =>
+                      update(option.type, {
+                        params: {...setting.params, [name]: value},
+                      })
+                    }
+                  />
+                ))}
+              </View>
+            )}
+          </View>
+        );
+      })}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  row: {
+    paddingVertical: 4,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  label: {
+    flex: 1,
+    fontSize: 16,
+  },
+  params: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  param: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginRight: 16,
+  },
+  paramName: {
+    fontSize: 12,
+    color: '#666',
+    marginRight: 4,
+  },
+  input: {
+    minWidth: 60,
+    paddingVertical: 2,
+    paddingHorizontal: 4,
+    borderWidth: StyleSheet.hairlineWidth,
+    borderColor: '#ccc',
+  },
+});
@@ -0,0 +1,177 @@
+/**
+ * processing.js
+ *
+ * The signal-processing chain applied to each sensor's raw values. The raw values are always
+ * kept as they are -- the chain produces a separate 'filtered' series from them, plus any
+ * derived series (e.g., rate of change) computed from the filtered values.
+ *
+ * A chain is described by a plain, JSON-friendly config object:
+ *
+ *   {
+ *     stages: [
+ *       {type: 'calibrate', offset: 12, scale: 0.5},
+ *       {type: 'median', window: 5},
+ *       {type: 'movingAverage', window: 4},
+ *     ],
+ *     derived: [{type: 'rateOfChange'}],
+ *   }
+ *
+ * Stages run in the order given, each one fed the output of the previous. Every stage is
+ * stateful (a moving average has to remember the last few values), so createProcessor builds a
+ * fresh set for each sensor.
+ */
+
+/*
+ * The filter stages, keyed by type. Each entry takes the stage's config and returns a
+ * function (value, time) => value which carries its own state between calls.
+ */
+export const STAGES = {
+  /*
+   * Calibration: subtracts 'offset' (e.g., the zero-load reading) and multiplies by 'scale'.
+   */
+  calibrate:
+    ({offset = 0, scale = 1}) =>
+    value =>
+      (value - offset) * scale,
+
+  /*
+   * The mean of the last 'window' values.
+   */
+  movingAverage: ({window = 5}) => {
+    const size = Math.max(1, Math.round(window));
+    const values = [];
+    return value => {
+      values.push(value);
+      if (values.length > size) {
+        values.shift();
+      }
+      return values.reduce((sum, v) => sum + v, 0) / values.length;
+    };
+  },
+
+  /*
+   * Exponential smoothing: each output moves 'alpha' (0 to 1) of the way from the previous
+   * output towards the new value. Smaller values of alpha smooth more.
+   */
+  exponential: ({alpha = 0.3}) => {
+    let smoothed;
+    return value => {
+      smoothed =
+        smoothed === undefined ? value : alpha * value + (1 - alpha) * smoothed;
+      return smoothed;
+    };
+  },
+
+  /*
+   * The median of the last 'window' values -- unlike an average, a single spike doesn't move
+   * it at all.
+   */
+  median: ({window = 5}) => {
+    const size = Math.max(1, Math.round(window));
+    const values = [];
+    return value => {
+      values.push(value);
+      if (values.length > size) {
+        values.shift();
+      }
+      const sorted = [...values].sort((a, b) => a - b);
+      const middle = Math.floor(sorted.length / 2);
+      return sorted.length % 2
+        ? sorted[middle]
+        : (sorted[middle - 1] + sorted[middle]) / 2;
+    };
+  },
+};
+
+/*
+ * The derived series, keyed by type. These have the same shape as STAGES, but their outputs
+ * are published as separate series rather than feeding the next stage.
+ */
+export const DERIVED = {
+  /*
+   * The change in the filtered value per second. The first value has nothing to compare
+   * against, so it's reported as 0.
+   */
+  rateOfChange: () => {
+    let previous;
+    return (value, time) => {
+      const rate =
+        previous && time > previous.time
+          ? ((value - previous.value) * 1000) / (time - previous.time)
+          : 0;
+      previous = {value: value, time: time};
+      return rate;
+    };
+  },
+};
+
+/*
+ * The chain used until the user configures something else -- no filtering at all, so the
+ * filtered series is identical to the raw one.
+ */
+export const DEFAULT_PROCESSING = {
+  stages: [],
+  derived: [],
+};
+
+/**
+ * Builds a processor for the given chain config. The processor is a function which takes each
+ * raw value (and the time it was received, in milliseconds) in turn, and returns:
+ *
+ *   {filtered, derived}
+ *
+ * where 'filtered' is the output of the last stage and 'derived' maps each derived series'
+ * type to its value.
+ *
+ * @param config a chain config (see the top of this file)
+ * @returns {function(number, number): {filtered: number, derived: Object<string, number>}}
+ */
+export const createProcessor = config => {
+  const stages = config.stages.map(stage => {
+    if (!STAGES[stage.type]) {
+      throw new Error('Unknown processing stage: ' + stage.type);
+    }
+    return STAGES[stage.type](stage);
+  });
+  const derived = config.derived.map(series => {
+    if (!DERIVED[series.type]) {
+      throw new Error('Unknown derived series: ' + series.type);
+    }
+    return {type: series.type, step: DERIVED[series.type](series)};
+  });
+
+  return (value, time) => {
+    const filtered = stages.reduce((v, step) => step(v, time), value);
+    const outputs = {};
+    derived.forEach(series => {
+      outputs[series.type] = series.step(filtered, time);
+    });
+    return {filtered: filtered, derived: outputs};
+  };
+};
+
+/**
+ * Runs a processor over a whole series of raw values -- used to rebuild the filtered and
+ * derived series when the chain config changes. The processor is left primed with those
+ * values, so it can carry on with the next value received.
+ *
+ * @param processor a processor created by createProcessor
+ * @param values the raw values, oldest first
+ * @param times the time each value was received, in milliseconds
+ * @returns {{filtered: number[], derived: Object<string, number[]>}}
+ */
+export const processSeries = (processor, values, times) => {
+  const filtered = [];
+  const derived = {};
+
+  values.forEach((value, i) => {
+    const output = processor(value, times[i]);
+    filtered.push(output.filtered);
+    Object.keys(output.derived).forEach(type => {
+      derived[type] = derived[type] || [];
+      derived[type].push(output.derived[type]);
+    });
+  });
+
+  return {filtered: filtered, derived: derived};
+};
@@ -0,0 +1,309 @@
+/**
+ * recorder.js
+ *
+ * The useRecorder hook, which the BLEProvider uses to record sessions. Every sample received
+ * while a session is recording is buffered here and written to disk a chunk at a time (see
+ * session-store.js), so there's no limit on how long a session can be, and none of the samples
+ * live in React state.
+ */
+
+import {useCallback, useEffect, useRef, useState} from 'react';
+import {
+  createSession,
+  readSamples,
+  saveMetadata,
+  writeChunk,
+} from './session-store';
+import {sampleRates} from './session-format';
+import {analyseSession} from './gait';
+import {logError} from './diagnostics';
+
+/*
+ * A chunk is written when CHUNK_SIZE samples have been buffered, or every FLUSH_INTERVAL
+ * milliseconds, whichever comes first -- so we lose at most a few seconds if the app dies.
+ */
+const CHUNK_SIZE = 500;
+const FLUSH_INTERVAL = 5000;
+
+/*
+ * The state published while nothing is being recorded.
+ */
+export const IDLE = {
+  status: 'idle',
+  session: undefined,
+  sampleCount: 0,
+  lastSession: undefined,
+  written: false,
+};
+
+/**
+ * Records sessions to on-device storage. Returns:
+ *
+ *   {recording, record, recordEvent, start, pause, resume, stop}
+ *
+ * 'recording' is an object of the form {status, session, sampleCount, lastSession, written},
+ * where 'status' is one of 'idle', 'recording' or 'paused', 'session' is the metadata of the
+ * session in progress (see session-format.js), 'lastSession' is the metadata of the last
+ * session to finish, and 'written' is whether all of that session -- its gait analysis
+ * included -- is on disk yet. 'sampleCount' is only refreshed once a second.
+ *
+ * record(sample, sensor) should be called for every sample received -- it's ignored unless a
+ * session is recording. 'sensor' is {id, name, firmware, calibration} -- 'firmware' being its
+ * firmware revision, if known (see device-info.js), and 'calibration' the one applied to its
+ * samples, if any (see calibration.js) -- and is only used the first time that sensor
+ * contributes a sample, bar filling in the firmware revision if it wasn't known then.
+ *
+ * recordEvent(event) does the same for events detected in the stream (see alerts.js) -- those
+ * go into the session's metadata, rather than its chunks.
+ *
+ * @returns {{recording, record, recordEvent, start, pause, resume, stop}}
+ */
+export const useRecorder = () => {
+  const [recording, setRecording] = useState(IDLE);
+
+  /*
+   * The session metadata, the buffered samples, and the number of chunks written so far all
+   * change with every sample, so they live in refs.
+   */
+  const session = useRef(undefined);
+  const status = useRef('idle');
+  const buffer = useRef([]);
+  const chunks = useRef(0);
+  const counts = useRef({});
+
+  /*
+   * Writes are chained one after another, so chunks can't land out of order.
+   */
+  const writes = useRef(Promise.resolve());
+
+  const enqueue = useCallback(write => {
+    writes.current = writes.current.then(write).catch(error => {
+      logError('Unable to write session to storage: ' + error.message);
+    });
+    return writes.current;
+  }, []);
+
+  /*
+   * Writes whatever's in the buffer out as the next chunk, along with the metadata as it
+   * stands -- so a session cut short by the app being killed still has a usable sample count.
+   */
+  const flush = useCallback(() => {
+    if (!session.current || buffer.current.length === 0) {
+      return writes.current;
+    }
+
+    const metadata = {...session.current};
+    const index = chunks.current++;
+    const samples = buffer.current;
+    buffer.current = [];
+    return enqueue(() =>
+      writeChunk(metadata.id, index, samples).then(() =>
+        saveMetadata(metadata),
+      ),
+    );
+  }, [enqueue]);
+
+  /*
+   * Copies the ref-held bookkeeping into the 'recording' state.
+   */
+  const publish = useCallback(() => {
+    setRecording(previous => ({
+      ...previous,
+      status: status.current,
+      session: session.current && {...session.current},
+      sampleCount: session.current ? session.current.sampleCount : 0,
+    }));
+  }, []);
+
+  /*
+   * Updates the 'recording' state with news of a finished session -- unless another one's
+   * finished since.
+   */
+  const setLastSession = useCallback((id, changes) => {
+    setRecording(previous =>
+      previous.lastSession && previous.lastSession.id === id
+        ? {...previous, ...changes}
+        : previous,
+    );
+  }, []);
+
+  const record = useCallback(
+    (sample, sensor) => {
+      if (status.current !== 'recording') {
+        return;
+      }
+
+      const entry = session.current.sensors.find(s => s.id === sensor.id);
+      if (!entry) {
+        session.current.sensors.push({
+          id: sensor.id,
+          name: sensor.name,
+          firmware: sensor.firmware || null,
+          sampleRate: 0,
+          calibration: sensor.calibration || null,
+        });
+      } else if (!entry.firmware && sensor.firmware) {
+        // The firmware revision is read just after the sensor connects, so its first few
+        // samples can arrive before we know it.
+        entry.firmware = sensor.firmware;
+      }
+
+      buffer.current.push(sample);
+      counts.current[sample.sensorId] =
+        (counts.current[sample.sensorId] || 0) + 1;
+      session.current.sampleCount++;
+
+      if (buffer.current.length >= CHUNK_SIZE) {
+        flush();
+      }
+    },
+    [flush],
+  );
+
+  const recordEvent = useCallback(event => {
+    if (status.current !== 'recording') {
+      return;
+    }
+
+    session.current.events.push(event);
+  }, []);
+
+  /**
+   * Starts recording a new session. Does nothing if a session is already in progress.
+   *
+   * @param name (optional) a name for the session -- defaults to the start time
+   * @param details (optional) anything else to note in the session's metadata
+   */
+  const start = useCallback(
+    (name, details = {}) => {
+      if (status.current !== 'idle') {
+        return writes.current;
+      }
+
+      const startTime = Date.now();
+      session.current = {
+        id: startTime.toString(36),
+        name: name || new Date(startTime).toLocaleString(),
+        startTime: startTime,
+        endTime: null,
+        pauses: [],
+        sensors: [],
+        events: [],
+        sampleCount: 0,
+        ...details,
+      };
+      buffer.current = [];
+      chunks.current = 0;
+      counts.current = {};
+      status.current = 'recording';
+
+      console.log('Recording session ' + session.current.id);
+      const metadata = {...session.current};
+      publish();
+      return enqueue(() => createSession(metadata));
+    },
+    [enqueue, publish],
+  );
+
+  const pause = useCallback(() => {
+    if (status.current !== 'recording') {
+      return;
+    }
+
+    status.current = 'paused';
+    session.current.pauses.push({start: Date.now(), end: null});
+    flush();
+    publish();
+  }, [flush, publish]);
+
+  const resume = useCallback(() => {
+    if (status.current !== 'paused') {
+      return;
+    }
+
+    status.current = 'recording';
+    session.current.pauses[session.current.pauses.length - 1].end = Date.now();
+    publish();
+  }, [publish]);
+
+  /**
+   * Stops recording, writing out the last chunk and the final metadata. Once it's all written,
+   * the session is read back for its gait analysis (see gait.js), which is saved with it -- and
+   * then 'written' is set, whether the analysis worked or not.
+   *
+   * @returns {Promise<Object|undefined>} the metadata of the finished session
+   */
+  const stop = useCallback(() => {
+    if (status.current === 'idle') {
+      return Promise.resolve(undefined);
+    }
+
+    const now = Date.now();
+    if (status.current === 'paused') {
+      session.current.pauses[session.current.pauses.length - 1].end = now;
+    }
+    session.current.endTime = now;
+
+    const rates = sampleRates(session.current, counts.current);
+    session.current.sensors.forEach(sensor => {
+      sensor.sampleRate = rates[sensor.id] || 0;
+    });
+
+    flush();
+    const metadata = session.current;
+    session.current = undefined;
+    status.current = 'idle';
+    console.log(
+      'Finished recording session ' +
+        metadata.id +
+        ' (' +
+        metadata.sampleCount +
+        ' samples)',
+    );
+
+    setRecording({...IDLE, lastSession: metadata});
+    return enqueue(() =>
+      saveMetadata(metadata)
+        .then(() =>
+          // A failed analysis isn't a failed write -- the session's all on disk by now, just
+          // without its gait summary.
+          readSamples(metadata.id)
+            .then(samples => analyseSession(samples, metadata.layout))
+            .then(
+              gait => {
+                metadata.gait = gait;
+                setLastSession(metadata.id, {lastSession: {...metadata}});
+                return saveMetadata(metadata);
+              },
+              error =>
+                logError(
+                  'Unable to analyse session ' +
+                    metadata.id +
+                    ': ' +
+                    error.message,
+                ),
+            ),
+        )
+        .then(() => setLastSession(metadata.id, {written: true})),
+    ).then(() => metadata);
+  }, [enqueue, flush, setLastSession]);
+
+  /*
+   * While a session is in progress: flush the buffer every FLUSH_INTERVAL milliseconds, and
+   * refresh the published sample count once a second.
+   */
+  useEffect(() => {
+    if (recording.status === 'idle') {
+      return;
+    }
+
+    const flushInterval = setInterval(flush, FLUSH_INTERVAL);
+    const publishInterval = setInterval(publish, 1000);
+    return () => {
+      clearInterval(flushInterval);
+      clearInterval(publishInterval);
+    };
+  }, [flush, publish, recording.status]);
+
+  return {recording, record, recordEvent, start, pause, resume, stop};
+};
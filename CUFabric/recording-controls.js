@@ -0,0 +1,134 @@
+/**
+ * recording-controls.js
+ *
+ * React-component with the start/pause/stop controls for session recording, and the export
+ * buttons for the session just recorded. The recording itself is done by the BLEProvider (see
+ * recorder.js). Where the platform supports it, there's also the switch for background mode
+ * (see background.js), so a trial can carry on with the phone locked in a pocket.
+ */
+
+import React, {useContext} from 'react';
+import {Button, Share, StyleSheet, Switch, Text, View} from 'react-native';
+import {BLEContext} from './ble-context';
+import {exportSession} from './session-store';
+import {isSupported} from './background';
+
+/**
+ * Formats a number of milliseconds as m:ss.
+ *
+ * @param ms the duration in milliseconds
+ * @returns {string}
+ */
+export const formatDuration = ms => {
+  const seconds = Math.max(0, Math.floor(ms / 1000));
+  return Math.floor(seconds / 60) + ':' + String(seconds % 60).padStart(2, '0');
+};
+
+/**
+ * Exports a session in the given format and opens the share sheet for the exported file.
+ *
+ * @param session the session metadata
+ * @param format 'csv' or 'json'
+ */
+export const shareSession = (session, format) =>
+  exportSession(session.id, format)
+    .then(path =>
+      Share.share({
+        title: session.name,
+        url: 'file://' + path,
+        message: path,
+      }),
+    )
+    .catch(error => {
+      console.error('Unable to export session ' + session.id);
+      console.error(error);
+    });
+
+/**
+ * The recording controls -- they must be nested inside the BLEProvider (see App.js).
+ *
+ * @returns {JSX.Element}
+ * @constructor
+ */
+export const RecordingControls = () => {
+  const {
+    recording,
+    startRecording,
+    pauseRecording,
+    resumeRecording,
+    stopRecording,
+    backgroundMode,
+    setBackgroundMode,
+  } = useContext(BLEContext);
+  const {status, session, sampleCount, lastSession} = recording;
+
+  return (
+    <View>
+      <View style={styles.toolbar}>
+        <Text style={styles.status}>
+          {status === 'idle'
+            ? 'Not recording'
+            : (status === 'paused' ? 'Paused' : 'Recording') +
+              ' ' +
+              formatDuration(Date.now() - session.startTime) +
+              ', ' +
+              sampleCount +
+              ' samples'}
+        </Text>
+        {status === 'idle' && (
+          <Button title="Record" onPress={() => startRecording()} />
+        )}
+        {status === 'recording' && (
+          <Button title="Pause" onPress={pauseRecording} />
+        )}
+        {status === 'paused' && (
+          <Button title="Resume" onPress={resumeRecording} />
+        )}
+        {status !== 'idle' && <Button title="Stop" onPress={stopRecording} />}
+      </View>
+      {isSupported() && (
+        <View style={styles.toolbar}>
+          <Text style={styles.option}>
+            Keep collecting with the app in the background
+          </Text>
+          <Switch value={backgroundMode} onValueChange={setBackgroundMode} />
+        </View>
+      )}
+      {status === 'idle' && lastSession && (
+        <View style={styles.toolbar}>
+          <Text style={styles.last}>
+            {lastSession.name} ({lastSession.sampleCount} samples)
+          </Text>
+          <Button
+            title="CSV"
+            onPress={() => shareSession(lastSession, 'csv')}
+          />
+          <Button
+            title="JSON"
+            onPress={() => shareSession(lastSession, 'json')}
+          />
+        </View>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  toolbar: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  status: {
+    flex: 1,
+    fontSize: 16,
+  },
+  option: {
+    flex: 1,
+    fontSize: 14,
+  },
+  last: {
+    flex: 1,
+    fontSize: 12,
+    color: '#666',
+  },
+});
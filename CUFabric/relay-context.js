@@ -0,0 +1,174 @@
+/**
+ * relay-context.js
+ *
+ * The optional live relay to a desktop (see relay.js). Once a receiver URL's been set, the
+ * RelayProvider passes everything the BLEProvider sees on to it -- every sample as it arrives,
+ * the connection and recording status whenever they change, and each event and error -- until
+ * the URL's cleared again. The URL's saved (see settings-store.js), so the relay starts again
+ * next launch.
+ */
+
+import React, {
+  createContext,
+  useCallback,
+  useContext,
+  useEffect,
+  useRef,
+  useState,
+} from 'react';
+import {BLEContext} from './ble-context';
+import {readSetting, writeSetting} from './settings-store';
+import {normaliseRelayUrl, Relay, statusBody, STOPPED} from './relay';
+
+export const RelayContext = createContext({
+  url: '',
+  state: STOPPED,
+  setUrl: url => {},
+  stats: () => ({state: STOPPED, sent: 0, queued: 0, dropped: 0}),
+});
+
+/*
+ * The name the receiver URL is saved under (see settings-store.js).
+ */
+const RELAY_URL = 'relay-url';
+
+/**
+ * Relays what the BLEProvider sees to a desktop, publishing how that's going through the
+ * RelayContext. It reads the BLEContext, so goes inside the BLEProvider.
+ *
+ * @param WebSocket (optional) the WebSocket class to connect with -- the global one, unless
+ *   told otherwise
+ * @returns {JSX.Element}
+ * @constructor
+ */
+export const RelayProvider = ({WebSocket = global.WebSocket, children}) => {
+  const {store, sensors, connectionState, recording, events, errors} =
+    useContext(BLEContext);
+
+  const [url, setUrlState] = useState('');
+  const [state, setState] = useState(STOPPED);
+  const relay = useRef(undefined);
+
+  /**
+   * Sets the receiver URL (see normaliseRelayUrl in relay.js), and saves it for next time.
+   *
+   * @param newUrl the URL, or an empty string to stop relaying
+   * @throws RangeError if it isn't a ws:// or wss:// URL
+   */
+  const setUrl = useCallback(newUrl => {
+    const normalised = normaliseRelayUrl(newUrl);
+    setUrlState(normalised);
+    writeSetting(RELAY_URL, normalised).catch(error => {
+      console.error('Unable to save the relay URL: ' + error.message);
+    });
+  }, []);
+
+  useEffect(() => {
+    let mounted = true;
+    readSetting(RELAY_URL, '').then(saved => {
+      if (mounted) {
+        setUrlState(previous => previous || saved);
+      }
+    });
+    return () => {
+      mounted = false;
+    };
+  }, []);
+
+  /*
+   * Runs a relay for as long as there's a URL, feeding it every sample the store's given.
+   */
+  useEffect(() => {
+    if (!url) {
+      return;
+    }
+    const current = new Relay(url, {
+      WebSocket: WebSocket,
+      onState: relayState => {
+        // (Not once it's been replaced, or we've unmounted.)
+        if (relay.current === current) {
+          setState(relayState);
+        }
+      },
+    });
+    relay.current = current;
+    current.start();
+    const unsubscribe = store.onSample(sample => current.sample(sample));
+    return () => {
+      unsubscribe();
+      relay.current = undefined;
+      current.stop();
+    };
+  }, [WebSocket, store, url]);
+
+  /*
+   * The status, whenever it's changed -- the sensors change every second or so (their rates,
+   * signal strength and so on), so it's compared with the last one sent to see whether anything
+   * the receiver's told about has. A new relay always gets one.
+   */
+  const lastStatus = useRef(undefined);
+  useEffect(() => {
+    lastStatus.current = undefined;
+  }, [url]);
+  useEffect(() => {
+    if (!relay.current) {
+      return;
+    }
+    const body = statusBody(connectionState, recording, sensors);
+    const text = JSON.stringify(body);
+    if (text !== lastStatus.current) {
+      lastStatus.current = text;
+      relay.current.send('status', body);
+    }
+  }, [connectionState, recording, sensors, url]);
+
+  /*
+   * Each new event -- 'events' only ever has new ones added at the end (and old ones dropped
+   * from the start), so everything after the last one sent is new.
+   */
+  const lastEvent = useRef(undefined);
+  useEffect(() => {
+    const index = events.indexOf(lastEvent.current);
+    if (relay.current) {
+      events
+        .slice(index + 1)
+        .forEach(event => relay.current.send('event', {event: event}));
+    }
+    lastEvent.current = events[events.length - 1];
+  }, [events]);
+
+  /*
+   * ... and each new error, which are newest first.
+   */
+  const lastError = useRef(undefined);
+  useEffect(() => {
+    const index = errors.indexOf(lastError.current);
+    if (relay.current) {
+      errors
+        .slice(0, index === -1 ? errors.length : index)
+        .reverse()
+        .forEach(error => relay.current.send('error', {error: error}));
+    }
+    lastError.current = errors[0];
+  }, [errors]);
+
+  const stats = useCallback(
+    () =>
+      relay.current
+        ? relay.current.stats()
+        : {state: STOPPED, sent: 0, queued: 0, dropped: 0},
+    [],
+  );
+
+  return (
+    <RelayContext.Provider
+      value={{
+        url: url,
+        state: url ? state : STOPPED,
+        setUrl: setUrl,
+        stats: stats,
+      }}>
+      {children}
+    </RelayContext.Provider>
+  );
+};
@@ -0,0 +1,111 @@
+/**
+ * relay-settings.js
+ *
+ * React-component for setting up the live relay to a desktop (see relay-context.js): the
+ * receiver's URL, and how the relay's getting on -- whether it's connected, and how many
+ * messages it's sent, has waiting and has had to drop.
+ */
+
+import React, {useContext, useEffect, useState} from 'react';
+import {Button, StyleSheet, Text, TextInput, View} from 'react-native';
+import {RelayContext} from './relay-context';
+import {CLOSED, CONNECTING, OPEN} from './relay';
+
+/*
+ * How often (in milliseconds) the message counts are refreshed -- they're read from the relay,
+ * rather than published, so they don't re-render anything as each message goes.
+ */
+const REFRESH_INTERVAL = 1000;
+
+const STATE_NAMES = {
+  [CONNECTING]: 'Connecting',
+  [OPEN]: 'Connected',
+  [CLOSED]: 'Disconnected -- retrying',
+};
+
+/**
+ * The relay panel -- it must be nested inside the RelayProvider (see App.js).
+ *
+ * @returns {JSX.Element}
+ * @constructor
+ */
+export const RelaySettings = () => {
+  const {url, state, setUrl, stats} = useContext(RelayContext);
+
+  const [text, setText] = useState(url);
+  const [error, setError] = useState(undefined);
+  const [counts, setCounts] = useState(stats());
+
+  // The saved URL turns up after the first render.
+  useEffect(() => setText(url), [url]);
+
+  useEffect(() => {
+    setCounts(stats());
+    if (!url) {
+      return;
+    }
+    const interval = setInterval(() => setCounts(stats()), REFRESH_INTERVAL);
+    return () => clearInterval(interval);
+  }, [stats, url]);
+
+  const save = () => {
+    try {
+      setUrl(text);
+      setError(undefined);
+    } catch (e) {
+      setError(e.message);
+    }
+  };
+
+  return (
+    <View>
+      <View style={styles.row}>
+        <TextInput
+          style={styles.input}
+          value={text}
+          onChangeText={setText}
+          placeholder="ws://laptop:8081"
+          autoCapitalize="none"
+          autoCorrect={false}
+          keyboardType="url"
+        />
+        <Button title="Save" onPress={save} />
+      </View>
+      {error && <Text style={styles.error}>{error}</Text>}
+      <Text style={styles.status}>
+        {url
+          ? (STATE_NAMES[state] || 'Stopped') +
+            ': ' +
+            counts.sent +
+            ' messages sent, ' +
+            counts.queued +
+            ' waiting, ' +
+            counts.dropped +
+            ' dropped'
+          : 'Not relaying -- set a receiver to watch the sensors from a desktop.'}
+      </Text>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  input: {
+    flex: 1,
+    borderWidth: 1,
+    borderColor: '#ccc',
+    paddingHorizontal: 4,
+    marginRight: 8,
+  },
+  status: {
+    fontSize: 14,
+    color: '#666',
+  },
+  error: {
+    color: '#b71c1c',
+  },
+});
@@ -0,0 +1,333 @@
+/**
+ * relay.js
+ *
+ * Relaying what the app sees, live, to a desktop over a WebSocket -- so during a trial the
+ * researcher can watch a laptop rather than the phone. The RelayProvider (see relay-context.js)
+ * feeds a Relay the sensors' samples, their connection status and the events the rules detect;
+ * the Relay batches them into messages, numbers them, and keeps (re)connecting to the receiver
+ * for as long as it's running.
+ *
+ * The messages
+ * ------------
+ *
+ * Every message is a JSON object (one per WebSocket text frame) of the form
+ *
+ *   {v, seq, type, time, ...}
+ *
+ * where 'v' is RELAY_VERSION, 'seq' numbers the messages from 1 -- with no gaps, so a gap at
+ * the receiver means messages were dropped (see MAX_QUEUE) -- 'type' is one of those below and
+ * 'time' when the message was made, in milliseconds since the epoch:
+ *
+ *   hello     {stream} -- the first message on every connection, and the only one without a
+ *             'seq'. 'stream' is different each time the relay starts, and 'seq' starts again
+ *             from 1 with it; within a stream, 'seq' carries on across reconnections.
+ *   samples   {samples: [{time, sensorId, value, channels}]} -- a batch of samples, as in
+ *             session-format.js (without 'characteristic'), oldest first
+ *   status    {connectionState, recording: {status, sessionId}, sensors: [{id, name, state,
+ *             battery, rssi, warnings}]} -- sent whenever any of it changes (see statusBody;
+ *             'warnings' are just their types, e.g. ['battery'] -- see device-info.js)
+ *   event     {event} -- an event detected by one of the rules, as in alerts.js
+ *   error     {error} -- an error the BLEProvider ran into (see describeError in
+ *             connection-state.js)
+ *
+ * Messages are sent in 'seq' order. While the relay's disconnected they're queued, and go out
+ * once it reconnects -- the oldest are dropped if more than MAX_QUEUE pile up. (Those sent just
+ * as a connection drops can be lost too. Either way, the gap in 'seq' shows it.) The relay never
+ * reads anything the receiver sends.
+ *
+ * scripts/relay-receiver.js is a receiver to run on the desktop.
+ */
+
+import {backoff} from './connection-state';
+
+export const RELAY_VERSION = 1;
+
+/*
+ * How long (in milliseconds) samples are held before going out as a batch, and the most that
+ * go in one batch -- a full one goes straight away.
+ */
+export const BATCH_INTERVAL = 100;
+export const MAX_BATCH = 100;
+
+/*
+ * The most messages queued while the relay's disconnected -- about a minute and a half of
+ * batches, at ten a second.
+ */
+export const MAX_QUEUE = 1000;
+
+/*
+ * The relay's states: trying to connect, connected, waiting to try again after the connection
+ * failed or dropped, and stopped.
+ */
+export const CONNECTING = 'connecting';
+export const OPEN = 'open';
+export const CLOSED = 'closed';
+export const STOPPED = 'stopped';
+
+/*
+ * A WebSocket's readyState once it's open.
+ */
+const WEBSOCKET_OPEN = 1;
+
+/**
+ * Tidies up a receiver URL the user's typed in.
+ *
+ * @param url the URL -- or an empty string, for no relay at all
+ * @returns {string} the URL
+ * @throws RangeError if it isn't a ws:// or wss:// URL
+ */
+export const normaliseRelayUrl = url => {
+  const trimmed = (url || '').trim();
+  if (trimmed && !/^wss?:\/\/[^/]+/.test(trimmed)) {
+    throw new RangeError(
+      'The relay URL must start with ws:// or wss:// -- not "' + trimmed + '"',
+    );
+  }
+  return trimmed;
+};
+
+/**
+ * The body of a 'status' message.
+ *
+ * @param connectionState the BLEProvider's overall connection state (see connection-state.js)
+ * @param recording the BLEProvider's 'recording' (see recorder.js)
+ * @param sensors the BLEProvider's sensors
+ * @returns {Object}
+ */
+export const statusBody = (connectionState, recording, sensors) => ({
+  connectionState: connectionState,
+  recording: {
+    status: recording.status,
+    sessionId: recording.session ? recording.session.id : null,
+  },
+  sensors: sensors.map(s => ({
+    id: s.id,
+    name: s.name,
+    state: s.state,
+    battery: s.battery === undefined ? null : s.battery,
+    rssi: s.rssi === undefined ? null : s.rssi,
+    warnings: (s.warnings || []).map(w => w.type),
+  })),
+});
+
+/*
+ * A fresh stream id for the hello message -- unique enough to tell one run from the next.
+ */
+const streamId = random =>
+  Date.now().toString(36) + '-' + Math.floor(random() * 1e9).toString(36);
+
+/**
+ * A connection to a relay receiver.
+ */
+export class Relay {
+  /**
+   * @param url the receiver's URL (see normaliseRelayUrl)
+   * @param options (optional) {WebSocket, random, onState, batchInterval, maxBatch, maxQueue}:
+   *   the WebSocket class to connect with (the global one, unless told otherwise), a function
+   *   returning a random number in [0, 1) (for the reconnection backoff), a function called with
+   *   the relay's state whenever it changes, and BATCH_INTERVAL, MAX_BATCH and MAX_QUEUE, if
+   *   they're to be something else
+   */
+  constructor(
+    url,
+    {
+      WebSocket = global.WebSocket,
+      random = Math.random,
+      onState = () => {},
+      batchInterval = BATCH_INTERVAL,
+      maxBatch = MAX_BATCH,
+      maxQueue = MAX_QUEUE,
+    } = {},
+  ) {
+    this.url = url;
+    this.WebSocket = WebSocket;
+    this.random = random;
+    this.onState = onState;
+    this.batchInterval = batchInterval;
+    this.maxBatch = maxBatch;
+    this.maxQueue = maxQueue;
+
+    this.stream = streamId(random);
+    this.state = STOPPED;
+    this.seq = 0;
+    this.sent = 0;
+    this.dropped = 0;
+    this.attempts = 0;
+    this.queue = [];
+    this.batch = [];
+    this.socket = undefined;
+    this.batchTimer = undefined;
+    this.reconnectTimer = undefined;
+  }
+
+  _setState(state) {
+    this.state = state;
+    this.onState(state);
+  }
+
+  /*
+   * Opens a connection, which tries again after a backoff (see connection-state.js) whenever it
+   * closes.
+   */
+  _connect() {
+    this.reconnectTimer = undefined;
+    this._setState(CONNECTING);
+
+    let socket;
+    try {
+      socket = new this.WebSocket(this.url);
+    } catch (e) {
+      this._reconnect();
+      return;
+    }
+    this.socket = socket;
+
+    socket.onopen = () => {
+      this.attempts = 0;
+      this._setState(OPEN);
+      socket.send(
+        JSON.stringify({
+          v: RELAY_VERSION,
+          type: 'hello',
+          time: Date.now(),
+          stream: this.stream,
+        }),
+      );
+      this._drain();
+    };
+    socket.onclose = () => {
+      if (this.socket === socket) {
+        this.socket = undefined;
+        this._reconnect();
+      }
+    };
+    // A close always follows an error, so there's nothing more to do here.
+    socket.onerror = () => {};
+  }
+
+  _reconnect() {
+    if (this.state === STOPPED) {
+      return;
+    }
+    this._setState(CLOSED);
+    this.reconnectTimer = setTimeout(
+      () => this._connect(),
+      backoff(this.attempts++, this.random),
+    );
+  }
+
+  /*
+   * Sends whatever's queued, if we're connected.
+   */
+  _drain() {
+    const socket = this.socket;
+    while (
+      this.queue.length &&
+      socket &&
+      socket.readyState === WEBSOCKET_OPEN
+    ) {
+      socket.send(JSON.stringify(this.queue.shift()));
+      this.sent++;
+    }
+  }
+
+  _enqueue(type, body) {
+    this.queue.push({
+      v: RELAY_VERSION,
+      seq: ++this.seq,
+      type: type,
+      time: Date.now(),
+      ...body,
+    });
+    if (this.queue.length > this.maxQueue) {
+      this.queue.shift();
+      this.dropped++;
+    }
+    this._drain();
+  }
+
+  /*
+   * Sends the samples held for the current batch.
+   */
+  _flush() {
+    clearTimeout(this.batchTimer);
+    this.batchTimer = undefined;
+    if (this.batch.length) {
+      const samples = this.batch;
+      this.batch = [];
+      this._enqueue('samples', {samples: samples});
+    }
+  }
+
+  /**
+   * Starts connecting to the receiver.
+   */
+  start() {
+    if (this.state === STOPPED) {
+      this._connect();
+    }
+  }
+
+  /**
+   * Disconnects from the receiver, and stops trying to reconnect. Anything still queued is
+   * dropped.
+   */
+  stop() {
+    clearTimeout(this.batchTimer);
+    clearTimeout(this.reconnectTimer);
+    this.batchTimer = undefined;
+    this.reconnectTimer = undefined;
+    this._setState(STOPPED);
+    if (this.socket) {
+      const socket = this.socket;
+      this.socket = undefined;
+      socket.close();
+    }
+  }
+
+  /**
+   * Adds a sample to the current batch.
+   *
+   * @param sample the sample, of the form {time, sensorId, value, channels} (see
+   *   session-format.js)
+   */
+  sample(sample) {
+    this.batch.push({
+      time: sample.time,
+      sensorId: sample.sensorId,
+      value: sample.value,
+      channels: sample.channels,
+    });
+    if (this.batch.length >= this.maxBatch) {
+      this._flush();
+    } else if (this.batchTimer === undefined) {
+      this.batchTimer = setTimeout(() => this._flush(), this.batchInterval);
+    }
+  }
+
+  /**
+   * Sends a message -- after any samples batched before it, so the receiver sees everything in
+   * the order it happened.
+   *
+   * @param type the message type, 'status', 'event' or 'error' (see above)
+   * @param body the rest of the message, e.g. {event}
+   */
+  send(type, body) {
+    this._flush();
+    this._enqueue(type, body);
+  }
+
+  /**
+   * How the relay's getting on.
+   *
+   * @returns {{state: string, sent: number, queued: number, dropped: number}}
+   */
+  stats() {
+    return {
+      state: this.state,
+      sent: this.sent,
+      queued: this.queue.length,
+      dropped: this.dropped,
+    };
+  }
+}
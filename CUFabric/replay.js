@@ -0,0 +1,359 @@
+/**
+ * replay.js
+ *
+ * Replay of recorded sessions. The ReplayProvider reads a session back from storage and feeds
+ * it through the same BLEContext shape the BLEProvider publishes (sensors, sensor, and a sample
+ * store holding their histories) -- so any component nested inside it, Chart included, plays
+ * the session back exactly as if the sensors were live.
+ *
+ * The playback position, speed and so on are published through the ReplayContext, for the
+ * ReplayControls below.
+ */
+
+import React, {
+  createContext,
+  useCallback,
+  useContext,
+  useEffect,
+  useMemo,
+  useState,
+} from 'react';
+import {Button, StyleSheet, Text, View} from 'react-native';
+import {BLEContext, SENSOR_COLOURS} from './ble-context';
+import {createProcessor, processSeries} from './processing';
+import {formatDuration} from './recording-controls';
+import {readSamples} from './session-store';
+import {HISTORY, SampleStore} from './sample-store';
+
+/*
+ * How often (in milliseconds) the playback position is advanced while playing.
+ */
+const TICK = 100;
+
+/*
+ * The playback speeds offered by ReplayControls.
+ */
+export const SPEEDS = [1, 2, 10];
+
+export const ReplayContext = createContext({
+  session: undefined,
+  loaded: false,
+  position: 0,
+  duration: 0,
+  playing: false,
+  speed: 1,
+  play: () => {},
+  pause: () => {},
+  setSpeed: speed => {},
+  seek: position => {},
+});
+
+/*
+ * Returns the number of entries in the (sorted) list 'times' which are <= 'time'.
+ */
+const countUpTo = (times, time) => {
+  let low = 0;
+  let high = times.length;
+  while (low < high) {
+    const middle = Math.floor((low + high) / 2);
+    if (times[middle] <= time) {
+      low = middle + 1;
+    } else {
+      high = middle;
+    }
+  }
+  return low;
+};
+
+/**
+ * Plays back the given session to everything nested inside it.
+ *
+ * @param session the metadata of the session to play (see session-format.js)
+ * @returns {JSX.Element}
+ * @constructor
+ */
+export const ReplayProvider = ({session, children}) => {
+  const live = useContext(BLEContext);
+
+  /*
+   * The session's samples, split up by sensor id: {values, times, channels}.
+   */
+  const [tracks, setTracks] = useState(undefined);
+
+  /*
+   * The playback position, in milliseconds from the start of the session.
+   */
+  const [position, setPosition] = useState(0);
+  const [playing, setPlaying] = useState(false);
+  const [speed, setSpeed] = useState(1);
+
+  /*
+   * A session the app was killed in the middle of was never given an end time, so it ends
+   * with its last sample.
+   */
+  const duration = useMemo(() => {
+    if (session.endTime) {
+      return session.endTime - session.startTime;
+    }
+    let end = session.startTime;
+    Object.values(tracks || {}).forEach(track => {
+      if (track.times.length) {
+        end = Math.max(end, track.times[track.times.length - 1]);
+      }
+    });
+    return end - session.startTime;
+  }, [session.endTime, session.startTime, tracks]);
+
+  useEffect(() => {
+    setTracks(undefined);
+    setPosition(0);
+    setPlaying(false);
+
+    readSamples(session.id)
+      .then(samples => {
+        const split = {};
+        samples.forEach(sample => {
+          const track = split[sample.sensorId] || {
+            values: [],
+            times: [],
+            channels: [],
+          };
+          split[sample.sensorId] = track;
+          track.values.push(sample.value);
+          track.times.push(sample.time);
+          track.channels.push(sample.channels);
+        });
+        setTracks(split);
+      })
+      .catch(error => {
+        console.error('Unable to read session ' + session.id);
+        console.error(error);
+        setTracks({});
+      });
+  }, [session.id]);
+
+  /*
+   * While playing, advance the position every TICK milliseconds -- stopping at the end.
+   */
+  useEffect(() => {
+    if (!playing) {
+      return;
+    }
+
+    const interval = setInterval(() => {
+      setPosition(previous => Math.min(duration, previous + TICK * speed));
+    }, TICK);
+
+    return () => clearInterval(interval);
+  }, [duration, playing, speed]);
+
+  useEffect(() => {
+    if (position >= duration) {
+      setPlaying(false);
+    }
+  }, [duration, position]);
+
+  const play = useCallback(() => {
+    // Playing from the end starts again from the beginning.
+    setPosition(previous => (previous >= duration ? 0 : previous));
+    setPlaying(true);
+  }, [duration]);
+
+  const pause = useCallback(() => setPlaying(false), []);
+
+  const seek = useCallback(
+    to => setPosition(Math.max(0, Math.min(duration, to))),
+    [duration],
+  );
+
+  /*
+   * The 'sensors' list, as the BLEProvider would publish it -- each sensor which has samples in
+   * the session.
+   */
+  const sensors = useMemo(
+    () =>
+      tracks
+        ? session.sensors
+            .filter(sensor => tracks[sensor.id])
+            .map((sensor, i) => ({
+              id: sensor.id,
+              name: sensor.name,
+              colour: SENSOR_COLOURS[i % SENSOR_COLOURS.length],
+              state: 'ready',
+              device: {id: sensor.id, name: sensor.name},
+              mode: 'replay',
+              rate: sensor.sampleRate,
+              gaps: 0,
+            }))
+        : [],
+    [session, tracks],
+  );
+
+  /*
+   * The sample store, holding what the BLEProvider's would at this point in the session: the
+   * last HISTORY samples from each sensor, run through the live processing chain.
+   */
+  const [store] = useState(() => new SampleStore());
+  useEffect(() => () => store.destroy(), [store]);
+
+  useEffect(() => {
+    const now = session.startTime + position;
+    sensors.forEach(sensor => {
+      const track = tracks[sensor.id];
+      const end = countUpTo(track.times, now);
+      const start = Math.max(0, end - HISTORY);
+      const data = track.values.slice(start, end);
+      const times = track.times.slice(start, end);
+      store.load(sensor.id, {
+        times: times,
+        data: data,
+        ...processSeries(createProcessor(live.processing), data, times),
+        channelHistory: track.channels.slice(start, end),
+      });
+    });
+    store.publish();
+  }, [live.processing, position, sensors, session, store, tracks]);
+
+  /*
+   * The calibrations the session's values were recorded with (its samples are already
+   * calibrated), so the chart shows the units they're in.
+   */
+  const calibrations = {};
+  (session.sensors || [])
+    .filter(sensor => sensor.calibration)
+    .forEach(sensor => (calibrations[sensor.id] = sensor.calibration));
+
+  const context = {
+    ...live,
+    sensor: sensors.length ? sensors[0].device : undefined,
+    sensors: sensors,
+    store: store,
+    insoleLayout: session.layout || live.insoleLayout,
+    calibrations: calibrations,
+    events: (session.events || []).filter(
+      event => event.time <= session.startTime + position,
+    ),
+  };
+
+  const replay = {
+    session: session,
+    loaded: tracks !== undefined,
+    position: position,
+    duration: duration,
+    playing: playing,
+    speed: speed,
+    play: play,
+    pause: pause,
+    setSpeed: setSpeed,
+    seek: seek,
+  };
+
+  return (
+    <ReplayContext.Provider value={replay}>
+      <BLEContext.Provider value={context}>{children}</BLEContext.Provider>
+    </ReplayContext.Provider>
+  );
+};
+
+/**
+ * A bar showing the playback position, which can be tapped or dragged to seek.
+ *
+ * @returns {JSX.Element}
+ * @constructor
+ */
+const ScrubBar = ({position, duration, onSeek}) => {
+  const [width, setWidth] = useState(0);
+  const fraction = duration > 0 ? position / duration : 0;
+
+  const seekTo = event => {
+    if (width > 0) {
+      onSeek((event.nativeEvent.locationX / width) * duration);
+    }
+  };
+
+  return (
+    <View
+      style={styles.scrubBar}
+      onLayout={event => setWidth(event.nativeEvent.layout.width)}
+      onStartShouldSetResponder={() => true}
+      onMoveShouldSetResponder={() => true}
+      onResponderGrant={seekTo}
+      onResponderMove={seekTo}>
+      <View
+        pointerEvents="none"
+        style={[styles.scrubFill, {width: fraction * width}]}
+      />
+    </View>
+  );
+};
+
+/**
+ * Play/pause, speed and scrub controls -- they must be nested inside a ReplayProvider.
+ *
+ * @returns {JSX.Element}
+ * @constructor
+ */
+export const ReplayControls = () => {
+  const {
+    loaded,
+    position,
+    duration,
+    playing,
+    speed,
+    play,
+    pause,
+    setSpeed,
+    seek,
+  } = useContext(ReplayContext);
+
+  if (!loaded) {
+    return <Text>Loading ...</Text>;
+  }
+
+  return (
+    <View>
+      <View style={styles.toolbar}>
+        {playing ? (
+          <Button title="Pause" onPress={pause} />
+        ) : (
+          <Button title="Play" onPress={play} />
+        )}
+        <Text style={styles.time}>
+          {formatDuration(position)} / {formatDuration(duration)}
+        </Text>
+        {SPEEDS.map(s => (
+          <Button
+            key={s}
+            title={s + 'x'}
+            color={s === speed ? undefined : '#999'}
+            onPress={() => setSpeed(s)}
+          />
+        ))}
+      </View>
+      <ScrubBar position={position} duration={duration} onSeek={seek} />
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  toolbar: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  time: {
+    flex: 1,
+    marginHorizontal: 8,
+    fontSize: 16,
+  },
+  scrubBar: {
+    height: 24,
+    marginVertical: 8,
+    borderRadius: 4,
+    backgroundColor: '#eee',
+    overflow: 'hidden',
+  },
+  scrubFill: {
+    height: '100%',
+    backgroundColor: '#fb8c00',
+  },
+});
@@ -0,0 +1,374 @@
+/**
+ * sample-store.js
+ *
+ * Where each sensor's recent history lives, outside React. Samples used to be appended to the
+ * 'sensors' state one at a time -- copying every series, and re-rendering everything under the
+ * BLEProvider, for every sample -- which was fine at a few samples a second but no faster. Now
+ * the BLEProvider appends them here instead (see appendDataPoint in ble-context.js), into
+ * fixed-capacity ring buffers which never grow or copy, and the store tells its subscribers
+ * about them at most once every PUBLISH_INTERVAL milliseconds -- about as often as the screen
+ * can show anything new. Components read it through the hooks in sensor-series.js.
+ *
+ * Each sensor's history is a set of parallel series, oldest first:
+ *
+ *   {times, data, filtered, derived, channels, channelHistory}
+ *
+ * as the sensors' entries in the BLEContext used to carry them: 'times' (milliseconds since
+ * the epoch) and 'data' are the raw values, 'filtered' the processing chain's output and
+ * 'derived' its derived series by type (see processing.js) -- each of which may have started
+ * later than 'data', so may be shorter. 'channelHistory' holds each sample's channels, for
+ * multi-channel sensors (see decoders.js), and 'channels' the latest of them.
+ */
+
+/*
+ * How many samples of each series are kept, per sensor -- enough for the chart's longest
+ * window (30 seconds) at 50 samples a second.
+ */
+export const HISTORY = 1500;
+
+/*
+ * How often (in milliseconds) subscribers hear about new samples, at most -- 30 times a
+ * second.
+ */
+export const PUBLISH_INTERVAL = 1000 / 30;
+
+/**
+ * A fixed-capacity first-in-first-out buffer: once it's full, each value pushed overwrites the
+ * oldest. Numbers are kept in a typed array (a Float64Array, unless told otherwise); anything
+ * else needs a plain Array.
+ */
+export class RingBuffer {
+  /**
+   * @param capacity how many values it holds
+   * @param Type (optional) the array type to keep them in, e.g. Float64Array or Array
+   */
+  constructor(capacity, Type = Float64Array) {
+    this.capacity = capacity;
+    this.values = new Type(capacity);
+    this.start = 0;
+    this.length = 0;
+  }
+
+  /**
+   * Appends a value, dropping the oldest if it's full.
+   */
+  push(value) {
+    this.values[(this.start + this.length) % this.capacity] = value;
+    if (this.length < this.capacity) {
+      this.length++;
+    } else {
+      this.start = (this.start + 1) % this.capacity;
+    }
+  }
+
+  /**
+   * The value at the given index, 0 being the oldest.
+   */
+  get(index) {
+    return this.values[(this.start + index) % this.capacity];
+  }
+
+  /**
+   * Empties it -- the memory it holds stays allocated.
+   */
+  clear() {
+    this.start = 0;
+    this.length = 0;
+  }
+
+  /**
+   * Copies its values into a plain array, oldest first.
+   *
+   * @param from (optional) the index to start from
+   * @returns {Array}
+   */
+  toArray(from = 0) {
+    const result = new Array(Math.max(0, this.length - from));
+    for (let i = 0; i < result.length; i++) {
+      result[i] = this.get(from + i);
+    }
+    return result;
+  }
+}
+
+/*
+ * Returns the number of values in the (ascending) ring buffer 'times' which are < 'time'.
+ */
+const countBefore = (times, time) => {
+  let low = 0;
+  let high = times.length;
+  while (low < high) {
+    const middle = Math.floor((low + high) / 2);
+    if (times.get(middle) < time) {
+      low = middle + 1;
+    } else {
+      high = middle;
+    }
+  }
+  return low;
+};
+
+/**
+ * The sensors' histories, and the subscribers to hear about them.
+ */
+export class SampleStore {
+  /**
+   * @param capacity (optional) how many samples to keep per sensor
+   * @param interval (optional) how often (in milliseconds) subscribers hear about new ones, at
+   *   most
+   */
+  constructor(capacity = HISTORY, interval = PUBLISH_INTERVAL) {
+    this.capacity = capacity;
+    this.interval = interval;
+    this.sensors = {};
+    this.listeners = [];
+    this.sampleListeners = [];
+    this.timer = undefined;
+    this.version = 0;
+  }
+
+  /*
+   * The ring buffers for a sensor -- created the first time it has a sample.
+   */
+  _buffers(id) {
+    if (!this.sensors[id]) {
+      this.sensors[id] = {
+        times: new RingBuffer(this.capacity),
+        data: new RingBuffer(this.capacity),
+        filtered: new RingBuffer(this.capacity),
+        derived: {},
+        channelHistory: new RingBuffer(this.capacity, Array),
+        channels: undefined,
+      };
+    }
+    return this.sensors[id];
+  }
+
+  /*
+   * Lets the subscribers know something's changed, once the interval's up -- everything else
+   * that changes before then goes out with it.
+   */
+  _schedule() {
+    if (this.timer === undefined) {
+      this.timer = setTimeout(() => this.publish(), this.interval);
+    }
+  }
+
+  /**
+   * Appends a sample, and what the processing chain made of it.
+   *
+   * @param sample the sample, of the form {time, sensorId, value, channels} (see
+   *   session-format.js)
+   * @param output (optional) the processing chain's output for it, {filtered, derived} (see
+   *   processing.js) -- the raw value is used as the filtered one if there isn't any
+   */
+  append(sample, output) {
+    const buffers = this._buffers(sample.sensorId);
+    buffers.times.push(sample.time);
+    buffers.data.push(sample.value);
+    buffers.filtered.push(output ? output.filtered : sample.value);
+    buffers.channelHistory.push(sample.channels);
+    buffers.channels = sample.channels;
+
+    const derived = (output && output.derived) || {};
+    Object.keys(derived).forEach(type => {
+      if (!buffers.derived[type]) {
+        buffers.derived[type] = new RingBuffer(this.capacity);
+      }
+      buffers.derived[type].push(derived[type]);
+    });
+
+    this.sampleListeners.forEach(listener => listener(sample));
+    this._schedule();
+  }
+
+  /**
+   * Replaces a sensor's filtered and derived series -- when the processing chain changes, and
+   * they're rebuilt from the raw values (see processSeries in processing.js).
+   *
+   * @param id the device id of the sensor
+   * @param processed {filtered, derived}, each parallel to the end of the sensor's raw values
+   */
+  reprocess(id, processed) {
+    const buffers = this.sensors[id];
+    if (!buffers) {
+      return;
+    }
+
+    buffers.filtered.clear();
+    processed.filtered.forEach(value => buffers.filtered.push(value));
+    buffers.derived = {};
+    Object.keys(processed.derived).forEach(type => {
+      buffers.derived[type] = new RingBuffer(this.capacity);
+      processed.derived[type].forEach(value =>
+        buffers.derived[type].push(value),
+      );
+    });
+    this._schedule();
+  }
+
+  /**
+   * Replaces a sensor's history outright -- for playing back a recorded session (see
+   * replay.js).
+   *
+   * @param id the device id of the sensor
+   * @param series {times, data, filtered, derived, channelHistory} -- the last 'capacity' of
+   *   each are kept
+   */
+  load(id, series) {
+    this.clear(id);
+    const buffers = this._buffers(id);
+    series.times.forEach(time => buffers.times.push(time));
+    series.data.forEach(value => buffers.data.push(value));
+    this.reprocess(id, series);
+    (series.channelHistory || []).forEach(channels =>
+      buffers.channelHistory.push(channels),
+    );
+    buffers.channels = buffers.channelHistory.length
+      ? buffers.channelHistory.get(buffers.channelHistory.length - 1)
+      : undefined;
+  }
+
+  /**
+   * Empties a sensor's history, keeping its place in the store.
+   *
+   * @param id the device id of the sensor
+   */
+  clear(id) {
+    const buffers = this.sensors[id];
+    if (!buffers) {
+      return;
+    }
+
+    buffers.times.clear();
+    buffers.data.clear();
+    buffers.filtered.clear();
+    buffers.channelHistory.clear();
+    buffers.derived = {};
+    buffers.channels = undefined;
+    this._schedule();
+  }
+
+  /**
+   * Forgets a sensor altogether.
+   *
+   * @param id the device id of the sensor
+   */
+  remove(id) {
+    if (this.sensors[id]) {
+      delete this.sensors[id];
+      this._schedule();
+    }
+  }
+
+  /**
+   * The ids of the sensors the store has histories for.
+   *
+   * @returns {string[]}
+   */
+  ids() {
+    return Object.keys(this.sensors);
+  }
+
+  /**
+   * A copy of (the end of) a sensor's history, as plain arrays.
+   *
+   * @param id the device id of the sensor
+   * @param windowMs (optional) only the samples from the last this many milliseconds before
+   *   the newest one -- 0 gives just the newest -- or everything, if it's not given
+   * @returns {{times, data, filtered, derived, channels, channelHistory}|undefined} undefined
+   *   if the store has never had a sample from the sensor
+   */
+  series(id, windowMs) {
+    const buffers = this.sensors[id];
+    if (!buffers) {
+      return undefined;
+    }
+
+    const {times} = buffers;
+    const from =
+      windowMs === undefined || !times.length
+        ? 0
+        : countBefore(times, times.get(times.length - 1) - windowMs);
+    const count = times.length - from;
+
+    const derived = {};
+    Object.keys(buffers.derived).forEach(type => {
+      const buffer = buffers.derived[type];
+      derived[type] = buffer.toArray(Math.max(0, buffer.length - count));
+    });
+    return {
+      times: times.toArray(from),
+      data: buffers.data.toArray(from),
+      filtered: buffers.filtered.toArray(
+        Math.max(0, buffers.filtered.length - count),
+      ),
+      derived: derived,
+      channels: buffers.channels,
+      channelHistory: buffers.channelHistory.toArray(from),
+    };
+  }
+
+  /**
+   * Every sensor's history (see series).
+   *
+   * @param windowMs (optional) as for series
+   * @returns {Object} keyed by device id
+   */
+  snapshot(windowMs) {
+    const result = {};
+    this.ids().forEach(id => {
+      result[id] = this.series(id, windowMs);
+    });
+    return result;
+  }
+
+  /**
+   * Calls 'listener' (with no arguments) whenever the store has changed -- at most once every
+   * 'interval' milliseconds.
+   *
+   * @param listener the function to call
+   * @returns {function} call it to unsubscribe
+   */
+  subscribe(listener) {
+    this.listeners.push(listener);
+    return () => {
+      this.listeners = this.listeners.filter(l => l !== listener);
+    };
+  }
+
+  /**
+   * Calls 'listener' with every sample appended, as it's appended -- for passing them on
+   * elsewhere (see relay-context.js), rather than showing them. Keep it quick.
+   *
+   * @param listener the function to call
+   * @returns {function} call it to stop
+   */
+  onSample(listener) {
+    this.sampleListeners.push(listener);
+    return () => {
+      this.sampleListeners = this.sampleListeners.filter(l => l !== listener);
+    };
+  }
+
+  /**
+   * Lets the subscribers know about any changes straight away, rather than waiting for the
+   * interval to be up.
+   */
+  publish() {
+    clearTimeout(this.timer);
+    this.timer = undefined;
+    this.version++;
+    this.listeners.forEach(listener => listener());
+  }
+
+  /**
+   * Stops any publication that's waiting to go out -- when the store's owner unmounts.
+   */
+  destroy() {
+    clearTimeout(this.timer);
+    this.timer = undefined;
+    this.listeners = [];
+    this.sampleListeners = [];
+  }
+}
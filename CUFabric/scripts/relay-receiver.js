@@ -0,0 +1,200 @@
+/**
+ * relay-receiver.js
+ *
+ * A receiver for the app's live relay (see relay.js), to run on the desktop during a trial. It
+ * prints each status, event and error as it arrives, and once a second a line per sensor with
+ * its latest value and how many samples a second are coming in -- along with any messages
+ * missing (from gaps in 'seq'), which means the app had to drop them.
+ *
+ * Run it with
+ *
+ *   node scripts/relay-receiver.js [port]
+ *
+ * and point the app's relay settings at ws://<this machine>:<port> (8081, unless told
+ * otherwise). It uses the 'ws' package, which comes with React Native's own tooling.
+ *
+ * From a test, createReceiver() gives a receiver to start on a free port, which keeps every
+ * message it's had and what it's made of each stream.
+ */
+
+const WebSocket = require('ws');
+
+const RELAY_VERSION = 1;
+
+/**
+ * Takes note of a message from a relay stream: a hello starts (or resumes) a stream, and every
+ * other message's 'seq' should be one more than the last one's.
+ *
+ * @param streams what's been seen of each stream so far, keyed by stream id -- each {lastSeq,
+ *   messages, samples, missing, duplicates, reconnections}
+ * @param connection {stream} for the connection the message came on -- 'stream' is set by its
+ *   hello
+ * @param message the message
+ * @returns {string|undefined} a warning about the message, if there's anything to warn about
+ */
+const track = (streams, connection, message) => {
+  if (message.v !== RELAY_VERSION) {
+    return 'Unsupported message version ' + message.v;
+  }
+  if (message.type === 'hello') {
+    if (streams[message.stream]) {
+      streams[message.stream].reconnections++;
+    } else {
+      streams[message.stream] = {
+        lastSeq: 0,
+        messages: 0,
+        samples: 0,
+        missing: 0,
+        duplicates: 0,
+        reconnections: 0,
+      };
+    }
+    connection.stream = message.stream;
+    return undefined;
+  }
+
+  const stream = streams[connection.stream];
+  if (!stream) {
+    return 'Message before hello';
+  }
+  stream.messages++;
+  if (message.type === 'samples') {
+    stream.samples += message.samples.length;
+  }
+  if (message.seq <= stream.lastSeq) {
+    stream.duplicates++;
+    return 'Message ' + message.seq + ' seen already';
+  }
+  const skipped = message.seq - stream.lastSeq - 1;
+  stream.lastSeq = message.seq;
+  if (skipped) {
+    stream.missing += skipped;
+    return skipped + ' messages missing before ' + message.seq;
+  }
+  return undefined;
+};
+
+/**
+ * Creates a receiver (not yet listening).
+ *
+ * @param onMessage (optional) called with (message, warning) for each message received
+ * @returns {Object} {streams, messages, listen, disconnectAll, close}: what's been seen of each
+ *   stream (see track); every message received; listen(port), which starts it on the given port
+ *   (0, or none, for any that's free) and resolves to its URL; disconnectAll(), which drops every
+ *   connection (as a flaky network would); and close(), which stops it
+ */
+const createReceiver = (onMessage = () => {}) => {
+  const streams = {};
+  const messages = [];
+  let server;
+
+  return {
+    streams: streams,
+    messages: messages,
+    listen: (port = 0) =>
+      new Promise(resolve => {
+        server = new WebSocket.Server({port: port});
+        server.on('connection', socket => {
+          const connection = {stream: undefined};
+          socket.on('message', data => {
+            let message;
+            try {
+              message = JSON.parse(data);
+            } catch (e) {
+              onMessage(undefined, 'Not JSON: ' + data);
+              return;
+            }
+            messages.push(message);
+            onMessage(message, track(streams, connection, message));
+          });
+        });
+        server.on('listening', () =>
+          resolve('ws://localhost:' + server.address().port),
+        );
+      }),
+    disconnectAll: () => server.clients.forEach(socket => socket.terminate()),
+    close: () =>
+      new Promise(resolve => {
+        server.clients.forEach(socket => socket.terminate());
+        server.close(() => resolve());
+      }),
+  };
+};
+
+module.exports = {createReceiver, track};
+
+if (require.main === module) {
+  // The latest value and samples in the last second, per sensor.
+  const sensors = {};
+
+  const receiver = createReceiver((message, warning) => {
+    if (warning) {
+      console.warn('! ' + warning);
+    }
+    if (!message) {
+      return;
+    }
+    const time = new Date(message.time).toLocaleTimeString();
+    switch (message.type) {
+      case 'hello':
+        console.log(time + ' connected (stream ' + message.stream + ')');
+        break;
+      case 'samples':
+        message.samples.forEach(sample => {
+          const sensor = sensors[sample.sensorId] || {count: 0};
+          sensor.value = sample.value;
+          sensor.count++;
+          sensors[sample.sensorId] = sensor;
+        });
+        break;
+      case 'status':
+        console.log(
+          time +
+            ' ' +
+            message.connectionState +
+            ', recording ' +
+            message.recording.status +
+            ': ' +
+            message.sensors
+              .map(
+                s =>
+                  s.name +
+                  ' ' +
+                  s.state +
+                  (s.battery !== null ? ' ' + s.battery + '%' : '') +
+                  (s.rssi !== null ? ' ' + s.rssi + ' dBm' : ''),
+              )
+              .join(', '),
+        );
+        break;
+      case 'event':
+        console.log(time + ' event: ' + message.event.label);
+        break;
+      case 'error':
+        console.log(time + ' error: ' + message.error.message);
+        break;
+      default:
+        console.warn('! Unknown message type ' + message.type);
+    }
+  });
+
+  setInterval(() => {
+    Object.keys(sensors).forEach(id => {
+      console.log(
+        '  ' + id + ': ' + sensors[id].value + ' (' + sensors[id].count + '/s)',
+      );
+      sensors[id].count = 0;
+    });
+    Object.keys(receiver.streams).forEach(id => {
+      if (receiver.streams[id].missing) {
+        console.log(
+          '  stream ' + id + ': ' + receiver.streams[id].missing + ' missing',
+        );
+      }
+    });
+  }, 1000);
+
+  receiver
+    .listen(Number(process.argv[2]) || 8081)
+    .then(url => console.log('Relay receiver listening on ' + url));
+}
@@ -0,0 +1,210 @@
+/**
+ * sync-server.js
+ *
+ * A small stand-in for the lab's session server, speaking the upload protocol described in
+ * sync.js -- for trying out sync on a laptop, and for the tests. It keeps everything in memory,
+ * so it forgets every session when it stops.
+ *
+ * Run it with
+ *
+ *   node scripts/sync-server.js [port]
+ *
+ * and point the app's sync settings at http://<this machine>:<port> (8080, unless told
+ * otherwise).
+ *
+ * From a test, createSyncServer() gives a server to start on a free port. It keeps a log of the
+ * requests it's had, and can be told to fail the next few which match a pattern -- with an
+ * error status, or by dropping the connection -- to try out retrying and resuming.
+ */
+
+const http = require('http');
+
+/*
+ * The largest request body accepted, in characters -- far more than a chunk of samples comes to.
+ */
+const MAX_BODY = 10 * 1024 * 1024;
+
+const send = (response, status, body) => {
+  response.writeHead(status, {'Content-Type': 'application/json'});
+  response.end(JSON.stringify(body));
+};
+
+/*
+ * Reads a request's body, resolving to undefined if it's too big.
+ */
+const readBody = request =>
+  new Promise((resolve, reject) => {
+    let body = '';
+    request.setEncoding('utf8');
+    request.on('data', part => {
+      body += part;
+    });
+    request.on('end', () => resolve(body.length > MAX_BODY ? undefined : body));
+    request.on('error', reject);
+  });
+
+/**
+ * Creates a stand-in server (not yet listening).
+ *
+ * @returns {Object} {server, sessions, requests, fail, listen, close}: the Node http.Server;
+ *   the sessions received, keyed by id, each {chunks: {index: text}, metadata, complete}; the
+ *   requests had so far, each {method, path, status}; fail(method, pattern, status, times),
+ *   which makes the next 'times' (1, unless told otherwise) requests whose path matches the
+ *   'pattern' regular expression fail with 'status' -- or have their connection dropped, if
+ *   'status' is 0; listen(port), which starts it on the given port (0, or none, for any that's
+ *   free) and resolves to its URL; and close(), which stops it
+ */
+const createSyncServer = () => {
+  const sessions = {};
+  const requests = [];
+  const failures = [];
+
+  const session = id => {
+    if (!sessions[id]) {
+      sessions[id] = {chunks: {}, metadata: undefined, complete: false};
+    }
+    return sessions[id];
+  };
+
+  const handle = (request, path, body, reply) => {
+    const chunkMatch = path.match(/^\/sessions\/([^/]+)\/chunks\/([^/]+)$/);
+    const sessionMatch = path.match(/^\/sessions\/([^/]+)$/);
+
+    if (chunkMatch && request.method === 'PUT') {
+      const id = decodeURIComponent(chunkMatch[1]);
+      const index = Number(chunkMatch[2]);
+      if (!Number.isInteger(index) || index < 0) {
+        return reply(400, {error: 'Bad chunk number ' + chunkMatch[2]});
+      }
+      const stored = session(id);
+      if (stored.chunks[index] !== undefined) {
+        return stored.chunks[index] === body
+          ? reply(200, {index: index, duplicate: true})
+          : reply(409, {
+              error: 'A different chunk ' + index + ' was already received',
+            });
+      }
+      if (stored.complete) {
+        return reply(409, {error: 'Session ' + id + ' is complete'});
+      }
+      stored.chunks[index] = body;
+      return reply(201, {index: index, duplicate: false});
+    }
+
+    if (sessionMatch && request.method === 'GET') {
+      const id = decodeURIComponent(sessionMatch[1]);
+      if (!sessions[id]) {
+        return reply(404, {error: 'No such session ' + id});
+      }
+      return reply(200, {
+        id: id,
+        chunks: Object.keys(sessions[id].chunks)
+          .map(Number)
+          .sort((a, b) => a - b),
+        complete: sessions[id].complete,
+      });
+    }
+
+    if (sessionMatch && request.method === 'PUT') {
+      const id = decodeURIComponent(sessionMatch[1]);
+      let finished;
+      try {
+        finished = JSON.parse(body);
+      } catch (e) {
+        return reply(400, {error: 'Not JSON'});
+      }
+      if (
+        !finished.metadata ||
+        finished.metadata.id !== id ||
+        !Array.isArray(finished.chunks)
+      ) {
+        return reply(400, {error: 'Expected {metadata, chunks}'});
+      }
+
+      const stored = session(id);
+      const missing = finished.chunks.filter(
+        index => stored.chunks[index] === undefined,
+      );
+      if (missing.length) {
+        return reply(409, {
+          error: 'Missing chunks ' + missing.join(', '),
+          missing: missing,
+        });
+      }
+      const duplicate = stored.complete;
+      stored.metadata = finished.metadata;
+      stored.complete = true;
+      return reply(200, {
+        id: id,
+        complete: true,
+        duplicate: duplicate,
+      });
+    }
+
+    return reply(404, {error: 'Not found'});
+  };
+
+  const server = http.createServer((request, response) => {
+    const path = request.url.split('?')[0];
+    const entry = {method: request.method, path: path, status: undefined};
+    requests.push(entry);
+
+    const failure = failures.find(
+      f => f.method === request.method && f.pattern.test(path) && f.times > 0,
+    );
+    if (failure) {
+      failure.times--;
+      entry.status = failure.status;
+      if (!failure.status) {
+        request.socket.destroy();
+      } else {
+        send(response, failure.status, {error: 'Failing on purpose'});
+      }
+      return;
+    }
+
+    readBody(request).then(body => {
+      if (body === undefined) {
+        entry.status = 413;
+        return send(response, 413, {error: 'Too big'});
+      }
+      handle(request, path, body, (status, reply) => {
+        entry.status = status;
+        send(response, status, reply);
+      });
+    });
+  });
+
+  return {
+    server: server,
+    sessions: sessions,
+    requests: requests,
+    fail: (method, pattern, status, times = 1) => {
+      failures.push({
+        method: method,
+        pattern: pattern,
+        status: status,
+        times: times,
+      });
+    },
+    listen: (port = 0) =>
+      new Promise(resolve =>
+        server.listen(port, () =>
+          resolve('http://localhost:' + server.address().port),
+        ),
+      ),
+    close: () => new Promise(resolve => server.close(() => resolve())),
+  };
+};
+
+module.exports = {createSyncServer};
+
+if (require.main === module) {
+  const standIn = createSyncServer();
+  standIn.server.on('request', request =>
+    console.log(request.method + ' ' + request.url),
+  );
+  standIn
+    .listen(Number(process.argv[2]) || 8080)
+    .then(url => console.log('Sync server listening on ' + url));
+}
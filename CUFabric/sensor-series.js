@@ -0,0 +1,75 @@
+/**
+ * sensor-series.js
+ *
+ * Hooks for reading the sensors' histories out of the BLEContext's sample store (see
+ * sample-store.js). A component using one re-renders when the store publishes -- a few dozen
+ * times a second at most, however fast the samples are coming in -- rather than every time a
+ * sample arrives.
+ */
+
+import {useCallback, useContext, useEffect, useState} from 'react';
+import {BLEContext} from './ble-context';
+
+/*
+ * What a sensor's history looks like before it has any.
+ */
+export const EMPTY_SERIES = {
+  times: [],
+  data: [],
+  filtered: [],
+  derived: {},
+  channels: undefined,
+  channelHistory: [],
+};
+
+/*
+ * Reads something from the store now, and again each time it publishes (or 'read' changes).
+ */
+const useStore = read => {
+  const {store} = useContext(BLEContext);
+  const [value, setValue] = useState(() => read(store));
+
+  useEffect(() => {
+    setValue(read(store));
+    return store.subscribe(() => setValue(read(store)));
+  }, [read, store]);
+
+  return value;
+};
+
+/**
+ * One sensor's history.
+ *
+ * @param sensorId the device id of the sensor
+ * @param windowMs (optional) only the last this many milliseconds of it (see series in
+ *   sample-store.js) -- or all of it, if not given
+ * @returns {{times, data, filtered, derived, channels, channelHistory}}
+ */
+export const useSensorSeries = (sensorId, windowMs) =>
+  useStore(
+    useCallback(
+      store => store.series(sensorId, windowMs) || EMPTY_SERIES,
+      [sensorId, windowMs],
+    ),
+  );
+
+/**
+ * Every sensor's history, keyed by device id -- for the components which show them all side
+ * by side.
+ *
+ * @param windowMs (optional) as for useSensorSeries
+ * @returns {Object}
+ */
+export const useAllSeries = windowMs =>
+  useStore(useCallback(store => store.snapshot(windowMs), [windowMs]));
+
+/**
+ * The sensors from the BLEContext's 'sensors' list, each with its history merged in -- for
+ * components written when the history was part of the list.
+ *
+ * @param sensors the sensors
+ * @param series their histories, from useAllSeries
+ * @returns {Object[]}
+ */
+export const withSeries = (sensors, series) =>
+  sensors.map(s => ({...s, ...(series[s.id] || EMPTY_SERIES)}));
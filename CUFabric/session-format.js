@@ -0,0 +1,285 @@
+/**
+ * session-format.js
+ *
+ * Serialisation of recorded sessions -- both the chunks the recorder writes to disk while a
+ * session is in progress, and the CSV and JSON exports of a finished session. Everything here
+ * is a pure function of its arguments, so it can be tested without a device or a filesystem.
+ *
+ * A session is made up of its metadata:
+ *
+ *   {id, name, startTime, endTime, pauses, sensors, events, gait, layout, participant, trial,
+ *    sampleCount}
+ *
+ * where 'startTime' and 'endTime' are milliseconds since the epoch, 'pauses' is a list of
+ * {start, end} times during which nothing was recorded, and 'sensors' is a list of
+ * {id, name, firmware, sampleRate, calibration} -- one per sensor which contributed samples,
+ * 'firmware' being its firmware revision (see device-info.js), or null if it didn't say, and
+ * 'calibration' the one applied to its values (see calibration.js), or null if they're raw.
+ * 'events' lists the events detected while recording (see alerts.js), each of the form
+ * {time, sensorId, ruleId, type, label, value, alert}. 'gait' holds the gait analysis of the
+ * finished session (see gait.js), keyed by sensor id -- it's added when recording stops.
+ * 'layout' is the insole layout the session was recorded with (see insole-layout.js).
+ * 'participant' is who was wearing the insoles, {id, code, shoeSize, weight, foot}, and 'trial'
+ * what they were doing, {templateId, name, protocol, duration} -- either is null (or missing,
+ * in sessions recorded before they were added) if none was selected (see trials.js).
+ *
+ * ... and its samples, each of the form:
+ *
+ *   {time, sensorId, characteristic, value, channels}
+ *
+ * where 'channels' is only present for multi-channel sensors (see decoders.js).
+ */
+
+/**
+ * Serialises a chunk of samples as JSON lines (one sample per line). Appending chunks to a file
+ * one after another gives a file which can still be parsed with parseChunk.
+ *
+ * @param samples the samples in the chunk
+ * @returns {string}
+ */
+export const serializeChunk = samples =>
+  samples.map(sample => JSON.stringify(sample) + '\n').join('');
+
+/**
+ * Parses the samples out of one or more chunks written by serializeChunk. Blank lines are
+ * skipped, as is a truncated last line (which is what we'd find if the app was killed part way
+ * through writing a chunk).
+ *
+ * @param text the contents of a chunk file
+ * @returns {Object[]} the samples, in the order they were recorded
+ */
+export const parseChunk = text => {
+  const lines = text.split('\n').filter(line => line.trim().length);
+  const samples = [];
+  lines.forEach((line, i) => {
+    try {
+      samples.push(JSON.parse(line));
+    } catch (error) {
+      if (i !== lines.length - 1) {
+        throw error;
+      }
+    }
+  });
+  return samples;
+};
+
+/**
+ * Works out the effective sample rate (samples per second) of each sensor in a session, over
+ * the time spent recording (i.e., not counting pauses).
+ *
+ * @param metadata the session metadata (only startTime, endTime and pauses are used)
+ * @param counts the number of samples recorded from each sensor, keyed by sensor id
+ * @returns {Object<string, number>} the sample rate, keyed by sensor id
+ */
+export const sampleRates = (metadata, counts) => {
+  const seconds = activeDuration(metadata) / 1000;
+
+  const rates = {};
+  Object.keys(counts).forEach(id => {
+    rates[id] = seconds > 0 ? counts[id] / seconds : 0;
+  });
+  return rates;
+};
+
+/**
+ * The time (in milliseconds) a session spent recording -- from start to end, less any pauses.
+ *
+ * @param metadata the session metadata
+ * @param endTime (optional) when to count up to, for a session which hasn't ended (yet) --
+ *   defaults to its end time; a pause still going then is counted up to it too
+ * @returns {number}
+ */
+export const activeDuration = (metadata, endTime = metadata.endTime) => {
+  const paused = (metadata.pauses || []).reduce(
+    (total, pause) =>
+      total + ((pause.end === null ? endTime : pause.end) - pause.start),
+    0,
+  );
+  return endTime - metadata.startTime - paused;
+};
+
+/*
+ * Quotes a CSV field if it needs it (RFC 4180).
+ */
+const csvField = value => {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+};
+
+/*
+ * Formats an optional number to the given number of decimal places.
+ */
+const formatNumber = (value, places) =>
+  value === undefined || value === null ? 'unknown' : value.toFixed(places);
+
+/*
+ * Free text in the header (names, labels and so on), quoted like a CSV field -- and on one
+ * line, so it can't end the comment line it's in.
+ */
+const headerText = value =>
+  csvField(
+    value === undefined || value === null
+      ? value
+      : String(value).replace(/\s+/g, ' '),
+  );
+
+/*
+ * The metadata header lines shared by the CSV export: '# key: value', one per line.
+ */
+const csvHeader = metadata => {
+  const lines = [
+    ['session', headerText(metadata.name)],
+    ['id', metadata.id],
+    ['start_time', new Date(metadata.startTime).toISOString()],
+    ['end_time', new Date(metadata.endTime).toISOString()],
+    ['sample_count', metadata.sampleCount],
+  ];
+  if (metadata.participant) {
+    const {code, shoeSize, weight, foot} = metadata.participant;
+    lines.push([
+      'participant',
+      [
+        'id=' + headerText(code),
+        'shoe_size_eu=' + (shoeSize !== null ? shoeSize : 'unknown'),
+        'weight_kg=' + (weight !== null ? weight : 'unknown'),
+        'foot=' + foot,
+      ].join(', '),
+    ]);
+  }
+  if (metadata.trial) {
+    const {name, protocol, duration} = metadata.trial;
+    lines.push([
+      'trial',
+      [
+        'name=' + headerText(name),
+        'target_s=' + (duration !== null ? duration : 'none'),
+        'protocol=' + headerText(protocol),
+      ].join(', '),
+    ]);
+  }
+  (metadata.sensors || []).forEach(sensor => {
+    lines.push([
+      'sensor',
+      [
+        'id=' + sensor.id,
+        'name=' + headerText(sensor.name),
+        'firmware=' + headerText(sensor.firmware || 'unknown'),
+        'sample_rate=' + (sensor.sampleRate || 0).toFixed(2),
+      ].join(', '),
+    ]);
+  });
+  (metadata.sensors || [])
+    .filter(sensor => sensor.calibration)
+    .forEach(({id, calibration}) => {
+      Object.keys(calibration.fits).forEach(channel => {
+        lines.push([
+          'calibration',
+          [
+            'sensor_id=' + id,
+            'channel=' + channel,
+            'unit=' + calibration.unit,
+            'fitted=' + new Date(calibration.time).toISOString(),
+            'coefficients=' +
+              calibration.fits[channel].coefficients
+                .map(c => Number(c.toPrecision(6)))
+                .join(';'),
+          ].join(', '),
+        ]);
+      });
+    });
+  (metadata.events || []).forEach(event => {
+    lines.push([
+      'event',
+      [
+        'time=' + event.time,
+        'elapsed_ms=' + (event.time - metadata.startTime),
+        'sensor_id=' + event.sensorId,
+        'type=' + event.type,
+        'label=' + headerText(event.label),
+        'value=' + event.value,
+      ].join(', '),
+    ]);
+  });
+  Object.keys(metadata.gait || {}).forEach(id => {
+    const gait = metadata.gait[id];
+    const fields = [
+      'sensor_id=' + id,
+      'steps=' + gait.stepCount,
+      'cadence=' + formatNumber(gait.cadence, 1),
+      'stance_ms=' + formatNumber(gait.stanceTime, 0),
+      'swing_ms=' + formatNumber(gait.swingTime, 0),
+    ];
+    if (gait.distribution) {
+      fields.push(
+        'heel=' + formatNumber(gait.distribution.heel * 100, 1) + '%',
+        'midfoot=' + formatNumber(gait.distribution.midfoot * 100, 1) + '%',
+        'toe=' + formatNumber(gait.distribution.toe * 100, 1) + '%',
+      );
+    }
+    lines.push(['gait', fields.join(', ')]);
+  });
+  return lines.map(([key, value]) => '# ' + key + ': ' + value + '\n').join('');
+};
+
+/**
+ * Exports a session as CSV. The file starts with the metadata as '#' comment lines, followed
+ * by a header row and one row per sample. Multi-channel sensors get one column per channel
+ * (the union of every channel name in the session); those columns are left empty for samples
+ * which don't have them.
+ *
+ * @param metadata the session metadata
+ * @param samples all of the session's samples
+ * @returns {string}
+ */
+export const toCSV = (metadata, samples) => {
+  const channels = [];
+  samples.forEach(sample => {
+    Object.keys(sample.channels || {}).forEach(name => {
+      if (!channels.includes(name)) {
+        channels.push(name);
+      }
+    });
+  });
+
+  const columns = [
+    'timestamp',
+    'elapsed_ms',
+    'sensor_id',
+    'characteristic',
+    'value',
+    ...channels,
+  ];
+
+  const rows = samples.map(sample =>
+    [
+      sample.time,
+      sample.time - metadata.startTime,
+      sample.sensorId,
+      sample.characteristic,
+      sample.value,
+      ...channels.map(name => (sample.channels || {})[name]),
+    ]
+      .map(csvField)
+      .join(','),
+  );
+
+  return (
+    csvHeader(metadata) +
+    columns.map(csvField).join(',') +
+    '\n' +
+    rows.map(row => row + '\n').join('')
+  );
+};
+
+/**
+ * Exports a session as JSON: an object with the session's 'metadata' and 'samples'.
+ *
+ * @param metadata the session metadata
+ * @param samples all of the session's samples
+ * @returns {string}
+ */
+export const toJSON = (metadata, samples) =>
+  JSON.stringify({metadata: metadata, samples: samples}, null, 2);
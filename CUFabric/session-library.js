@@ -0,0 +1,258 @@
+/**
+ * session-library.js
+ *
+ * React-component listing the sessions recorded on this device (see session-store.js), with
+ * actions to replay, rename, share or delete each one -- and, once a server's been set up, how
+ * each one's upload is getting on (see sync-context.js).
+ */
+
+import React, {useCallback, useContext, useEffect, useState} from 'react';
+import {Alert, Button, StyleSheet, Text, TextInput, View} from 'react-native';
+import {activeDuration} from './session-format';
+import {formatDuration, shareSession} from './recording-controls';
+import {
+  deleteSession,
+  lastSampleTime,
+  listSessions,
+  renameSession,
+} from './session-store';
+import {describeSyncStatus} from './sync';
+import {SyncContext} from './sync-context';
+import {BLEContext} from './ble-context';
+
+/*
+ * A one-line summary of a session's gait analysis (see gait.js): the steps across all its
+ * sensors, and their average cadence.
+ */
+const describeGait = session => {
+  const results = Object.values(session.gait);
+  const steps = results.reduce((sum, r) => sum + r.stepCount, 0);
+  const cadences = results
+    .map(r => r.cadence)
+    .filter(cadence => cadence !== undefined && cadence !== null);
+  return (
+    steps +
+    ' steps' +
+    (cadences.length
+      ? ', ' +
+        (cadences.reduce((sum, c) => sum + c, 0) / cadences.length).toFixed(0) +
+        ' steps/min'
+      : '')
+  );
+};
+
+/**
+ * A single row in the session list. While 'editing', the name is shown in a text field so
+ * the session can be renamed. 'sync' is the session's entry in the sync queue, or null if
+ * there's no server to sync with. While it's 'recording', it can't be renamed or deleted --
+ * the recorder's still writing it.
+ *
+ * @returns {JSX.Element}
+ * @constructor
+ */
+const SessionRow = ({
+  session,
+  sync,
+  recording,
+  onReplay,
+  onRename,
+  onDelete,
+}) => {
+  const [editing, setEditing] = useState(false);
+  const [name, setName] = useState(session.name);
+
+  const devices =
+    session.sensors
+      .map(s => s.name + (s.firmware ? ' (firmware ' + s.firmware + ')' : ''))
+      .join(', ') || 'no sensors';
+
+  // A session without an end time -- still being recorded, or cut short by the app being
+  // killed -- lasts until its last sample.
+  const [lastSample, setLastSample] = useState(undefined);
+  useEffect(() => {
+    if (session.endTime) {
+      return;
+    }
+    let current = true;
+    lastSampleTime(session.id)
+      .then(time => current && setLastSample(time))
+      .catch(error => {
+        console.error('Unable to read session ' + session.id);
+        console.error(error);
+      });
+    return () => {
+      current = false;
+    };
+  }, [session.endTime, session.id, session.sampleCount]);
+
+  const duration = session.endTime
+    ? activeDuration(session)
+    : lastSample !== undefined
+    ? activeDuration(session, lastSample)
+    : 0;
+
+  return (
+    <View style={styles.row}>
+      {editing ? (
+        <View style={styles.actions}>
+          <TextInput
+            style={styles.input}
+            value={name}
+            onChangeText={setName}
+            autoFocus
+          />
+          <Button
+            title="Save"
+            onPress={() => {
+              setEditing(false);
+              onRename(session.id, name);
+            }}
+          />
+        </View>
+      ) : (
+        <Text style={styles.name}>{session.name}</Text>
+      )}
+      <Text style={styles.meta}>
+        {new Date(session.startTime).toLocaleString()},{' '}
+        {formatDuration(duration)}, {session.sampleCount} samples
+      </Text>
+      <Text style={styles.meta}>{devices}</Text>
+      {(session.participant || session.trial) && (
+        <Text style={styles.meta}>
+          {[
+            session.trial && session.trial.name,
+            session.participant && 'participant ' + session.participant.code,
+          ]
+            .filter(Boolean)
+            .join(', ')}
+        </Text>
+      )}
+      {session.gait && <Text style={styles.meta}>{describeGait(session)}</Text>}
+      {sync !== null && (
+        <Text style={styles.meta}>{describeSyncStatus(sync, Date.now())}</Text>
+      )}
+      <View style={styles.actions}>
+        <Button title="Replay" onPress={() => onReplay(session)} />
+        <Button
+          title="Rename"
+          disabled={recording}
+          onPress={() => setEditing(true)}
+        />
+        <Button title="Share" onPress={() => shareSession(session, 'csv')} />
+        <Button
+          title="Delete"
+          disabled={recording}
+          onPress={() => onDelete(session)}
+        />
+      </View>
+    </View>
+  );
+};
+
+/**
+ * The session list itself.
+ *
+ * @param onReplay called with a session's metadata when the user asks to replay it
+ * @returns {JSX.Element}
+ * @constructor
+ */
+export const SessionLibrary = ({onReplay}) => {
+  const {serverUrl, statuses} = useContext(SyncContext);
+  const {recording} = useContext(BLEContext);
+  const recordingId = recording.session && recording.session.id;
+  const [sessions, setSessions] = useState(undefined);
+
+  const refresh = useCallback(() => {
+    listSessions()
+      .then(setSessions)
+      .catch(error => {
+        console.error('Unable to list sessions.');
+        console.error(error);
+        setSessions([]);
+      });
+  }, []);
+
+  useEffect(refresh, [refresh]);
+
+  /*
+   * Tells the user a rename or delete didn't work -- the list is refreshed either way, to show
+   * what's actually on disk.
+   */
+  const failed = action => error => {
+    console.error('Unable to ' + action + ' session.');
+    console.error(error);
+    Alert.alert('Unable to ' + action + ' session', error.message);
+    refresh();
+  };
+
+  const rename = (id, name) => {
+    renameSession(id, name).then(refresh, failed('rename'));
+  };
+
+  const remove = session => {
+    Alert.alert('Delete session', 'Delete "' + session.name + '"?', [
+      {text: 'Cancel', style: 'cancel'},
+      {
+        text: 'Delete',
+        style: 'destructive',
+        onPress: () =>
+          deleteSession(session.id).then(refresh, failed('delete')),
+      },
+    ]);
+  };
+
+  if (sessions === undefined) {
+    return <Text>Loading ...</Text>;
+  }
+
+  return (
+    <View>
+      <View style={styles.actions}>
+        <Text style={styles.count}>{sessions.length} sessions</Text>
+        <Button title="Refresh" onPress={refresh} />
+      </View>
+      {sessions.map(session => (
+        <SessionRow
+          key={session.id}
+          session={session}
+          sync={serverUrl ? statuses[session.id] : null}
+          recording={session.id === recordingId}
+          onReplay={onReplay}
+          onRename={rename}
+          onDelete={remove}
+        />
+      ))}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  row: {
+    paddingVertical: 8,
+    borderBottomWidth: StyleSheet.hairlineWidth,
+    borderBottomColor: '#ccc',
+  },
+  name: {
+    fontSize: 18,
+    fontWeight: '600',
+  },
+  meta: {
+    fontSize: 12,
+    color: '#666',
+  },
+  actions: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  count: {
+    flex: 1,
+    fontSize: 16,
+  },
+  input: {
+    flex: 1,
+    fontSize: 18,
+    paddingVertical: 2,
+    borderBottomWidth: StyleSheet.hairlineWidth,
+    borderBottomColor: '#ccc',
+  },
+});
@@ -0,0 +1,222 @@
+/**
+ * session-store.js
+ *
+ * On-device storage for recorded sessions. Each session gets its own directory under
+ * SESSIONS_DIR, holding:
+ *
+ *   metadata.json       the session metadata (see session-format.js)
+ *   chunk-00000.jsonl   the samples, in the order they were recorded, written a chunk at a
+ *   chunk-00001.jsonl   time while the session is in progress -- so a long session never
+ *   ...                 has to be held in memory (or React state) in one piece
+ *
+ * Exports are written to EXPORTS_DIR, from where they can be shared.
+ */
+
+import RNFS from 'react-native-fs';
+import {parseChunk, serializeChunk, toCSV, toJSON} from './session-format';
+
+export const SESSIONS_DIR = RNFS.DocumentDirectoryPath + '/sessions';
+export const EXPORTS_DIR = RNFS.DocumentDirectoryPath + '/exports';
+
+const sessionDir = id => SESSIONS_DIR + '/' + id;
+const metadataPath = id => sessionDir(id) + '/metadata.json';
+const chunkPath = (id, index) =>
+  sessionDir(id) + '/chunk-' + String(index).padStart(5, '0') + '.jsonl';
+
+/**
+ * Creates the directory for a new session and writes its initial metadata.
+ *
+ * @param metadata the session metadata -- its 'id' names the directory
+ * @returns {Promise<void>}
+ */
+export const createSession = metadata =>
+  RNFS.mkdir(sessionDir(metadata.id)).then(() => saveMetadata(metadata));
+
+/**
+ * Overwrites a session's metadata.
+ *
+ * @param metadata the session metadata
+ * @returns {Promise<void>}
+ */
+export const saveMetadata = metadata =>
+  RNFS.writeFile(metadataPath(metadata.id), JSON.stringify(metadata), 'utf8');
+
+/**
+ * Reads a session's metadata.
+ *
+ * @param id the session id
+ * @returns {Promise<Object>}
+ */
+export const readMetadata = id =>
+  RNFS.readFile(metadataPath(id), 'utf8').then(JSON.parse);
+
+/**
+ * Writes a chunk of samples to a session. Chunks are numbered from 0, and read back in that
+ * order by readSamples.
+ *
+ * @param id the session id
+ * @param index the chunk number
+ * @param samples the samples in the chunk
+ * @returns {Promise<void>}
+ */
+export const writeChunk = (id, index, samples) =>
+  RNFS.writeFile(chunkPath(id, index), serializeChunk(samples), 'utf8');
+
+/*
+ * The chunk files in a session's directory, as {index, path}, in order.
+ */
+const chunkFiles = id =>
+  RNFS.readDir(sessionDir(id)).then(items =>
+    items
+      .filter(item => /^chunk-\d+\.jsonl$/.test(item.name))
+      .map(item => ({
+        index: parseInt(item.name.substring(6), 10),
+        path: item.path,
+      }))
+      .sort((a, b) => a.index - b.index),
+  );
+
+/**
+ * Reads every sample in a session back from its chunks.
+ *
+ * @param id the session id
+ * @returns {Promise<Object[]>} the samples, in the order they were recorded
+ */
+export const readSamples = id =>
+  chunkFiles(id)
+    .then(files =>
+      Promise.all(files.map(file => RNFS.readFile(file.path, 'utf8'))),
+    )
+    .then(chunks => {
+      const samples = [];
+      chunks.forEach(text => {
+        parseChunk(text).forEach(sample => samples.push(sample));
+      });
+      return samples;
+    });
+
+/**
+ * When a session's last sample was recorded -- for a session without an end time, because
+ * it's still being recorded or the app was killed first. Only its last chunk is read.
+ *
+ * @param id the session id
+ * @returns {Promise<number|undefined>} the time, or undefined if it has no samples
+ */
+export const lastSampleTime = id =>
+  chunkFiles(id).then(files => {
+    if (!files.length) {
+      return undefined;
+    }
+    return RNFS.readFile(files[files.length - 1].path, 'utf8').then(text => {
+      const samples = parseChunk(text);
+      return samples.length ? samples[samples.length - 1].time : undefined;
+    });
+  });
+
+/**
+ * Lists the chunks a session has been written in -- for uploading them one at a time (see
+ * sync.js).
+ *
+ * @param id the session id
+ * @returns {Promise<number[]>} the chunk numbers, in order
+ */
+export const listChunks = id =>
+  chunkFiles(id).then(files => files.map(file => file.index));
+
+/**
+ * Reads one of a session's chunks, just as it was written (see serializeChunk in
+ * session-format.js).
+ *
+ * @param id the session id
+ * @param index the chunk number
+ * @returns {Promise<string>}
+ */
+export const readChunk = (id, index) =>
+  RNFS.readFile(chunkPath(id, index), 'utf8');
+
+/**
+ * Whether a session is (still) stored on the device.
+ *
+ * @param id the session id
+ * @returns {Promise<boolean>}
+ */
+export const sessionExists = id => RNFS.exists(metadataPath(id));
+
+/**
+ * Exports a session as CSV or JSON (see session-format.js) to a file in EXPORTS_DIR.
+ *
+ * @param id the session id
+ * @param format 'csv' or 'json'
+ * @returns {Promise<string>} the path of the exported file
+ */
+export const exportSession = (id, format) =>
+  Promise.all([
+    readMetadata(id),
+    readSamples(id),
+    RNFS.mkdir(EXPORTS_DIR),
+  ]).then(([metadata, samples]) => {
+    const path = EXPORTS_DIR + '/' + id + '.' + format;
+    const contents =
+      format === 'csv' ? toCSV(metadata, samples) : toJSON(metadata, samples);
+    return RNFS.writeFile(path, contents, 'utf8').then(() => path);
+  });
+
+/**
+ * Lists every recorded session, newest first.
+ *
+ * @returns {Promise<Object[]>} the metadata of each session
+ */
+export const listSessions = () =>
+  RNFS.exists(SESSIONS_DIR)
+    .then(exists => (exists ? RNFS.readDir(SESSIONS_DIR) : []))
+    .then(items =>
+      Promise.all(
+        items
+          .filter(item => item.isDirectory())
+          .map(item =>
+            readMetadata(item.name).catch(error => {
+              // Don't let one damaged session hide all the others.
+              console.error('Unable to read session ' + item.name);
+              console.error(error);
+              return undefined;
+            }),
+          ),
+      ),
+    )
+    .then(sessions =>
+      sessions
+        .filter(session => session !== undefined)
+        .sort((a, b) => b.startTime - a.startTime),
+    );
+
+/**
+ * Renames a session.
+ *
+ * @param id the session id
+ * @param name the new name
+ * @returns {Promise<Object>} the updated metadata
+ */
+export const renameSession = (id, name) =>
+  readMetadata(id).then(metadata => {
+    const renamed = {...metadata, name: name};
+    return saveMetadata(renamed).then(() => renamed);
+  });
+
+/**
+ * Deletes a session, along with any exports of it.
+ *
+ * @param id the session id
+ * @returns {Promise<void>}
+ */
+export const deleteSession = id =>
+  Promise.all(
+    [
+      sessionDir(id),
+      EXPORTS_DIR + '/' + id + '.csv',
+      EXPORTS_DIR + '/' + id + '.json',
+    ].map(path =>
+      RNFS.exists(path).then(exists =>
+        exists ? RNFS.unlink(path) : undefined,
+      ),
+    ),
+  ).then(() => undefined);
@@ -0,0 +1,45 @@
+/**
+ * settings-store.js
+ *
+ * On-device storage for the app's settings -- anything the user sets up once and expects to
+ * find again next launch (e.g., the alert rules in alerts.js). Each setting is a JSON file in
+ * SETTINGS_DIR, named after the setting.
+ */
+
+import RNFS from 'react-native-fs';
+
+export const SETTINGS_DIR = RNFS.DocumentDirectoryPath + '/settings';
+
+const settingPath = name => SETTINGS_DIR + '/' + name + '.json';
+
+/**
+ * Reads a setting.
+ *
+ * @param name the setting's name
+ * @param fallback what to return if the setting has never been saved (or can't be read)
+ * @returns {Promise<*>}
+ */
+export const readSetting = (name, fallback) =>
+  RNFS.exists(settingPath(name))
+    .then(exists =>
+      exists
+        ? RNFS.readFile(settingPath(name), 'utf8').then(JSON.parse)
+        : fallback,
+    )
+    .catch(error => {
+      console.error('Unable to read setting ' + name);
+      console.error(error);
+      return fallback;
+    });
+
+/**
+ * Saves a setting, overwriting whatever was saved before.
+ *
+ * @param name the setting's name
+ * @param value the value -- anything JSON can represent
+ * @returns {Promise<void>}
+ */
+export const writeSetting = (name, value) =>
+  RNFS.mkdir(SETTINGS_DIR).then(() =>
+    RNFS.writeFile(settingPath(name), JSON.stringify(value), 'utf8'),
+  );
@@ -0,0 +1,841 @@
+/**
+ * simulator.js
+ *
+ * A simulated BLE transport, for running the app without a real radio (e.g., on an emulator)
+ * and for testing the BLEProvider under Jest.
+ *
+ * The BLEProvider talks to its transport through the same methods as react-native-ble-plx's
+ * BleManager -- so the real transport is simply a BleManager, and SimulatedTransport below
+ * implements the subset of those methods the app uses, against a set of fake devices. Each fake
+ * device advertises while a scan is running, and each of its characteristics produces values
+ * from a waveform: a function of the time (in milliseconds) since the device connected.
+ *
+ * The simulator can also be told to misbehave -- see disconnect, failNext, mute, setRSSI and
+ * setState. Each insole also answers the firmware's commands (see commands.js), much as the
+ * real one does, and has the standard Battery and Device Information services (see
+ * device-info.js).
+ */
+
+import {Buffer} from 'buffer';
+import {BleError, BleErrorCode} from 'react-native-ble-plx';
+import {
+  ACK_CHARACTERISTIC,
+  COMMAND_CHARACTERISTIC,
+  COMMAND_SERVICE,
+  COMMANDS,
+} from './commands';
+import {
+  BATTERY_LEVEL,
+  BATTERY_SERVICE,
+  DEVICE_INFORMATION,
+  DEVICE_INFORMATION_SERVICE,
+} from './device-info';
+
+/*
+ * The service and characteristic of the Clarkson insole's counter (see ble-context.js).
+ */
+const CU_FAB_SERVICE = '88189766-42ED-4E52-8E9F-47C7DECD82A9';
+const CU_FAB_COUNTER_CHARACTERISTIC = 'F8898AF6-786E-4058-B910-4244CECD3008';
+
+/*
+ * How often (in milliseconds) devices advertise while a scan is running, and how long
+ * connecting, discovering and reading take.
+ */
+const ADVERTISE_INTERVAL = 500;
+const LATENCY = 50;
+
+/*
+ * Waveforms -- each of these returns a function of time (in milliseconds since the device
+ * connected) which gives the value to send.
+ */
+export const waveforms = {
+  /*
+   * A sine wave, offset so it stays positive with the defaults.
+   */
+  sine:
+    ({amplitude = 100, period = 2000, offset = 128} = {}) =>
+    t =>
+      offset + amplitude * Math.sin((2 * Math.PI * t) / period),
+
+  /*
+   * The given values, one per 'interval' milliseconds, over and over.
+   */
+  scripted:
+    (values, interval = 100) =>
+    t =>
+      values[Math.floor(t / interval) % values.length],
+
+  /*
+   * A rough insole pressure trace: a load peak at each heel strike of this foot, walking at
+   * 'cadence' steps a minute (counting both feet, as gait.js does), with a little noise on top.
+   */
+  steps:
+    ({cadence = 100, peak = 200, noise = 5} = {}) =>
+    t => {
+      const period = (2 * 60000) / cadence;
+      const phase = (t % period) / period;
+      const load = phase < 0.6 ? Math.sin((Math.PI * phase) / 0.6) : 0;
+      return Math.max(0, peak * load + noise * (Math.random() - 0.5));
+    },
+};
+
+/*
+ * Encodes a value as a single unsigned byte (clamped to 0-255) -- how the Clarkson insole
+ * sends its counter.
+ */
+export const uint8 = value =>
+  Buffer.from([Math.max(0, Math.min(255, Math.round(value)))]);
+
+/*
+ * The standard 'Characteristic User Description' descriptor.
+ */
+const USER_DESCRIPTION = '00002901-0000-1000-8000-00805f9b34fb';
+
+/*
+ * The insole's command and acknowledgement characteristics (see commands.js). The simulated
+ * firmware acknowledges every command it knows (unless 'acknowledge' is false, for trying out
+ * timeouts): setting the sample rate changes how often the counter sends, stopping and
+ * starting streaming pauses and resumes it, and setting the name changes what it advertises.
+ */
+const commandCharacteristics = acknowledge => {
+  let streaming = true;
+
+  const respond = (bytes, transport, id) => {
+    const device = transport._device(id);
+    const counter = transport._characteristic(
+      id,
+      CU_FAB_SERVICE,
+      CU_FAB_COUNTER_CHARACTERISTIC,
+    );
+    const [opcode, sequence] = bytes;
+    const argument = bytes.slice(2);
+
+    let status = 0x00;
+    if (opcode === COMMANDS.setSampleRate.opcode && argument.length === 2) {
+      counter.interval = 1000 / argument.readUInt16LE(0);
+    } else if (opcode === COMMANDS.setName.opcode && argument.length) {
+      device.name = argument.toString('utf8');
+    } else if (opcode === COMMANDS.stopStreaming.opcode) {
+      streaming = false;
+    } else if (opcode === COMMANDS.startStreaming.opcode) {
+      streaming = true;
+    } else if (opcode !== COMMANDS.tare.opcode) {
+      status = Object.values(COMMANDS).some(c => c.opcode === opcode)
+        ? 0x02
+        : 0x01;
+    }
+
+    // Restart the counter's notifications, so they pick up any change of rate.
+    transport.mute(id);
+    if (streaming) {
+      transport.resume(id);
+    }
+
+    if (acknowledge) {
+      transport.notify(
+        id,
+        COMMAND_SERVICE,
+        ACK_CHARACTERISTIC,
+        Buffer.from([opcode, sequence, status]),
+      );
+    }
+  };
+
+  return [
+    {
+      serviceUUID: COMMAND_SERVICE,
+      uuid: COMMAND_CHARACTERISTIC,
+      isWritableWithResponse: true,
+      onWrite: respond,
+    },
+    {
+      serviceUUID: COMMAND_SERVICE,
+      uuid: ACK_CHARACTERISTIC,
+      isNotifiable: true,
+    },
+  ];
+};
+
+/*
+ * What the simulated insoles' Device Information Service says, unless told otherwise.
+ */
+const DEFAULT_INFO = {
+  manufacturer: 'Clarkson University',
+  model: 'CUFabric Insole',
+  firmware: '1.0.0',
+  hardware: 'A',
+};
+
+/*
+ * The insole's Battery Service (unless 'battery' is null) and Device Information Service
+ * (unless 'info' is null) -- each just holds a value, which a test can change as it likes.
+ */
+const standardCharacteristics = (battery, info) => [
+  ...(battery === null
+    ? []
+    : [
+        {
+          serviceUUID: BATTERY_SERVICE,
+          uuid: BATTERY_LEVEL,
+          isReadable: true,
+          value: Buffer.from([battery]),
+        },
+      ]),
+  ...(info === null
+    ? []
+    : Object.keys(DEVICE_INFORMATION)
+        .filter(field => info[field])
+        .map(field => ({
+          serviceUUID: DEVICE_INFORMATION_SERVICE,
+          uuid: DEVICE_INFORMATION[field],
+          isReadable: true,
+          value: Buffer.from(info[field], 'utf8'),
+        }))),
+];
+
+/**
+ * A fake Clarkson insole, ready to pass to SimulatedTransport. It advertises its counter's
+ * service, as the real one does -- a device's 'services' are the service UUIDs it advertises,
+ * which is what a scan for particular services goes by (see device-profiles.js).
+ *
+ * Besides its counter, a device can have any other characteristics, each of the form
+ *
+ *   {serviceUUID, uuid, isReadable, isWritableWithResponse, isWritableWithoutResponse,
+ *    isNotifiable, isIndicatable, value, waveform, encode, interval, descriptors, onWrite}
+ *
+ * where 'value' is a Buffer (for a characteristic which just holds a value -- writing to it
+ * replaces it), or 'waveform' and 'encode' generate one (see the counter below), and
+ * 'descriptors' is a list of {uuid, value}. 'onWrite' is called with the bytes written, the
+ * transport and the device id -- so a device can respond to what it's sent.
+ *
+ * @param id the device id
+ * @param name the advertised name
+ * @param options (optional) {rssi, waveform, interval, notify, characteristics, acknowledge,
+ *   battery, info} -- 'interval' is how often (in milliseconds) the sensor takes a sample,
+ *   'notify' is whether its characteristic supports notifications (otherwise the app has to
+ *   poll it), and 'characteristics' are any more characteristics it has. 'acknowledge: false'
+ *   makes it ignore commands (see commandCharacteristics above). 'battery' is its battery level
+ *   in percent, and 'info' its Device Information ({manufacturer, model, firmware, hardware}) --
+ *   null leaves the service out.
+ */
+export const insole = (id, name, options = {}) => ({
+  id: id,
+  name: name,
+  services: [CU_FAB_SERVICE],
+  rssi: options.rssi !== undefined ? options.rssi : -60,
+  characteristics: [
+    {
+      serviceUUID: CU_FAB_SERVICE,
+      uuid: CU_FAB_COUNTER_CHARACTERISTIC,
+      isReadable: true,
+      isNotifiable: options.notify !== false,
+      isIndicatable: false,
+      waveform: options.waveform || waveforms.sine(),
+      encode: options.encode || uint8,
+      interval: options.interval || 50,
+      descriptors: [
+        {uuid: USER_DESCRIPTION, value: Buffer.from('Counter', 'utf8')},
+      ],
+    },
+    ...commandCharacteristics(options.acknowledge !== false),
+    ...standardCharacteristics(
+      options.battery !== undefined ? options.battery : 87,
+      options.info !== undefined ? options.info : DEFAULT_INFO,
+    ),
+    ...(options.characteristics || []),
+  ],
+});
+
+/*
+ * The devices advertised by a SimulatedTransport created with no arguments.
+ */
+export const DEFAULT_DEVICES = [
+  insole('SIM-LEFT', 'Clarkson Insole L', {waveform: waveforms.steps()}),
+  insole('SIM-RIGHT', 'Clarkson Insole R', {
+    rssi: -72,
+    waveform: waveforms.steps({cadence: 100, peak: 180}),
+  }),
+  insole('SIM-POLL', 'Clarkson Insole (polled)', {
+    rssi: -80,
+    battery: 18,
+    notify: false,
+    waveform: waveforms.sine(),
+  }),
+  {id: 'SIM-OTHER', name: 'Somebody Else', rssi: -50, characteristics: []},
+];
+
+/*
+ * Creates a BleError, as ble-plx itself would report it.
+ */
+const bleError = (errorCode, reason) => {
+  const error = new BleError(
+    {
+      errorCode: errorCode,
+      attErrorCode: null,
+      iosErrorCode: null,
+      androidErrorCode: null,
+      reason: reason,
+    },
+    {},
+  );
+  error.message = reason;
+  return error;
+};
+
+const sameUUID = (a, b) => a.toUpperCase() === b.toUpperCase();
+
+/**
+ * A stand-in for BleManager which talks to fake devices.
+ */
+export class SimulatedTransport {
+  /**
+   * @param devices (optional) the fake devices -- see insole above for their shape
+   * @param state (optional) the initial Bluetooth adapter state
+   */
+  constructor(devices = DEFAULT_DEVICES, state = 'PoweredOn') {
+    this.devices = devices;
+    this.state = state;
+    this.stateListeners = [];
+    this.scanTimer = undefined;
+    this.connected = {};
+    this.monitors = [];
+    this.disconnectListeners = [];
+    this.failures = [];
+  }
+
+  /*
+   * Fault injection.
+   */
+
+  /**
+   * Changes a device's signal strength, as if it had been moved nearer or further away.
+   */
+  setRSSI(id, rssi) {
+    this._device(id).rssi = rssi;
+  }
+
+  /**
+   * Makes the next call to the given operation fail. 'operation' is the name of the method to
+   * fail (e.g., 'connectToDevice' or 'readCharacteristicForDevice'); 'id' optionally limits it
+   * to one device.
+   */
+  failNext(operation, id, errorCode = BleErrorCode.UnknownError) {
+    this.failures.push({operation, id, errorCode});
+  }
+
+  /**
+   * Drops the connection to a device, as if it had gone out of range: its monitors and
+   * disconnection listeners are told with a DeviceDisconnected error.
+   */
+  disconnect(id) {
+    if (!this.connected[id]) {
+      return;
+    }
+
+    const error = bleError(
+      BleErrorCode.DeviceDisconnected,
+      'Device ' + id + ' was disconnected',
+    );
+    this._drop(id, error);
+  }
+
+  /**
+   * Sets the value of one of a device's characteristics, and notifies anything monitoring it
+   * -- as a device does when it has something to say.
+   */
+  notify(id, serviceUUID, characteristicUUID, bytes) {
+    const characteristic = this._characteristic(
+      id,
+      serviceUUID,
+      characteristicUUID,
+    );
+    if (!characteristic || !this.connected[id]) {
+      return;
+    }
+
+    characteristic.value = bytes;
+    this.monitors
+      .filter(m => m.id === id && m.characteristic === characteristic)
+      .forEach(m => m.listener(null, this._value(id, characteristic)));
+  }
+
+  /**
+   * Stops a device's notifications without dropping its connection, as if its firmware had
+   * hung -- nothing tells the app, the values just stop arriving.
+   */
+  mute(id) {
+    this.monitors.filter(m => m.id === id).forEach(m => clearInterval(m.timer));
+  }
+
+  /**
+   * Restarts a device's notifications after mute.
+   */
+  resume(id) {
+    this.monitors
+      .filter(m => m.id === id && m.characteristic.waveform)
+      .forEach(m => {
+        clearInterval(m.timer);
+        m.timer = setInterval(
+          () => m.listener(null, this._value(id, m.characteristic)),
+          m.characteristic.interval,
+        );
+      });
+  }
+
+  /**
+   * Changes the Bluetooth adapter state (e.g., to 'PoweredOff'), dropping every connection if
+   * it's no longer powered on.
+   */
+  setState(state) {
+    this.state = state;
+    this.stateListeners.forEach(listener => listener(state));
+
+    if (state !== 'PoweredOn') {
+      this.stopDeviceScan();
+      Object.keys(this.connected).forEach(id => this.disconnect(id));
+    }
+  }
+
+  /*
+   * Helpers.
+   */
+
+  _device(id) {
+    return this.devices.find(d => d.id === id);
+  }
+
+  _fail(operation, id) {
+    const index = this.failures.findIndex(
+      f => f.operation === operation && (f.id === undefined || f.id === id),
+    );
+    if (index < 0) {
+      return undefined;
+    }
+
+    const failure = this.failures.splice(index, 1)[0];
+    return bleError(
+      failure.errorCode,
+      'Simulated failure of ' + operation + ' on ' + id,
+    );
+  }
+
+  _after(result) {
+    return new Promise((resolve, reject) =>
+      setTimeout(
+        () => (result instanceof Error ? reject(result) : resolve(result)),
+        LATENCY,
+      ),
+    );
+  }
+
+  _public(device) {
+    return {
+      id: device.id,
+      name: device.name,
+      rssi: device.rssi,
+      serviceUUIDs: device.services || null,
+    };
+  }
+
+  _characteristic(id, serviceUUID, characteristicUUID) {
+    const device = this._device(id);
+    return (
+      device &&
+      device.characteristics.find(
+        c =>
+          sameUUID(c.serviceUUID, serviceUUID) &&
+          sameUUID(c.uuid, characteristicUUID),
+      )
+    );
+  }
+
+  _value(id, characteristic) {
+    const t = Date.now() - this.connected[id].since;
+    const bytes = characteristic.waveform
+      ? characteristic.encode(characteristic.waveform(t))
+      : characteristic.value || Buffer.alloc(0);
+    return {
+      deviceID: id,
+      serviceUUID: characteristic.serviceUUID,
+      uuid: characteristic.uuid,
+      isReadable: !!characteristic.isReadable,
+      isWritableWithResponse: !!characteristic.isWritableWithResponse,
+      isWritableWithoutResponse: !!characteristic.isWritableWithoutResponse,
+      isNotifiable: !!characteristic.isNotifiable,
+      isIndicatable: !!characteristic.isIndicatable,
+      value: bytes.toString('base64'),
+    };
+  }
+
+  _notFound(characteristicUUID) {
+    return bleError(
+      BleErrorCode.CharacteristicNotFound,
+      'Characteristic ' + characteristicUUID + ' not found',
+    );
+  }
+
+  _write(operation, allowed, id, serviceUUID, characteristicUUID, base64) {
+    const characteristic = this._characteristic(
+      id,
+      serviceUUID,
+      characteristicUUID,
+    );
+    const failure =
+      this._check(operation, id) ||
+      (!characteristic && this._notFound(characteristicUUID)) ||
+      (!characteristic[allowed] &&
+        bleError(
+          BleErrorCode.CharacteristicWriteFailed,
+          'Characteristic ' + characteristicUUID + ' is not writable',
+        ));
+    if (failure) {
+      return this._after(failure);
+    }
+
+    const bytes = Buffer.from(base64, 'base64');
+    if (!characteristic.waveform) {
+      characteristic.value = bytes;
+    }
+    if (characteristic.onWrite) {
+      characteristic.onWrite(bytes, this, id);
+    }
+    return this._after(this._value(id, characteristic));
+  }
+
+  _drop(id, error) {
+    delete this.connected[id];
+
+    const monitors = this.monitors.filter(m => m.id === id);
+    this.monitors = this.monitors.filter(m => m.id !== id);
+    monitors.forEach(m => {
+      clearInterval(m.timer);
+      m.listener(error, null);
+    });
+
+    this.disconnectListeners
+      .filter(l => l.id === id)
+      .forEach(l => l.listener(error, this._public(this._device(id))));
+  }
+
+  _check(operation, id) {
+    const failure = this._fail(operation, id);
+    if (failure) {
+      return failure;
+    }
+    if (!this.connected[id]) {
+      return bleError(
+        BleErrorCode.DeviceNotConnected,
+        'Device ' + id + ' is not connected',
+      );
+    }
+    return undefined;
+  }
+
+  /*
+   * The BleManager methods.
+   */
+
+  onStateChange(listener, emitCurrentState = false) {
+    this.stateListeners.push(listener);
+    if (emitCurrentState) {
+      setTimeout(() => listener(this.state), 0);
+    }
+
+    return {
+      remove: () => {
+        this.stateListeners = this.stateListeners.filter(l => l !== listener);
+      },
+    };
+  }
+
+  startDeviceScan(UUIDs, options, listener) {
+    this.stopDeviceScan();
+
+    if (this.state !== 'PoweredOn') {
+      setTimeout(
+        () =>
+          listener(
+            bleError(
+              BleErrorCode.BluetoothPoweredOff,
+              'BluetoothLE is powered off',
+            ),
+            null,
+          ),
+        0,
+      );
+      return;
+    }
+
+    const advertise = () => {
+      this.devices
+        .filter(device => !this.connected[device.id])
+        .filter(
+          device =>
+            !UUIDs ||
+            (device.services || []).some(service =>
+              UUIDs.some(uuid => sameUUID(uuid, service)),
+            ),
+        )
+        .forEach(device =>
+          listener(null, {
+            ...this._public(device),
+            // A little jitter, as a real RSSI would have.
+            rssi: device.rssi + Math.round(4 * (Math.random() - 0.5)),
+          }),
+        );
+    };
+
+    this.scanTimer = setInterval(advertise, ADVERTISE_INTERVAL);
+    setTimeout(advertise, 0);
+  }
+
+  stopDeviceScan() {
+    if (this.scanTimer !== undefined) {
+      clearInterval(this.scanTimer);
+      this.scanTimer = undefined;
+    }
+  }
+
+  connectToDevice(id, options) {
+    const device = this._device(id);
+    const failure =
+      this._fail('connectToDevice', id) ||
+      (!device &&
+        bleError(BleErrorCode.DeviceNotFound, 'Device ' + id + ' not found')) ||
+      (this.state !== 'PoweredOn' &&
+        bleError(
+          BleErrorCode.BluetoothPoweredOff,
+          'BluetoothLE is powered off',
+        ));
+    if (failure) {
+      return this._after(failure);
+    }
+
+    this.connected[id] = {since: Date.now()};
+    return this._after(this._public(device));
+  }
+
+  cancelDeviceConnection(id) {
+    if (!this.connected[id]) {
+      return this._after(
+        bleError(
+          BleErrorCode.DeviceNotConnected,
+          'Device ' + id + ' is not connected',
+        ),
+      );
+    }
+
+    this._drop(
+      id,
+      bleError(BleErrorCode.OperationCancelled, 'Operation was cancelled'),
+    );
+    return this._after(this._public(this._device(id)));
+  }
+
+  isDeviceConnected(id) {
+    return Promise.resolve(this.connected[id] !== undefined);
+  }
+
+  onDeviceDisconnected(id, listener) {
+    const entry = {id, listener};
+    this.disconnectListeners.push(entry);
+    return {
+      remove: () => {
+        this.disconnectListeners = this.disconnectListeners.filter(
+          l => l !== entry,
+        );
+      },
+    };
+  }
+
+  discoverAllServicesAndCharacteristicsForDevice(id) {
+    return this._after(
+      this._check('discoverAllServicesAndCharacteristicsForDevice', id) ||
+        this._public(this._device(id)),
+    );
+  }
+
+  servicesForDevice(id) {
+    const failure = this._check('servicesForDevice', id);
+    if (failure) {
+      return this._after(failure);
+    }
+
+    const uuids = [];
+    this._device(id).characteristics.forEach(c => {
+      if (!uuids.some(uuid => sameUUID(uuid, c.serviceUUID))) {
+        uuids.push(c.serviceUUID);
+      }
+    });
+    return Promise.resolve(
+      uuids.map(uuid => ({deviceID: id, uuid: uuid, isPrimary: true})),
+    );
+  }
+
+  characteristicsForDevice(id, serviceUUID) {
+    const failure = this._check('characteristicsForDevice', id);
+    if (failure) {
+      return this._after(failure);
+    }
+
+    return Promise.resolve(
+      this._device(id)
+        .characteristics.filter(c => sameUUID(c.serviceUUID, serviceUUID))
+        .map(c => this._value(id, c)),
+    );
+  }
+
+  readCharacteristicForDevice(id, serviceUUID, characteristicUUID) {
+    const characteristic = this._characteristic(
+      id,
+      serviceUUID,
+      characteristicUUID,
+    );
+    const failure =
+      this._check('readCharacteristicForDevice', id) ||
+      (!characteristic && this._notFound(characteristicUUID));
+
+    return this._after(failure || this._value(id, characteristic));
+  }
+
+  writeCharacteristicWithResponseForDevice(
+    id,
+    serviceUUID,
+    characteristicUUID,
+    base64,
+  ) {
+    return this._write(
+      'writeCharacteristicWithResponseForDevice',
+      'isWritableWithResponse',
+      id,
+      serviceUUID,
+      characteristicUUID,
+      base64,
+    );
+  }
+
+  writeCharacteristicWithoutResponseForDevice(
+    id,
+    serviceUUID,
+    characteristicUUID,
+    base64,
+  ) {
+    return this._write(
+      'writeCharacteristicWithoutResponseForDevice',
+      'isWritableWithoutResponse',
+      id,
+      serviceUUID,
+      characteristicUUID,
+      base64,
+    );
+  }
+
+  readRSSIForDevice(id) {
+    return this._after(
+      this._check('readRSSIForDevice', id) || this._public(this._device(id)),
+    );
+  }
+
+  descriptorsForDevice(id, serviceUUID, characteristicUUID) {
+    const characteristic = this._characteristic(
+      id,
+      serviceUUID,
+      characteristicUUID,
+    );
+    const failure =
+      this._check('descriptorsForDevice', id) ||
+      (!characteristic && this._notFound(characteristicUUID));
+    if (failure) {
+      return this._after(failure);
+    }
+
+    return Promise.resolve(
+      (characteristic.descriptors || []).map(d => ({
+        deviceID: id,
+        serviceUUID: characteristic.serviceUUID,
+        characteristicUUID: characteristic.uuid,
+        uuid: d.uuid,
+        value: null,
+      })),
+    );
+  }
+
+  readDescriptorForDevice(id, serviceUUID, characteristicUUID, descriptorUUID) {
+    const characteristic = this._characteristic(
+      id,
+      serviceUUID,
+      characteristicUUID,
+    );
+    const descriptor =
+      characteristic &&
+      (characteristic.descriptors || []).find(d =>
+        sameUUID(d.uuid, descriptorUUID),
+      );
+    const failure =
+      this._check('readDescriptorForDevice', id) ||
+      (!descriptor &&
+        bleError(
+          BleErrorCode.DescriptorNotFound,
+          'Descriptor ' + descriptorUUID + ' not found',
+        ));
+
+    return this._after(
+      failure || {
+        deviceID: id,
+        serviceUUID: characteristic.serviceUUID,
+        characteristicUUID: characteristic.uuid,
+        uuid: descriptor.uuid,
+        value: descriptor.value.toString('base64'),
+      },
+    );
+  }
+
+  monitorCharacteristicForDevice(
+    id,
+    serviceUUID,
+    characteristicUUID,
+    listener,
+  ) {
+    const characteristic = this._characteristic(
+      id,
+      serviceUUID,
+      characteristicUUID,
+    );
+    const failure =
+      this._check('monitorCharacteristicForDevice', id) ||
+      (!(characteristic && characteristic.isNotifiable) &&
+        bleError(
+          BleErrorCode.CharacteristicNotifyChangeFailed,
+          'Characteristic ' + characteristicUUID + ' does not notify',
+        ));
+
+    const monitor = {id, characteristic, listener, timer: undefined};
+    if (failure) {
+      setTimeout(() => listener(failure, null), 0);
+    } else {
+      // A characteristic with a waveform sends a sample every 'interval'; any other only
+      // sends what the device pushes (see notify).
+      if (characteristic.waveform) {
+        monitor.timer = setInterval(
+          () => listener(null, this._value(id, characteristic)),
+          characteristic.interval,
+        );
+      }
+      this.monitors.push(monitor);
+    }
+
+    return {
+      remove: () => {
+        clearInterval(monitor.timer);
+        this.monitors = this.monitors.filter(m => m !== monitor);
+      },
+    };
+  }
+
+  destroy() {
+    this.stopDeviceScan();
+    this.monitors.forEach(m => clearInterval(m.timer));
+    this.monitors = [];
+    this.connected = {};
+  }
+}
@@ -0,0 +1,156 @@
+/**
+ * status-banner.js
+ *
+ * React-component summarising the state of the BLE layer in one place, at the top of every
+ * screen: the Bluetooth adapter state, the connection state (see connection-state.js), the
+ * sensor we're charting along with its signal strength, battery level and sample rate, any
+ * sensor's low-battery or weak-signal warnings (see device-info.js), and the last error. So
+ * instead of a flat line, the user can see *why* there's no data.
+ */
+
+import React, {useContext} from 'react';
+import {StyleSheet, Text, View} from 'react-native';
+import {BLEContext} from './ble-context';
+
+/*
+ * The banner's background colour for each connection state -- and for when the adapter
+ * itself isn't available, which trumps everything else.
+ */
+const COLOURS = {
+  idle: '#eeeeee',
+  scanning: '#e3f2fd',
+  connecting: '#fff8e1',
+  discovering: '#fff8e1',
+  ready: '#e8f5e9',
+  reconnecting: '#fff3e0',
+  failed: '#ffebee',
+  unavailable: '#ffebee',
+};
+
+/*
+ * What to tell the user for each adapter state other than 'PoweredOn'.
+ */
+const ADAPTER_MESSAGES = {
+  Unknown: 'Waiting for Bluetooth ...',
+  Resetting: 'Bluetooth is resetting ...',
+  Unsupported: 'This device does not support Bluetooth LE',
+  Unauthorized: 'The app is not allowed to use Bluetooth',
+  PoweredOff: 'Bluetooth is turned off',
+};
+
+/**
+ * Formats a timestamp as a short '12s ago' string.
+ *
+ * @param time milliseconds since the epoch
+ * @returns {string}
+ */
+const ago = time => {
+  const seconds = Math.max(0, Math.round((Date.now() - time) / 1000));
+  return seconds < 60 ? seconds + 's ago' : Math.round(seconds / 60) + 'm ago';
+};
+
+/**
+ * The banner -- it must be nested inside the BLEProvider (see App.js).
+ *
+ * @returns {JSX.Element}
+ * @constructor
+ */
+export const StatusBanner = () => {
+  const {adapterState, connectionState, sensors, errors} =
+    useContext(BLEContext);
+
+  const available = adapterState === 'PoweredOn';
+  const ready = sensors.filter(s => s.state === 'ready');
+  const sensor = ready.length ? ready[0] : sensors[0];
+  const lastError = errors[0];
+
+  // Every sensor's warnings, not just the charted one's -- a dying battery on the other foot
+  // matters just as much.
+  const warnings = [];
+  sensors.forEach(s =>
+    (s.warnings || []).forEach(w =>
+      warnings.push((sensors.length > 1 ? s.name + ': ' : '') + w.message),
+    ),
+  );
+
+  let device = 'No sensor connected';
+  if (sensor) {
+    device =
+      sensor.name +
+      (sensors.length > 1 ? ' (+' + (sensors.length - 1) + ' more)' : '');
+    if (sensor.rssi !== undefined && sensor.rssi !== null) {
+      device += ', ' + sensor.rssi + ' dBm';
+    }
+    if (sensor.battery !== undefined && sensor.battery !== null) {
+      device += ', battery ' + sensor.battery + '%';
+    }
+    if (sensor.state === 'ready') {
+      device += ', ' + sensor.rate.toFixed(1) + ' samples/s';
+    }
+  }
+
+  return (
+    <View
+      style={[
+        styles.banner,
+        {
+          backgroundColor: COLOURS[available ? connectionState : 'unavailable'],
+        },
+      ]}>
+      <View style={styles.line}>
+        <Text style={styles.state}>
+          {available
+            ? connectionState
+            : ADAPTER_MESSAGES[adapterState] || adapterState}
+        </Text>
+        <Text style={styles.adapter}>Bluetooth: {adapterState}</Text>
+      </View>
+      <Text style={styles.detail}>{device}</Text>
+      {warnings.map(warning => (
+        <Text key={warning} style={styles.warning}>
+          {warning}
+        </Text>
+      ))}
+      {lastError && (
+        <Text style={styles.error} numberOfLines={2}>
+          {(lastError.codeName ? '[' + lastError.codeName + '] ' : '') +
+            lastError.message +
+            ' (' +
+            ago(lastError.time) +
+            ')'}
+        </Text>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  banner: {
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+  },
+  line: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  state: {
+    flex: 1,
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  adapter: {
+    fontSize: 12,
+    color: '#666',
+  },
+  detail: {
+    fontSize: 14,
+  },
+  warning: {
+    fontSize: 12,
+    color: '#e65100',
+  },
+  error: {
+    fontSize: 12,
+    color: '#c62828',
+  },
+});
@@ -0,0 +1,382 @@
+/**
+ * sync-context.js
+ *
+ * Keeps the lab's server up to date with the sessions recorded on this device. Once a server
+ * URL's been set, every finished session goes into the sync queue, and the SyncProvider uploads
+ * them one at a time (see uploadSession in sync.js). Nothing's lost if the server can't be
+ * reached -- the sessions are on the device anyway -- so a failed upload just waits a while
+ * (see retryDelay) and tries again, picking up where it left off.
+ *
+ * We've no way of hearing when the network comes back, so instead it's tried again whenever
+ * the app comes back to the foreground, whenever another session gets through, and whenever the
+ * user asks (syncNow).
+ *
+ * The queue is published as 'statuses', keyed by session id, each of the form
+ *
+ *   {state, uploaded, total, attempts, nextAttempt, error, syncedAt}
+ *
+ * where 'state' is one of the states in sync.js, 'uploaded' and 'total' count the session's
+ * chunks during an upload, 'attempts' counts the failed attempts in a row, 'nextAttempt' is when
+ * (in milliseconds since the epoch) the next one's due while 'waiting', 'error' is the message of
+ * the last failure, and 'syncedAt' when it was uploaded. The server URL and the queue are saved
+ * (see settings-store.js), so uploads carry on next launch.
+ */
+
+import React, {
+  createContext,
+  useCallback,
+  useContext,
+  useEffect,
+  useRef,
+  useState,
+} from 'react';
+import {AppState} from 'react-native';
+import {BLEContext} from './ble-context';
+import {logError, logInfo} from './diagnostics';
+import {readSetting, writeSetting} from './settings-store';
+import {listSessions, sessionExists} from './session-store';
+import {
+  FAILED,
+  normaliseServerUrl,
+  QUEUED,
+  retryDelay,
+  SYNCED,
+  UPLOADING,
+  uploadSession,
+  WAITING,
+} from './sync';
+
+export const SyncContext = createContext({
+  serverUrl: '',
+  statuses: {},
+  setServerUrl: url => {},
+  syncNow: () => {},
+});
+
+/*
+ * The names the server URL and sync queue are saved under (see settings-store.js).
+ */
+const SYNC_SERVER = 'sync-server';
+const SYNC_QUEUE = 'sync-queue';
+
+/**
+ * Uploads the sessions recorded on this device to the lab's server, publishing their progress
+ * through the SyncContext. It reads the BLEContext to hear about newly finished sessions, so
+ * goes inside the BLEProvider.
+ *
+ * @param fetch (optional) the fetch function to make requests with -- the global one, unless
+ *   told otherwise
+ * @param random (optional) a function returning a random number in [0, 1), for the jitter in
+ *   retryDelay
+ * @returns {JSX.Element}
+ * @constructor
+ */
+export const SyncProvider = ({
+  fetch = global.fetch,
+  random = Math.random,
+  children,
+}) => {
+  const {recording} = useContext(BLEContext);
+
+  const [serverUrl, setServerUrlState] = useState('');
+  const serverUrlRef = useRef('');
+  const [statuses, setStatuses] = useState({});
+  const statusesRef = useRef({});
+
+  /*
+   * Whether the saved settings have been read yet -- until they have, there's nothing to upload
+   * and nothing worth saving.
+   */
+  const [loaded, setLoaded] = useState(false);
+
+  const mounted = useRef(true);
+  const working = useRef(false);
+  const timer = useRef(undefined);
+
+  /*
+   * Replaces the queue with update(queue), keeping the ref mirroring it up to date straight
+   * away -- the upload loop reads it between renders.
+   */
+  const updateStatuses = useCallback(update => {
+    statusesRef.current = update(statusesRef.current);
+    if (mounted.current) {
+      setStatuses(statusesRef.current);
+    }
+  }, []);
+
+  const setStatus = useCallback(
+    (id, changes) =>
+      updateStatuses(previous => ({
+        ...previous,
+        [id]: {...previous[id], ...changes},
+      })),
+    [updateStatuses],
+  );
+
+  /*
+   * Adds the given sessions to the queue, unless they're in it already.
+   */
+  const enqueue = useCallback(
+    ids =>
+      updateStatuses(previous => {
+        const next = {...previous};
+        ids
+          .filter(id => !previous[id])
+          .forEach(id => {
+            next[id] = {state: QUEUED, attempts: 0};
+          });
+        return next;
+      }),
+    [updateStatuses],
+  );
+
+  /*
+   * Moves the sessions waiting to try again (and, if 'failed' is set, the ones which failed for
+   * good) back to the front of the queue.
+   */
+  const retry = useCallback(
+    failed =>
+      updateStatuses(previous => {
+        const next = {...previous};
+        Object.keys(previous)
+          .filter(
+            id =>
+              previous[id].state === WAITING ||
+              (failed && previous[id].state === FAILED),
+          )
+          .forEach(id => {
+            next[id] = {...previous[id], state: QUEUED, nextAttempt: undefined};
+          });
+        return next;
+      }),
+    [updateStatuses],
+  );
+
+  /*
+   * Uploads the next session that's due, if there is one and nothing else is being uploaded --
+   * otherwise sets a timer for when the next one will be due.
+   */
+  const work = useCallback(() => {
+    clearTimeout(timer.current);
+    timer.current = undefined;
+    const url = serverUrlRef.current;
+    if (working.current || !url || !mounted.current) {
+      return;
+    }
+
+    const now = Date.now();
+    const queue = statusesRef.current;
+    const id = Object.keys(queue).find(
+      key =>
+        queue[key].state === QUEUED ||
+        (queue[key].state === WAITING && queue[key].nextAttempt <= now),
+    );
+    if (id === undefined) {
+      const next = Math.min(
+        ...Object.values(queue)
+          .filter(status => status.state === WAITING)
+          .map(status => status.nextAttempt),
+      );
+      if (next !== Infinity) {
+        timer.current = setTimeout(work, next - now);
+      }
+      return;
+    }
+
+    working.current = true;
+    setStatus(id, {state: UPLOADING, uploaded: 0, total: 0});
+    sessionExists(id)
+      .then(exists => {
+        if (!exists) {
+          // Deleted since it was queued -- there's nothing to upload.
+          updateStatuses(previous => {
+            const next = {...previous};
+            delete next[id];
+            return next;
+          });
+          return;
+        }
+        return uploadSession(url, id, {
+          fetch: fetch,
+          onProgress: (uploaded, total) =>
+            setStatus(id, {uploaded: uploaded, total: total}),
+        }).then(() => {
+          logInfo('Synced session ' + id);
+          setStatus(id, {
+            state: SYNCED,
+            attempts: 0,
+            nextAttempt: undefined,
+            error: undefined,
+            syncedAt: Date.now(),
+          });
+          // The server's evidently reachable again, so the others needn't wait.
+          retry(false);
+        });
+      })
+      .catch(error => {
+        const attempts = ((statusesRef.current[id] || {}).attempts || 0) + 1;
+        logError('Unable to sync session ' + id + ': ' + error.message);
+        setStatus(
+          id,
+          error.retryable
+            ? {
+                state: WAITING,
+                attempts: attempts,
+                nextAttempt: Date.now() + retryDelay(attempts, random),
+                error: error.message,
+              }
+            : {state: FAILED, attempts: attempts, error: error.message},
+        );
+      })
+      .then(() => {
+        working.current = false;
+        work();
+      });
+  }, [fetch, random, retry, setStatus, updateStatuses]);
+
+  /**
+   * Sets the server URL (see normaliseServerUrl in sync.js), and saves it for next time. The
+   * queue starts again from scratch -- whatever the last server had, the new one hasn't.
+   *
+   * @param url the URL, or an empty string to stop syncing
+   * @throws RangeError if it isn't an http:// or https:// URL
+   */
+  const setServerUrl = useCallback(
+    url => {
+      const normalised = normaliseServerUrl(url);
+      if (normalised === serverUrlRef.current) {
+        return;
+      }
+      serverUrlRef.current = normalised;
+      setServerUrlState(normalised);
+      updateStatuses(() => ({}));
+      writeSetting(SYNC_SERVER, normalised).catch(error => {
+        logError('Unable to save the sync server: ' + error.message);
+      });
+    },
+    [updateStatuses],
+  );
+
+  /**
+   * Tries every session that isn't synced yet again, straight away.
+   */
+  const syncNow = useCallback(() => retry(true), [retry]);
+
+  /*
+   * Reads the saved server URL and queue. An upload that was under way when the app stopped
+   * starts again (from wherever the server got to).
+   */
+  useEffect(() => {
+    Promise.all([
+      readSetting(SYNC_SERVER, ''),
+      readSetting(SYNC_QUEUE, {}),
+    ]).then(([url, queue]) => {
+      if (!mounted.current) {
+        return;
+      }
+      Object.keys(queue)
+        .filter(id => queue[id].state === UPLOADING)
+        .forEach(id => {
+          queue[id] = {...queue[id], state: QUEUED};
+        });
+      // (Unless the user's beaten us to it, and set a new server already.)
+      if (!serverUrlRef.current) {
+        serverUrlRef.current = url;
+        setServerUrlState(url);
+        updateStatuses(() => queue);
+      }
+      setLoaded(true);
+    });
+    return () => {
+      mounted.current = false;
+      clearTimeout(timer.current);
+    };
+  }, [updateStatuses]);
+
+  /*
+   * Once there's a server, queues every finished session on the device, and forgets any that
+   * have since been deleted.
+   */
+  useEffect(() => {
+    if (!loaded || !serverUrl) {
+      return;
+    }
+    let current = true;
+    listSessions()
+      .then(sessions => {
+        if (!current) {
+          return;
+        }
+        const ids = sessions.map(session => session.id);
+        updateStatuses(previous => {
+          const next = {};
+          ids
+            .filter(id => previous[id])
+            .forEach(id => {
+              next[id] = previous[id];
+            });
+          return next;
+        });
+        enqueue(
+          sessions
+            .filter(session => session.endTime)
+            .map(session => session.id),
+        );
+      })
+      .catch(error => {
+        logError('Unable to list sessions to sync: ' + error.message);
+      });
+    return () => {
+      current = false;
+    };
+  }, [enqueue, loaded, serverUrl, updateStatuses]);
+
+  /*
+   * Queues each session as it's finished -- once every chunk of it, and its final metadata,
+   * has been written (see stop in recorder.js).
+   */
+  const {lastSession, written} = recording;
+  const lastSessionId = lastSession && lastSession.id;
+  useEffect(() => {
+    if (loaded && serverUrl && lastSessionId && written) {
+      enqueue([lastSessionId]);
+    }
+  }, [enqueue, lastSessionId, loaded, serverUrl, written]);
+
+  /*
+   * Saves the queue whenever it changes, and gets on with whatever's due.
+   */
+  useEffect(() => {
+    if (!loaded) {
+      return;
+    }
+    writeSetting(SYNC_QUEUE, statuses).catch(error => {
+      logError('Unable to save the sync queue: ' + error.message);
+    });
+    work();
+  }, [loaded, statuses, work]);
+
+  /*
+   * Coming back to the foreground is as good a sign as any that the network might be back.
+   */
+  useEffect(() => {
+    const subscription = AppState.addEventListener('change', nextAppState => {
+      if (nextAppState === 'active') {
+        retry(false);
+      }
+    });
+    return () => subscription.remove();
+  }, [retry]);
+
+  return (
+    <SyncContext.Provider
+      value={{
+        serverUrl: serverUrl,
+        statuses: statuses,
+        setServerUrl: setServerUrl,
+        syncNow: syncNow,
+      }}>
+      {children}
+    </SyncContext.Provider>
+  );
+};
@@ -0,0 +1,103 @@
+/**
+ * sync-settings.js
+ *
+ * React-component for setting up uploads to the lab's server (see sync-context.js): the server's
+ * URL, how the sync queue's getting on, and a button to retry everything that hasn't gone yet.
+ * Each session's own progress is shown in the session list (see session-library.js).
+ */
+
+import React, {useContext, useEffect, useState} from 'react';
+import {Button, StyleSheet, Text, TextInput, View} from 'react-native';
+import {SyncContext} from './sync-context';
+import {
+  FAILED,
+  QUEUED,
+  summariseQueue,
+  SYNCED,
+  UPLOADING,
+  WAITING,
+} from './sync';
+
+/**
+ * The sync panel -- it must be nested inside the SyncProvider (see App.js).
+ *
+ * @returns {JSX.Element}
+ * @constructor
+ */
+export const SyncSettings = () => {
+  const {serverUrl, statuses, setServerUrl, syncNow} = useContext(SyncContext);
+
+  const [url, setUrl] = useState(serverUrl);
+  const [error, setError] = useState(undefined);
+
+  // The saved URL turns up after the first render.
+  useEffect(() => setUrl(serverUrl), [serverUrl]);
+
+  const save = () => {
+    try {
+      setServerUrl(url);
+      setError(undefined);
+    } catch (e) {
+      setError(e.message);
+    }
+  };
+
+  const counts = summariseQueue(statuses);
+
+  return (
+    <View>
+      <View style={styles.row}>
+        <TextInput
+          style={styles.input}
+          value={url}
+          onChangeText={setUrl}
+          placeholder="http://server:8080"
+          autoCapitalize="none"
+          autoCorrect={false}
+          keyboardType="url"
+        />
+        <Button title="Save" onPress={save} />
+      </View>
+      {error && <Text style={styles.error}>{error}</Text>}
+      {serverUrl ? (
+        <>
+          <Text style={styles.status}>
+            {counts[SYNCED]} synced, {counts[QUEUED] + counts[UPLOADING]} to
+            upload, {counts[WAITING]} waiting to retry, {counts[FAILED]} failed
+          </Text>
+          <Button
+            title="Sync now"
+            disabled={!counts[WAITING] && !counts[FAILED]}
+            onPress={syncNow}
+          />
+        </>
+      ) : (
+        <Text style={styles.status}>
+          Sessions are only kept on this device until a server is set.
+        </Text>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  input: {
+    flex: 1,
+    borderWidth: 1,
+    borderColor: '#ccc',
+    paddingHorizontal: 4,
+    marginRight: 8,
+  },
+  status: {
+    fontSize: 14,
+    color: '#666',
+  },
+  error: {
+    color: '#b71c1c',
+  },
+});
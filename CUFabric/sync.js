@@ -0,0 +1,301 @@
+/**
+ * sync.js
+ *
+ * Uploading recorded sessions (see session-store.js) to the lab's server. Sessions are
+ * recorded offline and uploaded whenever the server can be reached -- the SyncProvider (see
+ * sync-context.js) keeps a queue of them, and retries with a backoff until each one's through.
+ * This file is the upload itself, and the protocol it speaks.
+ *
+ * The protocol
+ * ------------
+ *
+ * Everything lives under the server URL the user sets up (e.g. 'http://lab-server:8080/api'),
+ * and every response is JSON. A session is uploaded a chunk at a time, in the chunks it was
+ * recorded in -- so a long session never has to be read into memory (or sent) in one piece,
+ * and an upload cut off half way picks up where it left off.
+ *
+ *   GET /sessions/{id}
+ *       What the server has of the session so far.
+ *       200 {id, chunks: [numbers of the chunks received], complete: true|false}
+ *       404 if it's never heard of it
+ *
+ *   PUT /sessions/{id}/chunks/{index}
+ *       One chunk, exactly as it's stored on the device: a sample per line, as JSON
+ *       (Content-Type: application/x-ndjson -- see serializeChunk in session-format.js).
+ *       201 {index, duplicate: false} once it's stored
+ *       200 {index, duplicate: true} if the server already had that chunk, byte for byte --
+ *           so a chunk whose response went missing can safely be sent again
+ *       409 {error} if the server has a different chunk under that number
+ *
+ *   PUT /sessions/{id}
+ *       Finishes the session: {metadata, chunks: [numbers of all its chunks]}
+ *       (Content-Type: application/json). Doing so again just replaces the metadata.
+ *       200 {id, complete: true, duplicate: true|false} -- duplicate if it was already complete
+ *       409 {error, missing: [numbers of the chunks it hasn't got]}
+ *
+ * Any other 4xx response means the request is wrong, and won't go any better next time; 408,
+ * 429 and 5xx ones (and not getting a response at all) are worth retrying later.
+ *
+ * scripts/sync-server.js is a small stand-in for the server, for trying this out on a laptop
+ * (and for the tests).
+ */
+
+import {backoff} from './connection-state';
+import {listChunks, readChunk, readMetadata} from './session-store';
+
+/*
+ * The states a session can be in, in the sync queue: waiting its turn, being uploaded, waiting
+ * to try again after a failure worth retrying, uploaded, or failed for good (until the user
+ * asks to sync again).
+ */
+export const QUEUED = 'queued';
+export const UPLOADING = 'uploading';
+export const WAITING = 'waiting';
+export const SYNCED = 'synced';
+export const FAILED = 'failed';
+
+/*
+ * How long (in milliseconds) we wait for the server to answer a request before giving up on it.
+ */
+export const REQUEST_TIMEOUT = 30000;
+
+/*
+ * The delays (in milliseconds) between attempts to upload a session (see backoff in
+ * connection-state.js) -- RETRY_DELAY after the first failure, doubling each time up to
+ * MAX_RETRY_DELAY.
+ */
+export const RETRY_DELAY = 5000;
+export const MAX_RETRY_DELAY = 5 * 60 * 1000;
+
+/*
+ * An error from an upload: 'retryable' says whether it's worth trying again later, and 'status'
+ * is the server's response status, if it gave one.
+ */
+const syncError = (message, retryable, status) => {
+  const error = new Error(message);
+  error.retryable = retryable;
+  error.status = status;
+  return error;
+};
+
+/*
+ * Whether a response status is worth retrying the request after.
+ */
+const retryableStatus = status =>
+  status >= 500 || status === 408 || status === 429;
+
+/*
+ * Makes a request to the server, resolving to the response body (parsed) if it succeeded, and
+ * rejecting with a syncError if it didn't.
+ */
+const request = (fetch, url, options) =>
+  new Promise((resolve, reject) => {
+    const timer = setTimeout(
+      () => reject(syncError('The server did not respond', true)),
+      REQUEST_TIMEOUT,
+    );
+    fetch(url, options)
+      .catch(error => {
+        throw syncError('Unable to reach the server: ' + error.message, true);
+      })
+      .then(response =>
+        response
+          .text()
+          .then(text => {
+            try {
+              return text ? JSON.parse(text) : {};
+            } catch (e) {
+              return {};
+            }
+          })
+          .then(body => {
+            if (!response.ok) {
+              const error = syncError(
+                body.error || 'The server responded ' + response.status,
+                retryableStatus(response.status),
+                response.status,
+              );
+              error.body = body;
+              throw error;
+            }
+            return body;
+          }),
+      )
+      .then(
+        body => {
+          clearTimeout(timer);
+          resolve(body);
+        },
+        error => {
+          clearTimeout(timer);
+          reject(error);
+        },
+      );
+  });
+
+/**
+ * Tidies up a server URL the user's typed in.
+ *
+ * @param url the URL -- or an empty string, for no server at all
+ * @returns {string} the URL, without any trailing slashes
+ * @throws RangeError if it isn't an http:// or https:// URL
+ */
+export const normaliseServerUrl = url => {
+  const trimmed = (url || '').trim().replace(/\/+$/, '');
+  if (trimmed && !/^https?:\/\/[^/]+/.test(trimmed)) {
+    throw new RangeError(
+      'The server URL must start with http:// or https:// -- not "' +
+        trimmed +
+        '"',
+    );
+  }
+  return trimmed;
+};
+
+/**
+ * Uploads a session to the server, or as much of it as the server hasn't already got (see the
+ * protocol above).
+ *
+ * @param serverUrl the server URL (see normaliseServerUrl)
+ * @param id the session id
+ * @param options {fetch, onProgress}: the fetch function to make requests with, and (optionally)
+ *   a function called with (chunks uploaded, total chunks) as the upload goes on
+ * @returns {Promise<{chunks: number, uploaded: number, duplicate: boolean}>} how many chunks
+ *   the session has, how many of them were uploaded this time, and whether the server already
+ *   had the whole session -- rejects with an Error whose 'retryable' says whether to try again
+ *   later
+ */
+export const uploadSession = (
+  serverUrl,
+  id,
+  {fetch, onProgress = () => {}},
+) => {
+  const base = serverUrl + '/sessions/' + encodeURIComponent(id);
+
+  // The metadata's only saved with an end time once the last chunk's written (see stop in
+  // recorder.js), so checking it first means we don't list the chunks of a session that's
+  // still being recorded.
+  return readMetadata(id)
+    .then(metadata => {
+      if (!metadata.endTime) {
+        throw syncError('Session ' + id + ' is still being recorded', true);
+      }
+      return Promise.all([
+        listChunks(id),
+        request(fetch, base).catch(error => {
+          if (error.status === 404) {
+            return {chunks: [], complete: false};
+          }
+          throw error;
+        }),
+      ]);
+    })
+    .then(([chunks, status]) => {
+      const received = new Set(status.chunks || []);
+      const missing = chunks.filter(index => !received.has(index));
+      let done = chunks.length - missing.length;
+      onProgress(done, chunks.length);
+
+      return missing
+        .reduce(
+          (previous, index) =>
+            previous
+              .then(() => readChunk(id, index))
+              .then(text =>
+                request(fetch, base + '/chunks/' + index, {
+                  method: 'PUT',
+                  headers: {'Content-Type': 'application/x-ndjson'},
+                  body: text,
+                }),
+              )
+              .then(() => {
+                done++;
+                onProgress(done, chunks.length);
+              }),
+          Promise.resolve(),
+        )
+        .then(() => readMetadata(id))
+        .then(metadata =>
+          request(fetch, base, {
+            method: 'PUT',
+            headers: {'Content-Type': 'application/json'},
+            body: JSON.stringify({metadata: metadata, chunks: chunks}),
+          }).catch(error => {
+            // The server's lost track of some chunks -- the next attempt will send them again.
+            if (error.status === 409) {
+              error.retryable = true;
+            }
+            throw error;
+          }),
+        )
+        .then(() => ({
+          chunks: chunks.length,
+          uploaded: missing.length,
+          duplicate: !!status.complete,
+        }));
+    });
+};
+
+/**
+ * The delay before retrying a session's upload.
+ *
+ * @param attempts the number of attempts that have failed so far (at least 1)
+ * @param random (optional) a function returning a random number in [0, 1)
+ * @returns {number} the delay in milliseconds
+ */
+export const retryDelay = (attempts, random = Math.random) =>
+  backoff(attempts - 1, random, RETRY_DELAY, MAX_RETRY_DELAY);
+
+/**
+ * Describes where a session's got to in the sync queue, e.g. 'Uploading (3/10 chunks)'.
+ *
+ * @param status the session's entry in the queue (see sync-context.js), or undefined if it
+ *   isn't in it
+ * @param now the time now, in milliseconds since the epoch
+ * @returns {string}
+ */
+export const describeSyncStatus = (status, now) => {
+  if (!status) {
+    return 'Not synced';
+  }
+  switch (status.state) {
+    case QUEUED:
+      return 'Waiting to sync';
+    case UPLOADING:
+      return status.total
+        ? 'Uploading (' + status.uploaded + '/' + status.total + ' chunks)'
+        : 'Uploading';
+    case WAITING:
+      return (
+        'Sync failed (' +
+        status.error +
+        ') -- retrying in ' +
+        Math.max(0, Math.ceil((status.nextAttempt - now) / 1000)) +
+        ' s'
+      );
+    case SYNCED:
+      return 'Synced ' + new Date(status.syncedAt).toLocaleString();
+    default:
+      return 'Sync failed: ' + status.error;
+  }
+};
+
+/**
+ * Counts the sessions in the sync queue in each state.
+ *
+ * @param statuses the queue (see sync-context.js)
+ * @returns {Object} the number of sessions, keyed by state
+ */
+export const summariseQueue = statuses => {
+  const counts = {
+    [QUEUED]: 0,
+    [UPLOADING]: 0,
+    [WAITING]: 0,
+    [SYNCED]: 0,
+    [FAILED]: 0,
+  };
+  Object.values(statuses).forEach(status => {
+    counts[status.state]++;
+  });
+  return counts;
+};
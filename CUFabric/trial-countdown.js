@@ -0,0 +1,104 @@
+/**
+ * trial-countdown.js
+ *
+ * React-component showing the trial being recorded (see trials.js): its protocol, for whoever's
+ * running it to read out, and -- if it has a target duration -- how long's left, not counting
+ * pauses. The phone vibrates once when the time's up; it's left to them to stop the recording,
+ * as the participant may still be mid-stride.
+ */
+
+import React, {useContext, useEffect, useRef, useState} from 'react';
+import {StyleSheet, Text, Vibration, View} from 'react-native';
+import {BLEContext} from './ble-context';
+import {formatDuration} from './recording-controls';
+import {timeLeft} from './trials';
+
+/*
+ * How often (in milliseconds) the countdown's redrawn.
+ */
+const TICK_INTERVAL = 1000;
+
+/**
+ * The countdown -- it must be nested inside the BLEProvider (see App.js). It shows nothing
+ * unless a trial's being recorded.
+ *
+ * @param now (optional) gives the time now, in milliseconds since the epoch -- Date.now,
+ *   unless told otherwise
+ * @returns {JSX.Element}
+ * @constructor
+ */
+export const TrialCountdown = ({now = Date.now}) => {
+  const {recording} = useContext(BLEContext);
+  const {status, session} = recording;
+  const trial = status !== 'idle' && session ? session.trial : null;
+  const duration = trial ? trial.duration : null;
+
+  const [, setTick] = useState(0);
+  // The session the time's been up for, so it only vibrates the once.
+  const finished = useRef(undefined);
+
+  useEffect(() => {
+    if (duration === null) {
+      return;
+    }
+    const interval = setInterval(() => setTick(t => t + 1), TICK_INTERVAL);
+    return () => clearInterval(interval);
+  }, [duration]);
+
+  const left = duration !== null ? timeLeft(session, duration, now()) : null;
+
+  useEffect(() => {
+    if (left !== null && left <= 0 && finished.current !== session.id) {
+      finished.current = session.id;
+      Vibration.vibrate(500);
+    }
+  });
+
+  if (!trial) {
+    return null;
+  }
+
+  return (
+    <View style={styles.panel}>
+      <Text style={styles.name}>{trial.name}</Text>
+      {trial.protocol.length > 0 && (
+        <Text style={styles.protocol}>{trial.protocol}</Text>
+      )}
+      {left !== null && (
+        <Text style={[styles.countdown, left <= 0 && styles.done]}>
+          {left > 0
+            ? // (Rounded up, so it doesn't read 0:00 until the time's up.)
+              formatDuration(left + 999) + ' left'
+            : "Time's up (+" + formatDuration(-left) + ')'}
+        </Text>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  panel: {
+    marginTop: 8,
+    padding: 8,
+    backgroundColor: '#e3f2fd',
+    borderRadius: 4,
+  },
+  name: {
+    fontSize: 16,
+    fontWeight: '700',
+  },
+  protocol: {
+    fontSize: 14,
+    color: '#333',
+    marginTop: 4,
+  },
+  countdown: {
+    fontSize: 28,
+    fontWeight: '600',
+    textAlign: 'center',
+    marginTop: 8,
+  },
+  done: {
+    color: '#2e7d32',
+  },
+});
@@ -0,0 +1,229 @@
+/**
+ * trial-templates.js
+ *
+ * React-component for the trial templates (see trials.js): picking which trial the next
+ * recording is of, and adding, editing and deleting them. The BLEProvider saves them whenever
+ * they change, and stamps the selected one into each recording.
+ */
+
+import React, {useContext, useState} from 'react';
+import {Button, StyleSheet, Text, TextInput, View} from 'react-native';
+import {BLEContext} from './ble-context';
+import {newTemplate, validateTemplate} from './trials';
+
+/**
+ * The form for adding or editing a trial template.
+ *
+ * @param template the template to start from
+ * @param onSave called with the template once it's been filled in properly
+ * @param onCancel called if it's abandoned
+ * @returns {JSX.Element}
+ * @constructor
+ */
+export const TemplateForm = ({template, onSave, onCancel}) => {
+  const [name, setName] = useState(template.name);
+  const [protocol, setProtocol] = useState(template.protocol);
+  const [duration, setDuration] = useState(
+    template.duration === null ? '' : String(template.duration),
+  );
+  const [error, setError] = useState(undefined);
+
+  const save = () => {
+    try {
+      onSave(
+        validateTemplate({
+          ...template,
+          name: name,
+          protocol: protocol,
+          // (Left empty, there's no target -- anything else not a number is turned away.)
+          duration: duration.trim() === '' ? null : Number(duration),
+        }),
+      );
+    } catch (e) {
+      setError(e.message);
+    }
+  };
+
+  return (
+    <View style={styles.form}>
+      <View style={styles.row}>
+        <Text style={styles.field}>Name</Text>
+        <TextInput
+          style={styles.input}
+          value={name}
+          onChangeText={setName}
+          placeholder="10 m walk"
+        />
+      </View>
+      <View style={styles.row}>
+        <Text style={styles.field}>Protocol</Text>
+        <TextInput
+          style={styles.input}
+          value={protocol}
+          onChangeText={setProtocol}
+          placeholder="What the participant's asked to do"
+          multiline
+        />
+      </View>
+      <View style={styles.row}>
+        <Text style={styles.field}>Target (s)</Text>
+        <TextInput
+          style={styles.input}
+          value={duration}
+          onChangeText={setDuration}
+          placeholder="None"
+          keyboardType="numeric"
+        />
+      </View>
+      {error && <Text style={styles.error}>{error}</Text>}
+      <View style={styles.buttons}>
+        <Button title="Save" onPress={save} />
+        <Button title="Cancel" color="#999" onPress={onCancel} />
+      </View>
+    </View>
+  );
+};
+
+/**
+ * The trial templates -- they must be nested inside the BLEProvider (see App.js).
+ *
+ * @returns {JSX.Element}
+ * @constructor
+ */
+export const TrialTemplates = () => {
+  const {
+    trialTemplates,
+    setTrialTemplates,
+    trialSelection,
+    selectTrial,
+    recording,
+  } = useContext(BLEContext);
+
+  // The template being added or edited, if any.
+  const [editing, setEditing] = useState(undefined);
+
+  // The selected trial's written into the recording when it starts, so it's fixed until it stops.
+  const locked = recording.status !== 'idle';
+
+  const save = template => {
+    setTrialTemplates(
+      trialTemplates.some(t => t.id === template.id)
+        ? trialTemplates.map(t => (t.id === template.id ? template : t))
+        : [...trialTemplates, template],
+    );
+    setEditing(undefined);
+  };
+
+  if (editing) {
+    return (
+      <TemplateForm
+        template={editing}
+        onSave={save}
+        onCancel={() => setEditing(undefined)}
+      />
+    );
+  }
+
+  return (
+    <View>
+      {trialTemplates.length === 0 && (
+        <Text style={styles.empty}>
+          No trials yet -- add one below, with the protocol to follow and how
+          long it should last.
+        </Text>
+      )}
+      {trialTemplates.map(template => {
+        const selected = trialSelection.templateId === template.id;
+        return (
+          <View key={template.id} style={styles.item}>
+            <View style={styles.details}>
+              <Text style={[styles.label, selected && styles.selected]}>
+                {template.name +
+                  (template.duration !== null
+                    ? ' (' + template.duration + ' s)'
+                    : '')}
+              </Text>
+              {template.protocol.length > 0 && (
+                <Text style={styles.protocol}>{template.protocol}</Text>
+              )}
+            </View>
+            <Button
+              title={selected ? 'Selected' : 'Select'}
+              color={selected ? undefined : '#999'}
+              disabled={locked}
+              onPress={() =>
+                selectTrial({templateId: selected ? null : template.id})
+              }
+            />
+            <Button title="Edit" onPress={() => setEditing(template)} />
+            <Button
+              title="Delete"
+              color="#c62828"
+              disabled={locked && selected}
+              onPress={() =>
+                setTrialTemplates(
+                  trialTemplates.filter(t => t.id !== template.id),
+                )
+              }
+            />
+          </View>
+        );
+      })}
+      <Button title="Add trial" onPress={() => setEditing(newTemplate())} />
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  empty: {
+    fontSize: 14,
+    color: '#666',
+    marginBottom: 8,
+  },
+  item: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 6,
+    borderBottomWidth: StyleSheet.hairlineWidth,
+    borderColor: '#ccc',
+  },
+  details: {
+    flex: 1,
+  },
+  label: {
+    fontSize: 16,
+  },
+  selected: {
+    fontWeight: '700',
+  },
+  protocol: {
+    fontSize: 12,
+    color: '#666',
+  },
+  form: {
+    paddingVertical: 6,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  field: {
+    fontSize: 14,
+    width: 120,
+  },
+  input: {
+    flex: 1,
+    borderWidth: 1,
+    borderColor: '#ccc',
+    paddingHorizontal: 4,
+  },
+  buttons: {
+    flexDirection: 'row',
+    justifyContent: 'space-around',
+  },
+  error: {
+    color: '#b71c1c',
+    marginBottom: 8,
+  },
+});
@@ -0,0 +1,208 @@
+/**
+ * trials.js
+ *
+ * Who's wearing the insoles, and what they're doing. A recording's no use without both, so the
+ * participant and trial selected when it starts are written into its metadata (see
+ * startRecording in ble-context.js, and session-format.js).
+ *
+ * A participant is
+ *
+ *   {id, code, shoeSize, weight, foot}
+ *
+ * where 'code' is their anonymised ID (e.g. 'P012') -- never their name -- 'shoeSize' is an EU
+ * size, 'weight' is in kilograms, and 'foot' is their dominant foot, 'left' or 'right'. The
+ * size and weight may be null, if they weren't taken.
+ *
+ * A trial template is
+ *
+ *   {id, name, protocol, duration}
+ *
+ * where 'protocol' describes what the participant's asked to do, and 'duration' is the target
+ * length of the trial in seconds -- counted down while recording (see TrialCountdown) -- or null
+ * if it has none.
+ */
+
+export const FEET = ['left', 'right'];
+
+/*
+ * The longest participant code, and what it may be made of -- letters, digits, '-' and '_',
+ * which leaves no room for a name and surname.
+ */
+export const MAX_CODE_LENGTH = 16;
+const CODE = /^[A-Za-z0-9_-]+$/;
+
+/*
+ * The templates a fresh install starts with.
+ */
+export const DEFAULT_TEMPLATES = [
+  {
+    id: '10m-walk',
+    name: '10 m walk',
+    protocol:
+      'Walk 10 m at a comfortable pace, starting and stopping 2 m beyond the marks.',
+    duration: 30,
+  },
+  {
+    id: 'sit-to-stand',
+    name: 'Sit-to-stand',
+    protocol:
+      'From sitting, arms folded, stand fully and sit back down as many times as possible.',
+    duration: 30,
+  },
+  {
+    id: 'timed-up-and-go',
+    name: 'Timed up and go',
+    protocol:
+      'Stand up from a chair, walk 3 m, turn, walk back and sit down again.',
+    duration: null,
+  },
+];
+
+const newId = () =>
+  Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+
+/**
+ * Creates a new participant, to be filled in.
+ *
+ * @returns {Object}
+ */
+export const newParticipant = () => ({
+  id: newId(),
+  code: '',
+  shoeSize: null,
+  weight: null,
+  foot: 'right',
+});
+
+/**
+ * Creates a new trial template, to be filled in.
+ *
+ * @returns {Object}
+ */
+export const newTemplate = () => ({
+  id: newId(),
+  name: '',
+  protocol: '',
+  duration: null,
+});
+
+const isPositive = value =>
+  value === null || (typeof value === 'number' && value > 0);
+
+/**
+ * Checks a participant's been filled in properly.
+ *
+ * @param participant the participant
+ * @returns {Object} the participant, with its code trimmed
+ * @throws RangeError saying what's wrong, if anything is
+ */
+export const validateParticipant = participant => {
+  const code = (participant.code || '').trim();
+  if (!code.length || code.length > MAX_CODE_LENGTH || !CODE.test(code)) {
+    throw new RangeError(
+      'The participant ID must be 1-' +
+        MAX_CODE_LENGTH +
+        ' letters, digits, "-" or "_" (e.g. P012)',
+    );
+  }
+  if (!isPositive(participant.shoeSize)) {
+    throw new RangeError('The shoe size must be a positive number');
+  }
+  if (!isPositive(participant.weight)) {
+    throw new RangeError('The weight must be a positive number of kg');
+  }
+  if (!FEET.includes(participant.foot)) {
+    throw new RangeError('The foot must be ' + FEET.join(' or '));
+  }
+  return {...participant, code: code};
+};
+
+/**
+ * Checks a trial template's been filled in properly.
+ *
+ * @param template the template
+ * @returns {Object} the template, with its name and protocol trimmed
+ * @throws RangeError saying what's wrong, if anything is
+ */
+export const validateTemplate = template => {
+  const name = (template.name || '').trim();
+  if (!name.length) {
+    throw new RangeError('The trial needs a name');
+  }
+  if (!isPositive(template.duration)) {
+    throw new RangeError('The target duration must be a positive number of s');
+  }
+  return {...template, name: name, protocol: (template.protocol || '').trim()};
+};
+
+/**
+ * Describes a participant in a line, e.g. 'P012, EU 42, 70 kg, left foot'.
+ *
+ * @param participant the participant
+ * @returns {string}
+ */
+export const describeParticipant = participant =>
+  [
+    participant.code,
+    participant.shoeSize !== null ? 'EU ' + participant.shoeSize : null,
+    participant.weight !== null ? participant.weight + ' kg' : null,
+    participant.foot + ' foot',
+  ]
+    .filter(Boolean)
+    .join(', ');
+
+/**
+ * What's written into a recording's metadata about the selected participant and trial -- copies
+ * of them, so editing or deleting either later doesn't change what was recorded.
+ *
+ * @param participants the participants
+ * @param templates the trial templates
+ * @param selection {participantId, templateId} -- either may be null
+ * @returns {{participant: Object|null, trial: Object|null}}
+ */
+export const trialDetails = (participants, templates, selection) => {
+  const participant = participants.find(p => p.id === selection.participantId);
+  const template = templates.find(t => t.id === selection.templateId);
+  return {
+    participant: participant ? {...participant} : null,
+    trial: template
+      ? {
+          templateId: template.id,
+          name: template.name,
+          protocol: template.protocol,
+          duration: template.duration,
+        }
+      : null,
+  };
+};
+
+/**
+ * A name for a recording of the given trial, e.g. '10 m walk, P012'.
+ *
+ * @param details what trialDetails returned
+ * @returns {string|undefined} the name, or undefined if neither's selected
+ */
+export const trialName = details =>
+  [
+    details.trial ? details.trial.name : null,
+    details.participant ? details.participant.code : null,
+  ]
+    .filter(Boolean)
+    .join(', ') || undefined;
+
+/**
+ * How long's left of a trial's target duration, not counting pauses.
+ *
+ * @param session the metadata of the session being recorded
+ * @param duration the target duration, in seconds
+ * @param now the time now, in milliseconds since the epoch
+ * @returns {number} the time left in milliseconds -- negative once it's overrun
+ */
+export const timeLeft = (session, duration, now) => {
+  const paused = session.pauses.reduce(
+    (total, pause) =>
+      total + ((pause.end === null ? now : pause.end) - pause.start),
+    0,
+  );
+  return duration * 1000 - (now - session.startTime - paused);
+};